@@ -0,0 +1,121 @@
+/**
+ * Local collector for the `http` provider
+ *
+ * Receives the JSON envelopes POSTed by HttpProvider (fetch and
+ * navigator.sendBeacon), checks their shape and prints every message.
+ * No dependencies:
+ *
+ *   node examples/http-collector-server.mjs
+ *   PORT=4000 FAIL_FIRST=2 FAIL_STATUS=503 node examples/http-collector-server.mjs
+ *
+ * Then point the provider at it:
+ *
+ *   analytics.init({ http: { url: 'http://localhost:4318/v1/batch', flushInterval: 2000 } });
+ *
+ * FAIL_FIRST answers the first N batches with FAIL_STATUS (default 500),
+ * so you can watch the provider put them back and resend them on the next
+ * flush. With a 4xx status other than 408 or 429 the provider drops them.
+ */
+
+import { createServer } from 'node:http';
+
+const PORT = Number(process.env.PORT || 4318);
+const FAIL_STATUS = Number(process.env.FAIL_STATUS || 500);
+let failRemaining = Number(process.env.FAIL_FIRST || 0);
+let received = 0;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': '*',
+};
+
+/**
+ * Problems with an envelope, empty when it matches the documented format
+ */
+function checkEnvelope(envelope) {
+  const problems = [];
+  if (typeof envelope?.sentAt !== 'string') problems.push('sentAt is not a string');
+  if (!envelope?.context?.library?.name) problems.push('context.library.name is missing');
+  if (!Array.isArray(envelope?.batch)) return [...problems, 'batch is not an array'];
+
+  envelope.batch.forEach((message, index) => {
+    for (const field of ['type', 'messageId', 'timestamp', 'anonymousId']) {
+      if (!message?.[field]) problems.push(`batch[${index}].${field} is missing`);
+    }
+  });
+  return problems;
+}
+
+function describe(message) {
+  switch (message.type) {
+    case 'event':
+    case 'view':
+      return `${message.type} ${message.name} ${JSON.stringify(message.properties || {})}`;
+    case 'identify':
+      return `identify ${message.userId} ${JSON.stringify(message.traits || {})}`;
+    case 'error':
+      return `error ${message.error?.name}: ${message.error?.message}`;
+    default:
+      return message.type;
+  }
+}
+
+const server = createServer((request, response) => {
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204, CORS_HEADERS).end();
+    return;
+  }
+  if (request.method !== 'POST') {
+    response.writeHead(405, CORS_HEADERS).end();
+    return;
+  }
+
+  const chunks = [];
+  request.on('data', (chunk) => chunks.push(chunk));
+  request.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const via = request.headers['content-type']?.startsWith('application/json')
+      ? `${request.method} ${request.url}`
+      : `${request.method} ${request.url} (${request.headers['content-type']})`;
+
+    let envelope;
+    try {
+      envelope = JSON.parse(body);
+    } catch (error) {
+      console.log(`${via}: invalid JSON (${body.length} bytes)`);
+      response.writeHead(400, CORS_HEADERS).end();
+      return;
+    }
+
+    if (failRemaining > 0) {
+      failRemaining -= 1;
+      const retryable = FAIL_STATUS === 408 || FAIL_STATUS === 429 || FAIL_STATUS >= 500;
+      console.log(
+        `${via}: answering ${FAIL_STATUS}, ${envelope.batch?.length} message(s) should be ${
+          retryable ? 'resent' : 'dropped'
+        }`,
+      );
+      response.writeHead(FAIL_STATUS, CORS_HEADERS).end();
+      return;
+    }
+
+    const problems = checkEnvelope(envelope);
+    if (problems.length > 0) {
+      console.log(`${via}: malformed envelope\n  ${problems.join('\n  ')}`);
+      response.writeHead(400, CORS_HEADERS).end();
+      return;
+    }
+
+    received += envelope.batch.length;
+    console.log(`${via}: ${envelope.batch.length} message(s), ${received} total`);
+    for (const message of envelope.batch) {
+      console.log(`  ${message.timestamp} ${describe(message)}`);
+    }
+    response.writeHead(200, CORS_HEADERS).end();
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Collector listening on http://localhost:${PORT}`);
+});
@@ -1,3 +1,11 @@
-export { useAnalytics, useAnalyticsContext } from './index';
+export {
+    useAnalytics,
+    useAnalyticsContext,
+    useFeatureFlags,
+    useFeatureFlag,
+    useFeatureFlagPayload,
+    FeatureGate,
+    FeatureGateProps,
+} from './index';
 import { useAnalytics } from './index';
 export default useAnalytics;
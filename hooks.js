@@ -1,2 +1,8 @@
 export { useAnalytics } from './src/hooks/useAnalytics';
+export {
+  useFeatureFlags,
+  useFeatureFlag,
+  useFeatureFlagPayload,
+} from './src/hooks/useFeatureFlags';
+export { FeatureGate } from './src/components/FeatureGate';
 export { useAnalyticsContext } from './src/context/AnalyticsProvider';
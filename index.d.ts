@@ -15,6 +15,8 @@ export interface AnalyticsConfig {
         requiresConsent?: boolean;
         deviceId?: string;
         useTemporaryDeviceId?: boolean;
+        /** Merge the previous device id's data into the user on identify (default: false on web, true on native) */
+        mergeOnIdentify?: boolean;
         location?: {
             countryCode?: string;
             city?: string;
@@ -23,6 +25,10 @@ export interface AnalyticsConfig {
         };
         disableLocation?: boolean;
         tamperingProtectionSalt?: string;
+        /** Remote Config values served as feature flags */
+        remoteConfig?: boolean | CountlyRemoteConfigOptions;
+        /** How event properties become Countly segmentation */
+        segmentation?: CountlySegmentationOptions;
     };
     posthog?: {
         apiKey: string;
@@ -54,41 +60,694 @@ export interface AnalyticsConfig {
             featureFlags?: Record<string, any>;
         };
     };
+    /**
+     * Generic HTTP collector (see HttpEnvelope for the payload)
+     */
+    http?: HttpConfig;
+    /**
+     * Google Analytics 4 (gtag.js on web, Measurement Protocol on native)
+     */
+    ga4?: GA4Config;
+    /**
+     * Mixpanel (mixpanel-browser on web, mixpanel-react-native on native)
+     */
+    mixpanel?: MixpanelConfig;
+    /**
+     * Amplitude (@amplitude/analytics-browser on web, @amplitude/analytics-react-native on native)
+     */
+    amplitude?: AmplitudeConfig;
+    /**
+     * Custom providers keyed by name. The factory is looked up from
+     * registerProvider(), or passed inline as `provider`.
+     */
+    providers?: Record<string, ProviderConfig>;
+    /**
+     * Buffer facade calls made before init() completes and replay them
+     * to each provider once it is ready
+     */
+    preInitQueue?: {
+        enabled?: boolean;
+        maxSize?: number;
+        dropPolicy?: 'oldest' | 'newest';
+    };
+    /**
+     * Middleware run on every trackEvent / trackView / trackError call
+     */
+    middleware?: Array<Middleware | MiddlewareEntry>;
+    /**
+     * Validate trackEvent / trackView calls against a tracking plan
+     */
+    trackingPlan?: TrackingPlan;
+    /**
+     * Per-provider event / property naming, keyed by provider name
+     */
+    naming?: Record<string, ProviderNamingConfig>;
+    /**
+     * Send events/views matching name patterns to a subset of providers
+     * (first matching rule wins; per-call options take precedence)
+     */
+    routing?: RoutingRule[];
+    /**
+     * Scrub PII from events, views, errors and global properties (true = defaults)
+     */
+    redaction?: boolean | RedactionConfig;
+    /**
+     * Drop events/views identical to one sent within a window (true = defaults)
+     */
+    dedupe?: boolean | DedupeConfig;
+    /**
+     * Per-event sample rates, deterministic by user id
+     */
+    sampling?: SamplingConfig;
+    /**
+     * Per-event token buckets and a cap on events per session
+     */
+    rateLimits?: RateLimitsConfig;
+    /**
+     * Facade-level consent management. Omit to allow everything.
+     */
+    consent?: ConsentConfig;
+    /**
+     * Persist undelivered events/views/errors (offline, provider failures)
+     * and retry them with exponential backoff. Opt-in.
+     */
+    offlineQueue?: boolean | OfflineQueueConfig;
+    /**
+     * Persisted user id / anonymous id and Countly <-> PostHog id linking
+     */
+    identity?: IdentityConfig;
+    timers?: TimersConfig;
+    featureFlags?: FeatureFlagsConfig;
+}
+
+export interface CountlyRemoteConfigOptions {
+    /** Enroll into A/B tests when their keys are downloaded. Default: true */
+    enrollOnDownload?: boolean;
+    /** Only download these keys */
+    keys?: string[];
+}
+
+export interface CountlySegmentationOptions {
+    /** Send every value as a string, nested objects as JSON (previous behavior). Default: false */
+    stringify?: boolean;
+    /** Nesting levels flattened into dotted keys; deeper values are sent as JSON. Default: 3 */
+    maxDepth?: number;
+    /** Joins flattened keys. Default: '.' */
+    separator?: string;
+    /** Items kept from arrays, and indexes expanded from other arrays. Default: 10 */
+    maxArrayLength?: number;
+}
+
+export type FeatureFlagChanges = Record<string, { previous: any; current: any }>;
+
+export type FeatureFlagsChangeCallback = (
+    changes: FeatureFlagChanges,
+    flags: Record<string, any>,
+) => void;
+
+export interface FeatureFlagsConfig {
+    /**
+     * Providers asked first when several serve flags; the first one that
+     * knows a flag decides it. Default: ['posthog', 'countly']
+     */
+    precedence?: string[];
+}
+
+export interface GA4Config {
+    /** G-XXXXXXXXXX */
+    measurementId: string;
+    /** Measurement Protocol API secret. Required on native */
+    apiSecret?: string;
+    debug?: boolean;
+    /** Extra gtag('config') parameters (web) */
+    gtagConfig?: Record<string, any>;
+    /** gtag.js URL override (web) */
+    scriptUrl?: string;
+    /** Persistent client id override (native). Default: generated and stored */
+    clientId?: string;
+    /** Measurement Protocol endpoint (native), e.g. the /debug/mp/collect validation endpoint */
+    endpoint?: string;
+    /** Queued events are sent every flushInterval ms (native). Default: 5000 */
+    flushInterval?: number;
+    /** Events kept while the endpoint is unreachable (native). Default: 1000 */
+    maxQueueSize?: number;
+    /** Custom fetch implementation (native). Default: global fetch */
+    fetch?: typeof fetch;
+}
+
+export interface MixpanelConfig {
+    /** Project token */
+    token: string;
+    /** API host override, e.g. https://api-eu.mixpanel.com for EU residency */
+    apiHost?: string;
+    debug?: boolean;
+    /** Start opted out until optIn() / consent. Default: false */
+    optOutTrackingByDefault?: boolean;
+    /** Web persistence. Default: 'localStorage' */
+    persistence?: 'cookie' | 'localStorage';
+    /** Extra mixpanel.init() options (web) */
+    sdkConfig?: Record<string, any>;
+    /** Mobile automatic events (native). Default: false */
+    trackAutomaticEvents?: boolean;
+}
+
+export interface AmplitudeConfig {
+    /** Project API key */
+    apiKey: string;
+    debug?: boolean;
+    /** 'US' (default) or 'EU' data residency */
+    serverZone?: 'US' | 'EU';
+    /** Custom ingestion URL (e.g. a proxy) */
+    serverUrl?: string;
+    flushIntervalMillis?: number;
+    /** Start opted out. Set from facade consent when consent is configured */
+    optOut?: boolean;
+    /** Send session start/end events (native). Default: false */
+    trackingSessionEvents?: boolean;
+    /** Extra amplitude.init() options */
+    sdkConfig?: Record<string, any>;
+}
+
+/**
+ * Amplitude Identify operations, usable in identify() / setUserProperties()
+ * alongside plain (set) properties
+ */
+export interface AmplitudeIdentifyOperations {
+    $set?: Record<string, any>;
+    $setOnce?: Record<string, any>;
+    $add?: Record<string, number>;
+    $append?: Record<string, any>;
+    $prepend?: Record<string, any>;
+    $preInsert?: Record<string, any>;
+    $postInsert?: Record<string, any>;
+    $remove?: Record<string, any>;
+    $unset?: string[];
+    $clearAll?: boolean;
+}
+
+export interface AmplitudeRevenue {
+    price: number;
+    quantity?: number;
+    productId?: string;
+    revenueType?: string;
+    currency?: string;
+    /** Overrides price * quantity */
+    revenue?: number;
+    properties?: Record<string, any>;
+}
+
+export interface HttpConfig {
+    /** Endpoint receiving POSTed batches */
+    url: string;
+    /** Extra request headers (not sent with sendBeacon) */
+    headers?: Record<string, string>;
+    /** Messages per request; reaching it triggers a flush. Default: 20 */
+    batchSize?: number;
+    /** Flush interval in ms. Default: 10000 */
+    flushInterval?: number;
+    /** Messages kept while the endpoint is unreachable. Default: 1000 */
+    maxQueueSize?: number;
+    /** Send the remaining batch with navigator.sendBeacon on page hide (web). Default: true */
+    useBeacon?: boolean;
+    /** Custom fetch implementation. Default: global fetch */
+    fetch?: typeof fetch;
+    debug?: boolean;
+}
+
+export interface HttpMessage {
+    type: 'event' | 'view' | 'identify' | 'group' | 'alias' | 'error';
+    messageId: string;
+    /** ISO 8601 time of the original call */
+    timestamp: string;
+    userId: string | null;
+    anonymousId: string;
+    /** event / view name */
+    name?: string;
+    /** event / view / error properties, global properties included */
+    properties?: Record<string, any>;
+    /** identify / group traits */
+    traits?: Record<string, any>;
+    groupType?: string;
+    groupId?: string;
+    /** alias: the identity linked to userId */
+    previousId?: string;
+    /** Segment options context, when given */
+    context?: Record<string, any>;
+    error?: { message: string; name: string; stack: string; fatal: boolean };
+}
+
+export interface HttpEnvelope {
+    sentAt: string;
+    context: {
+        library: { name: string };
+        platform: 'web' | 'native';
+    };
+    batch: HttpMessage[];
+}
+
+export type RedactionDetector = 'email' | 'phone' | 'creditCard' | 'token';
+
+export interface RedactionConfig {
+    /** Built-in detectors to run. Default: all */
+    detectors?: RedactionDetector[];
+    /** Extra patterns to redact in string values */
+    rules?: Array<RegExp | { name?: string; pattern: RegExp }>;
+    /**
+     * Keys whose values are redacted whole, in addition to the built-in list
+     * (password, token, apiKey, ...). Strings ignore case, '_', '-' and spaces.
+     */
+    denyKeys?: Array<string | RegExp>;
+    /** mask: replace with `mask`; hash: replace with '[hash:<hash(value)>]'. Default: 'mask' */
+    mode?: 'mask' | 'hash';
+    /** Default: '[REDACTED]' */
+    mask?: string;
+    /**
+     * Required for mode 'hash'. A synchronous keyed hash (e.g. HMAC-SHA-256
+     * with a secret); unkeyed or short hashes of emails and phone numbers
+     * can be reversed by brute force
+     */
+    hash?: (value: string) => string;
+}
+
+export interface DedupeConfig {
+    /** Window in ms after a call during which identical calls are dropped. Default: 1000 */
+    window?: number;
+    /** Event/view names never deduplicated; '*' matches any characters */
+    allowlist?: string[];
+}
+
+export interface DuplicateStats {
+    suppressed: number;
+    /** Suppressed count per event/view name */
+    byName: Record<string, number>;
+}
+
+export interface SamplingConfig {
+    /**
+     * Sample rate (0-1) per event name; '*' matches any characters
+     * (e.g. { scroll: 0.1, 'poll_*': 0.01 })
+     */
+    events?: Record<string, number>;
+    /**
+     * Property the sample rate is attached under on sampled events, or
+     * false to not attach it. Default: 'sample_rate'
+     */
+    property?: string | false;
+}
+
+export interface TokenBucket {
+    /** Burst size */
+    capacity: number;
+    /** Tokens added per second */
+    refillPerSecond: number;
+}
+
+export interface RateLimitsConfig {
+    /** Token bucket per event name; '*' patterns give each matching event its own bucket */
+    events?: Record<string, TokenBucket>;
+    /** Events sent per session (app launch / page load) before the rest are dropped */
+    maxEventsPerSession?: number;
+}
+
+export interface EventLimitStats {
+    sampledOut: number;
+    rateLimited: number;
+    sessionCapped: number;
+    /** Events let through this session */
+    sessionEvents: number;
+}
+
+export interface TimersConfig {
+    /**
+     * Pause running timers while the app is in the background (hidden tab
+     * on web, AppState on native). Default: false
+     */
+    pauseInBackground?: boolean;
+}
+
+export interface TimerOptions {
+    /** Distinguishes concurrent timers with the same event name */
+    instanceId?: string;
+}
+
+export interface ActiveTimer {
+    name: string;
+    instanceId: string;
+    /** Start time (ms) */
+    startedAt: number;
+    /** Measured time so far, excluding paused time (ms) */
+    elapsedMs: number;
+    paused: boolean;
+}
+
+export interface IdentityConfig {
+    /**
+     * Store the Countly device id as the PostHog person property
+     * `countly_device_id` and the PostHog distinct id as the Countly user
+     * property `posthog_distinct_id`. Default: true
+     */
+    stitching?: boolean;
+    /**
+     * Persist the user id and anonymous id (localStorage / AsyncStorage).
+     * Default: persisted where storage is available; `true` also warns
+     * when AsyncStorage is not installed
+     */
+    persist?: boolean;
+    /** Default: 'unified_analytics_identity' */
+    storageKey?: string;
+    /** Custom storage adapter */
+    storage?: ConsentStorage;
+}
+
+export interface Identity {
+    /** From identify() / alias(), null when anonymous */
+    userId: string | null;
+    /** Generated once, regenerated on reset() */
+    anonymousId: string | null;
+    countlyDeviceId: string | null;
+    posthogDistinctId: string | null;
+}
+
+export interface OfflineQueueConfig {
+    enabled?: boolean;
+    /** Default: 1000 */
+    maxSize?: number;
+    /** Attempts before a call that keeps failing is dropped. Default: 10 */
+    maxAttempts?: number;
+    /** Default: 1000 */
+    baseDelayMs?: number;
+    /** Default: 60000 */
+    maxDelayMs?: number;
+    /** Queued calls older than this are dropped. Default: 7 days */
+    maxAgeMs?: number;
+    /** Default: 'unified_analytics_offline_queue' */
+    storageKey?: string;
+    /** Defaults to localStorage on web, AsyncStorage on native */
+    storage?: ConsentStorage;
+}
+
+export interface OfflineQueueStats {
+    length: number;
+    /** Age of the oldest queued call, null when empty */
+    oldestEventAgeMs: number | null;
+    byProvider: Record<string, number>;
+}
+
+export type ConsentCategory = 'analytics' | 'replay' | 'errors' | 'location';
+
+/**
+ * true = granted, false = denied, null = pending
+ */
+export type ConsentState = Record<ConsentCategory, boolean | null>;
+
+export interface ConsentStorage {
+    getItem(key: string): Promise<string | null> | string | null;
+    setItem(key: string, value: string): Promise<void> | void;
+    removeItem(key: string): Promise<void> | void;
+}
+
+export interface ConsentConfig {
+    /** Initial values for categories with no stored decision */
+    defaults?: Partial<Record<ConsentCategory, boolean>>;
+    /** What happens to calls while their category is pending. Default: 'hold' */
+    pending?: 'hold' | 'drop';
+    /** Persist decisions (localStorage / AsyncStorage). Default: true */
+    persist?: boolean;
+    storageKey?: string;
+    /** Custom storage adapter */
+    storage?: ConsentStorage;
+    /** Max calls held while pending. Default: 100 */
+    maxHeld?: number;
+}
+
+/**
+ * Segment-style per-call options
+ */
+export type NamingConvention = 'snake_case' | 'camelCase' | 'Title Case' | ((name: string) => string);
+
+export interface ProviderNamingConfig {
+    /** Convention for event names */
+    events?: NamingConvention;
+    /** Convention for top-level event property keys */
+    properties?: NamingConvention;
+    /** Explicit canonical -> provider names, used instead of the convention */
+    map?: {
+        events?: Record<string, string>;
+        properties?: Record<string, string>;
+    };
+    /** Truncate names and keys to this length. Default: 128 for countly, none otherwise */
+    maxLength?: number;
+}
+
+export interface RoutingOptions {
+    /** Only send the call to these providers */
+    providers?: string[];
+    /** Send the call to every provider except these */
+    exclude?: string[];
+}
+
+export interface CallOptions extends RoutingOptions {
+    context?: Record<string, any>;
+    /** Enable/disable providers for this call, e.g. { All: false, posthog: true } */
+    integrations?: Record<string, boolean>;
+    timestamp?: Date | string | number;
+    anonymousId?: string;
+}
+
+/**
+ * Route events and/or views matching name patterns ('*' matches any
+ * characters) to a subset of providers
+ */
+export interface RoutingRule extends RoutingOptions {
+    events?: string[];
+    views?: string[];
+}
+
+/**
+ * Options passed by the orchestrator to provider trackEvent / trackView
+ */
+export interface ProviderCallOptions {
+    /** Original call time (ms), older for queued calls */
+    timestamp?: number;
+    context?: Record<string, any>;
+    anonymousId?: string;
 }
 
+/**
+ * JSON Schema subset used by tracking plans
+ */
+export type TrackingPlanSchema =
+    | 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null'
+    | {
+        type?: string | string[];
+        enum?: any[];
+        const?: any;
+        required?: string[];
+        properties?: Record<string, TrackingPlanSchema>;
+        additionalProperties?: boolean | TrackingPlanSchema;
+        items?: TrackingPlanSchema;
+        minimum?: number;
+        maximum?: number;
+        minLength?: number;
+        maxLength?: number;
+        pattern?: string;
+    };
+
+export interface TrackingPlanViolation {
+    type: 'event' | 'view';
+    name: string;
+    errors: string[];
+    blocked: boolean;
+    timestamp: number;
+}
+
+export interface TrackingPlan {
+    /**
+     * warn: log only (default in debug)
+     * blockUnknown: drop events not in the plan (default otherwise)
+     * strict: drop unknown and invalid events
+     */
+    mode?: 'warn' | 'blockUnknown' | 'strict';
+    /** Schema per event name */
+    events?: Record<string, Exclude<TrackingPlanSchema, string>>;
+    /** Schema per view name - views are only validated when set */
+    views?: Record<string, Exclude<TrackingPlanSchema, string>>;
+    /** Max violations kept for getTrackingPlanViolations(). Default: 100 */
+    maxViolations?: number;
+    onViolation?: (violation: TrackingPlanViolation) => void;
+}
+
+/**
+ * Call passed through the middleware pipeline
+ */
+export interface AnalyticsEvent {
+    type: 'event' | 'view' | 'error';
+    /** Event or view name (unset for errors) */
+    name?: string;
+    properties?: Record<string, any>;
+    /** Set for type 'error' */
+    error?: ProviderErrorOptions;
+    /** Set when running provider-scoped middleware */
+    provider?: string;
+    /** Time of the original call (ms) */
+    timestamp?: number;
+    /** From Segment-style options */
+    context?: Record<string, any>;
+    integrations?: Record<string, boolean>;
+    anonymousId?: string;
+    /** From { providers, exclude } call options */
+    routing?: RoutingOptions;
+}
+
+/**
+ * Call next() to continue, next(event) to replace the event, or skip it to drop
+ */
+export type Middleware = (
+    event: AnalyticsEvent,
+    next: (event?: AnalyticsEvent) => void,
+) => void;
+
+export interface MiddlewareEntry {
+    handler: Middleware;
+    /** Only run for these providers */
+    providers?: string[];
+}
+
+export type AnalyticsBusCallType = 'event' | 'view' | 'identify' | 'error' | 'reset';
+
+export type AnalyticsBusEventType = AnalyticsBusCallType | 'providerError';
+
+/**
+ * Payload of 'event' / 'view' / 'identify' / 'error' / 'reset' handlers
+ */
+export interface AnalyticsBusCall {
+    /** The call after middleware; identify adds userId, reset has only type */
+    call: Omit<AnalyticsEvent, 'type'> & { type: AnalyticsBusCallType; userId?: string };
+    /** Providers that took the call */
+    accepted: string[];
+    /** Providers that threw or reported an error */
+    failed: Array<{ provider: string; error: Error }>;
+    /** Providers the call was handed to the offline queue for */
+    queued: string[];
+}
+
+export interface ProviderErrorEvent {
+    provider: string;
+    message: string;
+    error: Error;
+    /** The call being delivered, when the error happened during one */
+    call?: AnalyticsBusCall['call'];
+}
+
+export type AnalyticsBusHandler<T extends AnalyticsBusEventType> =
+    T extends 'providerError'
+        ? (event: ProviderErrorEvent) => void
+        : (event: AnalyticsBusCall) => void;
+
+/**
+ * Configuration for a custom provider
+ */
+export interface ProviderConfig {
+    provider?: ProviderFactory;
+    [key: string]: any;
+}
+
+/**
+ * BaseProvider subclass or function returning a provider instance
+ */
+export type ProviderFactory = (new () => BaseProvider) | (() => BaseProvider);
+
 /**
  * UnifiedAnalytics Orchestrator Class
  */
 export class UnifiedAnalytics {
     init(config: AnalyticsConfig): Promise<void>;
     isInitialized(): boolean;
+    use(middleware: Middleware | MiddlewareEntry, options?: { providers?: string[] }): () => void;
+    on<T extends AnalyticsBusEventType>(type: T, handler: AnalyticsBusHandler<T>): () => void;
+    off<T extends AnalyticsBusEventType>(type: T, handler: AnalyticsBusHandler<T>): void;
+
+    setConsent(updates: Partial<Record<ConsentCategory, boolean>>): void;
+    getConsent(): ConsentState;
+    hasConsent(category: ConsentCategory): boolean;
+    resetConsent(): void;
+
+    getTrackingPlanViolations(): TrackingPlanViolation[];
+    clearTrackingPlanViolations(): void;
+
+    getDuplicateStats(): DuplicateStats;
+    getEventLimitStats(): EventLimitStats;
+
+    getOfflineQueueStats(): OfflineQueueStats;
+    flushOfflineQueue(): void;
+
+    registerProvider(name: string, factory: ProviderFactory): void;
+    getProvider(name: string): BaseProvider | undefined;
     getEnabledProviders(): string[];
-    hasProvider(name: 'countly' | 'posthog'): boolean;
+    hasProvider(name: string): boolean;
 
-    trackEvent(name: string, properties?: Record<string, any>): void;
-    trackView(viewName: string, properties?: Record<string, any>): void;
+    trackEvent(name: string, properties?: Record<string, any>, options?: RoutingOptions): void;
+    trackView(viewName: string, properties?: Record<string, any>, options?: RoutingOptions): void;
     setScreenViewOverride(screenName: string, customName: string): void;
     clearScreenViewOverride(screenName: string): void;
     setTrackScreenViews(enabled: boolean): void;
 
-    identify(userId: string, properties?: Record<string, any>): void;
+    identify(userId: string, properties?: Record<string, any>, options?: CallOptions): void;
     setUserProperties(properties: Record<string, any>): void;
     reset(): void;
 
+    // Segment spec API
+    track(event: string, properties?: Record<string, any>, options?: CallOptions): void;
+    page(category?: string, name?: string, properties?: Record<string, any>, options?: CallOptions): void;
+    page(name?: string, properties?: Record<string, any>, options?: CallOptions): void;
+    page(properties?: Record<string, any>, options?: CallOptions): void;
+    screen(name: string, properties?: Record<string, any>, options?: CallOptions): void;
+    group(groupType: string, groupKey: string, traits?: Record<string, any>, options?: CallOptions): void;
+    group(groupId: string, traits?: Record<string, any>, options?: CallOptions & { groupType?: string }): void;
+    alias(userId: string, previousId?: string, options?: CallOptions): void;
+
+    // Group analytics
+    /** Groups set with group() since the last reset, groupType -> groupKey */
+    getGroups(): Record<string, string>;
+    resetGroups(): void;
+
+    // Identity
+    getIdentity(): Promise<Identity>;
+
     setGlobalProperties(properties: Record<string, any>): void;
     getGlobalProperties(): Record<string, any>;
     clearGlobalProperties(): void;
     removeGlobalProperty(key: string): void;
 
-    startTimer(eventName: string): void;
-    endTimer(eventName: string, properties?: Record<string, any>): void;
+    /** Returns the timer instance id */
+    startTimer(eventName: string, options?: TimerOptions): string;
+    /**
+     * Tracks the event with `$duration` (seconds) and `duration_ms`.
+     * Returns the duration in ms, or null when no timer was running
+     */
+    endTimer(eventName: string, properties?: Record<string, any>, options?: TimerOptions): number | null;
+    /** Without an event name, every timer is paused/resumed */
+    pauseTimer(eventName?: string, options?: TimerOptions): void;
+    resumeTimer(eventName?: string, options?: TimerOptions): void;
+    cancelTimer(eventName: string, options?: TimerOptions): boolean;
+    getActiveTimers(): ActiveTimer[];
 
-    trackError(error: any, metadata?: Record<string, any>): void;
+    trackError(error: any, metadata?: Record<string, any>, options?: RoutingOptions): void;
 
     getFeatureFlag(key: string): any;
+    getFeatureFlagPayload(key: string): any;
     isFeatureEnabled(key: string): boolean;
     getAllFeatureFlags(): Record<string, any>;
-    onFeatureFlagsChange(callback: (flags: Record<string, any>) => void): () => void;
+    /**
+     * Fires once when flags first load, then with the flags that changed.
+     * Returns an unsubscribe function
+     */
+    onFeatureFlagsChange(callback: FeatureFlagsChangeCallback): () => void;
+    /**
+     * True once flags are ready: loaded by a flag provider, known at init
+     * (cache, bootstrap), or there is no flag provider
+     */
+    hasLoadedFeatureFlags(): boolean;
 
     startSession(): void;
     endSession(): void;
@@ -123,44 +782,198 @@ export function useAnalyticsContext(): {
     isInitialized: boolean;
 };
 
+export interface ProviderErrorOptions {
+    message: string;
+    name?: string;
+    stack?: string;
+    fatal?: boolean;
+    segments?: Record<string, any>;
+}
+
 export class BaseProvider {
+    name: string;
+    initialized: boolean;
+    debug: boolean;
+    config: any;
+    features: string[];
+
     init(config: any): Promise<void>;
     isInitialized(): boolean;
     setDebug(debug: boolean): void;
+    setErrorListener(listener: ((args: any[]) => void) | null): void;
+    supports(feature: string): boolean;
+
+    trackEvent(name: string, properties?: Record<string, any>, options?: ProviderCallOptions): void;
+    trackView(viewName: string, properties?: Record<string, any>, options?: ProviderCallOptions): void;
+    identify(userId: string, properties?: Record<string, any>): void;
+    setUserProperties(properties: Record<string, any>): void;
+    reset(): void;
+    group(groupType: string, groupKey: string, traits?: Record<string, any>): void;
+    resetGroups(): void;
+    alias(userId: string, previousId?: string): void;
+    /** Map a Segment semantic event to this provider's naming. Default: unchanged */
+    translateSemanticEvent(name: string, properties: Record<string, any>): { name: string; properties: Record<string, any> };
+    trackError(options: ProviderErrorOptions): void;
+    startTimedEvent(name: string): void;
+    endTimedEvent(name: string, segments?: Record<string, any>): void;
+    /** A facade timer started. The facade measures durations; default: no-op */
+    timerStarted(name: string, timer: { instanceId: string }): void;
+    /** A facade timer ended, before its event is tracked. Default: no-op */
+    timerEnded(name: string, timer: { instanceId?: string; durationMs: number; properties: Record<string, any> }): void;
+
+    setGlobalProperties(properties: Record<string, any>): void;
+    getGlobalProperties(): Record<string, any>;
+    clearGlobalProperties(): void;
+    removeGlobalProperty(key: string): void;
+    withGlobalProperties(properties?: Record<string, any>): Record<string, any>;
+    setConsent(consent: ConsentState): void;
+
+    getFeatureFlag(key: string): any;
+    getFeatureFlagPayload(key: string): any;
+    isFeatureEnabled(key: string): boolean;
+    getAllFeatureFlags(): Record<string, any>;
+    onFeatureFlags(callback: (flags: Record<string, any>) => void): void | (() => void);
+
+    protected log(...args: any[]): void;
+    protected warn(...args: any[]): void;
+    protected error(...args: any[]): void;
+    protected ensureInitialized(): boolean;
+    protected safeString(value: any): string;
+    protected stringifyProperties(properties?: Record<string, any>): Record<string, string>;
 }
 
-export class CountlyProvider extends BaseProvider { }
+export class CountlyProvider extends BaseProvider {
+    getGroups(): Record<string, string>;
+    fetchRemoteConfig(keys?: string[]): Promise<Record<string, any>>;
+    getRemoteConfig(key: string): any;
+    getAllRemoteConfig(): Record<string, any>;
+    enrollInABTests(keys: string[]): void;
+    reloadFeatureFlags(): Promise<Record<string, any>>;
+}
 export class PostHogProvider extends BaseProvider { }
+export class GA4Provider extends BaseProvider {
+    /** Send queued Measurement Protocol events now (native) */
+    flush(): Promise<void> | undefined;
+    /** Stop the flush timer (native) */
+    shutdown(): void;
+}
+export class MixpanelProvider extends BaseProvider {
+    identify(userId: string, properties?: Record<string, any>, propertiesSetOnce?: Record<string, any>): void;
+    setUserProperties(properties?: Record<string, any>, propertiesSetOnce?: Record<string, any>): void;
+    setUserPropertiesOnce(properties: Record<string, any>): void;
+    /** people.increment - a key and amount, or a map of key -> amount */
+    incrementUserProperty(key: string | Record<string, number>, value?: number): void;
+    getGroups(): Record<string, string>;
+    resetGroups(): void;
+    optIn(): void;
+    optOut(): void;
+    hasOptedOut(): boolean;
+    /** Synchronous on web, a Promise on native */
+    getDistinctId(): string | null | Promise<string | null>;
+    register(properties: Record<string, any>): void;
+    registerOnce(properties: Record<string, any>): void;
+    getRegisteredProperties(): Record<string, any>;
+    clearRegisteredProperties(): void;
+    unregister(propertyName: string): void;
+    flush(): Promise<void>;
+}
+export class AmplitudeProvider extends BaseProvider {
+    trackRevenue(options: AmplitudeRevenue): void;
+    getGroups(): Record<string, string>;
+    resetGroups(): void;
+    getSessionId(): number | null;
+    setSessionId(sessionId: number): void;
+    getUserId(): string | null;
+    getDeviceId(): string | null;
+    setOptOut(optOut: boolean): void;
+    flush(): Promise<void>;
+}
+export class HttpProvider extends BaseProvider {
+    /** Send queued messages now; `keepalive` lets the requests outlive the page */
+    flush(options?: { keepalive?: boolean }): Promise<void>;
+    /** Stop the flush timer and unload listeners */
+    shutdown(): void;
+}
 
 /**
  * Main hook for analytics
  */
 export function useAnalytics(): {
     isInitialized: boolean;
-    trackEvent: (name: string, properties?: Record<string, any>) => void;
-    trackView: (viewName: string, properties?: Record<string, any>) => void;
-    identify: (userId: string, properties?: Record<string, any>) => void;
+    trackEvent: (name: string, properties?: Record<string, any>, options?: RoutingOptions) => void;
+    trackView: (viewName: string, properties?: Record<string, any>, options?: RoutingOptions) => void;
+    identify: (userId: string, properties?: Record<string, any>, options?: CallOptions) => void;
     setUserProperties: (properties: Record<string, any>) => void;
     reset: () => void;
+    track: (event: string, properties?: Record<string, any>, options?: CallOptions) => void;
+    page: UnifiedAnalytics['page'];
+    screen: (name: string, properties?: Record<string, any>, options?: CallOptions) => void;
+    group: UnifiedAnalytics['group'];
+    getGroups: () => Record<string, string>;
+    resetGroups: () => void;
+    getIdentity: () => Promise<Identity>;
+    alias: (userId: string, previousId?: string, options?: CallOptions) => void;
     setGlobalProperties: (properties: Record<string, any>) => void;
     getGlobalProperties: () => Record<string, any>;
     clearGlobalProperties: () => void;
     removeGlobalProperty: (key: string) => void;
-    startTimer: (eventName: string) => void;
-    endTimer: (eventName: string, properties?: Record<string, any>) => void;
-    trackError: (error: any, metadata?: Record<string, any>) => void;
+    startTimer: (eventName: string, options?: TimerOptions) => string;
+    endTimer: (eventName: string, properties?: Record<string, any>, options?: TimerOptions) => number | null;
+    pauseTimer: (eventName?: string, options?: TimerOptions) => void;
+    resumeTimer: (eventName?: string, options?: TimerOptions) => void;
+    cancelTimer: (eventName: string, options?: TimerOptions) => boolean;
+    getActiveTimers: () => ActiveTimer[];
+    trackError: (error: any, metadata?: Record<string, any>, options?: RoutingOptions) => void;
+    setConsent: (updates: Partial<Record<ConsentCategory, boolean>>) => void;
+    getConsent: () => ConsentState;
+    hasConsent: (category: ConsentCategory) => boolean;
     startSession: () => void;
     endSession: () => void;
     getFeatureFlag: (key: string) => any;
+    getFeatureFlagPayload: (key: string) => any;
     isFeatureEnabled: (key: string) => boolean;
     getAllFeatureFlags: () => Record<string, any>;
-    onFeatureFlagsChange: (callback: (flags: Record<string, any>) => void) => () => void;
+    onFeatureFlagsChange: (callback: FeatureFlagsChangeCallback) => () => void;
+    on: <T extends AnalyticsBusEventType>(type: T, handler: AnalyticsBusHandler<T>) => () => void;
+    off: <T extends AnalyticsBusEventType>(type: T, handler: AnalyticsBusHandler<T>) => void;
     setScreenViewOverride: (screenName: string, customName: string) => void;
     clearScreenViewOverride: (screenName: string) => void;
     getEnabledProviders: () => string[];
     hasProvider: (name: string) => boolean;
 };
 
+/**
+ * Feature flag hooks - `loading` is true until the first flags arrive
+ */
+export function useFeatureFlags(): {
+    flags: Record<string, any>;
+    loading: boolean;
+};
+
+export function useFeatureFlag(key: string, defaultValue?: any): {
+    value: any;
+    enabled: boolean;
+    loading: boolean;
+};
+
+export function useFeatureFlagPayload(key: string): {
+    payload: any;
+    loading: boolean;
+};
+
+export interface FeatureGateProps {
+    flag: string;
+    /** Only render children for this flag value */
+    variant?: string;
+    /** Rendered when the flag is off */
+    fallback?: React.ReactNode;
+    /** Rendered until flags arrive. Default: fallback */
+    loading?: React.ReactNode;
+    children?: React.ReactNode;
+}
+
+export const FeatureGate: React.FC<FeatureGateProps>;
+
 /**
  * Platform Utilities
  */
@@ -9,9 +9,17 @@ export {
   AnalyticsProvider,
   useAnalyticsContext,
   useAnalytics,
+  useFeatureFlags,
+  useFeatureFlag,
+  useFeatureFlagPayload,
+  FeatureGate,
   BaseProvider,
   CountlyProvider,
   PostHogProvider,
+  HttpProvider,
+  GA4Provider,
+  MixpanelProvider,
+  AmplitudeProvider,
   setPlatform,
   getPlatform,
   isWeb,
@@ -3,11 +3,115 @@
  * Singleton pattern for consistent state across the app
  */
 
+import { BaseProvider } from "./providers/BaseProvider";
 import { CountlyProvider } from "./providers/CountlyProvider";
 import { PostHogProvider } from "./providers/PostHogProvider";
-import { validateConfig, createLogger } from "./utils/helpers";
+import { HttpProvider } from "./providers/HttpProvider";
+import { GA4Provider } from "./providers/GA4Provider";
+import { MixpanelProvider } from "./providers/MixpanelProvider";
+import { AmplitudeProvider } from "./providers/AmplitudeProvider";
+import { validateConfig, createLogger, createId } from "./utils/helpers";
+import {
+  MIDDLEWARE_CALL_TYPES,
+  normalizeMiddleware,
+  cloneCall,
+  runMiddleware,
+} from "./utils/middleware";
+import {
+  normalizeTrackingPlan,
+  validateTrackingPlanCall,
+} from "./utils/trackingPlan";
+import {
+  CALL_CONSENT_CATEGORIES,
+  normalizeConsentConfig,
+  createPendingConsent,
+  mergeConsent,
+  parseStoredConsent,
+} from "./utils/consent";
+import { createStorage } from "./utils/storage";
+import { createMemoryStorage } from "./utils/memoryStorage";
+import { DEFAULT_OFFLINE_QUEUE, createOfflineQueue } from "./utils/offlineQueue";
+import { createNetworkMonitor } from "./utils/network";
+import { createAppStateMonitor } from "./utils/appState";
+import { createTimerRegistry } from "./utils/timers";
+import { createFeatureFlagRegistry } from "./utils/featureFlags";
+import { BUS_CALL_TYPES, createEventBus } from "./utils/eventBus";
+import { createEventLimiter } from "./utils/sampling";
+import { normalizeDedupeConfig, createDuplicateFilter } from "./utils/dedupe";
+import { createRedactor } from "./utils/redaction";
+import { resolveRouting, isRoutedTo } from "./utils/routing";
+import { createProviderNaming } from "./utils/naming";
+import {
+  isSemanticEvent,
+  normalizeCallOptions,
+  isIntegrationEnabled,
+  parsePageArguments,
+  parseGroupArguments,
+  getPageDefaults,
+} from "./utils/segment";
+import {
+  COUNTLY_TEMPORARY_DEVICE_IDS,
+  IDENTITY_LINK_PROPERTIES,
+  normalizeIdentityConfig,
+  parseStoredIdentity,
+} from "./utils/identity";
 import { setPlatform } from "./platform";
 
+/**
+ * Providers configured through top-level config keys (config.countly, ...)
+ */
+const BUILT_IN_PROVIDERS = {
+  countly: CountlyProvider,
+  posthog: PostHogProvider,
+  http: HttpProvider,
+  ga4: GA4Provider,
+  mixpanel: MixpanelProvider,
+  amplitude: AmplitudeProvider,
+};
+
+/**
+ * Default pre-init queue settings (overridable via config.preInitQueue)
+ */
+const DEFAULT_PRE_INIT_QUEUE = {
+  enabled: true,
+  maxSize: 100,
+  dropPolicy: "oldest", // 'oldest' | 'newest'
+};
+
+/**
+ * Feature flag providers consulted first (overridable via
+ * config.featureFlags.precedence)
+ */
+const DEFAULT_FEATURE_FLAG_PRECEDENCE = ["posthog", "countly"];
+
+/**
+ * Call types persisted by the offline queue (state changes are not replayed)
+ */
+const OFFLINE_CALL_TYPES = ["event", "view", "error"];
+
+/**
+ * Per-call delivery outcome emitted on the event bus
+ * - accepted: provider names that took the call without reporting an error
+ * - failed: [{ provider, error }] for providers that threw or reported an error
+ * - queued: provider names the call was handed to the offline queue for
+ */
+function createDeliveryReport() {
+  return { accepted: [], failed: [], queued: [] };
+}
+
+/**
+ * Create a provider instance from a BaseProvider subclass or a factory function
+ */
+function createProviderInstance(name, factory) {
+  const provider =
+    factory.prototype instanceof BaseProvider ? new factory() : factory();
+
+  if (!(provider instanceof BaseProvider)) {
+    throw new Error(`Provider "${name}" must extend BaseProvider`);
+  }
+  return provider;
+}
+
 /**
  * UnifiedAnalytics - Core analytics orchestrator
  */
@@ -17,8 +121,43 @@ class UnifiedAnalytics {
   constructor() {
     this.initialized = false;
     this.config = null;
-    this.countlyProvider = null;
-    this.posthogProvider = null;
+    this.providerFactories = new Map(Object.entries(BUILT_IN_PROVIDERS)); // Map<name, factory>
+    this.providers = new Map(); // Map<name, BaseProvider> (successfully initialized)
+    this.pendingCalls = []; // Facade calls recorded until init() completes
+    this.preInitQueue = { ...DEFAULT_PRE_INIT_QUEUE };
+    this.middleware = []; // Array<{ handler, providers }>
+    this.pipelineReady = false; // Calls are processed once config middleware is registered
+    this.trackingPlan = null;
+    this.trackingPlanViolations = [];
+    this.providerNaming = new Map(); // Map<providerName, naming rules | null> (config.naming)
+    this.routingRules = null; // Provider routing by event/view name (config.routing)
+    this.redactor = null; // Scrubs PII before calls reach providers (config.redaction)
+    this.duplicateFilter = null; // Drops repeated events/views (config.dedupe)
+    this.eventLimiter = null; // Sampling, rate limits and session cap (config.sampling / config.rateLimits)
+    this.consent = null; // null = consent not managed, everything allowed
+    this.consentOptions = normalizeConsentConfig();
+    this.consentStorage = null;
+    this.heldCalls = []; // Calls waiting for a pending consent decision
+    this.offlineQueue = null; // Durable retry queue (config.offlineQueue)
+    this.network = null;
+    this.timers = createTimerRegistry(); // Facade-measured timed events
+    this.appState = null; // Pauses timers in the background (config.timers)
+    this.bus = createEventBus({
+      onListenerError: (error, type) =>
+        this.logger.error(`"${type}" handler failed:`, error),
+    });
+    this.activeDelivery = null; // { provider, call, errors } while a provider method runs
+    this.featureFlagChanges = createFeatureFlagRegistry({
+      onListenerError: (error) =>
+        this.logger.error("Feature flag listener failed:", error),
+    });
+    this.unavailableProviders = new Set(); // Configured providers whose init() failed
+    this.groups = {}; // Map<groupType, groupKey> from group()
+    this.userId = undefined; // undefined until loaded on init, null when anonymous
+    this.anonymousId = null;
+    this.identityOptions = normalizeIdentityConfig();
+    this.identityStorage = null;
+    this.linkedIdentity = null; // Last ids written by linkIdentities()
     this.logger = createLogger(false);
     this.navigationRef = null;
     this.routeNameRef = null;
@@ -67,37 +206,82 @@ class UnifiedAnalytics {
       this._trackScreenViews ? "enabled" : "disabled",
     );
 
-    this.logger.log("Initializing with config:", {
-      countly: !!config.countly,
-      posthog: !!config.posthog,
-    });
+    this.configurePreInitQueue(config.preInitQueue);
 
-    // Initialize each provider independently so one failure doesn't block the other
-    if (config.countly) {
-      try {
-        this.countlyProvider = new CountlyProvider();
-        this.countlyProvider.setDebug(config.debug || false);
-        await this.countlyProvider.init(config.countly);
-        this.logger.log("Countly provider initialized");
-      } catch (error) {
-        this.logger.error("Countly initialization failed:", error);
-        this.countlyProvider = null;
-      }
+    if (config.trackingPlan) {
+      this.trackingPlan = normalizeTrackingPlan(
+        config.trackingPlan,
+        config.debug || false,
+      );
+      this.logger.log("Tracking plan loaded, mode:", this.trackingPlan.mode);
+    }
+
+    this.redactor = createRedactor(config.redaction);
+    this.routingRules = config.routing || null;
+
+    const dedupe = normalizeDedupeConfig(config.dedupe);
+    if (dedupe) {
+      this.duplicateFilter = createDuplicateFilter(dedupe);
+    }
+
+    if (config.sampling || config.rateLimits) {
+      this.eventLimiter = createEventLimiter({
+        sampling: config.sampling,
+        rateLimits: config.rateLimits,
+      });
+    }
+
+    for (const entry of config.middleware || []) {
+      this.use(entry);
+    }
+
+    if (config.consent || this.consent) {
+      await this.initConsent(config.consent);
+    }
+
+    await this.initIdentity(config.identity);
+
+    if (config.timers?.pauseInBackground) {
+      await this.initAppState();
+    }
+
+    this.processPendingCalls();
+
+    if (config.offlineQueue) {
+      await this.initOfflineQueue(config.offlineQueue);
     }
 
-    if (config.posthog) {
+    const providerConfigs = this.resolveProviderConfigs(config);
+
+    this.logger.log(
+      "Initializing providers:",
+      providerConfigs.map(([name]) => name),
+    );
+
+    // Initialize each provider independently so one failure doesn't block the others
+    for (const [name, factory, providerConfig] of providerConfigs) {
       try {
-        this.posthogProvider = new PostHogProvider();
-        this.posthogProvider.setDebug(config.debug || false);
-        await this.posthogProvider.init(config.posthog);
-        this.logger.log("PostHog provider initialized");
+        const provider = createProviderInstance(name, factory);
+        provider.setDebug(config.debug || false);
+        provider.setErrorListener((args) => this.handleProviderError(name, args));
+        if (this.consent) {
+          provider.setConsent({ ...this.consent });
+        }
+        await provider.init(providerConfig);
+        this.providers.set(name, provider);
+        this.logger.log(`Provider "${name}" initialized`);
+        this.flushPendingCalls(provider, name);
       } catch (error) {
-        this.logger.error("PostHog initialization failed:", error);
-        this.posthogProvider = null;
+        this.logger.error(`Provider "${name}" initialization failed:`, error);
+        this.unavailableProviders.add(name);
       }
     }
 
     this.initialized = true;
+    this.pendingCalls = [];
+    this.watchFeatureFlags();
+    this.offlineQueue?.flush();
+    this.linkIdentities();
     this.logger.log("Initialization complete");
   }
 
@@ -108,17 +292,239 @@ class UnifiedAnalytics {
     return this.initialized;
   }
 
+  // ==========================================
+  // MIDDLEWARE
+  // ==========================================
+
+  /**
+   * Add a middleware `(event, next)` to the tracking pipeline
+   * Applies to trackEvent, trackView and trackError calls
+   *
+   * @param {Function} middleware - Call next() to continue, next(event) to replace, skip to drop
+   * @param {{ providers?: string[] }} options - Limit to specific providers
+   * @returns {Function} Removes the middleware
+   */
+  use(middleware, options) {
+    const entry = normalizeMiddleware(middleware, options);
+    this.middleware.push(entry);
+    this.logger.log(
+      "Middleware added",
+      entry.providers ? `for ${entry.providers.join(", ")}` : "",
+    );
+
+    return () => {
+      this.middleware = this.middleware.filter((item) => item !== entry);
+    };
+  }
+
+  // ==========================================
+  // DUPLICATE SUPPRESSION
+  // ==========================================
+
+  /**
+   * Events and views dropped as duplicates (config.dedupe)
+   * @returns {{ suppressed: number, byName: Object<string, number> }}
+   */
+  getDuplicateStats() {
+    return this.duplicateFilter
+      ? this.duplicateFilter.getStats()
+      : { suppressed: 0, byName: {} };
+  }
+
+  // ==========================================
+  // SAMPLING & RATE LIMITS
+  // ==========================================
+
+  /**
+   * Events dropped by sampling, rate limits and the session cap
+   * @returns {{ sampledOut: number, rateLimited: number, sessionCapped: number, sessionEvents: number }}
+   */
+  getEventLimitStats() {
+    return this.eventLimiter
+      ? this.eventLimiter.getStats()
+      : { sampledOut: 0, rateLimited: 0, sessionCapped: 0, sessionEvents: 0 };
+  }
+
+  // ==========================================
+  // EVENT BUS
+  // ==========================================
+
+  /**
+   * Observe analytics activity
+   * 'event' | 'view' | 'identify' | 'error' | 'reset' handlers receive
+   * { call, accepted, failed, queued } after middleware ran and providers
+   * were called; 'providerError' handlers receive { provider, message, error, call }.
+   *
+   * @param {string} type
+   * @param {Function} handler
+   * @returns {Function} Removes the handler
+   */
+  on(type, handler) {
+    this.bus.on(type, handler);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Remove a handler added with on()
+   */
+  off(type, handler) {
+    this.bus.off(type, handler);
+  }
+
+  // ==========================================
+  // TRACKING PLAN
+  // ==========================================
+
+  /**
+   * Get tracking plan violations collected at runtime (oldest first)
+   */
+  getTrackingPlanViolations() {
+    return [...this.trackingPlanViolations];
+  }
+
+  /**
+   * Clear collected tracking plan violations
+   */
+  clearTrackingPlanViolations() {
+    this.trackingPlanViolations = [];
+  }
+
+  // ==========================================
+  // CONSENT (UNIFIED FACADE)
+  // ==========================================
+
+  /**
+   * Update consent for one or more categories and persist it
+   * Maps to giveConsent/removeConsent (Countly) and optIn/optOut +
+   * session recording (PostHog)
+   *
+   * @param {{ analytics?: boolean, replay?: boolean, errors?: boolean, location?: boolean }} updates
+   */
+  setConsent(updates) {
+    this.consent = mergeConsent(
+      this.consent || this.createInitialConsent(),
+      updates,
+    );
+
+    this.forEachProvider((provider) => {
+      provider.setConsent({ ...this.consent });
+    });
+
+    this.persistConsent();
+    this.logger.log("Consent updated:", this.consent);
+
+    this.releaseHeldCalls();
+  }
+
+  /**
+   * Get current consent state
+   * Values are true (granted), false (denied) or null (pending)
+   */
+  getConsent() {
+    if (!this.consent) {
+      return mergeConsent(createPendingConsent(), {
+        analytics: true,
+        replay: true,
+        errors: true,
+        location: true,
+      });
+    }
+    return { ...this.consent };
+  }
+
+  /**
+   * Check whether a consent category is granted
+   */
+  hasConsent(category) {
+    return this.getConsent()[category] === true;
+  }
+
+  /**
+   * Forget stored consent and return every category to its default
+   */
+  resetConsent() {
+    this.consent = this.createInitialConsent();
+    if (this.consentStorage) {
+      Promise.resolve()
+        .then(() => this.consentStorage.removeItem(this.consentOptions.storageKey))
+        .catch((error) => this.logger.error("Consent reset failed:", error));
+    }
+
+    this.forEachProvider((provider) => {
+      provider.setConsent({ ...this.consent });
+    });
+    this.logger.log("Consent reset");
+  }
+
+  // ==========================================
+  // OFFLINE QUEUE
+  // ==========================================
+
+  /**
+   * Get offline queue status
+   * @returns {{ length: number, oldestEventAgeMs: number|null, byProvider: Record<string, number> }}
+   */
+  getOfflineQueueStats() {
+    if (!this.offlineQueue) {
+      return { length: 0, oldestEventAgeMs: null, byProvider: {} };
+    }
+    return this.offlineQueue.getStats();
+  }
+
+  /**
+   * Retry queued calls now instead of waiting for the next backoff tick
+   */
+  flushOfflineQueue() {
+    this.offlineQueue?.flush();
+  }
+
+  // ==========================================
+  // PROVIDER REGISTRY
+  // ==========================================
+
+  /**
+   * Register a provider so it can be enabled via config.providers[name]
+   * Must be called before init()
+   *
+   * @param {string} name - Provider name used in config and hasProvider()
+   * @param {Function} factory - BaseProvider subclass or function returning an instance
+   */
+  registerProvider(name, factory) {
+    if (!name || typeof name !== "string") {
+      throw new Error("Provider name must be a non-empty string");
+    }
+    if (typeof factory !== "function") {
+      throw new Error(
+        `Provider "${name}" must be a BaseProvider subclass or factory function`,
+      );
+    }
+    if (this.initialized) {
+      this.logger.warn(
+        `Provider "${name}" registered after init(); it will not be initialized`,
+      );
+    }
+
+    this.providerFactories.set(name, factory);
+    this.logger.log("Provider registered:", name);
+  }
+
+  /**
+   * Get an initialized provider instance by name
+   * Returns undefined if the provider is not configured
+   */
+  getProvider(name) {
+    const provider = this.providers.get(name);
+    return provider?.isInitialized() ? provider : undefined;
+  }
+
   /**
    * Get enabled providers
    */
   getEnabledProviders() {
     const providers = [];
-    if (this.countlyProvider?.isInitialized()) {
-      providers.push("countly");
-    }
-    if (this.posthogProvider?.isInitialized()) {
-      providers.push("posthog");
-    }
+    this.forEachProvider((provider, name) => {
+      providers.push(name);
+    });
     return providers;
   }
 
@@ -126,13 +532,7 @@ class UnifiedAnalytics {
    * Check if a specific provider is enabled
    */
   hasProvider(name) {
-    if (name === "countly") {
-      return this.countlyProvider?.isInitialized() ?? false;
-    }
-    if (name === "posthog") {
-      return this.posthogProvider?.isInitialized() ?? false;
-    }
-    return false;
+    return this.getProvider(name) !== undefined;
   }
 
   // ==========================================
@@ -141,28 +541,22 @@ class UnifiedAnalytics {
 
   /**
    * Track a custom event
+   * @param {string} name
+   * @param {object} properties
+   * @param {{ providers?: string[], exclude?: string[] }} options - Only send to / skip these providers
    */
-  trackEvent(name, properties) {
-    this.trackEventToProviders(name, properties);
+  trackEvent(name, properties, options) {
+    this.trackEventToProviders(name, properties, options);
   }
 
   /**
    * Track a screen/view
+   * @param {string} viewName
+   * @param {object} properties
+   * @param {{ providers?: string[], exclude?: string[] }} options - Only send to / skip these providers
    */
-  trackView(viewName, properties) {
-    if (!this._trackScreenViews) {
-      this.logger.log("Screen view tracking disabled, skipping:", viewName);
-      return;
-    }
-
-    if (this.countlyProvider?.isInitialized()) {
-      this.countlyProvider.trackView(viewName, properties);
-    }
-    if (this.posthogProvider?.isInitialized()) {
-      this.posthogProvider.trackView(viewName, properties);
-    }
-
-    this.logger.log("🎁🎁🎁🎁🎁🎁 View tracked:", viewName);
+  trackView(viewName, properties, options) {
+    this.trackViewWithOptions(viewName, properties, options);
   }
 
   /**
@@ -201,14 +595,20 @@ class UnifiedAnalytics {
 
   /**
    * Identify a user
+   * @param {string} userId
+   * @param {object} properties - User traits
+   * @param {object} options - Segment options (context, integrations, timestamp, anonymousId)
+   *   and provider routing (providers, exclude)
    */
-  identify(userId, properties) {
-    if (this.countlyProvider?.isInitialized()) {
-      this.countlyProvider.identify(userId, properties);
-    }
-    if (this.posthogProvider?.isInitialized()) {
-      this.posthogProvider.identify(userId, properties);
-    }
+  identify(userId, properties, options) {
+    this.updateIdentity({ userId: String(userId) });
+    this.dispatch({
+      type: "identify",
+      userId,
+      properties,
+      ...normalizeCallOptions(options),
+    });
+    this.linkIdentities();
 
     this.logger.log("User identified:", userId);
   }
@@ -217,12 +617,7 @@ class UnifiedAnalytics {
    * Set user properties
    */
   setUserProperties(properties) {
-    if (this.countlyProvider?.isInitialized()) {
-      this.countlyProvider.setUserProperties(properties);
-    }
-    if (this.posthogProvider?.isInitialized()) {
-      this.posthogProvider.setUserProperties(properties);
-    }
+    this.dispatch({ type: "userProperties", properties });
 
     this.logger.log("User properties set");
   }
@@ -231,16 +626,160 @@ class UnifiedAnalytics {
    * Reset/logout user
    */
   reset() {
-    if (this.countlyProvider?.isInitialized()) {
-      this.countlyProvider.reset();
-    }
-    if (this.posthogProvider?.isInitialized()) {
-      this.posthogProvider.reset();
-    }
+    this.groups = {};
+    this.updateIdentity({ userId: null, anonymousId: createId() });
+    this.dispatch({ type: "reset" });
+    this.linkIdentities();
 
     this.logger.log("User reset");
   }
 
+  // ==========================================
+  // SEGMENT SPEC API
+  // ==========================================
+
+  /**
+   * Track an event (Segment `track`)
+   * Segment semantic events (e.g. "Order Completed") are translated to
+   * each provider's naming convention
+   *
+   * @param {string} event
+   * @param {object} properties
+   * @param {{ context?: object, integrations?: object, timestamp?: Date|string|number, anonymousId?: string }} options
+   */
+  track(event, properties, options) {
+    this.dispatch({
+      type: "event",
+      name: event,
+      properties,
+      semantic: isSemanticEvent(event),
+      ...normalizeCallOptions(options),
+    });
+
+    this.logger.log("Event tracked:", event);
+  }
+
+  /**
+   * Track a web page view (Segment `page`)
+   * page([category], [name], [properties], [options])
+   * Properties default to the current path, url, search, title and referrer
+   */
+  page(category, name, properties, options) {
+    const args = parsePageArguments(category, name, properties, options);
+    const pageProperties = {
+      ...getPageDefaults(),
+      ...(args.category ? { category: args.category } : {}),
+      ...(args.properties || {}),
+    };
+    const pageName =
+      [args.category, args.name].filter(Boolean).join(" ") ||
+      pageProperties.path ||
+      "";
+
+    this.trackViewWithOptions(pageName, pageProperties, args.options);
+  }
+
+  /**
+   * Track a mobile screen view (Segment `screen`)
+   */
+  screen(name, properties, options) {
+    this.trackViewWithOptions(name, properties, options);
+  }
+
+  /**
+   * Associate the user with a group
+   * Maps to group (PostHog) and user custom properties + event
+   * segmentation (Countly). Subsequent events carry the group.
+   *
+   * analytics.group('company', 'acme', { name: 'Acme' });
+   * analytics.group('acme', { name: 'Acme' }); // Segment form, type 'company'
+   *
+   * @param {string} groupType - e.g. 'company' (Segment form: the group id)
+   * @param {string} groupKey - Group id (Segment form: traits)
+   * @param {object} traits - Group traits (Segment form: options)
+   * @param {object} options - Segment options (Segment form: also groupType)
+   */
+  group(groupType, groupKey, traits, options) {
+    const args = parseGroupArguments(groupType, groupKey, traits, options);
+    this.groups = { ...this.groups, [args.groupType]: args.groupKey };
+
+    this.dispatch({
+      type: "group",
+      groupType: args.groupType,
+      groupId: args.groupKey,
+      traits: args.traits,
+      ...normalizeCallOptions(args.options),
+    });
+
+    this.logger.log("Group set:", args.groupType, args.groupKey);
+  }
+
+  /**
+   * Get the groups set with group() since the last reset
+   * @returns {object} Map of groupType -> groupKey
+   */
+  getGroups() {
+    return { ...this.groups };
+  }
+
+  /**
+   * Remove all groups; subsequent events no longer carry group context
+   */
+  resetGroups() {
+    this.groups = {};
+    this.dispatch({ type: "resetGroups" });
+
+    this.logger.log("Groups reset");
+  }
+
+  /**
+   * Link a new user id to the previous identity (Segment `alias`)
+   *
+   * @param {string} userId - New identifier
+   * @param {string} previousId - Previous identifier (defaults to the current one)
+   */
+  alias(userId, previousId, options) {
+    this.updateIdentity({ userId: String(userId) });
+    this.dispatch({
+      type: "alias",
+      userId,
+      previousId,
+      ...normalizeCallOptions(options),
+    });
+    this.linkIdentities();
+
+    this.logger.log("Alias created:", userId);
+  }
+
+  // ==========================================
+  // IDENTITY
+  // ==========================================
+
+  /**
+   * Get the current identity across providers
+   * Countly's device id is read asynchronously, so this returns a Promise
+   *
+   * @returns {Promise<{ userId: string|null, anonymousId: string|null, countlyDeviceId: string|null, posthogDistinctId: string|null }>}
+   */
+  async getIdentity() {
+    const countly = this.getProvider("countly");
+    const posthog = this.getProvider("posthog");
+
+    let countlyDeviceId = null;
+    try {
+      countlyDeviceId = countly ? ((await countly.getDeviceId()) ?? null) : null;
+    } catch (error) {
+      this.logger.error("Reading Countly device id failed:", error);
+    }
+
+    return {
+      userId: this.userId ?? null,
+      anonymousId: this.anonymousId,
+      countlyDeviceId,
+      posthogDistinctId: posthog?.getDistinctId() ?? null,
+    };
+  }
+
   // ==========================================
   // GLOBAL PROPERTIES (UNIFIED FACADE)
   // ==========================================
@@ -250,48 +789,25 @@ class UnifiedAnalytics {
    * Maps to userContext (Countly) and register (PostHog)
    */
   setGlobalProperties(properties) {
-    // Countly - use userContext (already implemented)
-    if (this.countlyProvider?.isInitialized()) {
-      this.countlyProvider.setUserContext(properties);
-    }
-
-    // PostHog - use register
-    if (this.posthogProvider?.isInitialized()) {
-      this.posthogProvider.register(properties);
-    }
+    this.dispatch({ type: "setGlobalProperties", properties });
 
     this.logger.log("Global properties set:", properties);
   }
 
   /**
    * Get current global properties
-   * Returns properties from whichever provider is available
+   * Returns properties from the first available provider (in registration order)
    */
   getGlobalProperties() {
-    // Try Countly first
-    if (this.countlyProvider?.isInitialized()) {
-      return this.countlyProvider.getUserContext();
-    }
-
-    // Try PostHog
-    if (this.posthogProvider?.isInitialized()) {
-      return this.posthogProvider.getRegisteredProperties();
-    }
-
-    return {};
+    const [first] = this.getEnabledProviders();
+    return first ? this.providers.get(first).getGlobalProperties() : {};
   }
 
   /**
    * Clear all global properties
    */
   clearGlobalProperties() {
-    if (this.countlyProvider?.isInitialized()) {
-      this.countlyProvider.clearUserContext();
-    }
-
-    if (this.posthogProvider?.isInitialized()) {
-      this.posthogProvider.clearRegisteredProperties();
-    }
+    this.dispatch({ type: "clearGlobalProperties" });
 
     this.logger.log("Global properties cleared");
   }
@@ -300,15 +816,7 @@ class UnifiedAnalytics {
    * Remove specific global property
    */
   removeGlobalProperty(key) {
-    if (this.countlyProvider?.isInitialized()) {
-      const current = this.countlyProvider.getUserContext();
-      delete current[key];
-      this.countlyProvider.setUserContext(current);
-    }
-
-    if (this.posthogProvider?.isInitialized()) {
-      this.posthogProvider.unregister(key);
-    }
+    this.dispatch({ type: "removeGlobalProperty", key });
 
     this.logger.log("Global property removed:", key);
   }
@@ -319,37 +827,96 @@ class UnifiedAnalytics {
 
   /**
    * Start timing an event
-   * Only works with Countly (PostHog doesn't support timed events)
+   * Durations are measured here, so timed events work with every provider.
+   * Pass an instanceId to run several timers with the same name at once.
+   *
+   * @param {string} eventName
+   * @param {{ instanceId?: string }} options
+   * @returns {string} Timer instance id
    */
-  startTimer(eventName) {
-    if (this.countlyProvider?.isInitialized()) {
-      this.countlyProvider.startTimedEvent(eventName);
-    }
-
-    // PostHog doesn't support timed events - gracefully no-op
-    if (this.posthogProvider?.isInitialized() && this.config.debug) {
-      this.logger.log("PostHog does not support timed events");
-    }
+  startTimer(eventName, options = {}) {
+    const instanceId = this.timers.start(eventName, options.instanceId);
+    this.dispatch({ type: "startTimer", name: eventName, instanceId });
 
-    this.logger.log("Timer started:", eventName);
+    this.logger.log("Timer started:", eventName, instanceId);
+    return instanceId;
   }
 
   /**
-   * End timer and track event with duration
-   * Only works with Countly (PostHog doesn't support timed events)
+   * End timer and track the event with `$duration` (seconds) and
+   * `duration_ms` properties
+   * Without an instanceId, the most recently started timer of that name ends.
+   *
+   * @param {string} eventName
+   * @param {object} properties
+   * @param {{ instanceId?: string }} options
+   * @returns {number|null} Duration in ms, null when no timer was running
    */
-  endTimer(eventName, properties = {}) {
-    if (this.countlyProvider?.isInitialized()) {
-      this.countlyProvider.endTimedEvent(eventName, properties);
-    }
-
-    // PostHog doesn't support timed events - gracefully no-op
-    if (this.posthogProvider?.isInitialized() && this.config.debug) {
-      this.logger.log("PostHog does not support timed events");
+  endTimer(eventName, properties = {}, options = {}) {
+    const durationMs = this.timers.stop(eventName, options.instanceId);
+    if (durationMs === null) {
+      this.logger.warn("No timer started for:", eventName);
+      return null;
     }
 
-    this.logger.log("Timer ended:", eventName);
-  }
+    this.dispatch({
+      type: "endTimer",
+      name: eventName,
+      instanceId: options.instanceId,
+      durationMs,
+      properties: { ...properties },
+    });
+    this.dispatch({
+      type: "event",
+      name: eventName,
+      properties: {
+        ...properties,
+        $duration: durationMs / 1000,
+        duration_ms: durationMs,
+      },
+    });
+
+    this.logger.log("Timer ended:", eventName, `${durationMs}ms`);
+    return durationMs;
+  }
+
+  /**
+   * Pause timers of an event (every timer when no name is given)
+   * Paused time is not counted in the duration
+   */
+  pauseTimer(eventName, options = {}) {
+    const count = this.timers.pause(eventName, options.instanceId);
+
+    this.logger.log("Timers paused:", eventName ?? "all", count);
+  }
+
+  /**
+   * Resume paused timers of an event (every timer when no name is given)
+   */
+  resumeTimer(eventName, options = {}) {
+    const count = this.timers.resume(eventName, options.instanceId);
+
+    this.logger.log("Timers resumed:", eventName ?? "all", count);
+  }
+
+  /**
+   * Discard a timer without tracking an event
+   * @returns {boolean} Whether a timer was running
+   */
+  cancelTimer(eventName, options = {}) {
+    const cancelled = this.timers.cancel(eventName, options.instanceId);
+
+    this.logger.log("Timer cancelled:", eventName, cancelled);
+    return cancelled;
+  }
+
+  /**
+   * Running and paused timers in start order
+   * @returns {Array<{ name: string, instanceId: string, startedAt: number, elapsedMs: number, paused: boolean }>}
+   */
+  getActiveTimers() {
+    return this.timers.list();
+  }
 
   // ==========================================
   // ERROR TRACKING (UNIFIED FACADE)
@@ -358,8 +925,11 @@ class UnifiedAnalytics {
   /**
    * Track error/exception
    * Maps to trackError (Countly) and capture $exception (PostHog)
+   * @param {Error|string} error
+   * @param {object} metadata - Error segments (fatal: true for fatal errors)
+   * @param {{ providers?: string[], exclude?: string[] }} options - Only send to / skip these providers
    */
-  trackError(error, metadata = {}) {
+  trackError(error, metadata = {}, options) {
     const errorData = {
       message: error.message || String(error),
       name: error.name || "Error",
@@ -367,25 +937,17 @@ class UnifiedAnalytics {
       ...metadata,
     };
 
-    // Countly
-    if (this.countlyProvider?.isInitialized()) {
-      this.countlyProvider.trackError({
+    this.dispatch({
+      type: "error",
+      error: {
         message: errorData.message,
+        name: errorData.name,
         stack: errorData.stack,
         fatal: metadata.fatal || false,
         segments: metadata,
-      });
-    }
-
-    // PostHog
-    if (this.posthogProvider?.isInitialized()) {
-      this.posthogProvider.capture("$exception", {
-        $exception_message: errorData.message,
-        $exception_type: errorData.name,
-        $exception_stack_trace_raw: errorData.stack,
-        ...metadata,
-      });
-    }
+      },
+      ...normalizeCallOptions(options),
+    });
 
     this.logger.log("Error tracked:", errorData.message);
   }
@@ -396,57 +958,78 @@ class UnifiedAnalytics {
 
   /**
    * Get feature flag value
-   * Only works with PostHog (Countly returns null)
+   * Resolved from the first flag provider (PostHog, Countly remote config,
+   * ... in config.featureFlags.precedence order) that knows the flag
    */
   getFeatureFlag(key) {
-    // PostHog has feature flags
-    if (this.posthogProvider?.isInitialized()) {
-      return this.posthogProvider.getFeatureFlag(key);
+    const providers = this.getFeatureFlagProviders();
+    if (providers.length === 0) {
+      this.logger.log("No provider supports feature flags, returning null");
+      return null;
     }
 
-    // Countly doesn't support feature flags
-    if (this.config.debug) {
-      this.logger.log("Feature flags not supported by Countly, returning null");
+    for (const provider of providers) {
+      const value = provider.getFeatureFlag(key);
+      if (value !== undefined) return value;
     }
+    return undefined;
+  }
 
-    return null;
+  /**
+   * Get the payload attached to a feature flag
+   * From the first flag provider that knows the flag (PostHog payload,
+   * Countly remote config value)
+   */
+  getFeatureFlagPayload(key) {
+    const provider = this.getFeatureFlagProviders().find(
+      (candidate) => candidate.getFeatureFlag(key) !== undefined,
+    );
+    return provider ? provider.getFeatureFlagPayload(key) : undefined;
   }
 
   /**
    * Check if feature is enabled
-   * Only works with PostHog (Countly returns false)
+   * Decided by the first flag provider that knows the flag (false otherwise)
    */
   isFeatureEnabled(key) {
-    if (this.posthogProvider?.isInitialized()) {
-      return this.posthogProvider.isFeatureEnabled(key);
-    }
-
-    return false;
+    const provider = this.getFeatureFlagProviders().find(
+      (candidate) => candidate.getFeatureFlag(key) !== undefined,
+    );
+    return provider ? provider.isFeatureEnabled(key) : false;
   }
 
   /**
    * Get all feature flags
-   * Only works with PostHog (Countly returns empty object)
+   * Flags from every flag provider, higher precedence winning on conflicts
    */
   getAllFeatureFlags() {
-    if (this.posthogProvider?.isInitialized()) {
-      return this.posthogProvider.getAllFeatureFlags();
-    }
-
-    return {};
+    return this.getFeatureFlagProviders()
+      .reverse()
+      .reduce(
+        (flags, provider) => ({ ...flags, ...provider.getAllFeatureFlags() }),
+        {},
+      );
   }
 
   /**
    * Subscribe to feature flag changes
-   * Only works with PostHog (Countly returns no-op function)
+   * The callback receives the changed flags as { key: { previous, current } }
+   * and the merged flags. It fires once when flags first load, then only
+   * when a flag changes. Can be called before init().
+   *
+   * @param {(changes: object, flags: object) => void} callback
+   * @returns {() => void} Unsubscribe
    */
   onFeatureFlagsChange(callback) {
-    if (this.posthogProvider?.isInitialized()) {
-      return this.posthogProvider.onFeatureFlags(callback);
-    }
+    return this.featureFlagChanges.subscribe(callback);
+  }
 
-    // Countly - no-op
-    return () => {};
+  /**
+   * Whether feature flags are ready: delivered by a flag provider, known
+   * at init (cache, bootstrap), or there is no flag provider to wait for
+   */
+  hasLoadedFeatureFlags() {
+    return this.featureFlagChanges.isLoaded();
   }
 
   // ==========================================
@@ -555,9 +1138,7 @@ class UnifiedAnalytics {
    * Returns undefined if Countly is not configured
    */
   get countly() {
-    return this.countlyProvider?.isInitialized()
-      ? this.countlyProvider
-      : undefined;
+    return this.getProvider("countly");
   }
 
   /**
@@ -565,9 +1146,7 @@ class UnifiedAnalytics {
    * Returns undefined if PostHog is not configured
    */
   get posthog() {
-    return this.posthogProvider?.isInitialized()
-      ? this.posthogProvider
-      : undefined;
+    return this.getProvider("posthog");
   }
 
   // ==========================================
@@ -575,16 +1154,932 @@ class UnifiedAnalytics {
   // ==========================================
 
   /**
-   * Track event to all initialized providers
+   * Resolve [name, factory, providerConfig] for every configured provider
+   * Built-in providers use top-level keys, others use config.providers
+   */
+  resolveProviderConfigs(config) {
+    const resolved = [];
+
+    for (const name of Object.keys(BUILT_IN_PROVIDERS)) {
+      if (config[name]) {
+        resolved.push([name, this.providerFactories.get(name), config[name]]);
+      }
+    }
+
+    for (const [name, entry] of Object.entries(config.providers || {})) {
+      if (!entry) continue;
+
+      // Inline factory: providers: { name: { provider: MyProvider, ...options } }
+      const { provider: inlineFactory, ...providerConfig } = entry;
+      const factory = inlineFactory || this.providerFactories.get(name);
+
+      if (!factory) {
+        this.logger.error(`No provider registered for "${name}", skipping`);
+        continue;
+      }
+      if (resolved.some(([existing]) => existing === name)) {
+        this.logger.warn(`Provider "${name}" configured twice, skipping`);
+        continue;
+      }
+      resolved.push([name, factory, providerConfig]);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Apply pre-init queue settings
+   */
+  configurePreInitQueue(options = {}) {
+    this.preInitQueue = { ...DEFAULT_PRE_INIT_QUEUE, ...options };
+
+    if (!this.preInitQueue.enabled) {
+      this.pendingCalls = [];
+      return;
+    }
+
+    // Views recorded before config was known may now be disabled
+    if (!this._trackScreenViews) {
+      this.pendingCalls = this.pendingCalls.filter(
+        (call) => call.type !== "view",
+      );
+    }
+
+    const overflow = this.pendingCalls.length - this.preInitQueue.maxSize;
+    if (overflow > 0) {
+      this.pendingCalls =
+        this.preInitQueue.dropPolicy === "newest"
+          ? this.pendingCalls.slice(0, this.preInitQueue.maxSize)
+          : this.pendingCalls.slice(overflow);
+      this.logger.log(`Pre-init queue trimmed, dropped ${overflow} call(s)`);
+    }
+  }
+
+  /**
+   * Load consent config and persisted state
+   * Consent set via setConsent() before init() takes precedence
+   */
+  async initConsent(consentConfig) {
+    this.consentOptions = normalizeConsentConfig(consentConfig);
+
+    if (this.consentOptions.storage) {
+      this.consentStorage = this.consentOptions.storage;
+    } else if (this.consentOptions.persist) {
+      this.consentStorage = await createStorage();
+    } else {
+      this.consentStorage = createMemoryStorage();
+    }
+
+    let stored = {};
+    try {
+      stored = parseStoredConsent(
+        await this.consentStorage.getItem(this.consentOptions.storageKey),
+      );
+    } catch (error) {
+      this.logger.error("Loading stored consent failed:", error);
+    }
+
+    const setBeforeInit = this.consent || {};
+    this.consent = mergeConsent(
+      mergeConsent(this.createInitialConsent(), stored),
+      setBeforeInit,
+    );
+    this.persistConsent();
+    this.logger.log("Consent loaded:", this.consent);
+  }
+
+  /**
+   * Load the persisted user id / anonymous id
+   * identify(), alias() or reset() before init() take precedence
+   */
+  async initIdentity(identityConfig) {
+    this.identityOptions = normalizeIdentityConfig(identityConfig);
+
+    const { storage, persist } = this.identityOptions;
+    if (storage) {
+      this.identityStorage = storage;
+    } else if (persist === false) {
+      this.identityStorage = createMemoryStorage();
+    } else {
+      this.identityStorage = await createStorage({ warn: persist === true });
+    }
+
+    let stored = {};
+    try {
+      stored = parseStoredIdentity(
+        await this.identityStorage.getItem(this.identityOptions.storageKey),
+      );
+    } catch (error) {
+      this.logger.error("Loading stored identity failed:", error);
+    }
+
+    if (this.userId === undefined) {
+      this.userId = stored.userId ?? null;
+    }
+    if (!this.anonymousId) {
+      this.anonymousId = stored.anonymousId || createId();
+    }
+    this.persistIdentity();
+  }
+
+  /**
+   * Update the facade identity and persist it
+   */
+  updateIdentity({ userId, anonymousId }) {
+    if (userId !== undefined) this.userId = userId;
+    if (anonymousId !== undefined) this.anonymousId = anonymousId;
+    this.persistIdentity();
+  }
+
+  /**
+   * Write identity to storage (no-op before init)
+   */
+  persistIdentity() {
+    if (!this.identityStorage) return;
+
+    const storage = this.identityStorage;
+    const key = this.identityOptions.storageKey;
+    const value = JSON.stringify({
+      userId: this.userId ?? null,
+      anonymousId: this.anonymousId,
+    });
+    Promise.resolve()
+      .then(() => storage.setItem(key, value))
+      .catch((error) => this.logger.error("Persisting identity failed:", error));
+  }
+
+  /**
+   * Store the Countly device id as a PostHog person property and the
+   * PostHog distinct id as a Countly user property, so data can be joined
+   * across both tools. Only sent when the ids change.
+   */
+  linkIdentities() {
+    if (!this.initialized || !this.identityOptions.stitching) return;
+    if (!this.hasProvider("countly") || !this.hasProvider("posthog")) return;
+
+    this.getIdentity()
+      .then(({ countlyDeviceId, posthogDistinctId }) => {
+        if (!countlyDeviceId || !posthogDistinctId) return;
+        if (COUNTLY_TEMPORARY_DEVICE_IDS.includes(countlyDeviceId)) return;
+
+        const link = `${countlyDeviceId}|${posthogDistinctId}`;
+        if (link === this.linkedIdentity) return;
+        this.linkedIdentity = link;
+
+        this.dispatch({
+          type: "userProperties",
+          properties: { [IDENTITY_LINK_PROPERTIES.posthog]: countlyDeviceId },
+          integrations: { All: false, posthog: true },
+        });
+        this.dispatch({
+          type: "userProperties",
+          properties: { [IDENTITY_LINK_PROPERTIES.countly]: posthogDistinctId },
+          integrations: { All: false, countly: true },
+        });
+        this.logger.log("Identities linked:", { countlyDeviceId, posthogDistinctId });
+      })
+      .catch((error) => this.logger.error("Linking identities failed:", error));
+  }
+
+  /**
+   * Forward flag updates from every provider to the change registry
+   * Providers that gain flag support later (e.g. MemoryProvider) are
+   * covered too, since every provider is watched.
+   */
+  watchFeatureFlags() {
+    const flags = this.getAllFeatureFlags();
+    this.featureFlagChanges.prime(flags);
+
+    // Nothing to wait for - mark flags loaded so subscribers stop waiting
+    if (
+      this.getFeatureFlagProviders().length === 0 ||
+      Object.keys(flags).length > 0
+    ) {
+      this.featureFlagChanges.update(flags);
+    }
+
+    this.forEachProvider((provider) => {
+      provider.onFeatureFlags(() =>
+        this.featureFlagChanges.update(this.getAllFeatureFlags()),
+      );
+    });
+  }
+
+  /**
+   * Dispatch a view unless screen view tracking is disabled
+   */
+  trackViewWithOptions(viewName, properties, options) {
+    if (!this._trackScreenViews) {
+      this.logger.log("Screen view tracking disabled, skipping:", viewName);
+      return;
+    }
+
+    this.dispatch({
+      type: "view",
+      name: viewName,
+      properties,
+      ...normalizeCallOptions(options),
+    });
+
+    this.logger.log("🎁🎁🎁🎁🎁🎁 View tracked:", viewName);
+  }
+
+  /**
+   * Pause running timers while the app is in the background
+   * Timers paused with pauseTimer() stay paused when the app comes back
+   */
+  async initAppState() {
+    let backgroundPaused = []; // Timers paused by backgrounding
+
+    const onChange = (foreground) => {
+      if (foreground) {
+        backgroundPaused.forEach(({ name, instanceId }) =>
+          this.timers.resume(name, instanceId),
+        );
+        backgroundPaused = [];
+        return;
+      }
+
+      const running = this.timers.list().filter((timer) => !timer.paused);
+      running.forEach(({ name, instanceId }) =>
+        this.timers.pause(name, instanceId),
+      );
+      backgroundPaused = backgroundPaused.concat(running);
+    };
+
+    this.appState = await createAppStateMonitor();
+    if (!this.appState.isForeground()) onChange(false);
+
+    this.appState.subscribe((foreground) => {
+      this.logger.log("App state:", foreground ? "foreground" : "background");
+      onChange(foreground);
+    });
+  }
+
+  /**
+   * Create the offline queue, restore calls from the previous session and
+   * retry whenever the device comes back online
+   */
+  async initOfflineQueue(options) {
+    const settings = {
+      ...DEFAULT_OFFLINE_QUEUE,
+      ...(typeof options === "object" ? options : {}),
+    };
+    if (!settings.enabled) return;
+
+    this.network = await createNetworkMonitor();
+    this.offlineQueue = createOfflineQueue({
+      options: settings,
+      storage: settings.storage || (await createStorage()),
+      canDeliver: (name) =>
+        this.network.isOnline() && this.getProvider(name) !== undefined,
+      deliver: (name, call) => {
+        const failure = this.deliverAndCheck(this.getProvider(name), name, call);
+        if (failure) throw failure;
+      },
+      logger: this.logger,
+    });
+
+    this.network.subscribe((online) => {
+      this.logger.log("Network status:", online ? "online" : "offline");
+      if (online) this.offlineQueue.flush();
+    });
+
+    await this.offlineQueue.load();
+  }
+
+  /**
+   * Pending consent with configured defaults applied
+   */
+  createInitialConsent() {
+    return mergeConsent(createPendingConsent(), this.consentOptions.defaults);
+  }
+
+  /**
+   * Write consent to storage (no-op before init)
+   */
+  persistConsent() {
+    if (!this.consentStorage || !this.consent) return;
+
+    const storage = this.consentStorage;
+    const key = this.consentOptions.storageKey;
+    const value = JSON.stringify(this.consent);
+    Promise.resolve()
+      .then(() => storage.setItem(key, value))
+      .catch((error) => this.logger.error("Persisting consent failed:", error));
+  }
+
+  /**
+   * Check consent for a call
+   * Returns false when the call must not be processed now (held or dropped)
+   */
+  checkConsent(call) {
+    const category = CALL_CONSENT_CATEGORIES[call.type];
+    if (!this.consent || !category) {
+      return true;
+    }
+
+    const value = this.consent[category];
+    if (value === true) {
+      return true;
+    }
+
+    if (value === null && this.consentOptions.pending === "hold") {
+      if (this.heldCalls.length >= this.consentOptions.maxHeld) {
+        this.heldCalls.shift();
+      }
+      this.heldCalls.push(call);
+      this.logger.log(`Consent "${category}" pending, holding:`, call.type);
+      return false;
+    }
+
+    this.logger.log(`No "${category}" consent, dropping:`, call.type);
+    return false;
+  }
+
+  /**
+   * Re-dispatch held calls after a consent change
+   * Calls whose category is still pending are held again
+   */
+  releaseHeldCalls() {
+    const held = this.heldCalls;
+    this.heldCalls = [];
+
+    for (const call of held) {
+      this.dispatch(call);
+    }
+    if (held.length > 0) {
+      this.linkIdentities();
+    }
+  }
+
+  /**
+   * Run calls recorded before config was known through the pipeline
+   */
+  processPendingCalls() {
+    const raw = this.pendingCalls;
+    this.pendingCalls = [];
+    this.pipelineReady = true;
+
+    // Middleware may call next() asynchronously, after init() has
+    // finished replaying - deliverProcessedCall handles both cases
+    for (const call of raw) {
+      this.processCall(call, (processed) => this.deliverProcessedCall(processed));
+    }
+  }
+
+  /**
+   * Record a facade call until init() completes
+   * Providers that are not ready yet receive it from flushPendingCalls()
+   */
+  enqueuePendingCall(call) {
+    if (!this.preInitQueue.enabled) return;
+
+    if (this.pendingCalls.length >= this.preInitQueue.maxSize) {
+      if (this.preInitQueue.dropPolicy === "newest") {
+        this.logger.log("Pre-init queue full, dropping call:", call.type);
+        return;
+      }
+      const dropped = this.pendingCalls.shift();
+      this.logger.log("Pre-init queue full, dropping call:", dropped.type);
+    }
+
+    this.pendingCalls.push(call);
+  }
+
+  /**
+   * Replay recorded calls, in order, to a provider that just finished init()
    */
-  trackEventToProviders(name, properties) {
-    if (this.countlyProvider?.isInitialized()) {
-      this.countlyProvider.trackEvent(name, properties);
+  flushPendingCalls(provider, name) {
+    if (this.pendingCalls.length === 0) return;
+
+    this.logger.log(
+      `Replaying ${this.pendingCalls.length} queued call(s) to "${name}"`,
+    );
+
+    for (const call of this.pendingCalls) {
+      try {
+        this.deliverOrQueue(provider, name, call);
+      } catch (error) {
+        this.logger.error(`Replaying ${call.type} to "${name}" failed:`, error);
+      }
+    }
+  }
+
+  /**
+   * Send a facade call to every ready provider, recording it while
+   * initialization is still pending
+   */
+  dispatch(call) {
+    // Keep the original time for calls delivered later (queues, consent)
+    if (call.timestamp === undefined) {
+      call.timestamp = Date.now();
+    }
+
+    // Before init() there is no middleware config yet - process on init
+    if (!this.pipelineReady) {
+      this.enqueuePendingCall(call);
+      return;
+    }
+
+    this.processCall(call, (processed) => this.deliverProcessedCall(processed));
+  }
+
+  /**
+   * Deliver a call that made it through the global pipeline to every ready
+   * provider; while init() is running it is also recorded for providers
+   * that have not finished initializing
+   */
+  deliverProcessedCall(processed) {
+    const report = createDeliveryReport();
+
+    if (!this.initialized) {
+      this.enqueuePendingCall(processed);
+    }
+
+    this.forEachProvider((provider, name) => {
+      this.deliverOrQueue(provider, name, processed, report);
+    });
+
+    // Keep calls for providers that failed to load (e.g. SDK blocked offline)
+    if (this.offlineQueue && OFFLINE_CALL_TYPES.includes(processed.type)) {
+      for (const name of this.unavailableProviders) {
+        if (this.isCallRoutedTo(processed, name)) {
+          this.offlineQueue.enqueue(name, processed);
+          report.queued.push(name);
+        }
+      }
+    }
+
+    this.emitCall(processed, report);
+  }
+
+  /**
+   * Deliver a call, or hand it to the offline queue when the device is
+   * offline, earlier calls are still queued, or the provider throws or
+   * reports an error for it
+   * Outcomes are recorded in `report` (see createDeliveryReport)
+   */
+  deliverOrQueue(provider, name, call, report) {
+    if (!this.isCallRoutedTo(call, name)) {
+      return;
+    }
+
+    const queue = this.offlineQueue;
+    if (!queue || !OFFLINE_CALL_TYPES.includes(call.type)) {
+      try {
+        this.deliverCall(provider, name, call, report);
+      } catch (error) {
+        this.logger.error(`Delivering ${call.type} to "${name}" failed:`, error);
+        this.reportProviderError(name, error, error.message, call, report);
+      }
+      return;
+    }
+
+    if (!this.network.isOnline() || queue.hasPending(name)) {
+      queue.enqueue(name, call);
+      report?.queued.push(name);
+      return;
+    }
+
+    let failure;
+    try {
+      failure = this.deliverAndCheck(provider, name, call, report);
+    } catch (error) {
+      this.reportProviderError(name, error, error.message, call, report);
+      failure = error;
     }
-    if (this.posthogProvider?.isInitialized()) {
-      this.posthogProvider.trackEvent(name, properties);
+
+    if (failure) {
+      this.logger.error(`Delivering ${call.type} to "${name}" failed, queued:`, failure);
+      queue.enqueue(name, call, { failed: true });
+      report?.queued.push(name);
+    }
+  }
+
+  /**
+   * Deliver a call and return the error the provider reported through
+   * error() while handling it (built-in providers catch their SDK errors),
+   * or null when it was accepted. Thrown errors propagate.
+   */
+  deliverAndCheck(provider, name, call, report = createDeliveryReport()) {
+    const failedBefore = report.failed.length;
+    this.deliverCall(provider, name, call, report);
+
+    const failure = report.failed
+      .slice(failedBefore)
+      .find((entry) => entry.provider === name);
+    return failure ? failure.error : null;
+  }
+
+  /**
+   * Check whether a call goes to a provider: Segment `integrations`
+   * ({ All: false, posthog: true }), then per-call { providers, exclude }
+   * or the first matching config.routing rule
+   */
+  isCallRoutedTo(call, name) {
+    return (
+      isIntegrationEnabled(call.integrations, name) &&
+      isRoutedTo(resolveRouting(call, this.routingRules), name)
+    );
+  }
+
+  /**
+   * Run a call through the global middleware chain (once per call)
+   */
+  processCall(call, done) {
+    if (!this.checkConsent(call)) {
+      return;
+    }
+
+    if (!MIDDLEWARE_CALL_TYPES.includes(call.type)) {
+      done(this.redactCall(call));
+      return;
+    }
+
+    if (this.duplicateFilter && !this.duplicateFilter.accept(call)) {
+      this.logger.log(`Duplicate ${call.type} suppressed:`, call.name);
+      return;
+    }
+
+    if (!this.checkTrackingPlan(call)) {
+      return;
+    }
+
+    const limited = this.applyEventLimits(call);
+    if (!limited) {
+      return;
+    }
+
+    const chain = this.middleware.filter((entry) => !entry.providers);
+    const redactAndDone = (processed) => done(this.redactCall(processed));
+    runMiddleware(chain, cloneCall(limited), redactAndDone, (error) => {
+      this.logger.error("Middleware error, dropping call:", error);
+    });
+  }
+
+  /**
+   * Validate an event/view against the tracking plan
+   * Returns false when the call must be blocked
+   */
+  checkTrackingPlan(call) {
+    const plan = this.trackingPlan;
+    if (!plan || (call.type !== "event" && call.type !== "view")) {
+      return true;
     }
 
+    const { known, errors } = validateTrackingPlanCall(plan, call);
+    if (errors.length === 0) {
+      return true;
+    }
+
+    const blocked =
+      plan.mode === "strict" || (plan.mode === "blockUnknown" && !known);
+    // Names and property paths in the errors can carry PII (e.g. a view
+    // named after a URL), and violations are kept and handed to app code
+    const redact = this.redactor ? this.redactor.redactValue : (value) => value;
+    const violation = {
+      type: call.type,
+      name: redact(call.name),
+      errors: redact(errors),
+      blocked,
+      timestamp: Date.now(),
+    };
+
+    this.trackingPlanViolations.push(violation);
+    if (this.trackingPlanViolations.length > plan.maxViolations) {
+      this.trackingPlanViolations.shift();
+    }
+
+    if (plan.mode === "warn") {
+      this.logger.warn("Tracking plan violation:", violation.name, violation.errors);
+    } else {
+      this.logger.log(
+        `Tracking plan violation (${blocked ? "blocked" : "sent"}):`,
+        violation.name,
+        violation.errors,
+      );
+    }
+
+    if (plan.onViolation) {
+      try {
+        plan.onViolation(violation);
+      } catch (error) {
+        this.logger.error("trackingPlan.onViolation failed:", error);
+      }
+    }
+
+    return !blocked;
+  }
+
+  /**
+   * Apply sampling, rate limits and the session cap to an event
+   * Returns null when the event is dropped, otherwise the call (with the
+   * sample rate attached for sampled events)
+   */
+  applyEventLimits(call) {
+    if (!this.eventLimiter || call.type !== "event") {
+      return call;
+    }
+
+    const { allowed, reason, sampleRate } = this.eventLimiter.check(
+      call.name,
+      this.userId || this.anonymousId,
+    );
+    if (!allowed) {
+      this.logger.log(`Event dropped (${reason}):`, call.name);
+      return null;
+    }
+
+    const property = this.eventLimiter.sampleRateProperty;
+    if (sampleRate === undefined || !property) {
+      return call;
+    }
+    return { ...call, properties: { ...call.properties, [property]: sampleRate } };
+  }
+
+  /**
+   * Scrub PII from a call (config.redaction) - runs after global middleware
+   * so properties added there are covered too
+   */
+  redactCall(call) {
+    const redactor = this.redactor;
+    if (!redactor) {
+      return call;
+    }
+
+    const { redactValue } = redactor;
+    const context = call.context ? { context: redactValue(call.context) } : {};
+
+    switch (call.type) {
+      case "event":
+        return { ...call, properties: redactValue(call.properties), ...context };
+      case "view":
+        return {
+          ...call,
+          name: redactValue(call.name),
+          properties: redactValue(call.properties),
+          ...context,
+        };
+      case "error":
+        return {
+          ...call,
+          error: {
+            ...call.error,
+            message: redactValue(call.error.message),
+            stack: redactValue(call.error.stack),
+            segments: redactValue(call.error.segments),
+          },
+          ...context,
+        };
+      case "setGlobalProperties":
+        return { ...call, properties: redactValue(call.properties) };
+      default:
+        return call;
+    }
+  }
+
+  /**
+   * Run provider-scoped middleware, then hand the call to the provider
+   */
+  deliverCall(provider, name, call, report) {
+    const chain = this.middleware.filter((entry) =>
+      entry.providers?.includes(name),
+    );
+
+    if (chain.length === 0 || !MIDDLEWARE_CALL_TYPES.includes(call.type)) {
+      this.invokeAndReport(provider, name, call, report);
+      return;
+    }
+
+    runMiddleware(
+      chain,
+      { ...cloneCall(call), provider: name },
+      (processed) => this.invokeAndReport(provider, name, processed, report),
+      (error) => {
+        this.logger.error(`Middleware error for "${name}", dropping call:`, error);
+      },
+    );
+  }
+
+  /**
+   * Invoke a provider, recording errors it reports through error() while
+   * the call runs (provider SDK failures are caught inside the provider)
+   */
+  invokeAndReport(provider, name, call, report) {
+    const delivery = { provider: name, call, errors: [] };
+    this.activeDelivery = delivery;
+    try {
+      this.invokeProvider(provider, call, name);
+    } finally {
+      this.activeDelivery = null;
+    }
+
+    if (!report) return;
+    if (delivery.errors.length > 0) {
+      report.failed.push({ provider: name, error: delivery.errors[0] });
+    } else {
+      report.accepted.push(name);
+    }
+  }
+
+  /**
+   * Error reported by a provider (BaseProvider.error) - attributed to the
+   * call being delivered, if any, and emitted as 'providerError'
+   */
+  handleProviderError(name, args) {
+    const message = args.filter((arg) => typeof arg === "string").join(" ");
+    const error = args.find((arg) => arg instanceof Error) || new Error(message);
+
+    const delivery =
+      this.activeDelivery?.provider === name ? this.activeDelivery : null;
+    delivery?.errors.push(error);
+
+    this.bus.emit("providerError", {
+      provider: name,
+      message,
+      error,
+      call: delivery ? cloneCall(delivery.call) : undefined,
+    });
+  }
+
+  /**
+   * A provider threw while delivering a call
+   */
+  reportProviderError(name, error, message, call, report) {
+    report?.failed.push({ provider: name, error });
+    this.bus.emit("providerError", {
+      provider: name,
+      message,
+      error,
+      call: cloneCall(call),
+    });
+  }
+
+  /**
+   * Emit a processed call with its delivery report on the event bus
+   */
+  emitCall(call, report) {
+    if (!BUS_CALL_TYPES.includes(call.type) || !this.bus.has(call.type)) return;
+
+    this.bus.emit(call.type, { call: cloneCall(call), ...report });
+  }
+
+  /**
+   * Rename an event and its properties for a provider (config.naming,
+   * plus provider name limits such as Countly's 128 characters)
+   * @param {string} canonical - Event name as tracked
+   * @param {{ name: string, properties: object }} event - After semantic translation
+   */
+  applyProviderNaming(providerName, canonical, { name, properties }) {
+    if (!this.providerNaming.has(providerName)) {
+      this.providerNaming.set(
+        providerName,
+        createProviderNaming(
+          providerName,
+          this.config?.naming?.[providerName],
+          (renamed, keys) =>
+            this.logger.warn(
+              `Properties renamed to "${renamed}" for "${providerName}", keeping the last:`,
+              keys,
+            ),
+        ),
+      );
+    }
+
+    const naming = this.providerNaming.get(providerName);
+    if (!naming) {
+      return { name, properties };
+    }
+    return {
+      name: naming.eventName(canonical, name),
+      properties: naming.properties(properties),
+    };
+  }
+
+  /**
+   * Map a recorded facade call onto a provider method
+   */
+  invokeProvider(provider, call, providerName) {
+    switch (call.type) {
+      case "event": {
+        const translated = call.semantic
+          ? provider.translateSemanticEvent(call.name, call.properties || {})
+          : call;
+        const { name, properties } = this.applyProviderNaming(
+          providerName,
+          call.name,
+          translated,
+        );
+        provider.trackEvent(name, properties, this.getProviderOptions(call));
+        break;
+      }
+      case "view":
+        provider.trackView(
+          call.name,
+          call.properties,
+          this.getProviderOptions(call),
+        );
+        break;
+      case "identify":
+        provider.identify(call.userId, call.properties);
+        break;
+      case "userProperties":
+        provider.setUserProperties(call.properties);
+        break;
+      case "reset":
+        provider.reset();
+        break;
+      case "group":
+        provider.group(call.groupType, call.groupId, call.traits);
+        break;
+      case "resetGroups":
+        provider.resetGroups();
+        break;
+      case "alias":
+        provider.alias(call.userId, call.previousId);
+        break;
+      case "setGlobalProperties":
+        provider.setGlobalProperties(call.properties);
+        break;
+      case "clearGlobalProperties":
+        provider.clearGlobalProperties();
+        break;
+      case "removeGlobalProperty":
+        provider.removeGlobalProperty(call.key);
+        break;
+      case "error":
+        provider.trackError(call.error);
+        break;
+      case "startTimer":
+        provider.timerStarted(call.name, { instanceId: call.instanceId });
+        break;
+      case "endTimer":
+        provider.timerEnded(call.name, {
+          instanceId: call.instanceId,
+          durationMs: call.durationMs,
+          properties: call.properties,
+        });
+        break;
+      default:
+        this.logger.warn("Unknown call type:", call.type);
+    }
+  }
+
+  /**
+   * Per-call options passed to provider trackEvent/trackView
+   */
+  getProviderOptions(call) {
+    return {
+      timestamp: call.timestamp,
+      ...(call.context ? { context: call.context } : {}),
+      ...(call.anonymousId ? { anonymousId: call.anonymousId } : {}),
+    };
+  }
+
+  /**
+   * Invoke callback for every initialized provider
+   */
+  forEachProvider(callback) {
+    for (const [name, provider] of this.providers) {
+      if (provider.isInitialized()) {
+        callback(provider, name);
+      }
+    }
+  }
+
+  /**
+   * Initialized providers that support feature flags, in precedence order
+   * (config.featureFlags.precedence, then registration order)
+   */
+  getFeatureFlagProviders() {
+    const precedence =
+      this.config?.featureFlags?.precedence || DEFAULT_FEATURE_FLAG_PRECEDENCE;
+    const rank = (name) => {
+      const index = precedence.indexOf(name);
+      return index === -1 ? precedence.length : index;
+    };
+
+    return [...this.providers]
+      .filter(
+        ([, provider]) =>
+          provider.isInitialized() && provider.supports("featureFlags"),
+      )
+      .sort(([a], [b]) => rank(a) - rank(b))
+      .map(([, provider]) => provider);
+  }
+
+  /**
+   * Track event to all initialized providers (or those selected by routing)
+   */
+  trackEventToProviders(name, properties, options) {
+    this.dispatch({
+      type: "event",
+      name,
+      properties,
+      ...normalizeCallOptions(options),
+    });
+
     this.logger.log("🕉️🕉️🕉️🕉️🕉️🕉️ Event tracked:", name);
   }
 }
@@ -0,0 +1,39 @@
+/**
+ * FeatureGate - render children only when a feature flag is on
+ */
+
+import React from 'react';
+import { useFeatureFlag } from '../hooks/useFeatureFlags';
+
+/**
+ * FeatureGate component
+ * Renders no host elements, so it works on web and React Native alike
+ *
+ * Usage:
+ * ```jsx
+ * <FeatureGate flag="new_checkout" fallback={<OldCheckout />}>
+ *   <NewCheckout />
+ * </FeatureGate>
+ *
+ * // Multivariate flags: match a variant
+ * <FeatureGate flag="checkout_flow" variant="one_page" loading={<Spinner />}>
+ *   <OnePageCheckout />
+ * </FeatureGate>
+ * ```
+ *
+ * @param {object} props
+ * @param {string} props.flag - Feature flag key
+ * @param {string} [props.variant] - Only render for this flag value
+ * @param {React.ReactNode} [props.fallback] - Rendered when the flag is off
+ * @param {React.ReactNode} [props.loading] - Rendered until flags arrive (default: fallback)
+ */
+export function FeatureGate({ flag, variant, fallback = null, loading, children }) {
+  const { value, enabled, loading: flagsLoading } = useFeatureFlag(flag);
+
+  if (flagsLoading) {
+    return <>{loading !== undefined ? loading : fallback}</>;
+  }
+
+  const open = variant !== undefined ? value === variant : enabled;
+  return <>{open ? children : fallback}</>;
+}
@@ -34,12 +34,12 @@ export function useAnalytics() {
   const { isInitialized } = useAnalyticsContext();
 
   // Core methods - memoized for performance
-  const trackEvent = useCallback((name, properties) => {
-    analytics.trackEvent(name, properties);
+  const trackEvent = useCallback((name, properties, options) => {
+    analytics.trackEvent(name, properties, options);
   }, []);
 
-  const trackView = useCallback((viewName, properties) => {
-    analytics.trackView(viewName, properties);
+  const trackView = useCallback((viewName, properties, options) => {
+    analytics.trackView(viewName, properties, options);
   }, []);
 
   const setScreenViewOverride = useCallback((screenName, customName) => {
@@ -50,8 +50,8 @@ export function useAnalytics() {
     analytics.clearScreenViewOverride(screenName);
   }, []);
 
-  const identify = useCallback((userId, properties) => {
-    analytics.identify(userId, properties);
+  const identify = useCallback((userId, properties, options) => {
+    analytics.identify(userId, properties, options);
   }, []);
 
   const setUserProperties = useCallback((properties) => {
@@ -62,6 +62,41 @@ export function useAnalytics() {
     analytics.reset();
   }, []);
 
+  // Segment spec API
+  const track = useCallback((event, properties, options) => {
+    analytics.track(event, properties, options);
+  }, []);
+
+  const page = useCallback((...args) => {
+    analytics.page(...args);
+  }, []);
+
+  const screen = useCallback((name, properties, options) => {
+    analytics.screen(name, properties, options);
+  }, []);
+
+  const group = useCallback((...args) => {
+    analytics.group(...args);
+  }, []);
+
+  const alias = useCallback((userId, previousId, options) => {
+    analytics.alias(userId, previousId, options);
+  }, []);
+
+  // Identity
+  const getIdentity = useCallback(() => {
+    return analytics.getIdentity();
+  }, []);
+
+  // Group analytics
+  const getGroups = useCallback(() => {
+    return analytics.getGroups();
+  }, []);
+
+  const resetGroups = useCallback(() => {
+    analytics.resetGroups();
+  }, []);
+
   // Provider info
   const getEnabledProviders = useCallback(() => {
     return analytics.getEnabledProviders();
@@ -89,17 +124,46 @@ export function useAnalytics() {
   }, []);
 
   // Timed events (unified)
-  const startTimer = useCallback((eventName) => {
-    analytics.startTimer(eventName);
+  const startTimer = useCallback((eventName, options) => {
+    return analytics.startTimer(eventName, options);
+  }, []);
+
+  const endTimer = useCallback((eventName, properties, options) => {
+    return analytics.endTimer(eventName, properties, options);
+  }, []);
+
+  const pauseTimer = useCallback((eventName, options) => {
+    analytics.pauseTimer(eventName, options);
   }, []);
 
-  const endTimer = useCallback((eventName, properties) => {
-    analytics.endTimer(eventName, properties);
+  const resumeTimer = useCallback((eventName, options) => {
+    analytics.resumeTimer(eventName, options);
+  }, []);
+
+  const cancelTimer = useCallback((eventName, options) => {
+    return analytics.cancelTimer(eventName, options);
+  }, []);
+
+  const getActiveTimers = useCallback(() => {
+    return analytics.getActiveTimers();
   }, []);
 
   // Error tracking (unified)
-  const trackError = useCallback((error, metadata) => {
-    analytics.trackError(error, metadata);
+  const trackError = useCallback((error, metadata, options) => {
+    analytics.trackError(error, metadata, options);
+  }, []);
+
+  // Consent (unified)
+  const setConsent = useCallback((updates) => {
+    analytics.setConsent(updates);
+  }, []);
+
+  const getConsent = useCallback(() => {
+    return analytics.getConsent();
+  }, []);
+
+  const hasConsent = useCallback((category) => {
+    return analytics.hasConsent(category);
   }, []);
 
   // Session management (deprecated - auto-managed by Countly SDK)
@@ -118,6 +182,10 @@ export function useAnalytics() {
     return analytics.getFeatureFlag(key);
   }, []);
 
+  const getFeatureFlagPayload = useCallback((key) => {
+    return analytics.getFeatureFlagPayload(key);
+  }, []);
+
   const isFeatureEnabled = useCallback((key) => {
     return analytics.isFeatureEnabled(key);
   }, []);
@@ -130,6 +198,15 @@ export function useAnalytics() {
     return analytics.onFeatureFlagsChange(callback);
   }, []);
 
+  // Event bus
+  const on = useCallback((type, handler) => {
+    return analytics.on(type, handler);
+  }, []);
+
+  const off = useCallback((type, handler) => {
+    analytics.off(type, handler);
+  }, []);
+
   return {
     isInitialized,
 
@@ -140,6 +217,18 @@ export function useAnalytics() {
     setUserProperties,
     reset,
 
+    // Segment spec API
+    track,
+    page,
+    screen,
+    group,
+    alias,
+    getGroups,
+    resetGroups,
+
+    // Identity
+    getIdentity,
+
     // Global properties (unified)
     setGlobalProperties,
     getGlobalProperties,
@@ -149,20 +238,34 @@ export function useAnalytics() {
     // Timed events (unified)
     startTimer,
     endTimer,
+    pauseTimer,
+    resumeTimer,
+    cancelTimer,
+    getActiveTimers,
 
     // Error tracking (unified)
     trackError,
 
+    // Consent (unified)
+    setConsent,
+    getConsent,
+    hasConsent,
+
     // Session management (unified)
     startSession,
     endSession,
 
     // Feature flags (unified)
     getFeatureFlag,
+    getFeatureFlagPayload,
     isFeatureEnabled,
     getAllFeatureFlags,
     onFeatureFlagsChange,
 
+    // Event bus
+    on,
+    off,
+
     // Screen view overrides
     setScreenViewOverride,
     clearScreenViewOverride,
@@ -0,0 +1,87 @@
+/**
+ * Feature flag hooks - re-render when flags load or change
+ *
+ * `loading` stays true until analytics.hasLoadedFeatureFlags(): the first
+ * flags arrive from a flag provider (PostHog, Countly Remote Config, ...),
+ * or init finds cached flags or no flag provider to wait for.
+ */
+
+import { useEffect, useState } from 'react';
+import { analytics } from '../UnifiedAnalytics';
+
+/**
+ * Current flags, and whether they are ready
+ */
+function readFlags() {
+  return {
+    flags: analytics.getAllFeatureFlags(),
+    loading: !analytics.hasLoadedFeatureFlags(),
+  };
+}
+
+/**
+ * useFeatureFlags hook
+ * All feature flags, merged across flag providers
+ *
+ * Usage:
+ * ```jsx
+ * const { flags, loading } = useFeatureFlags();
+ * ```
+ *
+ * @returns {{ flags: object, loading: boolean }}
+ */
+export function useFeatureFlags() {
+  const [state, setState] = useState(readFlags);
+
+  useEffect(() => {
+    // Subscribing works before init(), so no need to wait for the provider
+    const unsubscribe = analytics.onFeatureFlagsChange((changes, flags) => {
+      setState({ flags, loading: false });
+    });
+    // Catch up on anything that changed between render and subscribe
+    setState(readFlags());
+    return unsubscribe;
+  }, []);
+
+  return state;
+}
+
+/**
+ * useFeatureFlag hook
+ * One flag's value, `defaultValue` until the flag is known
+ *
+ * Usage:
+ * ```jsx
+ * const { value, enabled, loading } = useFeatureFlag('checkout_flow', 'control');
+ * ```
+ *
+ * @returns {{ value: any, enabled: boolean, loading: boolean }}
+ */
+export function useFeatureFlag(key, defaultValue) {
+  const { loading } = useFeatureFlags();
+
+  const value = analytics.getFeatureFlag(key);
+  if (value === undefined || value === null) {
+    return { value: defaultValue, enabled: Boolean(defaultValue), loading };
+  }
+
+  return { value, enabled: analytics.isFeatureEnabled(key), loading };
+}
+
+/**
+ * useFeatureFlagPayload hook
+ * The JSON payload attached to a flag (PostHog payload, Countly remote
+ * config value)
+ *
+ * Usage:
+ * ```jsx
+ * const { payload, loading } = useFeatureFlagPayload('pricing_page');
+ * ```
+ *
+ * @returns {{ payload: any, loading: boolean }}
+ */
+export function useFeatureFlagPayload(key) {
+  const { loading } = useFeatureFlags();
+
+  return { payload: analytics.getFeatureFlagPayload(key), loading };
+}
@@ -11,11 +11,21 @@ export { analytics, UnifiedAnalytics } from './UnifiedAnalytics';
 // React integration
 export { AnalyticsProvider, useAnalyticsContext } from './context/AnalyticsProvider';
 export { useAnalytics } from './hooks/useAnalytics';
+export {
+  useFeatureFlags,
+  useFeatureFlag,
+  useFeatureFlagPayload,
+} from './hooks/useFeatureFlags';
+export { FeatureGate } from './components/FeatureGate';
 
 // Providers (for advanced usage)
 export { BaseProvider } from './providers/BaseProvider';
 export { CountlyProvider } from './providers/CountlyProvider';
 export { PostHogProvider } from './providers/PostHogProvider';
+export { HttpProvider } from './providers/HttpProvider';
+export { GA4Provider } from './providers/GA4Provider';
+export { MixpanelProvider } from './providers/MixpanelProvider';
+export { AmplitudeProvider } from './providers/AmplitudeProvider';
 
 // Platform utilities
 export { setPlatform, getPlatform, isWeb, isNative } from './platform';
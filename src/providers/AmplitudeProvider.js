@@ -0,0 +1,172 @@
+/**
+ * AmplitudeProvider - Platform-aware factory
+ *
+ * Delegates to the @amplitude/analytics-browser (web) or
+ * @amplitude/analytics-react-native (native) implementation based on the
+ * platform configuration.
+ */
+
+import { BaseProvider } from './BaseProvider';
+import { getPlatform } from '../platform';
+
+/**
+ * Amplitude analytics provider - platform proxy
+ */
+export class AmplitudeProvider extends BaseProvider {
+  name = 'amplitude';
+
+  constructor() {
+    super();
+    this._impl = null;
+  }
+
+  async init(config) {
+    const platform = getPlatform();
+
+    let ProviderClass;
+    if (platform === 'web') {
+      const mod = await import('./AmplitudeProvider.web.js');
+      ProviderClass = mod.AmplitudeProviderWeb;
+    } else {
+      // webpackIgnore prevents webpack from bundling the native file on web
+      const mod = await import(/* webpackIgnore: true */ './AmplitudeProvider.native.js');
+      ProviderClass = mod.AmplitudeProviderNative;
+    }
+
+    this._impl = new ProviderClass();
+    this._impl.setDebug(this.debug);
+    this._impl.setErrorListener(this.errorListener);
+
+    // With facade consent, the SDK starts opted out until analytics is granted
+    if (this.consent) {
+      await this._impl.init({ ...config, optOut: !this.consent.analytics });
+      return;
+    }
+
+    return this._impl.init(config);
+  }
+
+  setDebug(enabled) {
+    this.debug = enabled;
+    if (this._impl) this._impl.setDebug(enabled);
+  }
+
+  // ==========================================
+  // DELEGATED METHODS
+  // ==========================================
+
+  isInitialized() {
+    return this._impl?.isInitialized() ?? false;
+  }
+
+  trackEvent(name, properties, options) {
+    this._impl?.trackEvent(name, properties, options);
+  }
+
+  trackView(viewName, properties, options) {
+    this._impl?.trackView(viewName, properties, options);
+  }
+
+  // Properties may use Identify operation keys ($setOnce, $add, $unset, ...)
+  identify(userId, properties) {
+    this._impl?.identify(userId, properties);
+  }
+
+  setUserProperties(properties) {
+    this._impl?.setUserProperties(properties);
+  }
+
+  reset() {
+    this._impl?.reset();
+  }
+
+  // Error tracking (facade) - tracked as an 'Error' event
+  trackError({ message, name = 'Error', stack = '', fatal = false, segments = {} }) {
+    this.trackEvent('Error', {
+      error_message: message,
+      error_type: name,
+      error_stack: stack,
+      fatal,
+      ...segments,
+    });
+  }
+
+  // Timed events (facade) - not supported by Amplitude, graceful no-op
+  startTimedEvent(name) {
+    this._impl?.startTimedEvent(name);
+  }
+
+  endTimedEvent(name, segments) {
+    this._impl?.endTimedEvent(name, segments);
+  }
+
+  // Global properties (facade) - merged into every event's properties
+  setGlobalProperties(properties) {
+    this._impl?.setGlobalProperties(properties);
+  }
+
+  getGlobalProperties() {
+    return this._impl?.getGlobalProperties() ?? {};
+  }
+
+  clearGlobalProperties() {
+    this._impl?.clearGlobalProperties();
+  }
+
+  removeGlobalProperty(key) {
+    this._impl?.removeGlobalProperty(key);
+  }
+
+  // Facade consent - analytics maps to setOptOut
+  setConsent(consent) {
+    this.consent = consent;
+    if (!this.isInitialized()) return;
+
+    this.setOptOut(!consent.analytics);
+  }
+
+  // Revenue - Amplitude Revenue object ('revenue_amount' event)
+  trackRevenue(options) {
+    this._impl?.trackRevenue(options);
+  }
+
+  // Group analytics
+  group(groupType, groupName, properties) {
+    this._impl?.group(groupType, groupName, properties);
+  }
+
+  getGroups() {
+    return this._impl?.getGroups() ?? {};
+  }
+
+  resetGroups() {
+    this._impl?.resetGroups();
+  }
+
+  // Session and identity
+  getSessionId() {
+    return this._impl?.getSessionId() ?? null;
+  }
+
+  setSessionId(sessionId) {
+    this._impl?.setSessionId(sessionId);
+  }
+
+  getUserId() {
+    return this._impl?.getUserId() ?? null;
+  }
+
+  getDeviceId() {
+    return this._impl?.getDeviceId() ?? null;
+  }
+
+  // Tracking control
+  setOptOut(optOut) {
+    this._impl?.setOptOut(optOut);
+  }
+
+  // Data management
+  async flush() {
+    return this._impl?.flush();
+  }
+}
@@ -0,0 +1,272 @@
+/**
+ * AmplitudeProvider Native - Amplitude SDK wrapper for React Native
+ *
+ * Uses @amplitude/analytics-react-native for native mobile analytics.
+ */
+
+import { BaseProvider } from './BaseProvider';
+import {
+  AMPLITUDE_LOG_LEVEL,
+  applyIdentifyOperations,
+  toRevenueOptions,
+  buildRevenue,
+} from '../utils/amplitude';
+
+// Dynamic import to make Amplitude optional
+let amplitude = null;
+
+export class AmplitudeProviderNative extends BaseProvider {
+  name = 'amplitude';
+  config = null;
+  groups = {}; // Map<groupType, groupName>
+
+  async init(config) {
+    if (this.initialized) {
+      this.warn('Already initialized');
+      return;
+    }
+
+    this.config = config;
+    this.debug = config.debug ?? false;
+
+    try {
+      amplitude = await import('@amplitude/analytics-react-native');
+
+      await amplitude.init(config.apiKey, undefined, {
+        trackingSessionEvents: config.trackingSessionEvents ?? false,
+        logLevel: this.debug ? AMPLITUDE_LOG_LEVEL.debug : AMPLITUDE_LOG_LEVEL.warn,
+        optOut: config.optOut ?? false,
+        ...(config.serverZone ? { serverZone: config.serverZone } : {}),
+        ...(config.serverUrl ? { serverUrl: config.serverUrl } : {}),
+        ...(config.flushIntervalMillis ? { flushIntervalMillis: config.flushIntervalMillis } : {}),
+        ...(config.sdkConfig || {}),
+      }).promise;
+
+      this.initialized = true;
+      this.log('Initialized successfully (native)');
+    } catch (error) {
+      this.error('Initialization failed:', error);
+      throw error;
+    }
+  }
+
+  setDebug(enabled) {
+    this.debug = enabled;
+  }
+
+  trackEvent(name, properties, options) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      amplitude.track(
+        name,
+        this.withGlobalProperties(properties),
+        this.eventOptions(options, toRevenueOptions(properties)),
+      );
+      this.log('Event tracked:', name, properties);
+    } catch (error) {
+      this.error('trackEvent error:', error);
+    }
+  }
+
+  trackView(screenName, properties, options) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      amplitude.track(
+        '[Amplitude] Screen Viewed',
+        this.withGlobalProperties({
+          '[Amplitude] Screen Name': screenName,
+          ...(properties || {}),
+        }),
+        this.eventOptions(options),
+      );
+      this.log('Screen tracked:', screenName);
+    } catch (error) {
+      this.error('trackView error:', error);
+    }
+  }
+
+  identify(userId, properties) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      amplitude.setUserId(String(userId));
+      if (properties && Object.keys(properties).length > 0) {
+        this.setUserProperties(properties);
+      }
+      this.log('User identified:', userId);
+    } catch (error) {
+      this.error('identify error:', error);
+    }
+  }
+
+  /**
+   * Set user properties. Accepts Identify operation keys
+   * ($set, $setOnce, $add, $append, $prepend, $unset, ...)
+   */
+  setUserProperties(properties) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      const identify = applyIdentifyOperations(new amplitude.Identify(), properties);
+      amplitude.identify(identify);
+      this.log('User properties set:', properties);
+    } catch (error) {
+      this.error('setUserProperties error:', error);
+    }
+  }
+
+  reset() {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      amplitude.reset();
+      this.groups = {};
+      this.log('User reset');
+    } catch (error) {
+      this.error('reset error:', error);
+    }
+  }
+
+  // ==========================================
+  // REVENUE
+  // ==========================================
+
+  trackRevenue(options) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      amplitude.revenue(buildRevenue(new amplitude.Revenue(), options));
+      this.log('Revenue tracked:', options);
+    } catch (error) {
+      this.error('trackRevenue error:', error);
+    }
+  }
+
+  // ==========================================
+  // GROUPS
+  // ==========================================
+
+  group(groupType, groupName, properties) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      amplitude.setGroup(groupType, String(groupName));
+      if (properties && Object.keys(properties).length > 0) {
+        const identify = applyIdentifyOperations(new amplitude.Identify(), properties);
+        amplitude.groupIdentify(groupType, String(groupName), identify);
+      }
+      this.groups = { ...this.groups, [groupType]: String(groupName) };
+      this.log('Group set:', groupType, groupName);
+    } catch (error) {
+      this.error('group error:', error);
+    }
+  }
+
+  getGroups() {
+    return { ...this.groups };
+  }
+
+  resetGroups() {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      // Group membership is stored as a user property named after the group type
+      const identify = new amplitude.Identify();
+      Object.keys(this.groups).forEach((groupType) => identify.unset(groupType));
+      amplitude.identify(identify);
+      this.groups = {};
+      this.log('Groups reset');
+    } catch (error) {
+      this.error('resetGroups error:', error);
+    }
+  }
+
+  // ==========================================
+  // SESSION
+  // ==========================================
+
+  getSessionId() {
+    if (!this.ensureInitialized()) return null;
+
+    try {
+      return amplitude.getSessionId() ?? null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  setSessionId(sessionId) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      amplitude.setSessionId(sessionId);
+      this.log('Session id set:', sessionId);
+    } catch (error) {
+      this.error('setSessionId error:', error);
+    }
+  }
+
+  getUserId() {
+    if (!this.ensureInitialized()) return null;
+    return amplitude.getUserId() ?? null;
+  }
+
+  getDeviceId() {
+    if (!this.ensureInitialized()) return null;
+    return amplitude.getDeviceId() ?? null;
+  }
+
+  // ==========================================
+  // TRACKING CONTROL
+  // ==========================================
+
+  setOptOut(optOut) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      amplitude.setOptOut(optOut);
+      this.log('Opt out:', optOut);
+    } catch (error) {
+      this.error('setOptOut error:', error);
+    }
+  }
+
+  async flush() {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      await amplitude.flush().promise;
+    } catch (error) {
+      this.error('flush error:', error);
+    }
+  }
+
+  startTimedEvent(name) {
+    this.log('Amplitude does not support timed events');
+  }
+
+  endTimedEvent(name, segments) {
+    this.log('Amplitude does not support timed events');
+  }
+
+  // ==========================================
+  // HELPERS
+  // ==========================================
+
+  /**
+   * Event options: original call time for queued/replayed calls plus
+   * revenue fields
+   */
+  eventOptions(options, revenueOptions) {
+    return {
+      ...(options?.timestamp ? { time: options.timestamp } : {}),
+      ...(revenueOptions || {}),
+    };
+  }
+}
+
+// Alias export so Metro's platform resolution (which picks .native.js over .js)
+// provides the expected named export for consumers importing { AmplitudeProvider }
+export { AmplitudeProviderNative as AmplitudeProvider };
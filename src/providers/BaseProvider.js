@@ -4,10 +4,48 @@
 
 /**
  * Abstract base class that all analytics providers must extend
+ *
+ * Every facade call on `UnifiedAnalytics` is forwarded to each registered
+ * provider through the methods below. The defaults are no-ops, so a custom
+ * provider only needs to override what its backend supports.
  */
 export class BaseProvider {
   initialized = false;
   debug = false;
+  config = null;
+  globalProperties = {};
+  consent = null;
+  errorListener = null; // Set by the orchestrator to observe provider errors
+
+  /**
+   * Capabilities beyond the core tracking surface (e.g. 'featureFlags')
+   */
+  features = [];
+
+  /**
+   * Initialize the provider
+   * Default implementation marks the provider ready without any SDK setup
+   */
+  async init(config) {
+    this.config = config;
+    this.initialized = true;
+  }
+
+  /**
+   * Enable or disable debug logging
+   */
+  setDebug(enabled) {
+    this.debug = enabled;
+  }
+
+  /**
+   * Receive errors reported through error() - set by the orchestrator,
+   * which emits them as 'providerError'
+   * @param {(args: any[]) => void} listener
+   */
+  setErrorListener(listener) {
+    this.errorListener = listener;
+  }
 
   /**
    * Check if provider is initialized
@@ -16,6 +54,146 @@ export class BaseProvider {
     return this.initialized;
   }
 
+  /**
+   * Check if provider supports an optional capability
+   * @param {string} feature - e.g. 'featureFlags'
+   */
+  supports(feature) {
+    return this.features.includes(feature);
+  }
+
+  // ==========================================
+  // FACADE SURFACE (override in subclasses)
+  // ==========================================
+
+  /**
+   * Track an event
+   * @param {string} name
+   * @param {object} properties
+   * @param {{ timestamp?: number, context?: object, anonymousId?: string }} options
+   *   timestamp: when the call was made (ms), may be in the past for queued calls;
+   *   context / anonymousId: from Segment-style options, when given
+   */
+  trackEvent(name, properties, options) {}
+
+  trackView(viewName, properties, options) {}
+
+  identify(userId, properties) {}
+
+  setUserProperties(properties) {}
+
+  reset() {}
+
+  /**
+   * Associate the user with a group
+   * @param {string} groupType - e.g. 'company'
+   * @param {string} groupKey - Group id
+   * @param {object} traits
+   */
+  group(groupType, groupKey, traits) {}
+
+  /**
+   * Remove all groups set with group()
+   */
+  resetGroups() {}
+
+  /**
+   * Link a new user id to a previous identity
+   */
+  alias(userId, previousId) {}
+
+  /**
+   * Map a Segment semantic event (e.g. 'Order Completed') to this
+   * provider's conventions. Default keeps the Segment name.
+   * @returns {{ name: string, properties: object }}
+   */
+  translateSemanticEvent(name, properties) {
+    return { name, properties };
+  }
+
+  /**
+   * Track an error
+   * @param {{ message: string, name?: string, stack?: string, fatal?: boolean, segments?: object }} options
+   */
+  trackError(options) {}
+
+  startTimedEvent(name) {}
+
+  endTimedEvent(name, segments) {}
+
+  /**
+   * A facade timer started (analytics.startTimer)
+   * Durations are measured by the orchestrator and tracked as a normal
+   * event with `$duration` / `duration_ms`, so most providers ignore this.
+   * @param {string} name
+   * @param {{ instanceId: string }} timer
+   */
+  timerStarted(name, timer) {}
+
+  /**
+   * A facade timer ended (analytics.endTimer), before its event is tracked
+   * @param {string} name
+   * @param {{ instanceId?: string, durationMs: number, properties: object }} timer
+   */
+  timerEnded(name, timer) {}
+
+  /**
+   * Apply facade consent. May be called before init() so the provider can
+   * start in the right state.
+   * @param {{ analytics: boolean|null, replay: boolean|null, errors: boolean|null, location: boolean|null }} consent
+   */
+  setConsent(consent) {
+    this.consent = consent;
+  }
+
+  // Global properties - kept on the instance by default so subclasses
+  // can merge them into outgoing payloads via withGlobalProperties()
+  setGlobalProperties(properties) {
+    this.globalProperties = { ...this.globalProperties, ...properties };
+  }
+
+  getGlobalProperties() {
+    return { ...this.globalProperties };
+  }
+
+  clearGlobalProperties() {
+    this.globalProperties = {};
+  }
+
+  removeGlobalProperty(key) {
+    delete this.globalProperties[key];
+  }
+
+  withGlobalProperties(properties) {
+    return {
+      ...this.globalProperties,
+      ...(properties || {}),
+    };
+  }
+
+  // Feature flags - only used when supports('featureFlags') is true
+  getFeatureFlag(key) {
+    return undefined;
+  }
+
+  getFeatureFlagPayload(key) {
+    return undefined;
+  }
+
+  isFeatureEnabled(key) {
+    return false;
+  }
+
+  getAllFeatureFlags() {
+    return {};
+  }
+
+  onFeatureFlags(callback) {}
+
+  // ==========================================
+  // HELPERS
+  // ==========================================
+
   /**
    * Logger helper
    */
@@ -34,9 +212,11 @@ export class BaseProvider {
 
   /**
    * Error logger helper
+   * Also reports the error to the orchestrator (analytics.on('providerError'))
    */
   error(...args) {
     console.error(`[Analytics:${this.name}]`, ...args);
+    this.errorListener?.(args);
   }
 
   /**
@@ -5,15 +5,21 @@
  * based on the platform configuration.
  */
 
+import { BaseProvider } from './BaseProvider';
 import { getPlatform } from '../platform';
+import { toSnakeCase } from '../utils/segment';
+import { isRemoteConfigValueEnabled } from '../utils/remoteConfig';
 
 /**
  * Countly analytics provider - platform proxy
  */
-export class CountlyProvider {
+export class CountlyProvider extends BaseProvider {
+  name = 'countly';
+  groups = {}; // Map<groupType, groupKey>
+
   constructor() {
+    super();
     this._impl = null;
-    this._debug = false;
   }
 
   async init(config) {
@@ -30,12 +36,26 @@ export class CountlyProvider {
     }
 
     this._impl = new ProviderClass();
-    this._impl.setDebug(this._debug);
+    this._impl.setDebug(this.debug);
+    this._impl.setErrorListener(this.errorListener);
+
+    // Remote config values are served as facade feature flags
+    if (config.remoteConfig) {
+      this.features = ['featureFlags'];
+    }
+
+    // With facade consent, the SDK waits for consent until it is applied
+    if (this.consent) {
+      await this._impl.init({ requiresConsent: true, ...config });
+      this._impl.setConsent(this.consent);
+      return;
+    }
+
     return this._impl.init(config);
   }
 
   setDebug(enabled) {
-    this._debug = enabled;
+    this.debug = enabled;
     if (this._impl) this._impl.setDebug(enabled);
   }
 
@@ -47,12 +67,19 @@ export class CountlyProvider {
     return this._impl?.isInitialized() ?? false;
   }
 
-  trackEvent(name, properties) {
-    this._impl?.trackEvent(name, properties);
+  // Timed events (facade) - Countly segmentation keys can't start with '$',
+  // so `$duration` becomes the event duration and `duration_ms` stays.
+  // Other options (timestamp of queued calls) are passed through.
+  trackEvent(name, properties, options) {
+    const { $duration: duration, ...segments } = properties || {};
+    this._impl?.trackEvent(name, this.withGroups(segments), {
+      ...(options || {}),
+      ...(duration !== undefined ? { duration } : {}),
+    });
   }
 
   trackView(viewName, properties) {
-    this._impl?.trackView(viewName, properties);
+    this._impl?.trackView(viewName, this.withGroups(properties));
   }
 
   identify(userId, properties) {
@@ -64,9 +91,46 @@ export class CountlyProvider {
   }
 
   reset() {
+    this.groups = {};
     this._impl?.reset();
   }
 
+  // Group analytics - Countly has no groups, so the group is stored as user
+  // custom properties (company, company_name, ...) and added to the
+  // segmentation of subsequent events and views
+  group(groupType, groupKey, traits) {
+    this.groups = { ...this.groups, [groupType]: groupKey };
+
+    const properties = { [groupType]: groupKey };
+    for (const [key, value] of Object.entries(traits || {})) {
+      properties[`${groupType}_${key}`] = value;
+    }
+    this.setUserProperties(properties);
+  }
+
+  getGroups() {
+    return { ...this.groups };
+  }
+
+  resetGroups() {
+    this.groups = {};
+  }
+
+  withGroups(properties) {
+    return { ...this.groups, ...(properties || {}) };
+  }
+
+  // Countly links identities by changing the device id, merging on the
+  // server as identify does (see mergeOnIdentify)
+  alias(userId) {
+    this._impl?.alias(userId);
+  }
+
+  // Segment semantic events - 'Order Completed' -> 'order_completed'
+  translateSemanticEvent(name, properties) {
+    return { name: toSnakeCase(name), properties };
+  }
+
   // User context
   setUserContext(properties) {
     this._impl?.setUserContext(properties);
@@ -80,6 +144,27 @@ export class CountlyProvider {
     this._impl?.clearUserContext();
   }
 
+  // Global properties (facade) - mapped onto userContext
+  setGlobalProperties(properties) {
+    this.setUserContext(properties);
+  }
+
+  getGlobalProperties() {
+    return this.getUserContext();
+  }
+
+  clearGlobalProperties() {
+    this.clearUserContext();
+  }
+
+  removeGlobalProperty(key) {
+    // setUserContext merges, so rebuild the context without the key
+    const current = this.getUserContext();
+    delete current[key];
+    this.clearUserContext();
+    this.setUserContext(current);
+  }
+
   // Timed events
   startTimedEvent(name) {
     this._impl?.startTimedEvent(name);
@@ -167,6 +252,55 @@ export class CountlyProvider {
     this._impl?.removeAllConsent();
   }
 
+  // Facade consent - mapped onto Countly feature groups
+  setConsent(consent) {
+    this.consent = consent;
+    this._impl?.setConsent(consent);
+  }
+
+  // Remote config / A/B testing
+  async fetchRemoteConfig(keys) {
+    return this._impl?.fetchRemoteConfig(keys) ?? {};
+  }
+
+  getRemoteConfig(key) {
+    return this._impl?.getRemoteConfig(key);
+  }
+
+  getAllRemoteConfig() {
+    return this._impl?.getAllRemoteConfig() ?? {};
+  }
+
+  enrollInABTests(keys) {
+    this._impl?.enrollInABTests(keys);
+  }
+
+  // Feature flags (facade) - backed by remote config
+  getFeatureFlag(key) {
+    return this.getRemoteConfig(key);
+  }
+
+  // Remote config values are JSON, so the value doubles as the payload
+  getFeatureFlagPayload(key) {
+    return this.getRemoteConfig(key);
+  }
+
+  isFeatureEnabled(key) {
+    return isRemoteConfigValueEnabled(this.getRemoteConfig(key));
+  }
+
+  getAllFeatureFlags() {
+    return this.getAllRemoteConfig();
+  }
+
+  async reloadFeatureFlags() {
+    return this.fetchRemoteConfig();
+  }
+
+  onFeatureFlags(callback) {
+    return this._impl?.onRemoteConfig(callback) ?? (() => {});
+  }
+
   // Web-only (no-op on native)
   trackScrolls() {
     this._impl?.trackScrolls?.();
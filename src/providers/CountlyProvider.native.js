@@ -5,16 +5,42 @@
  */
 
 import { BaseProvider } from './BaseProvider';
+import {
+  normalizeRemoteConfigOptions,
+  unwrapRemoteConfigValues,
+} from '../utils/remoteConfig';
+import { normalizeSegmentationOptions, toCountlySegmentation } from '../utils/countly';
 
 // Dynamic import to make Countly optional
 let Countly = null;
 let CountlyConfig_SDK = null;
 
+// Countly features per facade consent category
+const CONSENT_FEATURES = {
+  analytics: [
+    'sessions',
+    'events',
+    'views',
+    'attribution',
+    'users',
+    'star-rating',
+    'feedback',
+    'apm',
+    'remote-config',
+  ],
+  errors: ['crashes'],
+  location: ['location'],
+};
+
 export class CountlyProviderNative extends BaseProvider {
   name = 'countly';
   config = null;
   _disableLocationAfterInit = false;
   userContext = {};
+  remoteConfigOptions = null; // Set when countly.remoteConfig is enabled
+  remoteConfig = {}; // Cached remote config values
+  remoteConfigListeners = new Set();
+  segmentationOptions = normalizeSegmentationOptions(); // countly.segmentation
 
   async init(config) {
     if (this.initialized) {
@@ -24,6 +50,8 @@ export class CountlyProviderNative extends BaseProvider {
 
     this.config = config;
     this.debug = config.debug ?? false;
+    this.remoteConfigOptions = normalizeRemoteConfigOptions(config.remoteConfig);
+    this.segmentationOptions = normalizeSegmentationOptions(config.segmentation);
 
     try {
       const CountlyModule = await import('countly-sdk-react-native-bridge');
@@ -87,6 +115,10 @@ export class CountlyProviderNative extends BaseProvider {
         this.log('Parameter tampering protection enabled');
       }
 
+      if (this.remoteConfigOptions?.enrollOnDownload) {
+        countlyConfig.enrollABOnRCDownload();
+      }
+
       await Countly.initWithConfig(countlyConfig);
 
       if (this._disableLocationAfterInit) {
@@ -96,6 +128,12 @@ export class CountlyProviderNative extends BaseProvider {
 
       this.initialized = true;
       this.log('Initialized successfully');
+
+      if (this.remoteConfigOptions) {
+        // Values stored by the SDK from the last session, then a fresh download
+        await this.loadRemoteConfig();
+        this.fetchRemoteConfig();
+      }
     } catch (error) {
       this.error('Initialization failed:', error);
       throw error;
@@ -106,13 +144,16 @@ export class CountlyProviderNative extends BaseProvider {
     this.debug = enabled;
   }
 
-  trackEvent(name, properties) {
+  // The bridge's recordEvent has no duration or timestamp field, so a timed
+  // event's duration (seconds) is sent as the event sum and replayed
+  // events are recorded at delivery time
+  trackEvent(name, properties, options) {
     if (!this.ensureInitialized()) return;
 
     try {
       const mergedProps = this.mergeWithUserContext(properties);
-      const segments = this.stringifyProperties(mergedProps);
-      Countly.events.recordEvent(name, segments, 1, undefined);
+      const segments = this.toSegmentation(mergedProps);
+      Countly.events.recordEvent(name, segments, 1, options?.duration);
       this.log('Event tracked:', name, segments);
     } catch (error) {
       this.error('trackEvent error:', error);
@@ -124,7 +165,7 @@ export class CountlyProviderNative extends BaseProvider {
 
     try {
       const mergedProps = this.mergeWithUserContext(properties);
-      const segments = this.stringifyProperties(mergedProps);
+      const segments = this.toSegmentation(mergedProps);
       Countly.recordView(viewName, segments);
       this.log('View tracked:', viewName);
     } catch (error) {
@@ -137,7 +178,8 @@ export class CountlyProviderNative extends BaseProvider {
 
     try {
       // Change device ID to user ID so each user is uniquely tracked in Countly
-      this.changeDeviceId(userId.toString(), true);
+      this.changeDeviceId(userId.toString(), this.config.mergeOnIdentify ?? true);
+      if (this.remoteConfigOptions) this.fetchRemoteConfig();
 
       const userData = {};
 
@@ -198,6 +240,7 @@ export class CountlyProviderNative extends BaseProvider {
     try {
       this.enableTemporaryDeviceIdMode();
       this.clearUserContext();
+      this.updateRemoteConfig({});
       this.log('User reset');
     } catch (error) {
       this.error('reset error:', error);
@@ -223,6 +266,16 @@ export class CountlyProviderNative extends BaseProvider {
     this.log('User context cleared');
   }
 
+  /**
+   * Properties -> Countly segmentation (typed values, nested objects as
+   * dotted keys; countly.segmentation.stringify restores string values)
+   */
+  toSegmentation(properties) {
+    return toCountlySegmentation(properties, this.segmentationOptions, (value) =>
+      this.safeString(value),
+    );
+  }
+
   mergeWithUserContext(properties) {
     return {
       ...this.userContext,
@@ -249,7 +302,7 @@ export class CountlyProviderNative extends BaseProvider {
     if (!this.ensureInitialized()) return;
 
     try {
-      const props = this.stringifyProperties(segments);
+      const props = this.toSegmentation(segments);
       Countly.events.endEvent(name, props);
       this.log('Timed event ended:', name);
     } catch (error) {
@@ -270,7 +323,7 @@ export class CountlyProviderNative extends BaseProvider {
       Countly.addCrashLog(message);
 
       if (fatal) {
-        const props = this.stringifyProperties(segments);
+        const props = this.toSegmentation(segments);
         Countly.logException(stack || message, !fatal, props);
       }
 
@@ -389,6 +442,11 @@ export class CountlyProviderNative extends BaseProvider {
     }
   }
 
+  // Links the user like identify does, merging only when identify would
+  alias(userId) {
+    this.changeDeviceId(String(userId), this.config.mergeOnIdentify ?? true);
+  }
+
   async getDeviceId() {
     if (!this.ensureInitialized()) return null;
 
@@ -490,6 +548,112 @@ export class CountlyProviderNative extends BaseProvider {
       this.error('removeAllConsent error:', error);
     }
   }
+
+  setConsent(consent) {
+    this.consent = consent;
+    if (!this.ensureInitialized()) return;
+
+    const granted = [];
+    const removed = [];
+    for (const [category, features] of Object.entries(CONSENT_FEATURES)) {
+      if (consent[category]) {
+        granted.push(...features);
+      } else {
+        removed.push(...features);
+      }
+    }
+
+    if (granted.length > 0) this.giveConsent(granted);
+    if (removed.length > 0) this.removeConsent(removed);
+
+    // Downloads are skipped until remote-config consent is given
+    if (consent.analytics && this.remoteConfigOptions) this.fetchRemoteConfig();
+  }
+
+  // ==========================================
+  // REMOTE CONFIG / A/B TESTING
+  // ==========================================
+
+  /**
+   * Download remote config values (all keys, or only `keys`) into the cache
+   * @returns {Promise<object>} Cached values
+   */
+  fetchRemoteConfig(keys) {
+    if (!this.ensureInitialized()) return Promise.resolve({});
+
+    const requested = keys ?? this.remoteConfigOptions?.keys;
+    return new Promise((resolve) => {
+      const onDownload = (result, error) => {
+        if (error) this.error('fetchRemoteConfig error:', error);
+        this.loadRemoteConfig().then(resolve);
+      };
+
+      try {
+        if (requested) {
+          Countly.remoteConfigDownloadSpecificValue(requested, onDownload);
+        } else {
+          Countly.remoteConfigDownloadValues(onDownload);
+        }
+      } catch (error) {
+        this.error('fetchRemoteConfig error:', error);
+        resolve(this.getAllRemoteConfig());
+      }
+    });
+  }
+
+  /**
+   * Refresh the cache from values stored by the SDK
+   */
+  async loadRemoteConfig() {
+    try {
+      this.updateRemoteConfig(
+        unwrapRemoteConfigValues(await Countly.remoteConfigGetAllValues()),
+      );
+      this.log('Remote config loaded:', this.remoteConfig);
+    } catch (error) {
+      this.error('loadRemoteConfig error:', error);
+    }
+    return this.getAllRemoteConfig();
+  }
+
+  getRemoteConfig(key) {
+    return this.remoteConfig[key];
+  }
+
+  getAllRemoteConfig() {
+    return { ...this.remoteConfig };
+  }
+
+  /**
+   * Enroll the user into the A/B tests behind the given remote config keys
+   */
+  enrollInABTests(keys) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      Countly.remoteConfigEnrollIntoABTestsForKeys(keys);
+      this.log('Enrolled into A/B tests:', keys);
+    } catch (error) {
+      this.error('enrollInABTests error:', error);
+    }
+  }
+
+  /**
+   * Subscribe to remote config changes
+   * @returns {() => void} Unsubscribe
+   */
+  onRemoteConfig(callback) {
+    this.remoteConfigListeners.add(callback);
+    return () => this.remoteConfigListeners.delete(callback);
+  }
+
+  updateRemoteConfig(values) {
+    const next = { ...(values || {}) };
+    if (JSON.stringify(next) === JSON.stringify(this.remoteConfig)) return;
+
+    this.remoteConfig = next;
+    this.remoteConfigListeners.forEach((callback) => callback(this.getAllRemoteConfig()));
+  }
 }
 
 // Alias export so Metro's platform resolution (which picks .native.js over .js)
@@ -5,14 +5,41 @@
  */
 
 import { BaseProvider } from './BaseProvider';
+import { createId } from '../utils/helpers';
+import { normalizeRemoteConfigOptions } from '../utils/remoteConfig';
+import { normalizeSegmentationOptions, toCountlySegmentation } from '../utils/countly';
 
 // Dynamic import to make Countly optional
 let Countly = null;
 
+// Countly features per facade consent category
+const CONSENT_FEATURES = {
+  analytics: [
+    'sessions',
+    'events',
+    'views',
+    'scrolls',
+    'clicks',
+    'forms',
+    'attribution',
+    'users',
+    'star-rating',
+    'feedback',
+    'apm',
+    'remote-config',
+  ],
+  errors: ['crashes'],
+  location: ['location'],
+};
+
 export class CountlyProviderWeb extends BaseProvider {
   name = 'countly';
   config = null;
   userContext = {};
+  remoteConfigOptions = null; // Set when countly.remoteConfig is enabled
+  remoteConfig = {}; // Cached remote config values
+  remoteConfigListeners = new Set();
+  segmentationOptions = normalizeSegmentationOptions(); // countly.segmentation
 
   async init(config) {
     if (this.initialized) {
@@ -22,6 +49,8 @@ export class CountlyProviderWeb extends BaseProvider {
 
     this.config = config;
     this.debug = config.debug ?? false;
+    this.remoteConfigOptions = normalizeRemoteConfigOptions(config.remoteConfig);
+    this.segmentationOptions = normalizeSegmentationOptions(config.segmentation);
 
     try {
       const CountlyModule = await import('countly-sdk-web');
@@ -36,6 +65,9 @@ export class CountlyProviderWeb extends BaseProvider {
         use_session_cookie: config.useSessionCookie ?? true,
         device_id: config.deviceId || undefined,
         require_consent: config.requiresConsent || false,
+        ...(this.remoteConfigOptions
+          ? { rc_automatic_optin_for_ab: this.remoteConfigOptions.enrollOnDownload }
+          : {}),
       });
 
       // Enable crash reporting if configured
@@ -53,6 +85,12 @@ export class CountlyProviderWeb extends BaseProvider {
 
       this.initialized = true;
       this.log('Initialized successfully (web)');
+
+      if (this.remoteConfigOptions) {
+        // Values stored by the SDK from the last session, then a fresh download
+        this.updateRemoteConfig(Countly.get_remote_config());
+        this.fetchRemoteConfig();
+      }
     } catch (error) {
       this.error('Initialization failed:', error);
       throw error;
@@ -63,15 +101,18 @@ export class CountlyProviderWeb extends BaseProvider {
     this.debug = enabled;
   }
 
-  trackEvent(name, properties) {
+  trackEvent(name, properties, options) {
     if (!this.ensureInitialized()) return;
 
     try {
       const mergedProps = this.mergeWithUserContext(properties);
-      const segments = this.stringifyProperties(mergedProps);
+      const segments = this.toSegmentation(mergedProps);
       Countly.add_event({
         key: name,
         count: 1,
+        ...(options?.duration !== undefined ? { dur: options.duration } : {}),
+        // Original time of calls replayed from the pre-init or offline queue
+        ...(options?.timestamp !== undefined ? { timestamp: options.timestamp } : {}),
         segmentation: segments,
       });
       this.log('Event tracked:', name, segments);
@@ -85,7 +126,7 @@ export class CountlyProviderWeb extends BaseProvider {
 
     try {
       const mergedProps = this.mergeWithUserContext(properties);
-      const segments = this.stringifyProperties(mergedProps);
+      const segments = this.toSegmentation(mergedProps);
       Countly.track_pageview(viewName, undefined, segments);
       this.log('View tracked:', viewName);
     } catch (error) {
@@ -97,6 +138,11 @@ export class CountlyProviderWeb extends BaseProvider {
     if (!this.ensureInitialized()) return;
 
     try {
+      // Change device ID to user ID; merging the previous device's data is
+      // opt-in, as a shared browser would merge different people
+      this.changeDeviceId(userId.toString(), this.config.mergeOnIdentify === true);
+      if (this.remoteConfigOptions) this.fetchRemoteConfig();
+
       const userData = {};
 
       if (properties.name) userData.name = properties.name;
@@ -154,7 +200,11 @@ export class CountlyProviderWeb extends BaseProvider {
     if (!this.ensureInitialized()) return;
 
     try {
+      // Fresh device id, not merged, so logged-out traffic is still sent
+      // but no longer attributed to the previous user
+      this.changeDeviceId(createId(), false);
       this.clearUserContext();
+      this.updateRemoteConfig({});
       this.log('User reset');
     } catch (error) {
       this.error('reset error:', error);
@@ -180,6 +230,16 @@ export class CountlyProviderWeb extends BaseProvider {
     this.log('User context cleared');
   }
 
+  /**
+   * Properties -> Countly segmentation (typed values, nested objects as
+   * dotted keys; countly.segmentation.stringify restores string values)
+   */
+  toSegmentation(properties) {
+    return toCountlySegmentation(properties, this.segmentationOptions, (value) =>
+      this.safeString(value),
+    );
+  }
+
   mergeWithUserContext(properties) {
     return {
       ...this.userContext,
@@ -206,7 +266,7 @@ export class CountlyProviderWeb extends BaseProvider {
     if (!this.ensureInitialized()) return;
 
     try {
-      const props = this.stringifyProperties(segments);
+      const props = this.toSegmentation(segments);
       Countly.end_event({
         key: name,
         segmentation: props,
@@ -241,7 +301,7 @@ export class CountlyProviderWeb extends BaseProvider {
       Countly.add_log(message);
 
       if (fatal) {
-        const props = this.stringifyProperties(segments);
+        const props = this.toSegmentation(segments);
         Countly.log_error(stack || message, !fatal, props);
       }
 
@@ -359,6 +419,11 @@ export class CountlyProviderWeb extends BaseProvider {
     }
   }
 
+  // Links the user like identify does, merging only when identify would
+  alias(userId) {
+    this.changeDeviceId(String(userId), this.config.mergeOnIdentify === true);
+  }
+
   async getDeviceId() {
     if (!this.ensureInitialized()) return null;
 
@@ -458,6 +523,7 @@ export class CountlyProviderWeb extends BaseProvider {
         'feedback',
         'apm',
         'location',
+        'remote-config',
       ]);
       this.log('All consent given');
     } catch (error) {
@@ -483,6 +549,7 @@ export class CountlyProviderWeb extends BaseProvider {
         'feedback',
         'apm',
         'location',
+        'remote-config',
       ]);
       this.log('All consent removed');
     } catch (error) {
@@ -490,6 +557,99 @@ export class CountlyProviderWeb extends BaseProvider {
     }
   }
 
+  setConsent(consent) {
+    this.consent = consent;
+    if (!this.ensureInitialized()) return;
+
+    const granted = [];
+    const removed = [];
+    for (const [category, features] of Object.entries(CONSENT_FEATURES)) {
+      if (consent[category]) {
+        granted.push(...features);
+      } else {
+        removed.push(...features);
+      }
+    }
+
+    if (granted.length > 0) this.giveConsent(granted);
+    if (removed.length > 0) this.removeConsent(removed);
+
+    // Downloads are skipped until remote-config consent is given
+    if (consent.analytics && this.remoteConfigOptions) this.fetchRemoteConfig();
+  }
+
+  // ==========================================
+  // REMOTE CONFIG / A/B TESTING
+  // ==========================================
+
+  /**
+   * Download remote config values (all keys, or only `keys`) into the cache
+   * @returns {Promise<object>} Cached values
+   */
+  fetchRemoteConfig(keys) {
+    if (!this.ensureInitialized()) return Promise.resolve({});
+
+    return new Promise((resolve) => {
+      try {
+        Countly.fetch_remote_config(
+          keys ?? this.remoteConfigOptions?.keys,
+          undefined,
+          (error, configs) => {
+            if (error) {
+              this.error('fetchRemoteConfig error:', error);
+            } else {
+              this.updateRemoteConfig(configs);
+              this.log('Remote config fetched:', configs);
+            }
+            resolve(this.getAllRemoteConfig());
+          },
+        );
+      } catch (error) {
+        this.error('fetchRemoteConfig error:', error);
+        resolve(this.getAllRemoteConfig());
+      }
+    });
+  }
+
+  getRemoteConfig(key) {
+    return this.remoteConfig[key];
+  }
+
+  getAllRemoteConfig() {
+    return { ...this.remoteConfig };
+  }
+
+  /**
+   * Enroll the user into the A/B tests behind the given remote config keys
+   */
+  enrollInABTests(keys) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      Countly.enrollUserToAb(keys);
+      this.log('Enrolled into A/B tests:', keys);
+    } catch (error) {
+      this.error('enrollInABTests error:', error);
+    }
+  }
+
+  /**
+   * Subscribe to remote config changes
+   * @returns {() => void} Unsubscribe
+   */
+  onRemoteConfig(callback) {
+    this.remoteConfigListeners.add(callback);
+    return () => this.remoteConfigListeners.delete(callback);
+  }
+
+  updateRemoteConfig(values) {
+    const next = { ...(values || {}) };
+    if (JSON.stringify(next) === JSON.stringify(this.remoteConfig)) return;
+
+    this.remoteConfig = next;
+    this.remoteConfigListeners.forEach((callback) => callback(this.getAllRemoteConfig()));
+  }
+
   // ==========================================
   // WEB-ONLY FEATURES
   // ==========================================
@@ -0,0 +1,132 @@
+/**
+ * GA4Provider - Platform-aware factory
+ *
+ * Delegates to the gtag.js (web) or Measurement Protocol (native)
+ * implementation based on the platform configuration.
+ */
+
+import { BaseProvider } from './BaseProvider';
+import { getPlatform } from '../platform';
+import { toGA4SemanticEvent } from '../utils/ga4';
+
+/**
+ * Google Analytics 4 provider - platform proxy
+ */
+export class GA4Provider extends BaseProvider {
+  name = 'ga4';
+
+  constructor() {
+    super();
+    this._impl = null;
+  }
+
+  async init(config) {
+    const platform = getPlatform();
+
+    let ProviderClass;
+    if (platform === 'web') {
+      const mod = await import('./GA4Provider.web.js');
+      ProviderClass = mod.GA4ProviderWeb;
+    } else {
+      // webpackIgnore prevents webpack from bundling the native file on web
+      const mod = await import(/* webpackIgnore: true */ './GA4Provider.native.js');
+      ProviderClass = mod.GA4ProviderNative;
+    }
+
+    this._impl = new ProviderClass();
+    this._impl.setDebug(this.debug);
+    this._impl.setErrorListener(this.errorListener);
+
+    // With facade consent, gtag starts with consent mode defaults
+    if (this.consent) {
+      await this._impl.init({ ...config, consent: this.consent });
+      this._impl.setConsent(this.consent);
+      return;
+    }
+
+    return this._impl.init(config);
+  }
+
+  setDebug(enabled) {
+    this.debug = enabled;
+    if (this._impl) this._impl.setDebug(enabled);
+  }
+
+  // ==========================================
+  // DELEGATED METHODS
+  // ==========================================
+
+  isInitialized() {
+    return this._impl?.isInitialized() ?? false;
+  }
+
+  trackEvent(name, properties, options) {
+    this._impl?.trackEvent(name, properties, options);
+  }
+
+  trackView(viewName, properties, options) {
+    this._impl?.trackView(viewName, properties, options);
+  }
+
+  identify(userId, properties) {
+    this._impl?.identify(userId, properties);
+  }
+
+  setUserProperties(properties) {
+    this._impl?.setUserProperties(properties);
+  }
+
+  reset() {
+    this._impl?.reset();
+  }
+
+  // Error tracking (facade) - sent as the 'exception' event
+  trackError(options) {
+    this._impl?.trackError(options);
+  }
+
+  startTimedEvent(name) {
+    this._impl?.startTimedEvent(name);
+  }
+
+  endTimedEvent(name, segments) {
+    this._impl?.endTimedEvent(name, segments);
+  }
+
+  // Global properties (facade) - merged into every event's params
+  setGlobalProperties(properties) {
+    this._impl?.setGlobalProperties(properties);
+  }
+
+  getGlobalProperties() {
+    return this._impl?.getGlobalProperties() ?? {};
+  }
+
+  clearGlobalProperties() {
+    this._impl?.clearGlobalProperties();
+  }
+
+  removeGlobalProperty(key) {
+    this._impl?.removeGlobalProperty(key);
+  }
+
+  // Facade consent - mapped onto consent mode (web)
+  setConsent(consent) {
+    this.consent = consent;
+    this._impl?.setConsent(consent);
+  }
+
+  // Segment semantic events - GA4 recommended events ('Order Completed' -> 'purchase')
+  translateSemanticEvent(name, properties) {
+    return toGA4SemanticEvent(name, properties);
+  }
+
+  // Send queued Measurement Protocol events now (native only)
+  flush() {
+    return this._impl?.flush?.();
+  }
+
+  shutdown() {
+    this._impl?.shutdown?.();
+  }
+}
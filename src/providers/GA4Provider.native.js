@@ -0,0 +1,302 @@
+/**
+ * GA4Provider Native - Google Analytics 4 via the Measurement Protocol
+ *
+ * React Native has no gtag.js, so events are batched and POSTed to the
+ * Measurement Protocol endpoint. Needs only fetch, so it also works in
+ * Node/server environments.
+ */
+
+import { BaseProvider } from './BaseProvider';
+import { createStorage } from '../utils/storage';
+import {
+  GA4_LIMITS,
+  toGA4EventName,
+  toGA4Params,
+  toGA4UserProperties,
+} from '../utils/ga4';
+
+const CLIENT_ID_KEY = 'unified_analytics_ga4_client_id';
+
+function toMeasurementUserProperties(userProperties) {
+  const result = {};
+  for (const [key, value] of Object.entries(userProperties)) {
+    result[key] = { value };
+  }
+  return result;
+}
+
+export class GA4ProviderNative extends BaseProvider {
+  name = 'ga4';
+  config = null;
+  clientId = null;
+  // Replaced on every change, never mutated: queued events keep the user
+  // they were tracked for, even when sent after identify() or reset()
+  user = { userId: null, userProperties: {} };
+  sessionId = null;
+  queue = []; // Array<{ event: { name, params, timestamp_micros }, user }>
+  flushTimer = null;
+  sending = false;
+
+  async init(config) {
+    if (this.initialized) {
+      this.warn('Already initialized');
+      return;
+    }
+
+    if (!config.apiSecret) {
+      throw new Error('ga4.apiSecret is required for the Measurement Protocol');
+    }
+
+    this.config = {
+      endpoint: 'https://www.google-analytics.com/mp/collect',
+      flushInterval: 5000,
+      maxQueueSize: 1000,
+      ...config,
+    };
+    this.debug = config.debug ?? false;
+
+    try {
+      this.clientId = config.clientId || (await this.loadClientId());
+      this.sessionId = String(Math.floor(Date.now() / 1000));
+
+      this.flushTimer = setInterval(() => {
+        this.flush();
+      }, this.config.flushInterval);
+
+      this.initialized = true;
+      this.log('Initialized successfully (Measurement Protocol)');
+    } catch (error) {
+      this.error('Initialization failed:', error);
+      throw error;
+    }
+  }
+
+  setDebug(enabled) {
+    this.debug = enabled;
+  }
+
+  trackEvent(name, properties, options) {
+    if (!this.ensureInitialized()) return;
+
+    const eventName = toGA4EventName(name);
+    this.enqueue(eventName, this.withGlobalProperties(properties), options);
+    this.log('Event tracked:', eventName);
+  }
+
+  trackView(viewName, properties, options) {
+    if (!this.ensureInitialized()) return;
+
+    this.enqueue(
+      'screen_view',
+      {
+        screen_name: viewName,
+        ...this.withGlobalProperties(properties),
+      },
+      options,
+    );
+    this.log('View tracked:', viewName);
+  }
+
+  identify(userId, properties) {
+    if (!this.ensureInitialized()) return;
+
+    this.user = { ...this.user, userId: String(userId).slice(0, GA4_LIMITS.userIdLength) };
+    if (properties && Object.keys(properties).length > 0) {
+      this.setUserProperties(properties);
+    }
+    this.log('User identified:', userId);
+  }
+
+  setUserProperties(properties) {
+    if (!this.ensureInitialized()) return;
+
+    this.user = {
+      ...this.user,
+      userProperties: {
+        ...this.user.userProperties,
+        ...toGA4UserProperties(properties),
+      },
+    };
+    this.log('User properties set:', properties);
+  }
+
+  reset() {
+    if (!this.ensureInitialized()) return;
+
+    // Events queued so far belong to the previous user
+    this.flush();
+    this.user = { userId: null, userProperties: {} };
+    this.log('User reset');
+  }
+
+  trackError({ message, name = 'Error', fatal = false, segments = {} }) {
+    if (!this.ensureInitialized()) return;
+
+    this.enqueue('exception', {
+      ...this.withGlobalProperties(segments),
+      description: `${name}: ${message}`,
+      fatal,
+    });
+    this.log('Error tracked:', message);
+  }
+
+  startTimedEvent(name) {
+    this.log('GA4 does not support timed events');
+  }
+
+  endTimedEvent(name, segments) {
+    this.log('GA4 does not support timed events');
+  }
+
+  /**
+   * Send queued events now (25 per request)
+   * Failed batches are put back and retried on the next flush. Events
+   * older than the Measurement Protocol accepts (72 hours, e.g. replayed by
+   * the offline queue) are dropped.
+   */
+  async flush() {
+    if (!this.initialized || this.sending || this.queue.length === 0) return;
+
+    this.sending = true;
+    try {
+      while (this.dropExpired() > 0) {
+        const batch = this.takeBatch();
+        try {
+          await this.send(this.createBody(batch));
+        } catch (error) {
+          this.requeue(batch);
+          this.error('Sending events failed, will retry:', error);
+          return;
+        }
+      }
+    } finally {
+      this.sending = false;
+    }
+  }
+
+  /**
+   * Stop the flush timer
+   */
+  shutdown() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+  }
+
+  // ==========================================
+  // HELPERS
+  // ==========================================
+
+  enqueue(name, params, options = {}) {
+    this.queue.push({
+      event: {
+        name,
+        params: {
+          // Required for events to show up in GA4 reports
+          session_id: this.sessionId,
+          engagement_time_msec: 1,
+          ...toGA4Params(params),
+        },
+        timestamp_micros: (options.timestamp ?? Date.now()) * 1000,
+      },
+      user: this.user,
+    });
+
+    if (this.queue.length > this.config.maxQueueSize) {
+      this.queue.shift();
+      this.log('Queue full, dropping oldest event');
+    }
+
+    if (this.queue.length >= GA4_LIMITS.eventsPerRequest) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Remove queued events the Measurement Protocol would reject as too old
+   * @returns {number} Events left in the queue
+   */
+  dropExpired() {
+    const oldestMicros = (Date.now() - GA4_LIMITS.eventAgeMs) * 1000;
+    const before = this.queue.length;
+    this.queue = this.queue.filter((entry) => entry.event.timestamp_micros >= oldestMicros);
+
+    if (this.queue.length < before) {
+      this.warn(`Dropped ${before - this.queue.length} event(s) older than 72 hours`);
+    }
+    return this.queue.length;
+  }
+
+  /**
+   * Take the next request's events: up to 25, all tracked for the same user
+   */
+  takeBatch() {
+    const { user } = this.queue[0];
+    let count = 1;
+    while (
+      count < this.queue.length &&
+      count < GA4_LIMITS.eventsPerRequest &&
+      this.queue[count].user === user
+    ) {
+      count++;
+    }
+    return this.queue.splice(0, count);
+  }
+
+  requeue(batch) {
+    this.queue = [...batch, ...this.queue].slice(-this.config.maxQueueSize);
+  }
+
+  createBody(batch) {
+    const { userId, userProperties } = batch[0].user;
+    return {
+      client_id: this.clientId,
+      ...(userId ? { user_id: userId } : {}),
+      ...(Object.keys(userProperties).length > 0
+        ? { user_properties: toMeasurementUserProperties(userProperties) }
+        : {}),
+      events: batch.map((entry) => entry.event),
+    };
+  }
+
+  async send(body) {
+    const fetchImpl = this.config.fetch || globalThis.fetch;
+    const url =
+      `${this.config.endpoint}?measurement_id=${encodeURIComponent(this.config.measurementId)}` +
+      `&api_secret=${encodeURIComponent(this.config.apiSecret)}`;
+
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  }
+
+  async loadClientId() {
+    const storage = await createStorage();
+    let clientId = null;
+    try {
+      clientId = await storage.getItem(CLIENT_ID_KEY);
+    } catch (error) {
+      this.error('Loading client id failed:', error);
+    }
+
+    if (!clientId) {
+      // GA client id format: <random>.<first seen, seconds>
+      clientId = `${Math.floor(Math.random() * 2147483647)}.${Math.floor(Date.now() / 1000)}`;
+      Promise.resolve()
+        .then(() => storage.setItem(CLIENT_ID_KEY, clientId))
+        .catch((error) => this.error('Persisting client id failed:', error));
+    }
+    return clientId;
+  }
+}
+
+// Alias export so Metro's platform resolution (which picks .native.js over .js)
+// provides the expected named export for consumers importing { GA4Provider }
+export { GA4ProviderNative as GA4Provider };
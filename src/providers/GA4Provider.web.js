@@ -0,0 +1,191 @@
+/**
+ * GA4Provider Web - Google Analytics 4 via gtag.js
+ *
+ * Loads gtag.js (unless the page already has it) and sends events with
+ * gtag('event', ...). Automatic page views are disabled; views are sent
+ * through trackView.
+ */
+
+import { BaseProvider } from './BaseProvider';
+import {
+  GA4_LIMITS,
+  toGA4EventName,
+  toGA4Params,
+  toGA4UserProperties,
+  toGA4Consent,
+} from '../utils/ga4';
+
+export class GA4ProviderWeb extends BaseProvider {
+  name = 'ga4';
+  config = null;
+
+  async init(config) {
+    if (this.initialized) {
+      this.warn('Already initialized');
+      return;
+    }
+
+    this.config = config;
+    this.debug = config.debug ?? false;
+
+    try {
+      window.dataLayer = window.dataLayer || [];
+      if (typeof window.gtag !== 'function') {
+        window.gtag = function gtag() {
+          // gtag.js expects the arguments object itself
+          window.dataLayer.push(arguments);
+        };
+        this.loadScript(config);
+      }
+
+      // Consent mode defaults must be set before config
+      if (config.consent) {
+        window.gtag('consent', 'default', toGA4Consent(config.consent));
+      }
+
+      window.gtag('js', new Date());
+      window.gtag('config', config.measurementId, {
+        send_page_view: false,
+        ...(this.debug ? { debug_mode: true } : {}),
+        ...(config.gtagConfig || {}),
+      });
+
+      this.initialized = true;
+      this.log('Initialized successfully (web)');
+    } catch (error) {
+      this.error('Initialization failed:', error);
+      throw error;
+    }
+  }
+
+  setDebug(enabled) {
+    this.debug = enabled;
+  }
+
+  trackEvent(name, properties) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      const eventName = toGA4EventName(name);
+      const params = toGA4Params(this.withGlobalProperties(properties));
+      this.gtag('event', eventName, params);
+      this.log('Event tracked:', eventName, params);
+    } catch (error) {
+      this.error('trackEvent error:', error);
+    }
+  }
+
+  trackView(viewName, properties) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      const page =
+        typeof viewName === 'string' && viewName.startsWith('/')
+          ? { page_path: viewName, page_location: `${window.location?.origin ?? ''}${viewName}` }
+          : { page_title: viewName };
+      const params = toGA4Params({
+        ...page,
+        ...this.withGlobalProperties(properties),
+      });
+      this.gtag('event', 'page_view', params);
+      this.log('View tracked:', viewName);
+    } catch (error) {
+      this.error('trackView error:', error);
+    }
+  }
+
+  identify(userId, properties) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      this.gtag('set', {
+        user_id: String(userId).slice(0, GA4_LIMITS.userIdLength),
+      });
+      if (properties && Object.keys(properties).length > 0) {
+        this.setUserProperties(properties);
+      }
+      this.log('User identified:', userId);
+    } catch (error) {
+      this.error('identify error:', error);
+    }
+  }
+
+  setUserProperties(properties) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      this.gtag('set', 'user_properties', toGA4UserProperties(properties));
+      this.log('User properties set:', properties);
+    } catch (error) {
+      this.error('setUserProperties error:', error);
+    }
+  }
+
+  reset() {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      this.gtag('set', { user_id: null });
+      this.log('User reset');
+    } catch (error) {
+      this.error('reset error:', error);
+    }
+  }
+
+  trackError({ message, name = 'Error', fatal = false, segments = {} }) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      this.gtag(
+        'event',
+        'exception',
+        toGA4Params({
+          ...this.withGlobalProperties(segments),
+          description: `${name}: ${message}`,
+          fatal,
+        }),
+      );
+      this.log('Error tracked:', message);
+    } catch (error) {
+      this.error('trackError error:', error);
+    }
+  }
+
+  startTimedEvent(name) {
+    this.log('GA4 does not support timed events');
+  }
+
+  endTimedEvent(name, segments) {
+    this.log('GA4 does not support timed events');
+  }
+
+  setConsent(consent) {
+    this.consent = consent;
+    if (!this.initialized) return;
+
+    this.gtag('consent', 'update', toGA4Consent(consent));
+    this.log('Consent updated:', consent);
+  }
+
+  // ==========================================
+  // HELPERS
+  // ==========================================
+
+  gtag(...args) {
+    window.gtag(...args);
+  }
+
+  loadScript(config) {
+    if (typeof document === 'undefined') return;
+
+    const script = document.createElement('script');
+    script.async = true;
+    script.src = `${config.scriptUrl || 'https://www.googletagmanager.com/gtag/js'}?id=${encodeURIComponent(config.measurementId)}`;
+    script.onerror = () => this.error('Loading gtag.js failed');
+    document.head.appendChild(script);
+  }
+}
+
+// Alias export so Metro's platform resolution (which picks .web.js on web)
+// provides the expected named export for consumers importing { GA4Provider }
+export { GA4ProviderWeb as GA4Provider };
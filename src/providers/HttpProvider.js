@@ -0,0 +1,311 @@
+/**
+ * HttpProvider - Generic HTTP collector
+ *
+ * Batches events, views, identifies and errors into a JSON envelope and
+ * POSTs them to a configurable endpoint. Works on web and React Native
+ * (uses the global fetch); on web the remaining batches are sent with
+ * navigator.sendBeacon when the page is hidden or unloaded.
+ *
+ * Envelope:
+ * {
+ *   sentAt: ISO string,
+ *   context: { library, platform },
+ *   batch: [{ type, messageId, timestamp, userId, anonymousId, context?, ... }]
+ * }
+ */
+
+import { BaseProvider } from './BaseProvider';
+import { getPlatform } from '../platform';
+import { createStorage } from '../utils/storage';
+import { createId } from '../utils/helpers';
+
+const LIBRARY_NAME = 'unified-analytics-mohit';
+const ANONYMOUS_ID_KEY = 'unified_analytics_http_anonymous_id';
+
+/**
+ * Network errors, timeouts, rate limits and server errors are worth
+ * retrying; other 4xx responses reject the payload itself, and sending it
+ * again would block the queue forever
+ */
+function isRetryable(error) {
+  const { status } = error;
+  return status === undefined || status === 408 || status === 429 || status >= 500;
+}
+
+export class HttpProvider extends BaseProvider {
+  name = 'http';
+  config = null;
+  queue = []; // Messages waiting for the next batch
+  userId = null;
+  anonymousId = null;
+  flushTimer = null;
+  sending = false;
+  storage = null;
+  removeUnloadListeners = null;
+
+  async init(config) {
+    if (this.initialized) {
+      this.warn('Already initialized');
+      return;
+    }
+
+    if (typeof (config.fetch || globalThis.fetch) !== 'function') {
+      throw new Error('fetch is not available, pass config.fetch');
+    }
+
+    this.config = {
+      batchSize: 20,
+      flushInterval: 10000,
+      maxQueueSize: 1000,
+      headers: {},
+      useBeacon: true,
+      ...config,
+    };
+    this.debug = config.debug ?? this.debug;
+
+    this.storage = await createStorage();
+    try {
+      this.anonymousId = await this.storage.getItem(ANONYMOUS_ID_KEY);
+    } catch (error) {
+      this.error('Loading anonymous id failed:', error);
+    }
+    if (!this.anonymousId) {
+      this.resetAnonymousId();
+    }
+
+    this.flushTimer = setInterval(() => {
+      this.flush();
+    }, this.config.flushInterval);
+
+    if (this.config.useBeacon) {
+      this.listenForUnload();
+    }
+
+    this.initialized = true;
+    this.log('Initialized successfully, endpoint:', this.config.url);
+  }
+
+  trackEvent(name, properties, options) {
+    this.enqueue({
+      type: 'event',
+      name,
+      properties: this.withGlobalProperties(properties),
+    }, options);
+  }
+
+  trackView(viewName, properties, options) {
+    this.enqueue({
+      type: 'view',
+      name: viewName,
+      properties: this.withGlobalProperties(properties),
+    }, options);
+  }
+
+  group(groupType, groupKey, traits) {
+    this.enqueue({ type: 'group', groupType, groupId: groupKey, traits: traits || {} });
+  }
+
+  alias(userId, previousId) {
+    const previous = previousId ?? this.userId ?? this.anonymousId;
+    this.userId = userId;
+    this.enqueue({ type: 'alias', previousId: previous });
+  }
+
+  identify(userId, properties) {
+    this.userId = userId;
+    this.enqueue({ type: 'identify', traits: properties || {} });
+  }
+
+  setUserProperties(properties) {
+    this.enqueue({ type: 'identify', traits: properties || {} });
+  }
+
+  reset() {
+    // Send what belongs to the previous user first
+    this.flush();
+    this.userId = null;
+    this.resetAnonymousId();
+    this.log('User reset');
+  }
+
+  trackError({ message, name = 'Error', stack = '', fatal = false, segments = {} }) {
+    this.enqueue({
+      type: 'error',
+      error: { message, name, stack, fatal },
+      properties: this.withGlobalProperties(segments),
+    });
+  }
+
+  /**
+   * Send queued messages now
+   * Batches that failed with a network error, 408, 429 or 5xx are put back
+   * and retried on the next flush; batches the collector rejected are dropped
+   * @param {{ keepalive?: boolean }} options - keepalive: outlive the page (unload)
+   */
+  async flush(options) {
+    if (!this.initialized || this.sending || this.queue.length === 0) return;
+
+    this.sending = true;
+    try {
+      while (this.queue.length > 0) {
+        const batch = this.queue.splice(0, this.config.batchSize);
+        try {
+          await this.send(batch, options);
+          this.log(`Sent batch of ${batch.length} message(s)`);
+        } catch (error) {
+          if (!isRetryable(error)) {
+            this.error(`Collector rejected batch of ${batch.length} message(s), dropping:`, error);
+            continue;
+          }
+          this.requeue(batch);
+          this.error('Sending batch failed, will retry:', error);
+          return;
+        }
+      }
+    } finally {
+      this.sending = false;
+    }
+  }
+
+  /**
+   * Stop the flush timer and unload listeners
+   */
+  shutdown() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (this.removeUnloadListeners) {
+      this.removeUnloadListeners();
+      this.removeUnloadListeners = null;
+    }
+  }
+
+  // ==========================================
+  // HELPERS
+  // ==========================================
+
+  enqueue(message, options = {}) {
+    if (!this.ensureInitialized()) return;
+
+    this.queue.push({
+      ...message,
+      messageId: createId(),
+      timestamp: new Date(options.timestamp ?? Date.now()).toISOString(),
+      userId: this.userId,
+      anonymousId: options.anonymousId ?? this.anonymousId,
+      ...(options.context ? { context: options.context } : {}),
+    });
+
+    if (this.queue.length > this.config.maxQueueSize) {
+      this.queue.shift();
+      this.log('Queue full, dropping oldest message');
+    }
+
+    if (this.queue.length >= this.config.batchSize) {
+      this.flush();
+    }
+  }
+
+  requeue(batch) {
+    this.queue = [...batch, ...this.queue].slice(-this.config.maxQueueSize);
+  }
+
+  createEnvelope(batch) {
+    return {
+      sentAt: new Date().toISOString(),
+      context: {
+        library: { name: LIBRARY_NAME },
+        platform: getPlatform(),
+      },
+      batch,
+    };
+  }
+
+  async send(batch, { keepalive = false } = {}) {
+    const fetchImpl = this.config.fetch || globalThis.fetch;
+    const response = await fetchImpl(this.config.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...this.config.headers,
+      },
+      body: JSON.stringify(this.createEnvelope(batch)),
+      ...(keepalive ? { keepalive: true } : {}),
+    });
+
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+  }
+
+  /**
+   * Hand everything queued to sendBeacon, one beacon per batchSize messages
+   * (browsers refuse beacons over ~64 KB; custom headers are not sent)
+   * What the browser refuses is sent with a keepalive fetch instead
+   */
+  sendBeacon() {
+    while (this.queue.length > 0) {
+      const batch = this.queue.splice(0, this.config.batchSize);
+      const blob = new Blob([JSON.stringify(this.createEnvelope(batch))], {
+        type: 'application/json',
+      });
+
+      if (!navigator.sendBeacon(this.config.url, blob)) {
+        this.sendKeepalive(batch);
+      }
+    }
+  }
+
+  /**
+   * Send a batch with a keepalive fetch, directly rather than through
+   * flush(), which returns early while a regular flush is in flight
+   * If the page survives a failure, the batch is retried like any other
+   */
+  sendKeepalive(batch) {
+    this.send(batch, { keepalive: true }).then(
+      () => this.log(`Sent batch of ${batch.length} message(s) with keepalive`),
+      (error) => {
+        if (!isRetryable(error)) {
+          this.error(`Collector rejected batch of ${batch.length} message(s), dropping:`, error);
+          return;
+        }
+        this.requeue(batch);
+        this.error('Sending batch failed, will retry:', error);
+      },
+    );
+  }
+
+  listenForUnload() {
+    if (
+      getPlatform() !== 'web' ||
+      typeof window === 'undefined' ||
+      typeof navigator === 'undefined' ||
+      typeof navigator.sendBeacon !== 'function'
+    ) {
+      return;
+    }
+
+    const onHidden = () => {
+      if (document.visibilityState === 'hidden') this.sendBeacon();
+    };
+    const onPageHide = () => this.sendBeacon();
+
+    document.addEventListener('visibilitychange', onHidden);
+    window.addEventListener('pagehide', onPageHide);
+
+    this.removeUnloadListeners = () => {
+      document.removeEventListener('visibilitychange', onHidden);
+      window.removeEventListener('pagehide', onPageHide);
+    };
+  }
+
+  resetAnonymousId() {
+    this.anonymousId = createId();
+    Promise.resolve()
+      .then(() => this.storage?.setItem(ANONYMOUS_ID_KEY, this.anonymousId))
+      .catch((error) => this.error('Persisting anonymous id failed:', error));
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * MemoryProvider - Records every facade call in memory
+ *
+ * Meant for tests: no SDK, no network. Calls are kept in order in
+ * `calls` as { type, timestamp, ... } records.
+ */
+
+import { BaseProvider } from './BaseProvider';
+
+export class MemoryProvider extends BaseProvider {
+  name = 'memory';
+  calls = [];
+  featureFlags = {};
+  flagListeners = new Set();
+
+  async init(config = {}) {
+    this.config = config;
+    if (config.featureFlags) {
+      this.features = ['featureFlags'];
+      this.featureFlags = { ...config.featureFlags };
+    }
+    this.initialized = true;
+  }
+
+  trackEvent(name, properties, options) {
+    this.record('event', {
+      name,
+      properties: this.withGlobalProperties(properties),
+      ...(options || {}),
+    });
+  }
+
+  trackView(viewName, properties, options) {
+    this.record('view', {
+      name: viewName,
+      properties: this.withGlobalProperties(properties),
+      ...(options || {}),
+    });
+  }
+
+  identify(userId, properties) {
+    this.record('identify', { userId, properties: properties || {} });
+  }
+
+  setUserProperties(properties) {
+    this.record('userProperties', { properties: properties || {} });
+  }
+
+  reset() {
+    this.record('reset');
+  }
+
+  group(groupType, groupKey, traits) {
+    this.record('group', { groupType, groupKey, traits: traits || {} });
+  }
+
+  resetGroups() {
+    this.record('resetGroups', {});
+  }
+
+  alias(userId, previousId) {
+    this.record('alias', { userId, previousId });
+  }
+
+  trackError(options) {
+    this.record('error', { error: { ...options } });
+  }
+
+  timerStarted(name, { instanceId }) {
+    this.record('startTimer', { name, instanceId });
+  }
+
+  timerEnded(name, { instanceId, durationMs, properties }) {
+    this.record('endTimer', { name, instanceId, durationMs, properties: properties || {} });
+  }
+
+  setGlobalProperties(properties) {
+    super.setGlobalProperties(properties);
+    this.record('setGlobalProperties', { properties: { ...properties } });
+  }
+
+  clearGlobalProperties() {
+    super.clearGlobalProperties();
+    this.record('clearGlobalProperties');
+  }
+
+  removeGlobalProperty(key) {
+    super.removeGlobalProperty(key);
+    this.record('removeGlobalProperty', { key });
+  }
+
+  setConsent(consent) {
+    super.setConsent(consent);
+    this.record('consent', { consent: { ...consent } });
+  }
+
+  // Feature flags - enabled by passing featureFlags in the provider config
+  getFeatureFlag(key) {
+    return this.featureFlags[key];
+  }
+
+  isFeatureEnabled(key) {
+    return Boolean(this.featureFlags[key]);
+  }
+
+  getAllFeatureFlags() {
+    return { ...this.featureFlags };
+  }
+
+  onFeatureFlags(callback) {
+    this.flagListeners.add(callback);
+    return () => this.flagListeners.delete(callback);
+  }
+
+  /**
+   * Replace feature flags and notify onFeatureFlags listeners
+   */
+  setFeatureFlags(flags) {
+    this.features = ['featureFlags'];
+    this.featureFlags = { ...flags };
+    this.flagListeners.forEach((callback) => callback(this.getAllFeatureFlags()));
+  }
+
+  /**
+   * Recorded calls, optionally filtered by type
+   */
+  getCalls(type) {
+    return type ? this.calls.filter((call) => call.type === type) : [...this.calls];
+  }
+
+  clear() {
+    this.calls = [];
+  }
+
+  record(type, data = {}) {
+    this.calls.push({ type, ...data, timestamp: data.timestamp ?? Date.now() });
+  }
+}
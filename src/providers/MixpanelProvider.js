@@ -0,0 +1,195 @@
+/**
+ * MixpanelProvider - Platform-aware factory
+ *
+ * Delegates to the mixpanel-browser (web) or mixpanel-react-native (native)
+ * implementation based on the platform configuration.
+ */
+
+import { BaseProvider } from './BaseProvider';
+import { getPlatform } from '../platform';
+
+/**
+ * Mixpanel analytics provider - platform proxy
+ */
+export class MixpanelProvider extends BaseProvider {
+  name = 'mixpanel';
+
+  constructor() {
+    super();
+    this._impl = null;
+  }
+
+  async init(config) {
+    const platform = getPlatform();
+
+    let ProviderClass;
+    if (platform === 'web') {
+      const mod = await import('./MixpanelProvider.web.js');
+      ProviderClass = mod.MixpanelProviderWeb;
+    } else {
+      // webpackIgnore prevents webpack from bundling the native file on web
+      const mod = await import(/* webpackIgnore: true */ './MixpanelProvider.native.js');
+      ProviderClass = mod.MixpanelProviderNative;
+    }
+
+    this._impl = new ProviderClass();
+    this._impl.setDebug(this.debug);
+    this._impl.setErrorListener(this.errorListener);
+    await this._impl.init(config);
+
+    if (this.consent) {
+      this.setConsent(this.consent);
+    }
+  }
+
+  setDebug(enabled) {
+    this.debug = enabled;
+    if (this._impl) this._impl.setDebug(enabled);
+  }
+
+  // ==========================================
+  // DELEGATED METHODS
+  // ==========================================
+
+  isInitialized() {
+    return this._impl?.isInitialized() ?? false;
+  }
+
+  trackEvent(name, properties, options) {
+    this._impl?.trackEvent(name, properties, options);
+  }
+
+  trackView(viewName, properties, options) {
+    this._impl?.trackView(viewName, properties, options);
+  }
+
+  identify(userId, properties, propertiesSetOnce) {
+    this._impl?.identify(userId, properties, propertiesSetOnce);
+  }
+
+  setUserProperties(properties, propertiesSetOnce) {
+    this._impl?.setUserProperties(properties, propertiesSetOnce);
+  }
+
+  setUserPropertiesOnce(properties) {
+    this._impl?.setUserPropertiesOnce(properties);
+  }
+
+  incrementUserProperty(key, value) {
+    this._impl?.incrementUserProperty(key, value);
+  }
+
+  reset() {
+    this._impl?.reset();
+  }
+
+  // Error tracking (facade) - tracked as an 'Error' event
+  trackError({ message, name = 'Error', stack = '', fatal = false, segments = {} }) {
+    this.trackEvent('Error', {
+      error_message: message,
+      error_type: name,
+      error_stack: stack,
+      fatal,
+      ...segments,
+    });
+  }
+
+  // Timed events (facade) - time_event, Mixpanel adds $duration on the end event
+  startTimedEvent(name) {
+    this._impl?.startTimedEvent(name);
+  }
+
+  endTimedEvent(name, segments) {
+    this._impl?.endTimedEvent(name, segments);
+  }
+
+  // Global properties (facade) - mapped onto super properties
+  setGlobalProperties(properties) {
+    this.register(properties);
+  }
+
+  getGlobalProperties() {
+    return this.getRegisteredProperties();
+  }
+
+  clearGlobalProperties() {
+    this.clearRegisteredProperties();
+  }
+
+  removeGlobalProperty(key) {
+    this.unregister(key);
+  }
+
+  // Group analytics
+  group(type, key, properties) {
+    this._impl?.group(type, key, properties);
+  }
+
+  getGroups() {
+    return this._impl?.getGroups() ?? {};
+  }
+
+  resetGroups() {
+    this._impl?.resetGroups();
+  }
+
+  // Data management
+  async flush() {
+    return this._impl?.flush();
+  }
+
+  // Tracking control
+  optIn() {
+    this._impl?.optIn();
+  }
+
+  optOut() {
+    this._impl?.optOut();
+  }
+
+  hasOptedOut() {
+    return this._impl?.hasOptedOut() ?? false;
+  }
+
+  // Facade consent - analytics maps to opt in/out
+  setConsent(consent) {
+    this.consent = consent;
+    if (!this.isInitialized()) return;
+
+    if (consent.analytics) {
+      this.optIn();
+    } else {
+      this.optOut();
+    }
+  }
+
+  // Distinct ID (a Promise on native)
+  getDistinctId() {
+    return this._impl?.getDistinctId() ?? null;
+  }
+
+  alias(alias, distinctId) {
+    this._impl?.alias(alias, distinctId);
+  }
+
+  // Super properties
+  register(properties) {
+    this._impl?.register(properties);
+  }
+
+  registerOnce(properties) {
+    this._impl?.registerOnce(properties);
+  }
+
+  getRegisteredProperties() {
+    return this._impl?.getRegisteredProperties() ?? {};
+  }
+
+  clearRegisteredProperties() {
+    this._impl?.clearRegisteredProperties();
+  }
+
+  unregister(propertyName) {
+    this._impl?.unregister(propertyName);
+  }
+}
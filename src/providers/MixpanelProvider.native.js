@@ -0,0 +1,349 @@
+/**
+ * MixpanelProvider Native - Mixpanel SDK wrapper for React Native
+ *
+ * Uses mixpanel-react-native for native mobile analytics.
+ */
+
+import { BaseProvider } from './BaseProvider';
+
+// Dynamic import to make Mixpanel optional
+let Mixpanel = null;
+
+export class MixpanelProviderNative extends BaseProvider {
+  name = 'mixpanel';
+  client = null;
+  config = null;
+  registeredProperties = {};
+  groups = {}; // Map<groupKey, groupId>
+  optedOut = false;
+  distinctId = null;
+
+  async init(config) {
+    if (this.initialized) {
+      this.warn('Already initialized');
+      return;
+    }
+
+    this.config = config;
+    this.debug = config.debug ?? false;
+
+    try {
+      const MixpanelModule = await import('mixpanel-react-native');
+      Mixpanel = MixpanelModule.Mixpanel || MixpanelModule.default;
+
+      this.client = new Mixpanel(
+        config.token,
+        config.trackAutomaticEvents ?? false,
+      );
+      await this.client.init(
+        config.optOutTrackingByDefault ?? false,
+        {},
+        config.apiHost,
+      );
+      this.client.setLoggingEnabled?.(this.debug);
+      this.optedOut = config.optOutTrackingByDefault ?? false;
+
+      this.initialized = true;
+      this.log('Initialized successfully (native)');
+    } catch (error) {
+      this.error('Initialization failed:', error);
+      throw error;
+    }
+  }
+
+  setDebug(enabled) {
+    this.debug = enabled;
+    this.client?.setLoggingEnabled?.(enabled);
+  }
+
+  trackEvent(name, properties, options) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      this.client.track(name, this.withTime(properties, options));
+      this.log('Event tracked:', name, properties);
+    } catch (error) {
+      this.error('trackEvent error:', error);
+    }
+  }
+
+  trackView(screenName, properties, options) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      this.client.track(
+        'Screen Viewed',
+        this.withTime({ screen_name: screenName, ...(properties || {}) }, options),
+      );
+      this.log('Screen tracked:', screenName);
+    } catch (error) {
+      this.error('trackView error:', error);
+    }
+  }
+
+  identify(userId, properties, propertiesSetOnce) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      this.client.identify(String(userId));
+      this.setUserProperties(properties, propertiesSetOnce);
+      this.log('User identified:', userId);
+    } catch (error) {
+      this.error('identify error:', error);
+    }
+  }
+
+  setUserProperties(properties, propertiesSetOnce) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      const people = this.client.getPeople();
+      if (properties && Object.keys(properties).length > 0) {
+        people.set(properties);
+      }
+      if (propertiesSetOnce && Object.keys(propertiesSetOnce).length > 0) {
+        people.setOnce(propertiesSetOnce);
+      }
+      this.log('User properties set:', properties);
+    } catch (error) {
+      this.error('setUserProperties error:', error);
+    }
+  }
+
+  setUserPropertiesOnce(properties) {
+    this.setUserProperties(undefined, properties);
+  }
+
+  incrementUserProperty(key, value = 1) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      this.client.getPeople().increment(key, value);
+      this.log('User property incremented:', key, value);
+    } catch (error) {
+      this.error('incrementUserProperty error:', error);
+    }
+  }
+
+  reset() {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      this.client.reset();
+      this.registeredProperties = {};
+      this.groups = {};
+      this.log('User reset');
+    } catch (error) {
+      this.error('reset error:', error);
+    }
+  }
+
+  alias(alias, original) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      const distinctId = original ?? this.distinctId;
+      if (distinctId) {
+        this.client.alias(String(alias), distinctId);
+      } else {
+        // alias() needs the current distinct id, which is only available async
+        this.client.getDistinctId().then((id) => this.client.alias(String(alias), id));
+      }
+      this.log('Alias created:', alias);
+    } catch (error) {
+      this.error('alias error:', error);
+    }
+  }
+
+  async getDistinctId() {
+    if (!this.ensureInitialized()) return null;
+
+    try {
+      this.distinctId = await this.client.getDistinctId();
+      return this.distinctId ?? null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // ==========================================
+  // TIMED EVENTS
+  // ==========================================
+
+  startTimedEvent(name) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      this.client.timeEvent(name);
+      this.log('Timed event started:', name);
+    } catch (error) {
+      this.error('startTimedEvent error:', error);
+    }
+  }
+
+  endTimedEvent(name, segments) {
+    // Mixpanel adds $duration when the timed event is tracked
+    this.trackEvent(name, segments);
+  }
+
+  // ==========================================
+  // GROUPS
+  // ==========================================
+
+  group(groupKey, groupId, properties) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      this.client.setGroup(groupKey, groupId);
+      if (properties && Object.keys(properties).length > 0) {
+        this.client.getGroup(groupKey, groupId).set(properties);
+      }
+      this.groups = { ...this.groups, [groupKey]: groupId };
+      this.log('Group set:', groupKey, groupId);
+    } catch (error) {
+      this.error('group error:', error);
+    }
+  }
+
+  getGroups() {
+    return { ...this.groups };
+  }
+
+  resetGroups() {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      for (const groupKey of Object.keys(this.groups)) {
+        this.client.unregisterSuperProperty(groupKey);
+      }
+      this.groups = {};
+      this.log('Groups reset');
+    } catch (error) {
+      this.error('resetGroups error:', error);
+    }
+  }
+
+  // ==========================================
+  // TRACKING CONTROL
+  // ==========================================
+
+  optIn() {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      this.client.optInTracking();
+      this.optedOut = false;
+      this.log('Opted in');
+    } catch (error) {
+      this.error('optIn error:', error);
+    }
+  }
+
+  optOut() {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      this.client.optOutTracking();
+      this.optedOut = true;
+      this.log('Opted out');
+    } catch (error) {
+      this.error('optOut error:', error);
+    }
+  }
+
+  // The SDK only answers asynchronously; this mirrors the last opt in/out call
+  hasOptedOut() {
+    return this.optedOut;
+  }
+
+  async flush() {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      await this.client.flush();
+      this.log('Flushed');
+    } catch (error) {
+      this.error('flush error:', error);
+    }
+  }
+
+  // ==========================================
+  // SUPER PROPERTIES
+  // ==========================================
+
+  register(properties) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      this.client.registerSuperProperties(properties);
+      this.registeredProperties = {
+        ...this.registeredProperties,
+        ...properties,
+      };
+      this.log('Super properties registered:', properties);
+    } catch (error) {
+      this.error('register error:', error);
+    }
+  }
+
+  registerOnce(properties) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      this.client.registerSuperPropertiesOnce(properties);
+      this.registeredProperties = {
+        ...properties,
+        ...this.registeredProperties,
+      };
+      this.log('Super properties registered once:', properties);
+    } catch (error) {
+      this.error('registerOnce error:', error);
+    }
+  }
+
+  getRegisteredProperties() {
+    return { ...this.registeredProperties };
+  }
+
+  clearRegisteredProperties() {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      for (const key of Object.keys(this.registeredProperties)) {
+        this.client.unregisterSuperProperty(key);
+      }
+      this.registeredProperties = {};
+      this.log('All super properties cleared');
+    } catch (error) {
+      this.error('clearRegisteredProperties error:', error);
+    }
+  }
+
+  unregister(propertyName) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      delete this.registeredProperties[propertyName];
+      this.client.unregisterSuperProperty(propertyName);
+      this.log('Super property unregistered:', propertyName);
+    } catch (error) {
+      this.error('unregister error:', error);
+    }
+  }
+
+  // ==========================================
+  // HELPERS
+  // ==========================================
+
+  /**
+   * Add the original call time for queued/replayed calls (Mixpanel `time`, ms)
+   */
+  withTime(properties, options) {
+    if (!options?.timestamp) return properties || {};
+    return { ...(properties || {}), time: options.timestamp };
+  }
+}
+
+// Alias export so Metro's platform resolution (which picks .native.js over .js)
+// provides the expected named export for consumers importing { MixpanelProvider }
+export { MixpanelProviderNative as MixpanelProvider };
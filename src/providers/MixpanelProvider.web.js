@@ -0,0 +1,335 @@
+/**
+ * MixpanelProvider Web - Mixpanel SDK wrapper for Web (React.js/Next.js)
+ *
+ * Uses mixpanel-browser for browser-based analytics.
+ */
+
+import { BaseProvider } from './BaseProvider';
+
+// Dynamic import to make Mixpanel optional
+let mixpanel = null;
+
+export class MixpanelProviderWeb extends BaseProvider {
+  name = 'mixpanel';
+  config = null;
+  registeredProperties = {};
+  groups = {}; // Map<groupKey, groupId>
+
+  async init(config) {
+    if (this.initialized) {
+      this.warn('Already initialized');
+      return;
+    }
+
+    this.config = config;
+    this.debug = config.debug ?? false;
+
+    try {
+      const MixpanelModule = await import('mixpanel-browser');
+      mixpanel = MixpanelModule.default || MixpanelModule;
+
+      mixpanel.init(config.token, {
+        debug: this.debug,
+        track_pageview: false,
+        persistence: config.persistence ?? 'localStorage',
+        opt_out_tracking_by_default: config.optOutTrackingByDefault ?? false,
+        ...(config.apiHost ? { api_host: config.apiHost } : {}),
+        ...(config.sdkConfig || {}),
+      });
+
+      this.initialized = true;
+      this.log('Initialized successfully (web)');
+    } catch (error) {
+      this.error('Initialization failed:', error);
+      throw error;
+    }
+  }
+
+  setDebug(enabled) {
+    this.debug = enabled;
+  }
+
+  trackEvent(name, properties, options) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      mixpanel.track(name, this.withTime(properties, options));
+      this.log('Event tracked:', name, properties);
+    } catch (error) {
+      this.error('trackEvent error:', error);
+    }
+  }
+
+  trackView(viewName, properties, options) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      const viewProperties = this.withTime(
+        { page: viewName, ...(properties || {}) },
+        options,
+      );
+      if (mixpanel.track_pageview) {
+        mixpanel.track_pageview(viewProperties);
+      } else {
+        mixpanel.track('Page Viewed', viewProperties);
+      }
+      this.log('View tracked:', viewName);
+    } catch (error) {
+      this.error('trackView error:', error);
+    }
+  }
+
+  identify(userId, properties, propertiesSetOnce) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      mixpanel.identify(String(userId));
+      this.setUserProperties(properties, propertiesSetOnce);
+      this.log('User identified:', userId);
+    } catch (error) {
+      this.error('identify error:', error);
+    }
+  }
+
+  setUserProperties(properties, propertiesSetOnce) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      if (properties && Object.keys(properties).length > 0) {
+        mixpanel.people.set(properties);
+      }
+      if (propertiesSetOnce && Object.keys(propertiesSetOnce).length > 0) {
+        mixpanel.people.set_once(propertiesSetOnce);
+      }
+      this.log('User properties set:', properties);
+    } catch (error) {
+      this.error('setUserProperties error:', error);
+    }
+  }
+
+  setUserPropertiesOnce(properties) {
+    this.setUserProperties(undefined, properties);
+  }
+
+  incrementUserProperty(key, value = 1) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      mixpanel.people.increment(key, value);
+      this.log('User property incremented:', key, value);
+    } catch (error) {
+      this.error('incrementUserProperty error:', error);
+    }
+  }
+
+  reset() {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      mixpanel.reset();
+      this.registeredProperties = {};
+      this.groups = {};
+      this.log('User reset');
+    } catch (error) {
+      this.error('reset error:', error);
+    }
+  }
+
+  alias(alias, original) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      mixpanel.alias(String(alias), original);
+      this.log('Alias created:', alias);
+    } catch (error) {
+      this.error('alias error:', error);
+    }
+  }
+
+  getDistinctId() {
+    if (!this.ensureInitialized()) return null;
+
+    try {
+      return mixpanel.get_distinct_id() ?? null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // ==========================================
+  // TIMED EVENTS
+  // ==========================================
+
+  startTimedEvent(name) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      mixpanel.time_event(name);
+      this.log('Timed event started:', name);
+    } catch (error) {
+      this.error('startTimedEvent error:', error);
+    }
+  }
+
+  endTimedEvent(name, segments) {
+    // Mixpanel adds $duration when the timed event is tracked
+    this.trackEvent(name, segments);
+  }
+
+  // ==========================================
+  // GROUPS
+  // ==========================================
+
+  group(groupKey, groupId, properties) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      mixpanel.set_group(groupKey, groupId);
+      if (properties && Object.keys(properties).length > 0) {
+        mixpanel.get_group(groupKey, groupId).set(properties);
+      }
+      this.groups = { ...this.groups, [groupKey]: groupId };
+      this.log('Group set:', groupKey, groupId);
+    } catch (error) {
+      this.error('group error:', error);
+    }
+  }
+
+  getGroups() {
+    return { ...this.groups };
+  }
+
+  resetGroups() {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      for (const groupKey of Object.keys(this.groups)) {
+        mixpanel.unregister(groupKey);
+      }
+      this.groups = {};
+      this.log('Groups reset');
+    } catch (error) {
+      this.error('resetGroups error:', error);
+    }
+  }
+
+  // ==========================================
+  // TRACKING CONTROL
+  // ==========================================
+
+  optIn() {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      mixpanel.opt_in_tracking();
+      this.log('Opted in');
+    } catch (error) {
+      this.error('optIn error:', error);
+    }
+  }
+
+  optOut() {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      mixpanel.opt_out_tracking();
+      this.log('Opted out');
+    } catch (error) {
+      this.error('optOut error:', error);
+    }
+  }
+
+  hasOptedOut() {
+    if (!this.ensureInitialized()) return false;
+
+    try {
+      return mixpanel.has_opted_out_tracking();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async flush() {
+    // mixpanel-browser sends requests as events are tracked
+  }
+
+  // ==========================================
+  // SUPER PROPERTIES
+  // ==========================================
+
+  register(properties) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      mixpanel.register(properties);
+      this.registeredProperties = {
+        ...this.registeredProperties,
+        ...properties,
+      };
+      this.log('Super properties registered:', properties);
+    } catch (error) {
+      this.error('register error:', error);
+    }
+  }
+
+  registerOnce(properties) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      mixpanel.register_once(properties);
+      this.registeredProperties = {
+        ...properties,
+        ...this.registeredProperties,
+      };
+      this.log('Super properties registered once:', properties);
+    } catch (error) {
+      this.error('registerOnce error:', error);
+    }
+  }
+
+  getRegisteredProperties() {
+    return { ...this.registeredProperties };
+  }
+
+  clearRegisteredProperties() {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      for (const key of Object.keys(this.registeredProperties)) {
+        mixpanel.unregister(key);
+      }
+      this.registeredProperties = {};
+      this.log('All super properties cleared');
+    } catch (error) {
+      this.error('clearRegisteredProperties error:', error);
+    }
+  }
+
+  unregister(propertyName) {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      delete this.registeredProperties[propertyName];
+      mixpanel.unregister(propertyName);
+      this.log('Super property unregistered:', propertyName);
+    } catch (error) {
+      this.error('unregister error:', error);
+    }
+  }
+
+  // ==========================================
+  // HELPERS
+  // ==========================================
+
+  /**
+   * Add the original call time for queued/replayed calls (Mixpanel `time`, ms)
+   */
+  withTime(properties, options) {
+    if (!options?.timestamp) return properties || {};
+    return { ...(properties || {}), time: options.timestamp };
+  }
+}
+
+// Alias export so Metro's platform resolution (which picks .web.js on web)
+// provides the expected named export for consumers importing { MixpanelProvider }
+export { MixpanelProviderWeb as MixpanelProvider };
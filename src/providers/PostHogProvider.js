@@ -5,15 +5,20 @@
  * based on the platform configuration.
  */
 
+import { BaseProvider } from './BaseProvider';
 import { getPlatform } from '../platform';
+import { toSnakeCase } from '../utils/segment';
 
 /**
  * PostHog analytics provider - platform proxy
  */
-export class PostHogProvider {
+export class PostHogProvider extends BaseProvider {
+  name = 'posthog';
+  features = ['featureFlags'];
+
   constructor() {
+    super();
     this._impl = null;
-    this._debug = false;
   }
 
   async init(config) {
@@ -30,12 +35,22 @@ export class PostHogProvider {
     }
 
     this._impl = new ProviderClass();
-    this._impl.setDebug(this._debug);
-    return this._impl.init(config);
+    this._impl.setDebug(this.debug);
+    this._impl.setErrorListener(this.errorListener);
+
+    // With facade consent, the SDK starts opted out and without recording
+    // until the consent is applied, so nothing is captured in between
+    if (this.consent) {
+      await this._impl.init({ ...config, consent: this.consent });
+      this.setConsent(this.consent);
+      return;
+    }
+
+    await this._impl.init(config);
   }
 
   setDebug(enabled) {
-    this._debug = enabled;
+    this.debug = enabled;
     if (this._impl) this._impl.setDebug(enabled);
   }
 
@@ -47,12 +62,12 @@ export class PostHogProvider {
     return this._impl?.isInitialized() ?? false;
   }
 
-  trackEvent(name, properties) {
-    this._impl?.trackEvent(name, properties);
+  trackEvent(name, properties, options) {
+    this._impl?.trackEvent(name, properties, options);
   }
 
-  trackView(viewName, properties) {
-    this._impl?.trackView(viewName, properties);
+  trackView(viewName, properties, options) {
+    this._impl?.trackView(viewName, properties, options);
   }
 
   identify(userId, properties, propertiesSetOnce) {
@@ -67,6 +82,47 @@ export class PostHogProvider {
     this._impl?.reset(resetDeviceId);
   }
 
+  // Segment semantic events - 'Order Completed' -> 'order_completed'
+  translateSemanticEvent(name, properties) {
+    return { name: toSnakeCase(name), properties };
+  }
+
+  // Error tracking (facade) - captured as $exception
+  trackError({ message, name = 'Error', stack = '', segments = {} }) {
+    this.trackEvent('$exception', {
+      $exception_message: message,
+      $exception_type: name,
+      $exception_stack_trace_raw: stack,
+      ...segments,
+    });
+  }
+
+  // Timed events (facade) - not supported by PostHog, graceful no-op
+  startTimedEvent(name) {
+    this.log('PostHog does not support timed events');
+  }
+
+  endTimedEvent(name, segments) {
+    this.log('PostHog does not support timed events');
+  }
+
+  // Global properties (facade) - mapped onto super properties
+  setGlobalProperties(properties) {
+    this.register(properties);
+  }
+
+  getGlobalProperties() {
+    return this.getRegisteredProperties();
+  }
+
+  clearGlobalProperties() {
+    this.clearRegisteredProperties();
+  }
+
+  removeGlobalProperty(key) {
+    this.unregister(key);
+  }
+
   // Session recording
   startSessionRecording() {
     this._impl?.startSessionRecording();
@@ -106,7 +162,7 @@ export class PostHogProvider {
   }
 
   onFeatureFlags(callback) {
-    this._impl?.onFeatureFlags(callback);
+    return this._impl?.onFeatureFlags(callback) ?? (() => {});
   }
 
   getAllFeatureFlags() {
@@ -170,6 +226,24 @@ export class PostHogProvider {
     this._impl?.optIn();
   }
 
+  // Facade consent - analytics maps to opt in/out, replay to session recording
+  setConsent(consent) {
+    this.consent = consent;
+    if (!this.isInitialized()) return;
+
+    if (consent.analytics) {
+      this.optIn();
+    } else {
+      this.optOut();
+    }
+
+    if (consent.replay && this._impl.config?.enableSessionReplay) {
+      this.startSessionRecording();
+    } else if (!consent.replay && this.isSessionRecordingActive()) {
+      this.stopSessionRecording();
+    }
+  }
+
   optOut() {
     this._impl?.optOut();
   }
@@ -13,8 +13,9 @@ export class PostHogProviderNative extends BaseProvider {
   config = null;
   posthogClient = null;
   sessionRecordingActive = false;
-  featureFlagsCallback = null;
+  featureFlagListeners = new Set();
   registeredProperties = {};
+  groups = {}; // Map<groupType, groupKey>
 
   async init(config) {
     if (this.initialized) {
@@ -35,6 +36,12 @@ export class PostHogProviderNative extends BaseProvider {
         disabled: config.disabled || false,
       };
 
+      // Facade consent that is not granted yet keeps the SDK quiet from the start
+      const consent = config.consent;
+      if (consent && !consent.analytics) {
+        options.defaultOptIn = false;
+      }
+
       if (config.flushInterval !== undefined) {
         options.flushInterval = config.flushInterval;
       }
@@ -52,7 +59,7 @@ export class PostHogProviderNative extends BaseProvider {
           config.featureFlagsRequestTimeoutMs;
       }
 
-      if (config.enableSessionReplay) {
+      if (config.enableSessionReplay && (!consent || consent.replay)) {
         options.enableSessionReplay = true;
 
         if (config.sessionReplay) {
@@ -108,9 +115,8 @@ export class PostHogProviderNative extends BaseProvider {
 
       this.posthogClient = new PostHog(config.apiKey, options);
 
-      if (config.enableSessionReplay && !options.enableSessionReplay) {
-        this.startSessionRecording();
-      }
+      // One SDK callback fanned out to every onFeatureFlags listener
+      this.posthogClient.onFeatureFlags?.(() => this.notifyFeatureFlags());
 
       this.initialized = true;
       this.log('Initialized successfully');
@@ -124,22 +130,30 @@ export class PostHogProviderNative extends BaseProvider {
     this.debug = enabled;
   }
 
-  trackEvent(name, properties) {
+  trackEvent(name, properties, options) {
     if (!this.ensureInitialized()) return;
 
     try {
-      this.posthogClient.capture(name, properties || {});
+      this.posthogClient.capture(
+        name,
+        properties || {},
+        this.captureOptions(options),
+      );
       this.log('Event tracked:', name, properties);
     } catch (error) {
       this.error('trackEvent error:', error);
     }
   }
 
-  trackView(viewName, properties) {
+  trackView(viewName, properties, options) {
     if (!this.ensureInitialized()) return;
 
     try {
-      this.posthogClient.screen(viewName, properties || {});
+      this.posthogClient.screen(
+        viewName,
+        properties || {},
+        this.captureOptions(options),
+      );
       this.log('View tracked:', viewName);
     } catch (error) {
       this.error('trackView error:', error);
@@ -181,6 +195,7 @@ export class PostHogProviderNative extends BaseProvider {
 
     try {
       this.posthogClient.reset();
+      this.groups = {};
       this.log('User reset');
     } catch (error) {
       this.error('reset error:', error);
@@ -258,23 +273,28 @@ export class PostHogProviderNative extends BaseProvider {
     try {
       await this.posthogClient.reloadFeatureFlags();
       this.log('Feature flags reloaded');
-
-      if (this.featureFlagsCallback) {
-        const flags = this.getAllFeatureFlags();
-        this.featureFlagsCallback(flags);
-      }
+      this.notifyFeatureFlags();
     } catch (error) {
       this.error('reloadFeatureFlags error:', error);
     }
   }
 
+  /**
+   * Subscribe to feature flag loads; called right away when initialized
+   * @returns {() => void} Unsubscribe
+   */
   onFeatureFlags(callback) {
-    this.featureFlagsCallback = callback;
+    this.featureFlagListeners.add(callback);
 
     if (this.initialized) {
-      const flags = this.getAllFeatureFlags();
-      callback(flags);
+      callback(this.getAllFeatureFlags());
     }
+    return () => this.featureFlagListeners.delete(callback);
+  }
+
+  notifyFeatureFlags() {
+    const flags = this.getAllFeatureFlags();
+    this.featureFlagListeners.forEach((callback) => callback(flags));
   }
 
   getAllFeatureFlags() {
@@ -294,12 +314,30 @@ export class PostHogProviderNative extends BaseProvider {
 
     try {
       this.posthogClient.group(type, key, properties || {});
+      this.groups = { ...this.groups, [type]: key };
       this.log('Group set:', type, key);
     } catch (error) {
       this.error('group error:', error);
     }
   }
 
+  getGroups() {
+    return { ...this.groups };
+  }
+
+  resetGroups() {
+    if (!this.ensureInitialized()) return;
+
+    try {
+      // posthog-react-native keeps groups in the $groups super property
+      this.posthogClient.unregister('$groups');
+      this.groups = {};
+      this.log('Groups reset');
+    } catch (error) {
+      this.error('resetGroups error:', error);
+    }
+  }
+
   // ==========================================
   // SURVEYS
   // ==========================================
@@ -508,6 +546,15 @@ export class PostHogProviderNative extends BaseProvider {
       this.error('unregister error:', error);
     }
   }
+
+  /**
+   * Capture options carrying the original call time (queued/replayed calls)
+   */
+  captureOptions(options) {
+    return options?.timestamp
+      ? { timestamp: new Date(options.timestamp) }
+      : undefined;
+  }
 }
 
 // Alias export so Metro's platform resolution (which picks .native.js over .js)
@@ -13,7 +13,7 @@ export class PostHogProviderWeb extends BaseProvider {
   config = null;
   posthogClient = null;
   sessionRecordingActive = false;
-  featureFlagsCallback = null;
+  featureFlagListeners = new Set();
   registeredProperties = {};
 
   async init(config) {
@@ -29,11 +29,18 @@ export class PostHogProviderWeb extends BaseProvider {
       const PostHogModule = await import("posthog-js");
       posthog = PostHogModule.default || PostHogModule;
 
+      // Facade consent that is not granted yet keeps the SDK quiet from the start
+      const consent = config.consent;
+
       // Web SDK initialization
       posthog.init(config.apiKey, {
         api_host: config.host || "https://us.i.posthog.com",
         debug: config.debug || false,
-        disable_session_recording: !config.enableSessionReplay,
+        disable_session_recording:
+          !config.enableSessionReplay || (consent ? !consent.replay : false),
+        ...(consent && !consent.analytics
+          ? { opt_out_capturing_by_default: true }
+          : {}),
         autocapture: config.autocapture?.captureClicks ?? false,
         capture_pageview: config.autocapture?.capturePageviews ?? false,
         capture_pageleave: config.autocapture?.capturePageleave ?? true,
@@ -73,6 +80,10 @@ export class PostHogProviderWeb extends BaseProvider {
       });
 
       this.posthogClient = posthog;
+
+      // One SDK callback fanned out to every onFeatureFlags listener
+      this.posthogClient.onFeatureFlags?.(() => this.notifyFeatureFlags());
+
       this.initialized = true;
       this.log("Initialized successfully (web)");
     } catch (error) {
@@ -85,25 +96,33 @@ export class PostHogProviderWeb extends BaseProvider {
     this.debug = enabled;
   }
 
-  trackEvent(name, properties) {
+  trackEvent(name, properties, options) {
     if (!this.ensureInitialized()) return;
 
     try {
-      this.posthogClient.capture(name, properties || {});
+      this.posthogClient.capture(
+        name,
+        properties || {},
+        this.captureOptions(options),
+      );
       this.log("Event tracked:", name, properties);
     } catch (error) {
       this.error("trackEvent error:", error);
     }
   }
 
-  trackView(viewName, properties) {
+  trackView(viewName, properties, options) {
     if (!this.ensureInitialized()) return;
 
     try {
-      this.posthogClient.capture("$pageview", {
-        $current_url: viewName,
-        ...(properties || {}),
-      });
+      this.posthogClient.capture(
+        "$pageview",
+        {
+          $current_url: viewName,
+          ...(properties || {}),
+        },
+        this.captureOptions(options),
+      );
       this.log("View tracked:", viewName);
     } catch (error) {
       this.error("trackView error:", error);
@@ -242,23 +261,26 @@ export class PostHogProviderWeb extends BaseProvider {
     if (!this.ensureInitialized()) return;
 
     try {
+      // Listeners are notified by the SDK once the new flags arrive
       this.posthogClient.reloadFeatureFlags();
       this.log("Feature flags reloaded");
-
-      if (this.featureFlagsCallback) {
-        const flags = this.getAllFeatureFlags();
-        this.featureFlagsCallback(flags);
-      }
     } catch (error) {
       this.error("reloadFeatureFlags error:", error);
     }
   }
 
+  /**
+   * Subscribe to feature flag loads
+   * @returns {() => void} Unsubscribe
+   */
   onFeatureFlags(callback) {
-    if (!this.ensureInitialized()) return;
+    this.featureFlagListeners.add(callback);
+    return () => this.featureFlagListeners.delete(callback);
+  }
 
-    this.featureFlagsCallback = callback;
-    this.posthogClient.onFeatureFlags?.(callback);
+  notifyFeatureFlags() {
+    const flags = this.getAllFeatureFlags();
+    this.featureFlagListeners.forEach((callback) => callback(flags));
   }
 
   getAllFeatureFlags() {
@@ -556,6 +578,15 @@ export class PostHogProviderWeb extends BaseProvider {
       this.error("unregister error:", error);
     }
   }
+
+  /**
+   * Capture options carrying the original call time (queued/replayed calls)
+   */
+  captureOptions(options) {
+    return options?.timestamp
+      ? { timestamp: new Date(options.timestamp) }
+      : undefined;
+  }
 }
 
 // Alias export so Metro's platform resolution (which picks .web.js on web)
@@ -1,3 +1,8 @@
 export { BaseProvider } from './BaseProvider';
 export { CountlyProvider } from './CountlyProvider';
 export { PostHogProvider } from './PostHogProvider';
+export { HttpProvider } from './HttpProvider';
+export { GA4Provider } from './GA4Provider';
+export { MixpanelProvider } from './MixpanelProvider';
+export { AmplitudeProvider } from './AmplitudeProvider';
+export { MemoryProvider } from './MemoryProvider';
@@ -0,0 +1,177 @@
+/**
+ * Testing utilities
+ *
+ * Initializes the shared `analytics` instance with an in-memory provider
+ * so tests can assert on tracking without mocking provider SDKs.
+ *
+ * Usage (Jest):
+ * ```js
+ * import { analytics } from 'unified-analytics-mohit';
+ * import {
+ *   initAnalyticsForTests,
+ *   expectEventTracked,
+ *   resetAnalyticsForTests,
+ * } from 'unified-analytics-mohit/testing';
+ *
+ * beforeEach(() => initAnalyticsForTests());
+ * afterEach(() => resetAnalyticsForTests());
+ *
+ * test('tracks checkout', () => {
+ *   checkout();
+ *   expectEventTracked('checkout_completed', { amount: 99 });
+ * });
+ * ```
+ */
+
+import { analytics, UnifiedAnalytics } from './UnifiedAnalytics';
+import { MemoryProvider } from './providers/MemoryProvider';
+
+export { MemoryProvider };
+
+const MEMORY_PROVIDER = 'memory';
+
+/**
+ * Initialize `analytics` with the in-memory provider
+ * Any other AnalyticsConfig option (middleware, trackingPlan, consent, ...)
+ * can be passed; `memory` configures the provider (e.g. { featureFlags }).
+ *
+ * @param {object} config
+ * @returns {Promise<MemoryProvider>}
+ */
+export async function initAnalyticsForTests(config = {}) {
+  const { memory, ...rest } = config;
+
+  await analytics.init({
+    ...rest,
+    // Keep each test's identity out of localStorage / AsyncStorage
+    identity: { persist: false, ...(rest.identity || {}) },
+    providers: {
+      ...(rest.providers || {}),
+      [MEMORY_PROVIDER]: { provider: MemoryProvider, ...(memory || {}) },
+    },
+  });
+
+  return getMemoryProvider();
+}
+
+/**
+ * The in-memory provider, or undefined before initAnalyticsForTests()
+ */
+export function getMemoryProvider() {
+  return analytics.getProvider(MEMORY_PROVIDER);
+}
+
+/**
+ * Every recorded call, optionally filtered by type
+ * ('event', 'view', 'identify', 'userProperties', 'reset', 'error',
+ * 'startTimer', 'endTimer', 'setGlobalProperties', ...). An 'endTimer'
+ * record is followed by the timed 'event' with `$duration` and
+ * `duration_ms` properties.
+ */
+export function getTrackedCalls(type) {
+  return getMemoryProvider()?.getCalls(type) ?? [];
+}
+
+/**
+ * Tracked events as { name, properties, timestamp }
+ */
+export function getTrackedEvents() {
+  return getTrackedCalls('event').map(({ name, properties, timestamp }) => ({
+    name,
+    properties,
+    timestamp,
+  }));
+}
+
+/**
+ * Tracked views as { name, properties, timestamp }
+ */
+export function getTrackedViews() {
+  return getTrackedCalls('view').map(({ name, properties, timestamp }) => ({
+    name,
+    properties,
+    timestamp,
+  }));
+}
+
+/**
+ * Assert that an event was tracked
+ * Throws (failing the test) when no tracked event matches.
+ *
+ * @param {string} name - Event name
+ * @param {object|Function} matcher - Subset of expected properties, or a predicate on properties
+ * @returns {{ name: string, properties: object, timestamp: number }} The first matching event
+ */
+export function expectEventTracked(name, matcher) {
+  const events = getTrackedEvents();
+  const match = events.find(
+    (event) => event.name === name && matchesProperties(event.properties, matcher),
+  );
+
+  if (!match) {
+    const tracked = events.map((event) => event.name);
+    throw new Error(
+      `Expected event "${name}" to be tracked${
+        matcher ? ` with ${describeMatcher(matcher)}` : ''
+      }. Tracked events: ${tracked.length ? tracked.join(', ') : '(none)'}`,
+    );
+  }
+  return match;
+}
+
+/**
+ * Assert that no event with this name was tracked
+ */
+export function expectEventNotTracked(name) {
+  const count = getTrackedEvents().filter((event) => event.name === name).length;
+  if (count > 0) {
+    throw new Error(`Expected event "${name}" not to be tracked, but it was tracked ${count} time(s)`);
+  }
+}
+
+/**
+ * Forget recorded calls without re-initializing
+ */
+export function clearTrackedCalls() {
+  getMemoryProvider()?.clear();
+}
+
+/**
+ * Return `analytics` to its pre-init state and reset the
+ * UnifiedAnalytics.instance singleton
+ *
+ * The exported `analytics` object is reset in place so modules that
+ * imported it keep working with the fresh state.
+ */
+export function resetAnalyticsForTests() {
+  analytics.offlineQueue?.stop();
+  for (const provider of analytics.providers.values()) {
+    provider.shutdown?.();
+  }
+
+  for (const key of Object.keys(analytics)) {
+    delete analytics[key];
+  }
+  Object.assign(analytics, new UnifiedAnalytics());
+  UnifiedAnalytics.instance = analytics;
+}
+
+function matchesProperties(properties, matcher) {
+  if (!matcher) return true;
+  if (typeof matcher === 'function') return Boolean(matcher(properties));
+  return isSubset(properties, matcher);
+}
+
+function isSubset(actual, expected) {
+  if (expected === null || typeof expected !== 'object') {
+    return Object.is(actual, expected);
+  }
+  if (actual === null || typeof actual !== 'object') {
+    return false;
+  }
+  return Object.entries(expected).every(([key, value]) => isSubset(actual[key], value));
+}
+
+function describeMatcher(matcher) {
+  return typeof matcher === 'function' ? 'a matching predicate' : JSON.stringify(matcher);
+}
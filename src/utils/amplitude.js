@@ -0,0 +1,111 @@
+/**
+ * Amplitude helpers - Identify operations and revenue fields shared by the
+ * browser and React Native providers
+ */
+
+/**
+ * Amplitude SDK log levels (Types.LogLevel)
+ */
+export const AMPLITUDE_LOG_LEVEL = {
+  warn: 2,
+  debug: 4,
+};
+
+/**
+ * Operation keys accepted in identify / setUserProperties payloads,
+ * mapped to Identify methods. Plain keys are treated as `$set`.
+ *
+ * analytics.identify('user-1', {
+ *   plan: 'pro',                      // set
+ *   $setOnce: { first_seen: '...' },
+ *   $add: { logins: 1 },
+ *   $unset: ['legacy_flag'],
+ * });
+ */
+export const IDENTIFY_OPERATIONS = {
+  $set: 'set',
+  $setOnce: 'setOnce',
+  $add: 'add',
+  $append: 'append',
+  $prepend: 'prepend',
+  $preInsert: 'preInsert',
+  $postInsert: 'postInsert',
+  $remove: 'remove',
+};
+
+/**
+ * Apply user properties (with optional operation keys) to an Identify object
+ * @param {object} identify - Amplitude `new Identify()`
+ * @param {object} properties
+ * @returns {object} The same Identify object
+ */
+export function applyIdentifyOperations(identify, properties) {
+  for (const [key, value] of Object.entries(properties || {})) {
+    if (value === undefined) continue;
+
+    if (key === '$clearAll') {
+      if (value) identify.clearAll();
+    } else if (key === '$unset') {
+      const keys = Array.isArray(value) ? value : Object.keys(value || {});
+      keys.forEach((property) => identify.unset(property));
+    } else if (IDENTIFY_OPERATIONS[key]) {
+      const method = IDENTIFY_OPERATIONS[key];
+      for (const [property, operand] of Object.entries(value || {})) {
+        identify[method](property, operand);
+      }
+    } else {
+      identify.set(key, value);
+    }
+  }
+  return identify;
+}
+
+/**
+ * Pull Segment-style revenue properties into Amplitude event options so
+ * Amplitude counts the event as revenue ('Order Completed' with `revenue`).
+ * Returns null when the event carries no revenue.
+ *
+ * @param {object} properties
+ * @returns {{ revenue?: number, price?: number, quantity?: number, productId?: string, revenueType?: string } | null}
+ */
+export function toRevenueOptions(properties) {
+  if (!properties) return null;
+
+  const revenue = toNumber(properties.revenue);
+  const price = toNumber(properties.price);
+  if (revenue === undefined && price === undefined) return null;
+
+  const quantity = toNumber(properties.quantity);
+  const productId = properties.productId ?? properties.product_id;
+  const revenueType = properties.revenueType ?? properties.revenue_type;
+
+  return {
+    ...(revenue !== undefined ? { revenue } : {}),
+    ...(price !== undefined ? { price } : {}),
+    ...(quantity !== undefined ? { quantity } : {}),
+    ...(productId !== undefined ? { productId: String(productId) } : {}),
+    ...(revenueType !== undefined ? { revenueType: String(revenueType) } : {}),
+  };
+}
+
+/**
+ * Build an Amplitude Revenue object
+ * @param {object} revenue - Amplitude `new Revenue()`
+ * @param {{ price: number, quantity?: number, productId?: string, revenueType?: string, currency?: string, revenue?: number, properties?: object }} options
+ */
+export function buildRevenue(revenue, options) {
+  revenue.setPrice(options.price);
+  revenue.setQuantity(options.quantity ?? 1);
+  if (options.productId !== undefined) revenue.setProductId(String(options.productId));
+  if (options.revenueType !== undefined) revenue.setRevenueType(options.revenueType);
+  if (options.currency !== undefined && revenue.setCurrency) revenue.setCurrency(options.currency);
+  if (options.revenue !== undefined && revenue.setRevenue) revenue.setRevenue(options.revenue);
+  if (options.properties) revenue.setEventProperties(options.properties);
+  return revenue;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
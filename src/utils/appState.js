@@ -0,0 +1,74 @@
+/**
+ * App foreground/background monitor
+ *
+ * Web: document visibilitychange
+ * Native: react-native AppState ('active' is foreground, 'background' and
+ * 'inactive' are not)
+ */
+
+import { getPlatform } from '../platform';
+
+// 'unknown' (iOS, early in launch) counts as foreground
+const isForegroundState = (state) => state !== 'background' && state !== 'inactive';
+
+/**
+ * Create an app state monitor
+ * @returns {Promise<{ isForeground: () => boolean, subscribe: (callback: (foreground: boolean) => void) => () => void }>}
+ */
+export async function createAppStateMonitor() {
+  if (getPlatform() === 'web') {
+    return createWebAppStateMonitor();
+  }
+  return createNativeAppStateMonitor();
+}
+
+function createWebAppStateMonitor() {
+  const hasDocument =
+    typeof document !== 'undefined' && document.addEventListener;
+
+  const isForeground = () =>
+    hasDocument ? document.visibilityState !== 'hidden' : true;
+
+  return {
+    isForeground,
+    subscribe(callback) {
+      if (!hasDocument) return () => {};
+
+      const onChange = () => callback(isForeground());
+      document.addEventListener('visibilitychange', onChange);
+
+      return () => document.removeEventListener('visibilitychange', onChange);
+    },
+  };
+}
+
+async function createNativeAppStateMonitor() {
+  let foreground = true;
+  const listeners = new Set();
+
+  try {
+    // webpackIgnore prevents webpack from bundling react-native on web
+    const { AppState } = await import(/* webpackIgnore: true */ 'react-native');
+
+    foreground = isForegroundState(AppState.currentState);
+    AppState.addEventListener('change', (state) => {
+      const next = isForegroundState(state);
+      if (next !== foreground) {
+        foreground = next;
+        listeners.forEach((callback) => callback(foreground));
+      }
+    });
+  } catch (error) {
+    // AppState unavailable - assume foreground
+  }
+
+  return {
+    isForeground() {
+      return foreground;
+    },
+    subscribe(callback) {
+      listeners.add(callback);
+      return () => listeners.delete(callback);
+    },
+  };
+}
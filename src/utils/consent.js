@@ -0,0 +1,96 @@
+/**
+ * Consent helpers for Unified Analytics
+ *
+ * Consent is tracked per category. Each value is true (granted),
+ * false (denied) or null (pending - the user has not decided yet).
+ */
+
+/**
+ * Supported consent categories
+ * - analytics: events, views, identify, user properties (Countly sessions/events/views/users..., PostHog capture)
+ * - replay: session recording (PostHog)
+ * - errors: error tracking (Countly crashes, trackError)
+ * - location: location tracking (Countly)
+ */
+export const CONSENT_CATEGORIES = ['analytics', 'replay', 'errors', 'location'];
+
+/**
+ * Consent category required by each facade call type
+ * Calls not listed (global properties, reset, groups reset) are always allowed
+ */
+export const CALL_CONSENT_CATEGORIES = {
+  event: 'analytics',
+  view: 'analytics',
+  identify: 'analytics',
+  userProperties: 'analytics',
+  group: 'analytics',
+  alias: 'analytics',
+  startTimer: 'analytics',
+  endTimer: 'analytics',
+  error: 'errors',
+};
+
+export const DEFAULT_CONSENT_STORAGE_KEY = 'unified_analytics_consent';
+
+/**
+ * Normalize consent config
+ */
+export function normalizeConsentConfig(config = {}) {
+  const pending = config.pending || 'hold';
+  if (pending !== 'hold' && pending !== 'drop') {
+    throw new Error(
+      `Invalid consent.pending: "${pending}". Must be "hold" or "drop".`,
+    );
+  }
+
+  return {
+    defaults: config.defaults || {},
+    pending,
+    persist: config.persist !== false,
+    storageKey: config.storageKey || DEFAULT_CONSENT_STORAGE_KEY,
+    storage: config.storage || null,
+    maxHeld: config.maxHeld ?? 100,
+  };
+}
+
+/**
+ * Consent state with every category pending
+ */
+export function createPendingConsent() {
+  const consent = {};
+  for (const category of CONSENT_CATEGORIES) {
+    consent[category] = null;
+  }
+  return consent;
+}
+
+/**
+ * Merge consent updates, ignoring unknown categories
+ */
+export function mergeConsent(current, updates = {}) {
+  const result = { ...current };
+
+  for (const [category, value] of Object.entries(updates)) {
+    if (!CONSENT_CATEGORIES.includes(category)) {
+      console.warn('[UnifiedAnalytics] Unknown consent category:', category);
+      continue;
+    }
+    result[category] = value === null ? null : Boolean(value);
+  }
+
+  return result;
+}
+
+/**
+ * Parse persisted consent, returning {} when missing or corrupt
+ */
+export function parseStoredConsent(value) {
+  if (!value) return {};
+
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * Countly helpers - segmentation rules shared by the web and native providers
+ *
+ * Countly segmentation values can be strings, numbers, booleans or arrays
+ * of one of those types. Numbers and booleans are kept as-is so Countly can
+ * sum and average them; nested objects are flattened into dotted keys.
+ */
+
+export const DEFAULT_SEGMENTATION = {
+  stringify: false, // true: previous behavior, every value as a string
+  maxDepth: 3, // Nesting levels flattened into dotted keys; deeper values are JSON strings
+  separator: '.',
+  maxArrayLength: 10, // Items kept from arrays of primitives
+};
+
+/**
+ * Normalize countly.segmentation
+ */
+export function normalizeSegmentationOptions(option) {
+  return { ...DEFAULT_SEGMENTATION, ...(option || {}) };
+}
+
+const isPrimitive = (value) =>
+  typeof value === 'string' ||
+  typeof value === 'boolean' ||
+  (typeof value === 'number' && Number.isFinite(value));
+
+/**
+ * Convert a leaf value, or return undefined to drop it
+ */
+function toSegmentValue(value) {
+  if (value === null || value === undefined) return undefined;
+  if (isPrimitive(value)) return value;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'number') return String(value); // NaN, Infinity
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Arrays Countly accepts as-is: non-empty, primitives of a single type
+ */
+function isSegmentArray(value) {
+  if (value.length === 0 || !value.every(isPrimitive)) return false;
+  return value.every((item) => typeof item === typeof value[0]);
+}
+
+/**
+ * Convert event properties to Countly segmentation
+ *
+ * { price: 9.5, user: { plan: 'pro', seats: 3 }, tags: ['a', 'b'], items: [{ sku: 'x' }] }
+ * -> { price: 9.5, 'user.plan': 'pro', 'user.seats': 3, tags: ['a', 'b'], 'items.0.sku': 'x' }
+ *
+ * Arrays of one primitive type are kept (up to maxArrayLength items); other
+ * arrays are expanded into indexed keys like objects.
+ *
+ * @param {object} properties
+ * @param {object} options - From normalizeSegmentationOptions
+ * @param {(value: any) => string} stringify - Legacy conversion (stringify: true)
+ */
+export function toCountlySegmentation(properties, options, stringify) {
+  if (!properties) return {};
+
+  if (options.stringify) {
+    const result = {};
+    for (const [key, value] of Object.entries(properties)) {
+      if (value !== undefined) result[key] = stringify(value);
+    }
+    return result;
+  }
+
+  const result = {};
+
+  const add = (key, value, depth) => {
+    if (value === null || value === undefined) return;
+
+    if (Array.isArray(value)) {
+      if (isSegmentArray(value)) {
+        result[key] = value.slice(0, options.maxArrayLength);
+        return;
+      }
+      if (depth >= options.maxDepth) {
+        result[key] = JSON.stringify(value);
+        return;
+      }
+      value.slice(0, options.maxArrayLength).forEach((item, index) => {
+        add(`${key}${options.separator}${index}`, item, depth + 1);
+      });
+      return;
+    }
+
+    if (typeof value === 'object' && !(value instanceof Date)) {
+      if (depth >= options.maxDepth) {
+        result[key] = JSON.stringify(value);
+        return;
+      }
+      for (const [childKey, child] of Object.entries(value)) {
+        add(`${key}${options.separator}${childKey}`, child, depth + 1);
+      }
+      return;
+    }
+
+    const segmentValue = toSegmentValue(value);
+    if (segmentValue !== undefined) result[key] = segmentValue;
+  };
+
+  for (const [key, value] of Object.entries(properties)) {
+    add(key, value, 0);
+  }
+  return result;
+}
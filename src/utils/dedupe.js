@@ -0,0 +1,115 @@
+/**
+ * Duplicate event suppression for Unified Analytics
+ *
+ * Events and views with the same name and properties as one sent within
+ * the window are dropped (double taps, React strict-mode double effects):
+ *
+ * {
+ *   dedupe: {
+ *     window: 1000,                          // ms
+ *     allowlist: ['add_to_cart', 'scroll_*'], // Never deduplicated
+ *   },
+ * }
+ */
+
+import { debounceByKey } from './helpers';
+import { matchesNamePattern } from './sampling';
+
+export const DEDUPE_CALL_TYPES = ['event', 'view'];
+
+export const DEFAULT_DEDUPE = {
+  window: 1000,
+  allowlist: [],
+};
+
+/**
+ * Normalize config.dedupe (true = defaults)
+ * @returns {{ window: number, allowlist: string[] } | null}
+ */
+export function normalizeDedupeConfig(option) {
+  if (!option) return null;
+  if (option === true) return { ...DEFAULT_DEDUPE };
+
+  return {
+    window: option.window ?? DEFAULT_DEDUPE.window,
+    allowlist: option.allowlist || DEFAULT_DEDUPE.allowlist,
+  };
+}
+
+/**
+ * JSON with object keys sorted, so property order does not matter
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Per-call routing ({ providers, exclude } and Segment `integrations`) in
+ * a comparable form - provider names are case-insensitive and their order
+ * does not matter. config.routing rules match by name, which is already
+ * part of the key.
+ */
+function getRoutingKey({ routing, integrations }) {
+  const names = (list) => list && list.map((name) => name.toLowerCase()).sort();
+
+  return stableStringify({
+    providers: names(routing?.providers),
+    exclude: names(routing?.exclude),
+    integrations:
+      integrations &&
+      Object.fromEntries(
+        Object.entries(integrations).map(([key, enabled]) => [key.toLowerCase(), enabled]),
+      ),
+  });
+}
+
+/**
+ * Key identifying identical calls - the same event sent to different
+ * providers is not a duplicate
+ */
+export function getDuplicateKey(call) {
+  return `${call.type}:${call.name}:${stableStringify(call.properties || {})}:${getRoutingKey(call)}`;
+}
+
+/**
+ * Create a duplicate filter
+ * @param {{ window: number, allowlist: string[] }} options - From normalizeDedupeConfig
+ */
+export function createDuplicateFilter({ window, allowlist }) {
+  const recent = debounceByKey(window);
+  const stats = { suppressed: 0, byName: {} };
+
+  return {
+    /**
+     * @returns {boolean} False when the call duplicates a recent one
+     */
+    accept(call) {
+      if (!DEDUPE_CALL_TYPES.includes(call.type)) return true;
+      if (allowlist.some((pattern) => matchesNamePattern(pattern, call.name))) {
+        return true;
+      }
+
+      if (recent.accept(getDuplicateKey(call), call.timestamp)) {
+        return true;
+      }
+
+      stats.suppressed += 1;
+      stats.byName[call.name] = (stats.byName[call.name] || 0) + 1;
+      return false;
+    },
+
+    getStats() {
+      return { suppressed: stats.suppressed, byName: { ...stats.byName } };
+    },
+  };
+}
@@ -0,0 +1,63 @@
+/**
+ * Event bus for observing analytics activity from app code
+ * (debug panels, mirroring to a logger, ...)
+ */
+
+/**
+ * Events emitted by the orchestrator
+ * - event, view, identify, error, reset: after middleware, with the
+ *   providers that accepted or failed the call
+ * - providerError: a provider reported an error (SDK failure, thrown call)
+ */
+export const BUS_CALL_TYPES = ['event', 'view', 'identify', 'error', 'reset'];
+export const BUS_EVENTS = [...BUS_CALL_TYPES, 'providerError'];
+
+/**
+ * Create an event bus
+ * @param {{ onListenerError?: (error: Error, type: string) => void }} options
+ */
+export function createEventBus({ onListenerError = () => {} } = {}) {
+  const listeners = new Map(); // Map<type, Set<handler>>
+
+  const assertType = (type) => {
+    if (!BUS_EVENTS.includes(type)) {
+      throw new Error(
+        `Unknown analytics event "${type}" (expected ${BUS_EVENTS.join(', ')})`,
+      );
+    }
+  };
+
+  return {
+    on(type, handler) {
+      assertType(type);
+      if (typeof handler !== 'function') {
+        throw new Error('Analytics event handler must be a function');
+      }
+
+      if (!listeners.has(type)) listeners.set(type, new Set());
+      listeners.get(type).add(handler);
+    },
+
+    off(type, handler) {
+      assertType(type);
+      listeners.get(type)?.delete(handler);
+    },
+
+    /**
+     * Whether anyone listens (lets callers skip building payloads)
+     */
+    has(type) {
+      return (listeners.get(type)?.size ?? 0) > 0;
+    },
+
+    emit(type, payload) {
+      for (const handler of [...(listeners.get(type) || [])]) {
+        try {
+          handler(payload);
+        } catch (error) {
+          onListenerError(error, type);
+        }
+      }
+    },
+  };
+}
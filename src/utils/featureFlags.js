@@ -0,0 +1,76 @@
+/**
+ * Feature flag change registry
+ *
+ * Listeners receive the flags that changed since the last emission as
+ * { key: { previous, current } }, plus the full merged flags. The first
+ * load is always emitted, even when nothing changed (e.g. flags restored
+ * from a cache), so subscribers can tell that flags have arrived.
+ */
+
+/**
+ * Flags added, removed or changed between two flag maps
+ * @returns {Object<string, { previous: any, current: any }>}
+ */
+export function diffFeatureFlags(previous = {}, current = {}) {
+  const changes = {};
+  const keys = new Set([...Object.keys(previous), ...Object.keys(current)]);
+
+  for (const key of keys) {
+    if (JSON.stringify(previous[key]) !== JSON.stringify(current[key])) {
+      changes[key] = { previous: previous[key], current: current[key] };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Create a feature flag change registry
+ * @param {{ onListenerError?: (error: Error) => void }} options
+ */
+export function createFeatureFlagRegistry({ onListenerError = () => {} } = {}) {
+  const listeners = new Set();
+  let snapshot = {}; // Flags at the last emission
+  let loaded = false;
+
+  return {
+    /**
+     * @param {(changes: object, flags: object) => void} callback
+     * @returns {() => void} Unsubscribe
+     */
+    subscribe(callback) {
+      listeners.add(callback);
+      return () => listeners.delete(callback);
+    },
+
+    /**
+     * Record flags without notifying (values known before the first load)
+     */
+    prime(flags) {
+      snapshot = { ...flags };
+    },
+
+    /**
+     * Notify listeners of the flags that changed since the last emission
+     */
+    update(flags) {
+      const changes = diffFeatureFlags(snapshot, flags);
+      const firstLoad = !loaded;
+
+      loaded = true;
+      snapshot = { ...flags };
+      if (!firstLoad && Object.keys(changes).length === 0) return;
+
+      for (const callback of [...listeners]) {
+        try {
+          callback(changes, { ...flags });
+        } catch (error) {
+          onListenerError(error);
+        }
+      }
+    },
+
+    isLoaded() {
+      return loaded;
+    },
+  };
+}
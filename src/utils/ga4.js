@@ -0,0 +1,219 @@
+/**
+ * GA4 helpers - naming rules, collection limits and semantic event mapping
+ * shared by the gtag (web) and Measurement Protocol (native) providers
+ */
+
+/**
+ * GA4 collection limits
+ * https://support.google.com/analytics/answer/9267744
+ */
+export const GA4_LIMITS = {
+  eventNameLength: 40,
+  paramNameLength: 40,
+  paramValueLength: 100,
+  paramsPerEvent: 25,
+  userPropertyNameLength: 24,
+  userPropertyValueLength: 36,
+  userProperties: 25,
+  userIdLength: 256,
+  eventsPerRequest: 25,
+  eventAgeMs: 72 * 60 * 60 * 1000, // Oldest timestamp_micros the Measurement Protocol accepts
+};
+
+/**
+ * Prefixes GA4 reserves for its own events and parameters
+ */
+const RESERVED_PREFIXES = ['google_', 'ga_', 'firebase_'];
+
+/**
+ * Event names GA4 rejects from custom code
+ */
+const RESERVED_EVENT_NAMES = [
+  'ad_activeview',
+  'ad_click',
+  'ad_exposure',
+  'ad_query',
+  'ad_reward',
+  'adunit_exposure',
+  'app_background',
+  'app_clear_data',
+  'app_exception',
+  'app_remove',
+  'app_store_refund',
+  'app_update',
+  'app_upgrade',
+  'dynamic_link_app_open',
+  'dynamic_link_app_update',
+  'dynamic_link_first_open',
+  'error',
+  'first_open',
+  'first_visit',
+  'in_app_purchase',
+  'notification_dismiss',
+  'notification_foreground',
+  'notification_open',
+  'notification_receive',
+  'os_update',
+  'session_start',
+  'session_start_with_rollout',
+  'user_engagement',
+];
+
+/**
+ * Segment semantic events -> GA4 recommended events
+ */
+const SEMANTIC_EVENT_NAMES = {
+  'Products Searched': 'search',
+  'Product List Viewed': 'view_item_list',
+  'Promotion Viewed': 'view_promotion',
+  'Promotion Clicked': 'select_promotion',
+  'Product Clicked': 'select_item',
+  'Product Viewed': 'view_item',
+  'Product Added': 'add_to_cart',
+  'Product Removed': 'remove_from_cart',
+  'Cart Viewed': 'view_cart',
+  'Checkout Started': 'begin_checkout',
+  'Payment Info Entered': 'add_payment_info',
+  'Order Completed': 'purchase',
+  'Order Refunded': 'refund',
+  'Product Added to Wishlist': 'add_to_wishlist',
+  'Product Shared': 'share',
+  'Signed Up': 'sign_up',
+  'Signed In': 'login',
+};
+
+/**
+ * Segment property -> GA4 parameter for recommended events
+ */
+const SEMANTIC_PARAM_NAMES = {
+  order_id: 'transaction_id',
+  revenue: 'value',
+  total: 'value',
+  query: 'search_term',
+  products: 'items',
+  list_id: 'item_list_id',
+};
+
+/**
+ * Clean a name for GA4: letters, digits and underscores, starting with a
+ * letter, truncated to maxLength
+ */
+export function toGA4Name(name, maxLength) {
+  let result = String(name)
+    .trim()
+    .replace(/[^a-zA-Z0-9_]+/g, '_')
+    .replace(/^[^a-zA-Z]+/, '');
+
+  for (const prefix of RESERVED_PREFIXES) {
+    if (result.toLowerCase().startsWith(prefix)) {
+      result = result.slice(prefix.length);
+    }
+  }
+  return result.slice(0, maxLength);
+}
+
+/**
+ * Clean an event name; reserved names get a `custom_` prefix
+ */
+export function toGA4EventName(name) {
+  const result = toGA4Name(name, GA4_LIMITS.eventNameLength) || 'event';
+  return RESERVED_EVENT_NAMES.includes(result)
+    ? `custom_${result}`.slice(0, GA4_LIMITS.eventNameLength)
+    : result;
+}
+
+function toGA4Value(value, maxLength) {
+  if (value === null || value === undefined) return undefined;
+  if (typeof value === 'number' || typeof value === 'boolean') return value;
+  if (typeof value === 'string') return value.slice(0, maxLength);
+  return JSON.stringify(value).slice(0, maxLength);
+}
+
+/**
+ * Clean event parameters: GA4 names, string values truncated, at most
+ * 25 parameters. `items` keeps its array form (e-commerce).
+ */
+export function toGA4Params(params) {
+  const result = {};
+  for (const [key, value] of Object.entries(params || {})) {
+    if (Object.keys(result).length >= GA4_LIMITS.paramsPerEvent) break;
+
+    const name = toGA4Name(key, GA4_LIMITS.paramNameLength);
+    if (!name) continue;
+
+    if (name === 'items' && Array.isArray(value)) {
+      result.items = value;
+      continue;
+    }
+
+    const cleaned = toGA4Value(value, GA4_LIMITS.paramValueLength);
+    if (cleaned !== undefined) result[name] = cleaned;
+  }
+  return result;
+}
+
+/**
+ * Clean user properties: 24-char names, 36-char values, at most 25
+ */
+export function toGA4UserProperties(properties) {
+  const result = {};
+  for (const [key, value] of Object.entries(properties || {})) {
+    if (Object.keys(result).length >= GA4_LIMITS.userProperties) break;
+
+    const name = toGA4Name(key, GA4_LIMITS.userPropertyNameLength);
+    if (!name) continue;
+
+    const cleaned = toGA4Value(value, GA4_LIMITS.userPropertyValueLength);
+    if (cleaned !== undefined) result[name] = cleaned;
+  }
+  return result;
+}
+
+/**
+ * Map a Segment semantic event to the GA4 recommended event and params
+ * Unmapped events fall back to a snake_case name
+ */
+export function toGA4SemanticEvent(name, properties) {
+  const recommended = SEMANTIC_EVENT_NAMES[name];
+  if (!recommended) {
+    return { name: toGA4EventName(name.toLowerCase()), properties };
+  }
+
+  const params = {};
+  for (const [key, value] of Object.entries(properties || {})) {
+    const param = SEMANTIC_PARAM_NAMES[key] || key;
+    if (param === 'items' && Array.isArray(value)) {
+      params.items = value.map(toGA4Item);
+    } else if (params[param] === undefined) {
+      params[param] = value;
+    }
+  }
+  return { name: recommended, properties: params };
+}
+
+/**
+ * Segment product -> GA4 item
+ */
+function toGA4Item(product) {
+  const { product_id, sku, name, price, quantity, category, brand, variant, coupon, position, ...rest } = product || {};
+  return {
+    item_id: product_id ?? sku,
+    item_name: name,
+    price,
+    quantity,
+    item_category: category,
+    item_brand: brand,
+    item_variant: variant,
+    coupon,
+    index: position,
+    ...rest,
+  };
+}
+
+/**
+ * Facade consent -> GA4 consent mode
+ */
+export function toGA4Consent(consent) {
+  const state = (value) => (value === true ? 'granted' : 'denied');
+  return { analytics_storage: state(consent.analytics) };
+}
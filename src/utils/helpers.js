@@ -2,6 +2,12 @@
  * Helper utilities for Unified Analytics
  */
 
+import { validateEventLimitsConfig } from './sampling';
+import { validateRedactionConfig } from './redaction';
+import { validateRoutingRules } from './routing';
+import { validateNamingConfig } from './naming';
+import { validateTrackingPlan } from './trackingPlan';
+
 /**
  * Create a logger with debug flag
  */
@@ -34,6 +40,20 @@ export function safeString(value) {
   return String(value);
 }
 
+/**
+ * Random id (UUID v4) for messages and anonymous users
+ */
+export function createId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+    const random = (Math.random() * 16) | 0;
+    const value = char === 'x' ? random : (random & 0x3) | 0x8;
+    return value.toString(16);
+  });
+}
+
 /**
  * Validate configuration
  */
@@ -41,8 +61,18 @@ export function validateConfig(config) {
   const errors = [];
 
   // At least one provider must be configured
-  if (!config.countly && !config.posthog) {
-    errors.push('At least one provider (countly or posthog) must be configured');
+  const hasCustomProviders = Object.values(config.providers || {}).some(Boolean);
+  const hasBuiltInProviders =
+    config.countly ||
+    config.posthog ||
+    config.http ||
+    config.ga4 ||
+    config.mixpanel ||
+    config.amplitude;
+  if (!hasBuiltInProviders && !hasCustomProviders) {
+    errors.push(
+      'At least one provider (countly, posthog, http, ga4, mixpanel, amplitude or config.providers) must be configured',
+    );
   }
 
   // Validate Countly config
@@ -62,6 +92,64 @@ export function validateConfig(config) {
     }
   }
 
+  // Validate GA4 config
+  if (config.ga4) {
+    if (!config.ga4.measurementId) {
+      errors.push('ga4.measurementId is required');
+    }
+  }
+
+  // Validate Mixpanel config
+  if (config.mixpanel) {
+    if (!config.mixpanel.token) {
+      errors.push('mixpanel.token is required');
+    }
+  }
+
+  // Validate Amplitude config
+  if (config.amplitude) {
+    if (!config.amplitude.apiKey) {
+      errors.push('amplitude.apiKey is required');
+    }
+  }
+
+  // Validate HTTP collector config
+  if (config.http) {
+    if (!config.http.url) {
+      errors.push('http.url is required');
+    }
+  }
+
+  // Validate feature flag precedence
+  if (config.featureFlags?.precedence && !Array.isArray(config.featureFlags.precedence)) {
+    errors.push('featureFlags.precedence must be an array of provider names');
+  }
+
+  // Validate duplicate suppression
+  if (config.dedupe && typeof config.dedupe === 'object') {
+    if (config.dedupe.window !== undefined && !(config.dedupe.window > 0)) {
+      errors.push('dedupe.window must be a positive number of milliseconds');
+    }
+    if (config.dedupe.allowlist && !Array.isArray(config.dedupe.allowlist)) {
+      errors.push('dedupe.allowlist must be an array of event names');
+    }
+  }
+
+  // Validate the tracking plan (mode, pattern regular expressions)
+  errors.push(...validateTrackingPlan(config.trackingPlan));
+
+  // Validate sampling and rate limits
+  errors.push(...validateEventLimitsConfig(config));
+
+  // Validate PII redaction
+  errors.push(...validateRedactionConfig(config.redaction));
+
+  // Validate provider routing rules
+  errors.push(...validateRoutingRules(config.routing));
+
+  // Validate per-provider naming
+  errors.push(...validateNamingConfig(config.naming));
+
   return {
     valid: errors.length === 0,
     errors,
@@ -99,19 +187,71 @@ export function deepMerge(target, source) {
 
 /**
  * Debounce function
+ * With `maxWait`, a steady stream of calls still runs `func` at least
+ * once every `maxWait` ms.
  */
-export function debounce(func, wait) {
+export function debounce(func, wait, { maxWait } = {}) {
   let timeout = null;
+  let burstStartedAt = null;
 
   return function executedFunction(...args) {
     const later = () => {
       timeout = null;
+      burstStartedAt = null;
       func(...args);
     };
 
     if (timeout) {
       clearTimeout(timeout);
     }
-    timeout = setTimeout(later, wait);
+
+    const now = Date.now();
+    if (burstStartedAt === null) {
+      burstStartedAt = now;
+    }
+    const delay =
+      maxWait === undefined
+        ? wait
+        : Math.min(wait, Math.max(burstStartedAt + maxWait - now, 0));
+    timeout = setTimeout(later, delay);
+  };
+}
+
+/**
+ * Keyed, leading-edge counterpart of debounce()
+ * The first call for a key passes; repeats of that key within `wait` ms
+ * of it are rejected. Keys expire on their own, so no timers are kept.
+ *
+ * @param {number} wait - Window in ms
+ * @returns {{ accept: (key: string, time?: number) => boolean, clear: () => void }}
+ */
+export function debounceByKey(wait) {
+  const passedAt = new Map(); // Map<key, time of the call that passed>
+
+  // Keys are kept in the order they passed, so expired ones are at the front
+  const prune = (time) => {
+    for (const [key, at] of passedAt) {
+      if (time - at < wait) break;
+      passedAt.delete(key);
+    }
+  };
+
+  return {
+    accept(key, time = Date.now()) {
+      prune(time);
+
+      const at = passedAt.get(key);
+      if (at !== undefined && Math.abs(time - at) < wait) {
+        return false;
+      }
+
+      passedAt.delete(key);
+      passedAt.set(key, time);
+      return true;
+    },
+
+    clear() {
+      passedAt.clear();
+    },
   };
 }
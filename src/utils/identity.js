@@ -0,0 +1,55 @@
+/**
+ * Identity helpers - persisted facade identity and cross-provider linking
+ */
+
+export const DEFAULT_IDENTITY_STORAGE_KEY = 'unified_analytics_identity';
+
+/**
+ * Person properties written to each provider so its data can be joined
+ * with the other: Countly gets the PostHog distinct id and vice versa
+ */
+export const IDENTITY_LINK_PROPERTIES = {
+  countly: 'posthog_distinct_id',
+  posthog: 'countly_device_id',
+};
+
+/**
+ * Countly temporary device ids (web, native) - nothing to link while in
+ * temporary device id mode
+ */
+export const COUNTLY_TEMPORARY_DEVICE_IDS = ['[CLY]_temp_id', 'CLYTemporaryDeviceID'];
+
+/**
+ * Normalize identity config
+ * `persist` is undefined unless set: identity is then persisted only where
+ * storage is available, without a warning when it is not
+ * @param {{ stitching?: boolean, persist?: boolean, storageKey?: string, storage?: object }} config
+ */
+export function normalizeIdentityConfig(config = {}) {
+  return {
+    stitching: config.stitching !== false,
+    persist: config.persist,
+    storageKey: config.storageKey || DEFAULT_IDENTITY_STORAGE_KEY,
+    storage: config.storage || null,
+  };
+}
+
+/**
+ * Parse persisted identity, ignoring anything malformed
+ * @returns {{ userId?: string, anonymousId?: string }}
+ */
+export function parseStoredIdentity(raw) {
+  if (!raw) return {};
+
+  try {
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== 'object') return {};
+
+    const identity = {};
+    if (typeof parsed.userId === 'string') identity.userId = parsed.userId;
+    if (typeof parsed.anonymousId === 'string') identity.anonymousId = parsed.anonymousId;
+    return identity;
+  } catch (error) {
+    return {};
+  }
+}
@@ -0,0 +1,21 @@
+/**
+ * In-memory storage adapter
+ *
+ * Used when no persistent storage is available (SSR, missing AsyncStorage).
+ * Data does not survive reloads.
+ */
+export function createMemoryStorage() {
+  const data = new Map();
+
+  return {
+    async getItem(key) {
+      return data.has(key) ? data.get(key) : null;
+    },
+    async setItem(key, value) {
+      data.set(key, String(value));
+    },
+    async removeItem(key) {
+      data.delete(key);
+    },
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * Middleware utilities for Unified Analytics
+ *
+ * Middleware are functions `(event, next)` run in registration order.
+ * Call `next()` to continue (optionally with a replacement event), or
+ * skip it to drop the event.
+ */
+
+/**
+ * Call types that pass through the middleware pipeline
+ */
+export const MIDDLEWARE_CALL_TYPES = ['event', 'view', 'error'];
+
+/**
+ * Normalize a middleware registration into { handler, providers }
+ *
+ * Accepts a function or { handler, providers } where providers limits
+ * the middleware to the listed provider names.
+ */
+export function normalizeMiddleware(entry, options = {}) {
+  const handler = typeof entry === 'function' ? entry : entry?.handler;
+  const providers =
+    (typeof entry === 'function' ? options.providers : entry?.providers) ||
+    null;
+
+  if (typeof handler !== 'function') {
+    throw new Error('Middleware must be a function or { handler, providers }');
+  }
+  if (providers !== null && !Array.isArray(providers)) {
+    throw new Error('Middleware providers must be an array of provider names');
+  }
+
+  return { handler, providers };
+}
+
+/**
+ * Copy a call so middleware can mutate it without touching caller objects
+ * or the copies delivered to other providers
+ */
+export function cloneCall(call) {
+  return {
+    ...call,
+    ...(call.properties ? { properties: { ...call.properties } } : {}),
+    ...(call.error
+      ? {
+          error: {
+            ...call.error,
+            segments: { ...(call.error.segments || {}) },
+          },
+        }
+      : {}),
+  };
+}
+
+/**
+ * Run an event through a middleware chain
+ *
+ * @param {Array<{ handler: Function }>} chain - Middleware in execution order
+ * @param {object} event - Event passed to the first middleware
+ * @param {Function} done - Called with the final event if no middleware dropped it
+ * @param {Function} onError - Called when a middleware throws or its returned
+ *   promise rejects (the event is dropped unless next() already ran)
+ *
+ * Errors thrown synchronously by `done` (delivery) are not middleware
+ * errors: they propagate to the caller of runMiddleware.
+ */
+export function runMiddleware(chain, event, done, onError) {
+  const step = (index, current) => {
+    if (!current) return;
+    if (index >= chain.length) {
+      done(current);
+      return;
+    }
+
+    let called = false;
+    let downstreamError = null; // Thrown by later middleware or done()
+    const next = (nextEvent = current) => {
+      if (called) return;
+      called = true;
+      try {
+        step(index + 1, nextEvent);
+      } catch (error) {
+        downstreamError = { error };
+        throw error;
+      }
+    };
+
+    let result;
+    try {
+      result = chain[index].handler(current, next);
+    } catch (error) {
+      if (downstreamError) throw downstreamError.error;
+      onError(error);
+      return;
+    }
+
+    // Async middleware: a rejection has no caller left to propagate to
+    if (typeof result?.then === 'function') {
+      result.then(undefined, onError);
+    }
+  };
+
+  step(0, event);
+}
@@ -0,0 +1,170 @@
+/**
+ * Per-provider event naming for Unified Analytics
+ *
+ * Events are tracked under one canonical name; each provider can receive
+ * them in its own convention, with explicit mappings taking precedence:
+ *
+ * {
+ *   naming: {
+ *     posthog: { events: 'snake_case', properties: 'snake_case' },
+ *     countly: {
+ *       events: 'Title Case',
+ *       map: {
+ *         events: { checkout_started: 'Checkout Began' },
+ *         properties: { userTier: 'Tier' },
+ *       },
+ *     },
+ *     warehouse: { events: (name) => `app.${name}` },
+ *   },
+ * }
+ */
+
+import { toSnakeCase } from './segment';
+
+/**
+ * Name length limits enforced even without naming config
+ * (Countly's SDK truncates keys longer than 128 characters)
+ */
+export const PROVIDER_NAME_LIMITS = {
+  countly: 128,
+};
+
+/**
+ * 'checkoutStarted', 'checkout-started', 'Checkout Started' -> ['checkout', 'started']
+ */
+function splitWords(name) {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word.toLowerCase());
+}
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+/**
+ * 'checkout_started' -> 'checkoutStarted'
+ */
+export function toCamelCase(name) {
+  const [first = '', ...rest] = splitWords(name);
+  return first + rest.map(capitalize).join('');
+}
+
+/**
+ * 'checkout_started' -> 'Checkout Started'
+ */
+export function toTitleCase(name) {
+  return splitWords(name).map(capitalize).join(' ');
+}
+
+export const NAMING_CONVENTIONS = {
+  snake_case: toSnakeCase,
+  camelCase: toCamelCase,
+  'Title Case': toTitleCase,
+};
+
+const isConvention = (value) =>
+  value === undefined || typeof value === 'function' || value in NAMING_CONVENTIONS;
+
+const resolveConvention = (value) =>
+  typeof value === 'function' ? value : NAMING_CONVENTIONS[value] || null;
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Validate config.naming
+ * @returns {string[]} Errors (empty when valid)
+ */
+export function validateNamingConfig(naming) {
+  if (!naming) return [];
+
+  const errors = [];
+  const expected = `${Object.keys(NAMING_CONVENTIONS).join(', ')} or a function`;
+  for (const [provider, options] of Object.entries(naming)) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      errors.push(`naming.${provider} must be an object`);
+      continue;
+    }
+    for (const field of ['events', 'properties']) {
+      if (!isConvention(options[field])) {
+        errors.push(`naming.${provider}.${field} must be ${expected}`);
+      }
+    }
+    if (options.maxLength !== undefined && !(options.maxLength > 0)) {
+      errors.push(`naming.${provider}.maxLength must be a positive number`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Create the naming rules for one provider
+ * Mapped names are used as-is; names starting with '$' (provider-reserved,
+ * e.g. `$duration`) are never converted.
+ *
+ * Two properties converted to the same name (`userId` and `user_id` under
+ * snake_case) keep the last value; onCollision is called once per pair.
+ *
+ * @param {string} providerName
+ * @param {{ events?: string|Function, properties?: string|Function, map?: { events?: object, properties?: object }, maxLength?: number }} [naming]
+ * @param {(name: string, keys: string[]) => void} [onCollision]
+ * @returns {{ eventName: (canonical: string, name: string) => string, properties: (properties: object) => object } | null}
+ *   null when the provider keeps names unchanged
+ */
+export function createProviderNaming(providerName, naming, onCollision) {
+  const options = naming || {};
+  const eventConvention = resolveConvention(options.events);
+  const propertyConvention = resolveConvention(options.properties);
+  const eventMap = options.map?.events || {};
+  const propertyMap = options.map?.properties || {};
+  const maxLength = options.maxLength ?? PROVIDER_NAME_LIMITS[providerName] ?? null;
+
+  const configured =
+    eventConvention ||
+    propertyConvention ||
+    Object.keys(eventMap).length > 0 ||
+    Object.keys(propertyMap).length > 0;
+  if (!configured && !maxLength) return null;
+
+  const limit = (name) =>
+    maxLength && name.length > maxLength ? name.slice(0, maxLength) : name;
+
+  const reported = new Set();
+  const reportCollision = (name, keys) => {
+    const id = JSON.stringify(keys);
+    if (!onCollision || reported.has(id)) return;
+    reported.add(id);
+    onCollision(name, keys);
+  };
+
+  const convert = (name, map, convention) => {
+    if (hasOwn(map, name)) return limit(map[name]);
+    if (!convention || name.startsWith('$')) return limit(name);
+    return limit(convention(name));
+  };
+
+  return {
+    /**
+     * @param {string} canonical - Name passed to trackEvent
+     * @param {string} name - Name after semantic event translation
+     */
+    eventName(canonical, name) {
+      if (hasOwn(eventMap, canonical)) return limit(eventMap[canonical]);
+      return convert(name, eventMap, eventConvention);
+    },
+
+    properties(properties) {
+      if (!properties) return properties;
+
+      const result = {};
+      const sources = {};
+      for (const [key, value] of Object.entries(properties)) {
+        const name = convert(key, propertyMap, propertyConvention);
+        if (hasOwn(sources, name)) reportCollision(name, [sources[name], key]);
+        sources[name] = key;
+        result[name] = value;
+      }
+      return result;
+    },
+  };
+}
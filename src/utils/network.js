@@ -0,0 +1,83 @@
+/**
+ * Network status monitor
+ *
+ * Web: navigator.onLine + online/offline events
+ * Native: @react-native-community/netinfo when installed, otherwise
+ * the device is assumed to be online
+ */
+
+import { getPlatform } from '../platform';
+
+/**
+ * Create a network monitor
+ * @returns {Promise<{ isOnline: () => boolean, subscribe: (callback: (online: boolean) => void) => () => void }>}
+ */
+export async function createNetworkMonitor() {
+  if (getPlatform() === 'web') {
+    return createWebNetworkMonitor();
+  }
+  return createNativeNetworkMonitor();
+}
+
+function createWebNetworkMonitor() {
+  const hasNavigator = typeof navigator !== 'undefined';
+  const hasWindow = typeof window !== 'undefined' && window.addEventListener;
+
+  return {
+    isOnline() {
+      return hasNavigator && navigator.onLine !== undefined
+        ? navigator.onLine
+        : true;
+    },
+    subscribe(callback) {
+      if (!hasWindow) return () => {};
+
+      const onOnline = () => callback(true);
+      const onOffline = () => callback(false);
+      window.addEventListener('online', onOnline);
+      window.addEventListener('offline', onOffline);
+
+      return () => {
+        window.removeEventListener('online', onOnline);
+        window.removeEventListener('offline', onOffline);
+      };
+    },
+  };
+}
+
+async function createNativeNetworkMonitor() {
+  let online = true;
+  const listeners = new Set();
+
+  try {
+    // webpackIgnore prevents webpack from bundling NetInfo on web
+    const NetInfoModule = await import(
+      /* webpackIgnore: true */ '@react-native-community/netinfo'
+    );
+    const NetInfo = NetInfoModule.default || NetInfoModule;
+
+    const toOnline = (state) =>
+      state.isConnected !== false && state.isInternetReachable !== false;
+
+    online = toOnline(await NetInfo.fetch());
+    NetInfo.addEventListener((state) => {
+      const next = toOnline(state);
+      if (next !== online) {
+        online = next;
+        listeners.forEach((callback) => callback(online));
+      }
+    });
+  } catch (error) {
+    // NetInfo not installed - assume online
+  }
+
+  return {
+    isOnline() {
+      return online;
+    },
+    subscribe(callback) {
+      listeners.add(callback);
+      return () => listeners.delete(callback);
+    },
+  };
+}
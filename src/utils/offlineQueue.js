@@ -0,0 +1,239 @@
+/**
+ * Offline queue - durable per-provider delivery queue
+ *
+ * Holds calls that could not be delivered to a provider (offline,
+ * provider SDK not loaded, delivery error) in persistent storage and
+ * retries them with exponential backoff. Entries keep the timestamp of
+ * the original call and survive reloads and app restarts.
+ */
+
+import { debounce } from './helpers';
+
+/**
+ * Default offline queue settings (overridable via config.offlineQueue)
+ */
+export const DEFAULT_OFFLINE_QUEUE = {
+  enabled: true,
+  maxSize: 1000,
+  maxAttempts: 10,
+  baseDelayMs: 1000,
+  maxDelayMs: 60000,
+  maxAgeMs: 7 * 24 * 60 * 60 * 1000, // 7 days
+  storageKey: 'unified_analytics_offline_queue',
+  storage: null,
+};
+
+/**
+ * Create an offline queue
+ *
+ * @param {object} params
+ * @param {object} params.options - Normalized offline queue settings
+ * @param {object} params.storage - { getItem, setItem, removeItem }
+ * @param {(provider: string) => boolean} params.canDeliver - Online and provider ready
+ * @param {(provider: string, call: object) => void} params.deliver - Throws when the
+ *   provider fails or reports an error for the call
+ * @param {object} params.logger
+ */
+export function createOfflineQueue({ options, storage, canDeliver, deliver, logger }) {
+  let entries = []; // Array<{ id, provider, call, timestamp, attempts, nextAttemptAt }>
+  let timer = null;
+  let sequence = 0;
+
+  // maxWait: keep writing while calls are queued faster than every 250 ms
+  const persist = debounce(
+    () => {
+      const value = JSON.stringify(entries);
+      Promise.resolve()
+        .then(() => storage.setItem(options.storageKey, value))
+        .catch((error) => logger.error('Persisting offline queue failed:', error));
+    },
+    250,
+    { maxWait: 1000 },
+  );
+
+  function backoff(attempts) {
+    const delay = Math.min(
+      options.baseDelayMs * 2 ** Math.max(attempts - 1, 0),
+      options.maxDelayMs,
+    );
+    // Jitter between 50% and 100% of the delay
+    return delay / 2 + Math.random() * (delay / 2);
+  }
+
+  function prune(now) {
+    const before = entries.length;
+    entries = entries.filter((entry) => now - entry.timestamp <= options.maxAgeMs);
+    if (entries.length < before) {
+      logger.log(`Offline queue dropped ${before - entries.length} expired call(s)`);
+    }
+  }
+
+  /**
+   * Wake up when the first queued call of some provider is due - later
+   * calls wait behind it. Providers that cannot receive calls (offline,
+   * not ready) are polled every maxDelayMs.
+   */
+  function schedule() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (entries.length === 0) return;
+
+    const now = Date.now();
+    const retryAt = new Map(); // Map<provider, time its first entry can be tried>
+    for (const entry of entries) {
+      if (retryAt.has(entry.provider)) continue;
+      retryAt.set(
+        entry.provider,
+        canDeliver(entry.provider)
+          ? entry.nextAttemptAt
+          : Math.max(entry.nextAttemptAt, now + options.maxDelayMs),
+      );
+    }
+    timer = setTimeout(flush, Math.max(Math.min(...retryAt.values()) - now, 0));
+  }
+
+  /**
+   * Try to deliver due entries, preserving order per provider
+   */
+  function flush() {
+    timer = null;
+    const now = Date.now();
+    prune(now);
+
+    const blocked = new Set(); // Providers with an undelivered earlier entry
+    const remaining = [];
+    let delivered = 0;
+
+    for (const entry of entries) {
+      if (
+        blocked.has(entry.provider) ||
+        entry.nextAttemptAt > now ||
+        !canDeliver(entry.provider)
+      ) {
+        blocked.add(entry.provider);
+        remaining.push(entry);
+        continue;
+      }
+
+      try {
+        deliver(entry.provider, entry.call);
+        delivered++;
+      } catch (error) {
+        entry.attempts++;
+        if (entry.attempts >= options.maxAttempts) {
+          logger.error(
+            `Offline queue giving up on ${entry.call.type} for "${entry.provider}" after ${entry.attempts} attempts:`,
+            error,
+          );
+          continue;
+        }
+        entry.nextAttemptAt = now + backoff(entry.attempts);
+        blocked.add(entry.provider);
+        remaining.push(entry);
+      }
+    }
+
+    entries = remaining;
+    if (delivered > 0) {
+      logger.log(`Offline queue delivered ${delivered} call(s)`);
+    }
+    persist();
+    schedule();
+  }
+
+  return {
+    /**
+     * Restore entries persisted by a previous session
+     */
+    async load() {
+      try {
+        const stored = JSON.parse(
+          (await storage.getItem(options.storageKey)) || '[]',
+        );
+        if (Array.isArray(stored) && stored.length > 0) {
+          entries = [...stored, ...entries].slice(-options.maxSize);
+          logger.log(`Offline queue restored ${stored.length} call(s)`);
+        }
+      } catch (error) {
+        logger.error('Loading offline queue failed:', error);
+      }
+      prune(Date.now());
+      schedule();
+    },
+
+    /**
+     * Queue a call for a provider
+     * @param {string} provider
+     * @param {object} call
+     * @param {{ failed?: boolean }} options - failed: delivery already threw once
+     */
+    enqueue(provider, call, { failed = false } = {}) {
+      const now = Date.now();
+      const attempts = failed ? 1 : 0;
+      entries.push({
+        id: `${now}-${sequence++}`,
+        provider,
+        call,
+        timestamp: call.timestamp ?? now,
+        attempts,
+        nextAttemptAt: failed ? now + backoff(attempts) : now,
+      });
+
+      if (entries.length > options.maxSize) {
+        const dropped = entries.shift();
+        logger.log('Offline queue full, dropping oldest call:', dropped.call.type);
+      }
+
+      persist();
+      schedule();
+    },
+
+    /**
+     * Check whether a provider has queued calls (new calls must queue behind them)
+     */
+    hasPending(provider) {
+      return entries.some((entry) => entry.provider === provider);
+    },
+
+    flush,
+
+    size() {
+      return entries.length;
+    },
+
+    /**
+     * Age in ms of the oldest queued call, or null when empty
+     */
+    getOldestAge() {
+      if (entries.length === 0) return null;
+      return Date.now() - Math.min(...entries.map((entry) => entry.timestamp));
+    },
+
+    getStats() {
+      const byProvider = {};
+      for (const entry of entries) {
+        byProvider[entry.provider] = (byProvider[entry.provider] || 0) + 1;
+      }
+      return {
+        length: entries.length,
+        oldestEventAgeMs: this.getOldestAge(),
+        byProvider,
+      };
+    },
+
+    clear() {
+      entries = [];
+      persist();
+      schedule();
+    },
+
+    stop() {
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+    },
+  };
+}
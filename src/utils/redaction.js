@@ -0,0 +1,215 @@
+/**
+ * PII redaction for Unified Analytics
+ *
+ * Scrubs emails, phone numbers, card numbers and auth tokens from event
+ * properties, view names and properties, error messages / stacks and
+ * global properties before they reach any provider:
+ *
+ * {
+ *   redaction: {
+ *     detectors: ['email', 'phone', 'creditCard', 'token'], // Default: all
+ *     rules: [/\b\d{3}-\d{2}-\d{4}\b/, { name: 'order', pattern: /ORD-\d+/ }],
+ *     denyKeys: ['dob', /^address/i],  // Values dropped whole (adds to the built-in list)
+ *     mode: 'mask' | 'hash',           // Default: 'mask'
+ *     mask: '[REDACTED]',
+ *     hash: (value) => hmacSha256(secret, value), // Required for hash mode
+ *   },
+ * }
+ *
+ * There is no built-in hash: emails and phone numbers are few enough to
+ * brute-force, so only a keyed cryptographic hash (HMAC with a secret
+ * the collectors never see) keeps them from being reversed. It must be
+ * synchronous, since calls are redacted as they are dispatched.
+ */
+
+export const REDACTION_MODES = ['mask', 'hash'];
+
+export const DEFAULT_MASK = '[REDACTED]';
+
+/**
+ * Property keys whose values are always redacted, compared without case,
+ * '_', '-' or spaces (so 'api_key', 'apiKey' and 'API-Key' all match)
+ */
+export const DEFAULT_DENY_KEYS = [
+  'password',
+  'passwd',
+  'secret',
+  'token',
+  'accesstoken',
+  'refreshtoken',
+  'idtoken',
+  'authorization',
+  'apikey',
+  'cardnumber',
+  'cvv',
+  'ssn',
+];
+
+const MAX_DEPTH = 10;
+
+/**
+ * Luhn checksum - keeps order ids and timestamps from passing as card numbers
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Built-in detectors, applied in this order
+ * Each is a list of rules: `test` rejects matches that only look like PII,
+ * `keepPrefix` keeps the first capture group (e.g. a query parameter name)
+ */
+export const DETECTORS = {
+  email: [{ pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi }],
+  creditCard: [
+    {
+      pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+      // Card networks start with 2-6 (also rules out ms timestamps)
+      test: (match) => /^[2-6]/.test(match) && passesLuhn(match.replace(/\D/g, '')),
+    },
+  ],
+  token: [
+    // JWTs, Bearer credentials and well-known secret key prefixes
+    { pattern: /\beyJ[\w-]+\.[\w-]+\.[\w-]+|\bBearer\s+[\w\-.~+/]+=*|\b(?:sk|pk|rk)_(?:live|test)_\w+|\bgh[pousr]_\w{20,}/gi },
+    // Credential query parameters in URLs
+    {
+      pattern:
+        /([?&#;](?:access_token|id_token|refresh_token|token|auth|api_key|apikey|key|secret|password|session|sig|signature|code)=)[^&#\s]+/gi,
+      keepPrefix: true,
+    },
+  ],
+  phone: [
+    {
+      pattern:
+        /(?:\+\d{1,3}[\s.-]?(?:\(\d{1,4}\)[\s.-]?)?|\(\d{1,4}\)[\s.-]?|\b)\d{2,4}(?:[\s.-]?\d{2,4}){2,4}\b/g,
+      test: (match) => {
+        const digits = match.replace(/\D/g, '');
+        if (digits.length < 7 || digits.length > 15) return false;
+        // Digit runs without '+' or separators are more often ids than phone numbers
+        if (!/^[+(]/.test(match) && !/\d[\s.-]\d/.test(match)) return false;
+        // Dates and IP addresses are not phone numbers
+        return !/^\d{4}-\d{2}-\d{2}/.test(match) && !/^\d{1,3}(?:\.\d{1,3}){3}$/.test(match);
+      },
+    },
+  ],
+};
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[\s_-]/g, '');
+
+const withGlobalFlag = (pattern) =>
+  pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`);
+
+/**
+ * Validate config.redaction
+ * @returns {string[]} Errors (empty when valid)
+ */
+export function validateRedactionConfig(option) {
+  if (!option || option === true) return [];
+
+  const errors = [];
+  if (option.mode && !REDACTION_MODES.includes(option.mode)) {
+    errors.push(`redaction.mode must be one of ${REDACTION_MODES.join(', ')}`);
+  }
+  if (option.mode === 'hash' && typeof option.hash !== 'function') {
+    errors.push(
+      "redaction.mode 'hash' needs redaction.hash, a synchronous keyed hash such as HMAC-SHA-256",
+    );
+  }
+  for (const name of option.detectors || []) {
+    if (!DETECTORS[name]) {
+      errors.push(
+        `redaction.detectors: unknown detector "${name}" (expected ${Object.keys(DETECTORS).join(', ')})`,
+      );
+    }
+  }
+  for (const rule of option.rules || []) {
+    if (!(rule instanceof RegExp) && !(rule?.pattern instanceof RegExp)) {
+      errors.push('redaction.rules must be regular expressions or { name, pattern } objects');
+      break;
+    }
+  }
+  return errors;
+}
+
+/**
+ * Create a redactor from config.redaction (true = defaults)
+ * redactValue() scrubs strings and walks objects / arrays; other values
+ * are returned as-is
+ * @returns {{ redactValue: (value: any) => any } | null}
+ */
+export function createRedactor(option) {
+  if (!option) return null;
+  const options = option === true ? {} : option;
+
+  const mode = options.mode || 'mask';
+  const mask = options.mask ?? DEFAULT_MASK;
+  const { hash } = options;
+  if (mode === 'hash' && typeof hash !== 'function') {
+    throw new Error("redaction.mode 'hash' needs a redaction.hash function");
+  }
+
+  const detectorNames = options.detectors || Object.keys(DETECTORS);
+  const rules = [
+    ...(options.rules || []).map((rule) => ({
+      pattern: withGlobalFlag(rule instanceof RegExp ? rule : rule.pattern),
+    })),
+    ...detectorNames.flatMap((name) => DETECTORS[name]),
+  ];
+
+  const denyNames = new Set(
+    [...DEFAULT_DENY_KEYS, ...(options.denyKeys || []).filter((key) => typeof key === 'string')]
+      .map(normalizeKey),
+  );
+  const denyPatterns = (options.denyKeys || [])
+    .filter((key) => key instanceof RegExp)
+    .map((pattern) => new RegExp(pattern.source, pattern.flags.replace('g', '')));
+
+  const isDenied = (key) =>
+    denyNames.has(normalizeKey(key)) || denyPatterns.some((pattern) => pattern.test(key));
+
+  const replacement = (value) => (mode === 'hash' ? `[hash:${hash(value)}]` : mask);
+
+  const redactString = (value) => {
+    let result = value;
+    for (const { pattern, test, keepPrefix } of rules) {
+      result = result.replace(pattern, (match, prefix) => {
+        if (test && !test(match)) return match;
+        return keepPrefix
+          ? `${prefix}${replacement(match.slice(prefix.length))}`
+          : replacement(match);
+      });
+    }
+    return result;
+  };
+
+  const redactValue = (value, depth = 0) => {
+    if (typeof value === 'string') return redactString(value);
+    if (!value || typeof value !== 'object' || depth >= MAX_DEPTH) return value;
+    if (value instanceof Date) return value;
+
+    if (Array.isArray(value)) {
+      return value.map((item) => redactValue(item, depth + 1));
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item !== undefined && item !== null && isDenied(key)) {
+        result[key] = replacement(typeof item === 'string' ? item : JSON.stringify(item));
+      } else {
+        result[key] = redactValue(item, depth + 1);
+      }
+    }
+    return result;
+  };
+
+  return { redactValue: (value) => redactValue(value) };
+}
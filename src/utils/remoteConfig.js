@@ -0,0 +1,42 @@
+/**
+ * Countly Remote Config helpers - remote config values served as facade
+ * feature flags
+ */
+
+/**
+ * Normalize countly.remoteConfig
+ * @param {boolean|{ enrollOnDownload?: boolean, keys?: string[] }} option
+ * @returns {{ enrollOnDownload: boolean, keys: string[]|undefined }|null} null when disabled
+ */
+export function normalizeRemoteConfigOptions(option) {
+  if (!option) return null;
+
+  const settings = typeof option === 'object' ? option : {};
+  return {
+    // Countly's default: enroll into A/B tests when their keys are downloaded
+    enrollOnDownload: settings.enrollOnDownload !== false,
+    keys: Array.isArray(settings.keys) ? settings.keys : undefined,
+  };
+}
+
+/**
+ * Native SDK values come as { key: { value, isCurrentUsersData } }
+ */
+export function unwrapRemoteConfigValues(values) {
+  const result = {};
+  for (const [key, entry] of Object.entries(values || {})) {
+    result[key] =
+      entry && typeof entry === 'object' && 'value' in entry ? entry.value : entry;
+  }
+  return result;
+}
+
+/**
+ * Whether a remote config value turns a feature on: true, a variant name,
+ * a non-zero number or an object
+ */
+export function isRemoteConfigValueEnabled(value) {
+  if (value === undefined || value === null) return false;
+  if (typeof value === 'string') return value !== '' && value !== 'false';
+  return Boolean(value);
+}
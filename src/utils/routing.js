@@ -0,0 +1,87 @@
+/**
+ * Provider routing for Unified Analytics
+ *
+ * Send a call to a subset of providers, per call:
+ *
+ *   trackEvent('funnel_step', props, { providers: ['posthog'] });
+ *   trackEvent('api_latency', props, { exclude: ['posthog'] });
+ *
+ * or by name pattern in config (first matching rule wins, per-call
+ * options take precedence over rules):
+ *
+ * {
+ *   routing: [
+ *     { events: ['funnel_*'], providers: ['posthog'] },
+ *     { events: ['ops_*', 'api_*'], exclude: ['posthog'] },
+ *     { views: ['Admin*'], providers: ['countly'] },
+ *   ],
+ * }
+ */
+
+import { matchesNamePattern } from './sampling';
+
+/**
+ * Normalize per-call { providers, exclude } options into a call field
+ * @returns {{ routing?: { providers?: string[], exclude?: string[] } }}
+ */
+export function normalizeRoutingOptions(options) {
+  if (!options || (!options.providers && !options.exclude)) return {};
+
+  const routing = {};
+  if (Array.isArray(options.providers)) routing.providers = [...options.providers];
+  if (Array.isArray(options.exclude)) routing.exclude = [...options.exclude];
+  return { routing };
+}
+
+/**
+ * Validate config.routing
+ * @returns {string[]} Errors (empty when valid)
+ */
+export function validateRoutingRules(rules) {
+  if (rules === undefined) return [];
+  if (!Array.isArray(rules)) {
+    return ['routing must be an array of { events | views, providers | exclude } rules'];
+  }
+
+  const errors = [];
+  rules.forEach((rule, index) => {
+    if (!Array.isArray(rule?.events) && !Array.isArray(rule?.views)) {
+      errors.push(`routing[${index}] needs an events or views array of name patterns`);
+    }
+    if (!Array.isArray(rule?.providers) && !Array.isArray(rule?.exclude)) {
+      errors.push(`routing[${index}] needs a providers or exclude array`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Routing for a call: its own options, else the first matching rule
+ * @returns {{ providers?: string[], exclude?: string[] } | null}
+ */
+export function resolveRouting(call, rules) {
+  if (call.routing) return call.routing;
+  if (!rules || (call.type !== 'event' && call.type !== 'view')) return null;
+
+  const key = call.type === 'event' ? 'events' : 'views';
+  return (
+    rules.find((rule) =>
+      rule[key]?.some((pattern) => matchesNamePattern(pattern, call.name)),
+    ) || null
+  );
+}
+
+/**
+ * Check whether routing lets a call through to a provider
+ * Provider names are compared case-insensitively, as with `integrations`
+ */
+export function isRoutedTo(routing, providerName) {
+  if (!routing) return true;
+
+  const target = providerName.toLowerCase();
+  const includes = (names) => names.some((name) => name.toLowerCase() === target);
+
+  if (routing.providers && !includes(routing.providers)) return false;
+  if (routing.exclude && includes(routing.exclude)) return false;
+  return true;
+}
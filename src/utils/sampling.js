@@ -0,0 +1,174 @@
+/**
+ * Event sampling and rate limiting for Unified Analytics
+ *
+ * {
+ *   sampling: {
+ *     events: { scroll: 0.1, 'poll_*': 0.01 }, // Keep 10% / 1% of users
+ *     property: 'sample_rate',                  // false to not attach the rate
+ *   },
+ *   rateLimits: {
+ *     events: { keystroke: { capacity: 10, refillPerSecond: 2 } },
+ *     maxEventsPerSession: 1000,
+ *   },
+ * }
+ *
+ * Sampling is deterministic by user: the user (or anonymous) id hashes to a
+ * fixed point in [0, 1), and the user is in for every event whose rate is
+ * above that point. Rate limits are token buckets kept per event name.
+ * The session cap counts every event sent since init (app launch / page load).
+ */
+
+export const DEFAULT_SAMPLE_RATE_PROPERTY = 'sample_rate';
+
+/**
+ * Check an event name against a pattern ('*' matches any characters)
+ */
+export function matchesNamePattern(pattern, name) {
+  if (!pattern.includes('*')) {
+    return pattern === name;
+  }
+
+  const source = pattern
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`).test(name);
+}
+
+/**
+ * Find the entry for an event name: exact names first, then patterns in
+ * declaration order
+ */
+export function findByNamePattern(entries, name) {
+  if (!entries) return undefined;
+  if (Object.prototype.hasOwnProperty.call(entries, name)) {
+    return entries[name];
+  }
+
+  const pattern = Object.keys(entries).find(
+    (key) => key.includes('*') && matchesNamePattern(key, name),
+  );
+  return pattern === undefined ? undefined : entries[pattern];
+}
+
+/**
+ * Hash a string to a number in [0, 1)
+ * FNV-1a, then a murmur3 finalizer so similar ids spread evenly
+ */
+export function hashToUnitInterval(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i += 1) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return (hash >>> 0) / 0x100000000;
+}
+
+/**
+ * Validate sampling / rateLimits config
+ * @returns {string[]} Errors (empty when valid)
+ */
+export function validateEventLimitsConfig(config) {
+  const errors = [];
+
+  for (const [name, rate] of Object.entries(config.sampling?.events || {})) {
+    if (typeof rate !== 'number' || rate < 0 || rate > 1) {
+      errors.push(`sampling.events["${name}"] must be a number between 0 and 1`);
+    }
+  }
+
+  for (const [name, limit] of Object.entries(config.rateLimits?.events || {})) {
+    if (!(limit?.capacity > 0) || !(limit?.refillPerSecond >= 0)) {
+      errors.push(
+        `rateLimits.events["${name}"] needs a positive capacity and a refillPerSecond >= 0`,
+      );
+    }
+  }
+
+  const cap = config.rateLimits?.maxEventsPerSession;
+  if (cap !== undefined && !(Number.isInteger(cap) && cap >= 0)) {
+    errors.push('rateLimits.maxEventsPerSession must be a non-negative integer');
+  }
+
+  return errors;
+}
+
+/**
+ * Create an event limiter applying sampling, per-event token buckets and
+ * the session cap
+ * @param {{ sampling?: object, rateLimits?: object, now?: () => number }} options
+ */
+export function createEventLimiter({ sampling = {}, rateLimits = {}, now = Date.now } = {}) {
+  const property =
+    sampling.property === undefined ? DEFAULT_SAMPLE_RATE_PROPERTY : sampling.property;
+  const maxEventsPerSession = rateLimits.maxEventsPerSession ?? Infinity;
+  const buckets = new Map(); // Map<eventName, { tokens, updatedAt }>
+  const stats = { sampledOut: 0, rateLimited: 0, sessionCapped: 0, sessionEvents: 0 };
+
+  const takeToken = (name, limit) => {
+    const time = now();
+    let bucket = buckets.get(name);
+    if (!bucket) {
+      bucket = { tokens: limit.capacity, updatedAt: time };
+      buckets.set(name, bucket);
+    }
+
+    const refilled = ((time - bucket.updatedAt) / 1000) * limit.refillPerSecond;
+    bucket.tokens = Math.min(limit.capacity, bucket.tokens + refilled);
+    bucket.updatedAt = time;
+
+    if (bucket.tokens < 1) return false;
+    bucket.tokens -= 1;
+    return true;
+  };
+
+  return {
+    /**
+     * Decide whether an event is sent
+     * @param {string} name - Event name
+     * @param {string|null} userId - User or anonymous id used for sampling
+     * @returns {{ allowed: boolean, reason?: 'sampled' | 'rateLimited' | 'sessionCap', sampleRate?: number }}
+     */
+    check(name, userId) {
+      const sampleRate = findByNamePattern(sampling.events, name);
+      if (sampleRate !== undefined && sampleRate < 1) {
+        const point = userId ? hashToUnitInterval(String(userId)) : Math.random();
+        if (point >= sampleRate) {
+          stats.sampledOut += 1;
+          return { allowed: false, reason: 'sampled' };
+        }
+      }
+
+      const limit = findByNamePattern(rateLimits.events, name);
+      if (limit && !takeToken(name, limit)) {
+        stats.rateLimited += 1;
+        return { allowed: false, reason: 'rateLimited' };
+      }
+
+      if (stats.sessionEvents >= maxEventsPerSession) {
+        stats.sessionCapped += 1;
+        return { allowed: false, reason: 'sessionCap' };
+      }
+
+      stats.sessionEvents += 1;
+      return sampleRate !== undefined && sampleRate < 1
+        ? { allowed: true, sampleRate }
+        : { allowed: true };
+    },
+
+    /**
+     * Property name the sample rate is attached under (null when disabled)
+     */
+    sampleRateProperty: property || null,
+
+    getStats() {
+      return { ...stats };
+    },
+  };
+}
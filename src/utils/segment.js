@@ -0,0 +1,174 @@
+/**
+ * Segment spec helpers
+ *
+ * Argument parsing and options handling for the Segment-compatible
+ * track / page / screen / group / alias methods, plus the list of
+ * Segment semantic events providers can translate to their own names.
+ */
+
+import { normalizeRoutingOptions } from './routing';
+
+/**
+ * Semantic event names from the Segment spec
+ * (E-commerce, B2B SaaS and mobile lifecycle)
+ */
+export const SEMANTIC_EVENTS = [
+  // E-commerce
+  'Products Searched',
+  'Product List Viewed',
+  'Product List Filtered',
+  'Promotion Viewed',
+  'Promotion Clicked',
+  'Product Clicked',
+  'Product Viewed',
+  'Product Added',
+  'Product Removed',
+  'Cart Viewed',
+  'Checkout Started',
+  'Checkout Step Viewed',
+  'Checkout Step Completed',
+  'Payment Info Entered',
+  'Order Updated',
+  'Order Completed',
+  'Order Refunded',
+  'Order Cancelled',
+  'Coupon Entered',
+  'Coupon Applied',
+  'Coupon Denied',
+  'Coupon Removed',
+  'Product Added to Wishlist',
+  'Product Removed from Wishlist',
+  'Wishlist Product Added to Cart',
+  'Product Shared',
+  'Cart Shared',
+  'Product Reviewed',
+  // B2B SaaS
+  'Account Created',
+  'Account Deleted',
+  'Signed Up',
+  'Signed In',
+  'Signed Out',
+  'Invite Sent',
+  'Account Added User',
+  'Account Removed User',
+  'Trial Started',
+  'Trial Ended',
+  // Mobile lifecycle
+  'Application Installed',
+  'Application Opened',
+  'Application Updated',
+  'Application Backgrounded',
+  'Application Crashed',
+  'Application Uninstalled',
+  'Deep Link Opened',
+  'Push Notification Received',
+  'Push Notification Tapped',
+];
+
+/**
+ * Check whether an event name is a Segment semantic event
+ */
+export function isSemanticEvent(name) {
+  return SEMANTIC_EVENTS.includes(name);
+}
+
+/**
+ * 'Order Completed' -> 'order_completed'
+ */
+export function toSnakeCase(name) {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^a-zA-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Normalize a Segment options object into call fields
+ * { context, integrations, anonymousId, timestamp (ms), routing }
+ * `routing` holds the facade's { providers, exclude } options
+ */
+export function normalizeCallOptions(options) {
+  if (!options || typeof options !== 'object') return {};
+
+  const fields = {};
+  if (options.context) fields.context = { ...options.context };
+  if (options.integrations) fields.integrations = { ...options.integrations };
+  if (options.anonymousId) fields.anonymousId = String(options.anonymousId);
+
+  if (options.timestamp !== undefined) {
+    const timestamp = new Date(options.timestamp).getTime();
+    if (!Number.isNaN(timestamp)) fields.timestamp = timestamp;
+  }
+  return { ...fields, ...normalizeRoutingOptions(options) };
+}
+
+/**
+ * Check a call's `integrations` option for a provider
+ * Keys are provider names (case-insensitive); `All` sets the default
+ */
+export function isIntegrationEnabled(integrations, providerName) {
+  if (!integrations) return true;
+
+  const target = providerName.toLowerCase();
+  for (const [key, enabled] of Object.entries(integrations)) {
+    if (key.toLowerCase() === target) return enabled !== false;
+  }
+  return integrations.All !== false;
+}
+
+/**
+ * Resolve Segment page() arguments:
+ * page([category], [name], [properties], [options])
+ */
+export function parsePageArguments(category, name, properties, options) {
+  // page(properties, options)
+  if (category && typeof category === 'object') {
+    return { category: null, name: null, properties: category, options: name };
+  }
+  // page(name, properties, options)
+  if (typeof name !== 'string') {
+    return { category: null, name: category ?? null, properties: name, options: properties };
+  }
+  return { category: category ?? null, name, properties, options };
+}
+
+/**
+ * Resolve group() arguments
+ * Supports group(groupType, groupKey, traits, options) and the Segment form
+ * group(groupId, traits, options) with options.groupType (default 'company')
+ */
+export function parseGroupArguments(groupType, groupKey, traits, options) {
+  // group(groupType, groupKey, traits, options)
+  if (typeof groupKey === 'string' || typeof groupKey === 'number') {
+    return {
+      groupType: String(groupType),
+      groupKey: String(groupKey),
+      traits: traits || {},
+      options: options || {},
+    };
+  }
+  // group(groupId, traits, options)
+  const segmentOptions = traits || {};
+  return {
+    groupType: segmentOptions.groupType || 'company',
+    groupKey: String(groupType),
+    traits: groupKey || {},
+    options: segmentOptions,
+  };
+}
+
+/**
+ * Default page properties from the browser location (web only)
+ */
+export function getPageDefaults() {
+  if (typeof window === 'undefined' || !window.location) return {};
+
+  return {
+    path: window.location.pathname,
+    url: window.location.href,
+    search: window.location.search,
+    title: typeof document !== 'undefined' ? document.title : undefined,
+    referrer: typeof document !== 'undefined' ? document.referrer : undefined,
+  };
+}
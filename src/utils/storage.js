@@ -0,0 +1,21 @@
+/**
+ * Storage - Platform-aware factory
+ *
+ * Resolves to a key/value adapter with async getItem/setItem/removeItem:
+ * localStorage on web, AsyncStorage on React Native.
+ * Falls back to in-memory storage when neither is available
+ * (`warn: false` skips the warning logged on React Native).
+ */
+
+import { getPlatform } from '../platform';
+
+export async function createStorage(options) {
+  if (getPlatform() === 'web') {
+    const mod = await import('./storage.web.js');
+    return mod.createStorage(options);
+  }
+
+  // webpackIgnore prevents webpack from bundling the native file on web
+  const mod = await import(/* webpackIgnore: true */ './storage.native.js');
+  return mod.createStorage(options);
+}
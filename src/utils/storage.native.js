@@ -0,0 +1,35 @@
+/**
+ * Storage Native - AsyncStorage adapter for React Native
+ *
+ * Uses @react-native-async-storage/async-storage when installed.
+ */
+
+import { createMemoryStorage } from './memoryStorage';
+
+export async function createStorage({ warn = true } = {}) {
+  try {
+    const AsyncStorageModule = await import(
+      '@react-native-async-storage/async-storage'
+    );
+    const AsyncStorage = AsyncStorageModule.default || AsyncStorageModule;
+
+    return {
+      async getItem(key) {
+        return AsyncStorage.getItem(key);
+      },
+      async setItem(key, value) {
+        await AsyncStorage.setItem(key, String(value));
+      },
+      async removeItem(key) {
+        await AsyncStorage.removeItem(key);
+      },
+    };
+  } catch (error) {
+    if (warn) {
+      console.warn(
+        '[UnifiedAnalytics] @react-native-async-storage/async-storage not installed, data will not persist across restarts',
+      );
+    }
+    return createMemoryStorage();
+  }
+}
@@ -0,0 +1,31 @@
+/**
+ * Storage Web - localStorage adapter
+ *
+ * All methods are async to match the React Native adapter.
+ */
+
+import { createMemoryStorage } from './memoryStorage';
+
+export async function createStorage() {
+  try {
+    const storage = window.localStorage;
+    const probe = '__unified_analytics__';
+    storage.setItem(probe, probe);
+    storage.removeItem(probe);
+
+    return {
+      async getItem(key) {
+        return storage.getItem(key);
+      },
+      async setItem(key, value) {
+        storage.setItem(key, String(value));
+      },
+      async removeItem(key) {
+        storage.removeItem(key);
+      },
+    };
+  } catch (error) {
+    // SSR, private mode or storage disabled
+    return createMemoryStorage();
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Timed events measured by the facade
+ *
+ * Each timer is keyed by event name + instance id, so several timers with
+ * the same name can run at once (e.g. parallel uploads). Paused time is
+ * not counted.
+ */
+
+import { createId } from './helpers';
+
+/**
+ * Properties endTimer() adds to the completion event
+ */
+export const TIMED_EVENT_PROPERTIES = ['$duration', 'duration_ms'];
+
+/**
+ * Create a timer registry
+ * @param {{ now?: () => number }} options
+ */
+export function createTimerRegistry({ now = () => Date.now() } = {}) {
+  const timers = []; // Array<{ name, instanceId, startedAt, elapsedMs, resumedAt }> in start order
+
+  const elapsed = (timer) =>
+    timer.elapsedMs + (timer.resumedAt === null ? 0 : now() - timer.resumedAt);
+
+  // Without an instance id, the most recently started instance of the name
+  const find = (name, instanceId) => {
+    for (let i = timers.length - 1; i >= 0; i--) {
+      const timer = timers[i];
+      if (timer.name !== name) continue;
+      if (instanceId === undefined || timer.instanceId === instanceId) return i;
+    }
+    return -1;
+  };
+
+  const matching = (name, instanceId) =>
+    timers.filter(
+      (timer) =>
+        (name === undefined || timer.name === name) &&
+        (instanceId === undefined || timer.instanceId === instanceId),
+    );
+
+  return {
+    /**
+     * Start a timer. Restarts an existing timer with the same instance id.
+     * @returns {string} instance id
+     */
+    start(name, instanceId = createId()) {
+      const index = find(name, instanceId);
+      if (index !== -1) timers.splice(index, 1);
+
+      const startedAt = now();
+      timers.push({ name, instanceId, startedAt, elapsedMs: 0, resumedAt: startedAt });
+      return instanceId;
+    },
+
+    /**
+     * Stop a timer and remove it
+     * @returns {number|null} Duration in ms, null if no timer matched
+     */
+    stop(name, instanceId) {
+      const index = find(name, instanceId);
+      if (index === -1) return null;
+
+      const [timer] = timers.splice(index, 1);
+      return elapsed(timer);
+    },
+
+    /**
+     * Remove a timer without measuring it
+     * @returns {boolean} Whether a timer matched
+     */
+    cancel(name, instanceId) {
+      const index = find(name, instanceId);
+      if (index === -1) return false;
+
+      timers.splice(index, 1);
+      return true;
+    },
+
+    /**
+     * Pause running timers (all of them without a name)
+     * @returns {number} Timers paused
+     */
+    pause(name, instanceId) {
+      let count = 0;
+      for (const timer of matching(name, instanceId)) {
+        if (timer.resumedAt === null) continue;
+        timer.elapsedMs = elapsed(timer);
+        timer.resumedAt = null;
+        count++;
+      }
+      return count;
+    },
+
+    /**
+     * Resume paused timers (all of them without a name)
+     * @returns {number} Timers resumed
+     */
+    resume(name, instanceId) {
+      let count = 0;
+      for (const timer of matching(name, instanceId)) {
+        if (timer.resumedAt !== null) continue;
+        timer.resumedAt = now();
+        count++;
+      }
+      return count;
+    },
+
+    /**
+     * Active timers in start order
+     * @returns {Array<{ name: string, instanceId: string, startedAt: number, elapsedMs: number, paused: boolean }>}
+     */
+    list() {
+      return timers.map((timer) => ({
+        name: timer.name,
+        instanceId: timer.instanceId,
+        startedAt: timer.startedAt,
+        elapsedMs: elapsed(timer),
+        paused: timer.resumedAt === null,
+      }));
+    },
+
+    clear() {
+      timers.length = 0;
+    },
+  };
+}
@@ -0,0 +1,257 @@
+/**
+ * Tracking plan validation for Unified Analytics
+ *
+ * A tracking plan lists the allowed events (and optionally views) with a
+ * JSON Schema subset describing their properties:
+ *
+ * {
+ *   mode: 'warn' | 'blockUnknown' | 'strict',
+ *   events: {
+ *     purchase: {
+ *       properties: {
+ *         amount: { type: 'number', minimum: 0 },
+ *         currency: { type: 'string', enum: ['USD', 'EUR'] },
+ *         coupon: 'string',            // shorthand for { type: 'string' }
+ *       },
+ *       required: ['amount', 'currency'],
+ *       additionalProperties: false,
+ *     },
+ *   },
+ *   views: { Home: {}, Profile: { required: ['user_type'] } },
+ * }
+ *
+ * Supported keywords: type, enum, const, required, properties,
+ * additionalProperties, items, minimum, maximum, minLength, maxLength, pattern.
+ *
+ * The `$duration` and `duration_ms` properties added by endTimer() are
+ * allowed on every event; list them in `properties` to validate them.
+ */
+
+import { TIMED_EVENT_PROPERTIES } from './timers';
+
+export const TRACKING_PLAN_MODES = ['warn', 'blockUnknown', 'strict'];
+
+/**
+ * Every `pattern` keyword in a schema, with its config path
+ * @returns {Array<{ path: string, pattern: any }>}
+ */
+function collectPatterns(schema, path) {
+  if (!schema || typeof schema !== 'object') return [];
+
+  const found = [];
+  if (schema.pattern !== undefined) {
+    found.push({ path: `${path}.pattern`, pattern: schema.pattern });
+  }
+  for (const [key, property] of Object.entries(schema.properties || {})) {
+    found.push(...collectPatterns(property, `${path}.properties.${key}`));
+  }
+  found.push(...collectPatterns(schema.items, `${path}.items`));
+  found.push(...collectPatterns(schema.additionalProperties, `${path}.additionalProperties`));
+  return found;
+}
+
+function collectPlanPatterns(plan) {
+  return ['events', 'views'].flatMap((key) =>
+    Object.entries(plan[key] || {}).flatMap(([name, schema]) =>
+      collectPatterns(schema, `trackingPlan.${key}.${name}`),
+    ),
+  );
+}
+
+/**
+ * Validate config.trackingPlan, including every `pattern` regular expression
+ * @returns {string[]} Errors (empty when valid)
+ */
+export function validateTrackingPlan(plan) {
+  if (plan === undefined) return [];
+  if (!plan || typeof plan !== 'object') {
+    return ['trackingPlan must be an object'];
+  }
+
+  const errors = [];
+  if (plan.mode !== undefined && !TRACKING_PLAN_MODES.includes(plan.mode)) {
+    errors.push(`trackingPlan.mode must be one of ${TRACKING_PLAN_MODES.join(', ')}`);
+  }
+  for (const { path, pattern } of collectPlanPatterns(plan)) {
+    if (typeof pattern !== 'string') {
+      errors.push(`${path} must be a string`);
+      continue;
+    }
+    try {
+      new RegExp(pattern);
+    } catch (error) {
+      errors.push(`${path} is not a valid regular expression: ${error.message}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Normalize a tracking plan config (validated by validateTrackingPlan)
+ * Defaults to 'warn' in debug builds and 'blockUnknown' otherwise.
+ * Patterns are compiled once here rather than on every call.
+ */
+export function normalizeTrackingPlan(plan, debug) {
+  const mode = plan.mode || (debug ? 'warn' : 'blockUnknown');
+
+  if (!TRACKING_PLAN_MODES.includes(mode)) {
+    throw new Error(
+      `Invalid trackingPlan.mode: "${mode}". Must be one of ${TRACKING_PLAN_MODES.join(', ')}.`,
+    );
+  }
+
+  const patterns = new Map(); // Map<pattern source, RegExp>
+  for (const { pattern } of collectPlanPatterns(plan)) {
+    if (!patterns.has(pattern)) patterns.set(pattern, new RegExp(pattern));
+  }
+
+  return {
+    mode,
+    events: plan.events || {},
+    views: plan.views || null,
+    patterns,
+    maxViolations: plan.maxViolations ?? 100,
+    onViolation: plan.onViolation || null,
+  };
+}
+
+/**
+ * Get the JSON type name of a value
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Validate a value against a JSON Schema subset
+ * @param {Map<string, RegExp>} patterns - Compiled `pattern` keywords; others are compiled here
+ * @returns {string[]} Human-readable errors (empty when valid)
+ */
+export function validateSchema(value, schema, path = 'properties', patterns = new Map()) {
+  if (typeof schema === 'string') {
+    schema = { type: schema };
+  }
+  if (!schema || typeof schema !== 'object') return [];
+
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push(`${path}: expected ${types.join(' | ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+  }
+
+  if ('const' in schema && schema.const !== value) {
+    errors.push(`${path}: must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+    const pattern = schema.pattern && (patterns.get(schema.pattern) ?? new RegExp(schema.pattern));
+    if (pattern && !pattern.test(value)) {
+      errors.push(`${path}: must match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`, patterns));
+    });
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) continue;
+
+      if (properties[key]) {
+        errors.push(
+          ...validateSchema(propertyValue, properties[key], `${path}.${key}`, patterns),
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(
+          ...validateSchema(
+            propertyValue,
+            schema.additionalProperties,
+            `${path}.${key}`,
+            patterns,
+          ),
+        );
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate an event or view call against a normalized tracking plan
+ *
+ * @returns {{ known: boolean, errors: string[] }}
+ */
+export function validateTrackingPlanCall(plan, call) {
+  const definitions = call.type === 'view' ? plan.views : plan.events;
+
+  // Views are only checked when the plan lists them
+  if (!definitions) {
+    return { known: true, errors: [] };
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(definitions, call.name)) {
+    return {
+      known: false,
+      errors: [`Unknown ${call.type} "${call.name}" (not in tracking plan)`],
+    };
+  }
+
+  const schema = { type: 'object', ...(definitions[call.name] || {}) };
+  const properties = { ...(call.properties || {}) };
+  if (call.type === 'event') {
+    for (const key of TIMED_EVENT_PROPERTIES) {
+      if (!schema.properties?.[key]) delete properties[key];
+    }
+  }
+
+  return {
+    known: true,
+    errors: validateSchema(properties, schema, 'properties', plan.patterns),
+  };
+}
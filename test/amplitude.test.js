@@ -0,0 +1,154 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { analytics } from '../src/UnifiedAnalytics';
+import { toRevenueOptions } from '../src/utils/amplitude';
+import { initAnalyticsForTests, resetAnalyticsForTests } from '../src/testing';
+
+const sdk = vi.hoisted(() => ({}));
+vi.mock('@amplitude/analytics-browser', () => {
+  const forward = (method) => (...args) => sdk[method](...args);
+  const methods = [
+    'init',
+    'track',
+    'identify',
+    'groupIdentify',
+    'setUserId',
+    'setGroup',
+    'setOptOut',
+    'reset',
+    'revenue',
+    'flush',
+  ];
+  return {
+    ...Object.fromEntries(methods.map((method) => [method, forward(method)])),
+    Identify: class {
+      constructor() {
+        return createRecorder();
+      }
+    },
+  };
+});
+
+/**
+ * Stand-in for an Identify object: records calls as [method, ...args]
+ */
+function createRecorder() {
+  const operations = [];
+  return new Proxy(
+    { operations },
+    {
+      get: (target, key) =>
+        key in target
+          ? target[key]
+          : (...args) => {
+              operations.push([key, ...args]);
+              return target;
+            },
+    },
+  );
+}
+
+function resetAmplitudeMock() {
+  for (const key of Object.keys(sdk)) delete sdk[key];
+  Object.assign(sdk, {
+    init: vi.fn(() => ({ promise: Promise.resolve() })),
+    track: vi.fn(),
+    identify: vi.fn(),
+    groupIdentify: vi.fn(),
+    setUserId: vi.fn(),
+    setGroup: vi.fn(),
+    setOptOut: vi.fn(),
+    reset: vi.fn(),
+    revenue: vi.fn(),
+    flush: vi.fn(() => ({ promise: Promise.resolve() })),
+  });
+}
+
+async function initAmplitude(config = {}) {
+  await initAnalyticsForTests({ platform: 'web', amplitude: { apiKey: 'key' }, ...config });
+}
+
+describe('AmplitudeProvider (web)', () => {
+  beforeEach(() => resetAmplitudeMock());
+  afterEach(() => resetAnalyticsForTests());
+
+  it('initializes without default tracking', async () => {
+    await initAmplitude();
+
+    expect(sdk.init).toHaveBeenCalledWith(
+      'key',
+      undefined,
+      expect.objectContaining({ defaultTracking: false, optOut: false }),
+    );
+  });
+
+  it('tracks events with global properties, time and revenue', async () => {
+    await initAmplitude();
+
+    analytics.setGlobalProperties({ app_version: '6.0.0' });
+    analytics.trackEvent('checkout', { revenue: '19.99', product_id: 42 });
+
+    expect(sdk.track).toHaveBeenCalledWith(
+      'checkout',
+      { app_version: '6.0.0', revenue: '19.99', product_id: 42 },
+      { time: expect.any(Number), revenue: 19.99, productId: '42' },
+    );
+  });
+
+  it('tracks page views under the Amplitude event name', async () => {
+    await initAmplitude();
+
+    analytics.trackView('Pricing');
+    expect(sdk.track).toHaveBeenCalledWith(
+      '[Amplitude] Page Viewed',
+      { '[Amplitude] Page Title': 'Pricing' },
+      { time: expect.any(Number) },
+    );
+  });
+
+  it('maps identify operation keys onto an Identify object', async () => {
+    await initAmplitude();
+
+    analytics.identify('user-1', {
+      plan: 'pro',
+      $setOnce: { first_seen: '2024-05-01' },
+      $add: { logins: 1 },
+      $unset: ['legacy_flag'],
+    });
+
+    expect(sdk.setUserId).toHaveBeenCalledWith('user-1');
+    expect(sdk.identify.mock.calls[0][0].operations).toEqual([
+      ['set', 'plan', 'pro'],
+      ['setOnce', 'first_seen', '2024-05-01'],
+      ['add', 'logins', 1],
+      ['unset', 'legacy_flag'],
+    ]);
+  });
+
+  it('sets groups and unsets them on resetGroups', async () => {
+    await initAmplitude();
+
+    analytics.group('company', 'acme', { name: 'Acme' });
+    analytics.resetGroups();
+
+    expect(sdk.setGroup).toHaveBeenCalledWith('company', 'acme');
+    expect(sdk.groupIdentify.mock.calls[0].slice(0, 2)).toEqual(['company', 'acme']);
+    expect(sdk.identify.mock.calls.at(-1)[0].operations).toEqual([['unset', 'company']]);
+  });
+
+  it('starts opted out until analytics consent is granted', async () => {
+    await initAmplitude({ consent: { persist: false } });
+    expect(sdk.init.mock.calls[0][2]).toMatchObject({ optOut: true });
+
+    analytics.setConsent({ analytics: true });
+    expect(sdk.setOptOut).toHaveBeenLastCalledWith(false);
+  });
+
+  it('reads revenue fields from event properties', () => {
+    expect(toRevenueOptions({ plan: 'pro' })).toBeNull();
+    expect(toRevenueOptions({ price: 5, quantity: '2', revenueType: 'sub' })).toEqual({
+      price: 5,
+      quantity: 2,
+      revenueType: 'sub',
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { analytics } from '../src/UnifiedAnalytics';
+import { createAppStateMonitor } from '../src/utils/appState';
+import { initAnalyticsForTests, resetAnalyticsForTests } from '../src/testing';
+
+const AppState = vi.hoisted(() => ({ currentState: 'active', listeners: [] }));
+vi.mock('react-native', () => ({
+  AppState: {
+    get currentState() {
+      return AppState.currentState;
+    },
+    addEventListener: (type, listener) => AppState.listeners.push(listener),
+  },
+}));
+
+function changeAppState(state) {
+  AppState.currentState = state;
+  AppState.listeners.forEach((listener) => listener(state));
+}
+
+describe('native app state', () => {
+  beforeEach(() => {
+    AppState.currentState = 'active';
+    AppState.listeners = [];
+  });
+
+  it.each([
+    ['active', true],
+    ['unknown', true],
+    ['inactive', false],
+    ['background', false],
+  ])('treats an initial %s state the same as a change to it', async (state, foreground) => {
+    AppState.currentState = state;
+    const initial = await createAppStateMonitor();
+    expect(initial.isForeground()).toBe(foreground);
+
+    AppState.currentState = state === 'active' ? 'background' : 'active';
+    const changed = await createAppStateMonitor();
+    changeAppState(state);
+    expect(changed.isForeground()).toBe(foreground);
+  });
+
+  it('notifies subscribers only when the foreground state flips', async () => {
+    const monitor = await createAppStateMonitor();
+    const callback = vi.fn();
+    monitor.subscribe(callback);
+
+    changeAppState('inactive');
+    changeAppState('background');
+    changeAppState('active');
+
+    expect(callback.mock.calls).toEqual([[false], [true]]);
+  });
+});
+
+describe('timers.pauseInBackground', () => {
+  beforeEach(() => {
+    AppState.currentState = 'active';
+    AppState.listeners = [];
+    vi.useFakeTimers({ toFake: ['Date'] });
+  });
+  afterEach(() => {
+    resetAnalyticsForTests();
+    vi.useRealTimers();
+  });
+
+  it('does not count time spent in the background', async () => {
+    await initAnalyticsForTests({ timers: { pauseInBackground: true } });
+
+    analytics.startTimer('session_task');
+    vi.advanceTimersByTime(1000);
+    changeAppState('background');
+    vi.advanceTimersByTime(60000);
+    changeAppState('active');
+    vi.advanceTimersByTime(500);
+
+    expect(analytics.endTimer('session_task')).toBe(1500);
+  });
+
+  it('keeps timers paused by pauseTimer paused when the app returns', async () => {
+    await initAnalyticsForTests({ timers: { pauseInBackground: true } });
+
+    analytics.startTimer('a');
+    analytics.pauseTimer('a');
+    changeAppState('background');
+    changeAppState('active');
+
+    expect(analytics.getActiveTimers()[0].paused).toBe(true);
+  });
+
+  it('pauses timers started before init when the app launches inactive', async () => {
+    AppState.currentState = 'inactive';
+    analytics.startTimer('app_start');
+    await initAnalyticsForTests({ timers: { pauseInBackground: true } });
+
+    vi.advanceTimersByTime(100);
+    changeAppState('active');
+    vi.advanceTimersByTime(100);
+    expect(analytics.endTimer('app_start')).toBe(100);
+  });
+});
@@ -0,0 +1,137 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { analytics } from '../src/UnifiedAnalytics';
+import {
+  expectEventNotTracked,
+  expectEventTracked,
+  getTrackedCalls,
+  getTrackedEvents,
+  initAnalyticsForTests,
+  resetAnalyticsForTests,
+} from '../src/testing';
+
+function createStorage(initial = {}) {
+  const items = { ...initial };
+  return {
+    items,
+    getItem: async (key) => items[key] ?? null,
+    setItem: async (key, value) => {
+      items[key] = value;
+    },
+    removeItem: async (key) => {
+      delete items[key];
+    },
+  };
+}
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('consent', () => {
+  afterEach(() => resetAnalyticsForTests());
+
+  it('sends everything when consent is not managed', async () => {
+    await initAnalyticsForTests();
+
+    analytics.trackEvent('opened');
+    expectEventTracked('opened');
+    expect(analytics.getConsent()).toEqual({
+      analytics: true,
+      replay: true,
+      errors: true,
+      location: true,
+    });
+    expect(analytics.hasConsent('analytics')).toBe(true);
+  });
+
+  it('holds calls while pending and sends them once granted', async () => {
+    await initAnalyticsForTests({ consent: { persist: false, defaults: { errors: true } } });
+
+    analytics.trackEvent('opened');
+    analytics.trackError(new Error('boom'));
+    expectEventNotTracked('opened');
+    expect(getTrackedCalls('error')).toHaveLength(1);
+
+    analytics.setConsent({ analytics: true });
+    expectEventTracked('opened');
+    expect(analytics.getConsent()).toEqual({
+      analytics: true,
+      replay: null,
+      errors: true,
+      location: null,
+    });
+  });
+
+  it('drops held calls when consent is denied', async () => {
+    await initAnalyticsForTests({ consent: { persist: false } });
+
+    analytics.trackEvent('opened');
+    analytics.setConsent({ analytics: false });
+    analytics.trackEvent('clicked');
+    analytics.setConsent({ analytics: true });
+
+    expect(getTrackedEvents()).toEqual([]);
+  });
+
+  it('drops pending calls with pending drop', async () => {
+    await initAnalyticsForTests({ consent: { persist: false, pending: 'drop' } });
+
+    analytics.trackEvent('opened');
+    analytics.setConsent({ analytics: true });
+    expectEventNotTracked('opened');
+  });
+
+  it('keeps the latest maxHeld calls', async () => {
+    await initAnalyticsForTests({ consent: { persist: false, maxHeld: 2 } });
+
+    for (const name of ['first', 'second', 'third']) analytics.trackEvent(name);
+    analytics.setConsent({ analytics: true });
+
+    expect(getTrackedEvents().map((event) => event.name)).toEqual(['second', 'third']);
+  });
+
+  it('passes consent changes to providers', async () => {
+    await initAnalyticsForTests({ consent: { persist: false } });
+
+    analytics.setConsent({ analytics: true, replay: false });
+    expect(getTrackedCalls('consent').at(-1).consent).toMatchObject({
+      analytics: true,
+      replay: false,
+    });
+  });
+
+  it('persists decisions and restores them on the next init', async () => {
+    const storage = createStorage();
+    await initAnalyticsForTests({ consent: { storage } });
+
+    analytics.setConsent({ analytics: true });
+    await settle();
+    resetAnalyticsForTests();
+
+    await initAnalyticsForTests({ consent: { storage } });
+    expect(analytics.hasConsent('analytics')).toBe(true);
+    expect(JSON.parse(storage.items.unified_analytics_consent)).toMatchObject({
+      analytics: true,
+    });
+  });
+
+  it('lets consent set before init override the stored decision', async () => {
+    const storage = createStorage({
+      unified_analytics_consent: JSON.stringify({ analytics: false }),
+    });
+
+    analytics.setConsent({ analytics: true });
+    await initAnalyticsForTests({ consent: { storage } });
+    expect(analytics.hasConsent('analytics')).toBe(true);
+  });
+
+  it('forgets the decision on resetConsent', async () => {
+    const storage = createStorage();
+    await initAnalyticsForTests({ consent: { storage, defaults: { errors: true } } });
+
+    analytics.setConsent({ analytics: true });
+    analytics.resetConsent();
+    await settle();
+
+    expect(analytics.getConsent()).toMatchObject({ analytics: null, errors: true });
+    expect(storage.items).toEqual({});
+  });
+});
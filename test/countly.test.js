@@ -0,0 +1,154 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { analytics } from '../src/UnifiedAnalytics';
+import { normalizeSegmentationOptions, toCountlySegmentation } from '../src/utils/countly';
+import { initAnalyticsForTests, resetAnalyticsForTests } from '../src/testing';
+
+const Countly = vi.hoisted(() => ({}));
+vi.mock('countly-sdk-web', () => ({ default: Countly }));
+
+function resetCountlyMock() {
+  for (const key of Object.keys(Countly)) delete Countly[key];
+  Object.assign(Countly, {
+    init: vi.fn(),
+    track_sessions: vi.fn(),
+    track_errors: vi.fn(),
+    add_event: vi.fn(),
+    track_pageview: vi.fn(),
+    change_id: vi.fn(),
+    user_details: vi.fn(),
+    userData: { set: vi.fn(), save: vi.fn() },
+    add_consent: vi.fn(),
+    remove_consent: vi.fn(),
+    get_remote_config: vi.fn(() => ({})),
+  });
+}
+
+async function initCountly(countly = {}, config = {}) {
+  await initAnalyticsForTests({
+    platform: 'web',
+    countly: { appKey: 'key', serverUrl: 'https://countly.example.com', ...countly },
+    ...config,
+  });
+}
+
+describe('CountlyProvider (web)', () => {
+  beforeEach(() => resetCountlyMock());
+  afterEach(() => {
+    resetAnalyticsForTests();
+    vi.useRealTimers();
+  });
+
+  it('sends the original timestamp of events', async () => {
+    await initCountly();
+    analytics.trackEvent('purchase', { amount: 5 });
+
+    const [event] = Countly.add_event.mock.calls.at(-1);
+    expect(event).toMatchObject({ key: 'purchase', count: 1, segmentation: { amount: 5 } });
+    expect(event.timestamp).toEqual(expect.any(Number));
+  });
+
+  it('keeps the timestamp of calls made before init', async () => {
+    analytics.trackEvent('early');
+    const trackedAt = analytics.pendingCalls[0].timestamp;
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    await initCountly();
+    const [event] = Countly.add_event.mock.calls.find(([call]) => call.key === 'early');
+    expect(event.timestamp).toBe(trackedAt);
+  });
+
+  it('sends a timed event duration as dur with the timestamp', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    await initCountly();
+
+    analytics.startTimer('upload');
+    vi.advanceTimersByTime(1500);
+    analytics.endTimer('upload');
+
+    const [event] = Countly.add_event.mock.calls.at(-1);
+    expect(event).toMatchObject({ key: 'upload', dur: 1.5, segmentation: { duration_ms: 1500 } });
+    expect(event.timestamp).toEqual(expect.any(Number));
+    expect(event.segmentation).not.toHaveProperty('$duration');
+  });
+
+  it('does not merge on alias unless mergeOnIdentify is set', async () => {
+    await initCountly();
+    analytics.alias('user-1');
+
+    expect(Countly.change_id).toHaveBeenLastCalledWith('user-1', false);
+  });
+
+  it('merges on alias with mergeOnIdentify', async () => {
+    await initCountly({ mergeOnIdentify: true });
+    analytics.alias('user-1');
+
+    expect(Countly.change_id).toHaveBeenLastCalledWith('user-1', true);
+  });
+
+  it('keeps numbers and booleans and flattens nested objects', async () => {
+    await initCountly();
+    analytics.trackEvent('purchase', {
+      price: 9.5,
+      gift: false,
+      user: { plan: 'pro', seats: 3 },
+      tags: ['a', 'b'],
+      items: [{ sku: 'x' }],
+      coupon: null,
+    });
+
+    expect(Countly.add_event.mock.calls.at(-1)[0].segmentation).toEqual({
+      price: 9.5,
+      gift: false,
+      'user.plan': 'pro',
+      'user.seats': 3,
+      tags: ['a', 'b'],
+      'items.0.sku': 'x',
+    });
+  });
+
+  it('stringifies every value with segmentation.stringify', async () => {
+    await initCountly({ segmentation: { stringify: true } });
+    analytics.trackEvent('purchase', { price: 9.5, user: { plan: 'pro' } });
+
+    expect(Countly.add_event.mock.calls.at(-1)[0].segmentation).toEqual({
+      price: '9.5',
+      user: '{"plan":"pro"}',
+    });
+  });
+
+  it('applies segmentation options to views', async () => {
+    await initCountly({ segmentation: { separator: '_' } });
+    analytics.trackView('Checkout', { cart: { items: 2 } });
+
+    expect(Countly.track_pageview).toHaveBeenLastCalledWith(
+      'Checkout',
+      undefined,
+      expect.objectContaining({ cart_items: 2 }),
+    );
+  });
+});
+
+describe('toCountlySegmentation', () => {
+  const convert = (properties, options) =>
+    toCountlySegmentation(properties, normalizeSegmentationOptions(options), String);
+
+  it('stops flattening at maxDepth', () => {
+    expect(convert({ a: { b: { c: 1 } } }, { maxDepth: 1 })).toEqual({ 'a.b': '{"c":1}' });
+  });
+
+  it('keeps arrays of one primitive type up to maxArrayLength', () => {
+    expect(convert({ ids: [1, 2, 3], mixed: [1, 'a'], empty: [] }, { maxArrayLength: 2 })).toEqual({
+      ids: [1, 2],
+      'mixed.0': 1,
+      'mixed.1': 'a',
+    });
+  });
+
+  it('converts dates and non-finite numbers to strings', () => {
+    const date = new Date('2026-01-02T03:04:05.000Z');
+    expect(convert({ at: date, ratio: NaN })).toEqual({
+      at: '2026-01-02T03:04:05.000Z',
+      ratio: 'NaN',
+    });
+  });
+});
@@ -0,0 +1,162 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { analytics } from '../src/UnifiedAnalytics';
+import { BaseProvider } from '../src/providers/BaseProvider';
+import { createDuplicateFilter, getDuplicateKey, normalizeDedupeConfig } from '../src/utils/dedupe';
+import { debounceByKey } from '../src/utils/helpers';
+import {
+  getTrackedEvents,
+  getTrackedViews,
+  initAnalyticsForTests,
+  resetAnalyticsForTests,
+} from '../src/testing';
+
+class RecordingProvider extends BaseProvider {
+  name = 'p2';
+  events = [];
+
+  trackEvent(name, properties) {
+    this.events.push({ name, properties });
+  }
+}
+
+const eventNames = () => getTrackedEvents().map((event) => event.name);
+
+describe('duplicate suppression', () => {
+  afterEach(() => {
+    resetAnalyticsForTests();
+    vi.useRealTimers();
+  });
+
+  it('drops repeats within the window and counts them', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    await initAnalyticsForTests({ dedupe: { window: 1000 } });
+
+    analytics.trackEvent('tap', { id: 1 });
+    analytics.trackEvent('tap', { id: 1 });
+    analytics.trackEvent('tap', { id: 2 });
+    vi.advanceTimersByTime(1000);
+    analytics.trackEvent('tap', { id: 1 });
+
+    expect(getTrackedEvents().map((event) => event.properties.id)).toEqual([1, 2, 1]);
+    expect(analytics.getDuplicateStats()).toEqual({ suppressed: 1, byName: { tap: 1 } });
+  });
+
+  it('compares properties by value regardless of key order', async () => {
+    await initAnalyticsForTests({ dedupe: true });
+
+    analytics.trackEvent('filter', { a: 1, nested: { x: 1, y: 2 } });
+    analytics.trackEvent('filter', { nested: { y: 2, x: 1 }, a: 1 });
+
+    expect(eventNames()).toEqual(['filter']);
+  });
+
+  it('never suppresses allowlisted names', async () => {
+    await initAnalyticsForTests({ dedupe: { allowlist: ['add_to_cart', 'scroll_*'] } });
+
+    analytics.trackEvent('add_to_cart');
+    analytics.trackEvent('add_to_cart');
+    analytics.trackEvent('scroll_depth');
+    analytics.trackEvent('scroll_depth');
+
+    expect(eventNames()).toEqual(['add_to_cart', 'add_to_cart', 'scroll_depth', 'scroll_depth']);
+  });
+
+  it('deduplicates views', async () => {
+    await initAnalyticsForTests({ dedupe: true });
+
+    analytics.trackView('Home');
+    analytics.trackView('Home');
+
+    expect(getTrackedViews()).toHaveLength(1);
+  });
+
+  it('suppresses duplicates made before init', async () => {
+    analytics.trackEvent('app_open');
+    analytics.trackEvent('app_open');
+
+    await initAnalyticsForTests({ dedupe: true });
+    expect(eventNames()).toEqual(['app_open']);
+  });
+
+  it('does not treat the same event routed to different providers as a duplicate', async () => {
+    await initAnalyticsForTests({
+      dedupe: true,
+      providers: { p2: { provider: RecordingProvider } },
+    });
+    const p2 = analytics.getProvider('p2');
+
+    analytics.trackEvent('x', { a: 1 }, { providers: ['memory'] });
+    analytics.trackEvent('x', { a: 1 }, { providers: ['p2'] });
+
+    expect(eventNames()).toEqual(['x']);
+    expect(p2.events).toEqual([{ name: 'x', properties: { a: 1 } }]);
+    expect(analytics.getDuplicateStats().suppressed).toBe(0);
+  });
+
+  it('still suppresses the same routing written differently', async () => {
+    await initAnalyticsForTests({ dedupe: true });
+
+    analytics.trackEvent('x', {}, { providers: ['memory', 'p2'] });
+    analytics.trackEvent('x', {}, { providers: ['P2', 'memory'] });
+    analytics.track('y', {}, { integrations: { All: false, memory: true } });
+    analytics.track('y', {}, { integrations: { Memory: true, All: false } });
+
+    expect(eventNames()).toEqual(['x', 'y']);
+  });
+});
+
+describe('dedupe utilities', () => {
+  it('normalizes config', () => {
+    expect(normalizeDedupeConfig(undefined)).toBeNull();
+    expect(normalizeDedupeConfig(true)).toEqual({ window: 1000, allowlist: [] });
+    expect(normalizeDedupeConfig({ window: 50 })).toEqual({ window: 50, allowlist: [] });
+  });
+
+  it('keys calls by routing and integrations', () => {
+    const call = { type: 'event', name: 'x', properties: { a: 1 } };
+
+    expect(getDuplicateKey(call)).not.toBe(
+      getDuplicateKey({ ...call, routing: { exclude: ['posthog'] } }),
+    );
+    expect(getDuplicateKey(call)).not.toBe(
+      getDuplicateKey({ ...call, integrations: { posthog: false } }),
+    );
+  });
+
+  it('only filters events and views', () => {
+    const filter = createDuplicateFilter({ window: 1000, allowlist: [] });
+    const identify = { type: 'identify', userId: 'u', timestamp: 0 };
+
+    expect(filter.accept(identify)).toBe(true);
+    expect(filter.accept(identify)).toBe(true);
+  });
+});
+
+describe('debounceByKey', () => {
+  it('passes the first call per key and measures the window from it', () => {
+    const gate = debounceByKey(100);
+
+    expect(gate.accept('a', 0)).toBe(true);
+    expect(gate.accept('b', 10)).toBe(true);
+    expect(gate.accept('a', 50)).toBe(false);
+    // Suppressed repeats do not extend the window
+    expect(gate.accept('a', 100)).toBe(true);
+    expect(gate.accept('b', 109)).toBe(false);
+  });
+
+  it('uses the call time for calls replayed out of order', () => {
+    const gate = debounceByKey(100);
+
+    expect(gate.accept('a', 500)).toBe(true);
+    expect(gate.accept('a', 450)).toBe(false);
+    expect(gate.accept('a', 300)).toBe(true);
+  });
+
+  it('forgets every key on clear', () => {
+    const gate = debounceByKey(100);
+
+    gate.accept('a', 0);
+    gate.clear();
+    expect(gate.accept('a', 1)).toBe(true);
+  });
+});
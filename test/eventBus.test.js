@@ -0,0 +1,118 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { analytics } from '../src/UnifiedAnalytics';
+import { initAnalyticsForTests, MemoryProvider, resetAnalyticsForTests } from '../src/testing';
+
+class ThrowingProvider extends MemoryProvider {
+  name = 'throwing';
+
+  trackEvent() {
+    throw new Error('SDK exploded');
+  }
+}
+
+class ReportingProvider extends MemoryProvider {
+  name = 'reporting';
+
+  trackView() {
+    this.error('trackView error:', new Error('quota exceeded'));
+  }
+}
+
+describe('event bus', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  afterEach(() => resetAnalyticsForTests());
+
+  it('reports which providers accepted or failed a call', async () => {
+    await initAnalyticsForTests({ providers: { throwing: { provider: ThrowingProvider } } });
+    const handler = vi.fn();
+    analytics.on('event', handler);
+
+    analytics.trackEvent('signup', { plan: 'pro' });
+
+    expect(handler).toHaveBeenCalledWith({
+      call: expect.objectContaining({ type: 'event', name: 'signup', properties: { plan: 'pro' } }),
+      accepted: ['memory'],
+      failed: [{ provider: 'throwing', error: expect.objectContaining({ message: 'SDK exploded' }) }],
+      queued: [],
+    });
+  });
+
+  it('emits errors reported by providers', async () => {
+    await initAnalyticsForTests({ providers: { reporting: { provider: ReportingProvider } } });
+    const views = vi.fn();
+    const providerErrors = vi.fn();
+    analytics.on('view', views);
+    analytics.on('providerError', providerErrors);
+
+    analytics.trackView('Home');
+
+    expect(views.mock.calls[0][0]).toMatchObject({
+      accepted: ['memory'],
+      failed: [{ provider: 'reporting' }],
+    });
+    expect(providerErrors).toHaveBeenCalledWith(
+      expect.objectContaining({
+        provider: 'reporting',
+        error: expect.objectContaining({ message: 'quota exceeded' }),
+        call: expect.objectContaining({ type: 'view', name: 'Home' }),
+      }),
+    );
+  });
+
+  it('emits identify and reset', async () => {
+    await initAnalyticsForTests();
+    const identify = vi.fn();
+    const reset = vi.fn();
+    analytics.on('identify', identify);
+    analytics.on('reset', reset);
+
+    analytics.identify('user-1', { plan: 'pro' });
+    analytics.reset();
+
+    expect(identify.mock.calls[0][0]).toMatchObject({
+      call: { type: 'identify', userId: 'user-1', properties: { plan: 'pro' } },
+      accepted: ['memory'],
+    });
+    expect(reset.mock.calls[0][0].call).toMatchObject({ type: 'reset' });
+  });
+
+  it('does not emit calls dropped by middleware', async () => {
+    await initAnalyticsForTests({ middleware: [(call, next) => call.name !== 'noise' && next(call)] });
+    const handler = vi.fn();
+    analytics.on('event', handler);
+
+    analytics.trackEvent('noise');
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('removes handlers and isolates handlers that throw', async () => {
+    await initAnalyticsForTests();
+    const removed = vi.fn();
+    const healthy = vi.fn();
+    const off = analytics.on('event', removed);
+    analytics.on('event', () => {
+      throw new Error('boom');
+    });
+    analytics.on('event', healthy);
+
+    off();
+    analytics.trackEvent('opened');
+
+    expect(removed).not.toHaveBeenCalled();
+    expect(healthy).toHaveBeenCalledTimes(1);
+    expect(console.error).toHaveBeenCalledWith(
+      '[UnifiedAnalytics]',
+      '"event" handler failed:',
+      expect.any(Error),
+    );
+  });
+
+  it('rejects unknown event types and non-function handlers', () => {
+    expect(() => analytics.on('click', () => {})).toThrow(
+      'Unknown analytics event "click" (expected event, view, identify, error, reset, providerError)',
+    );
+    expect(() => analytics.on('event', 'handler')).toThrow('Analytics event handler must be a function');
+  });
+});
@@ -0,0 +1,118 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { analytics } from '../src/UnifiedAnalytics';
+import { createFeatureFlagRegistry, diffFeatureFlags } from '../src/utils/featureFlags';
+import { getMemoryProvider, initAnalyticsForTests, resetAnalyticsForTests } from '../src/testing';
+
+const posthog = vi.hoisted(() => ({}));
+vi.mock('posthog-js', () => ({ default: posthog }));
+
+function resetPostHogMock(flags = {}) {
+  for (const key of Object.keys(posthog)) delete posthog[key];
+  Object.assign(posthog, {
+    flags,
+    init: vi.fn(),
+    onFeatureFlags: vi.fn((callback) => {
+      posthog.loadFlags = (next) => {
+        posthog.flags = next;
+        callback();
+      };
+    }),
+    getFeatureFlags: vi.fn(() => posthog.flags),
+    getFeatureFlag: vi.fn((key) => posthog.flags[key]),
+  });
+}
+
+describe('feature flag change events', () => {
+  beforeEach(() => {
+    resetPostHogMock();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  afterEach(() => resetAnalyticsForTests());
+
+  it('diffs flag maps', () => {
+    expect(diffFeatureFlags({ a: 1, b: { x: 1 }, c: true }, { a: 1, b: { x: 2 }, d: 'on' })).toEqual({
+      b: { previous: { x: 1 }, current: { x: 2 } },
+      c: { previous: true, current: undefined },
+      d: { previous: undefined, current: 'on' },
+    });
+  });
+
+  it('emits the first load even when nothing changed', () => {
+    const registry = createFeatureFlagRegistry();
+    const listener = vi.fn();
+    registry.subscribe(listener);
+    registry.prime({ beta: true });
+
+    registry.update({ beta: true });
+    registry.update({ beta: true });
+
+    expect(registry.isLoaded()).toBe(true);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({}, { beta: true });
+  });
+
+  it('notifies every subscriber with the changed flags', async () => {
+    const first = vi.fn();
+    const second = vi.fn();
+    analytics.onFeatureFlagsChange(first);
+    analytics.onFeatureFlagsChange(second);
+    await initAnalyticsForTests({ memory: { featureFlags: { beta: false, limit: 3 } } });
+
+    getMemoryProvider().setFeatureFlags({ beta: true, limit: 3 });
+
+    for (const listener of [first, second]) {
+      expect(listener).toHaveBeenLastCalledWith(
+        { beta: { previous: false, current: true } },
+        { beta: true, limit: 3 },
+      );
+    }
+  });
+
+  it('stops notifying after unsubscribe', async () => {
+    await initAnalyticsForTests({ memory: { featureFlags: { beta: false } } });
+    const listener = vi.fn();
+    const unsubscribe = analytics.onFeatureFlagsChange(listener);
+
+    unsubscribe();
+    getMemoryProvider().setFeatureFlags({ beta: true });
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('keeps notifying when a listener throws', async () => {
+    await initAnalyticsForTests({ memory: { featureFlags: { beta: false } } });
+    const listener = vi.fn();
+    analytics.onFeatureFlagsChange(() => {
+      throw new Error('boom');
+    });
+    analytics.onFeatureFlagsChange(listener);
+
+    getMemoryProvider().setFeatureFlags({ beta: true });
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(console.error).toHaveBeenCalledWith(
+      '[UnifiedAnalytics]',
+      'Feature flag listener failed:',
+      expect.any(Error),
+    );
+  });
+
+  it('fans one PostHog SDK callback out to every provider listener', async () => {
+    await initAnalyticsForTests({ platform: 'web', posthog: { apiKey: 'key' } });
+    const posthogProvider = analytics.getProvider('posthog');
+    const listener = vi.fn();
+    const unsubscribe = posthogProvider.onFeatureFlags(listener);
+    const changes = vi.fn();
+    analytics.onFeatureFlagsChange(changes);
+
+    posthog.loadFlags({ beta: true });
+    unsubscribe();
+    posthog.loadFlags({ beta: false });
+
+    expect(posthog.onFeatureFlags).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({ beta: true });
+    expect(changes.mock.calls.map(([change]) => change)).toEqual([
+      { beta: { previous: undefined, current: true } },
+      { beta: { previous: true, current: false } },
+    ]);
+  });
+});
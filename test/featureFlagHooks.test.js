@@ -0,0 +1,123 @@
+import { createElement } from 'react';
+import TestRenderer, { act } from 'react-test-renderer';
+import { afterEach, beforeAll, describe, expect, it } from 'vitest';
+import { analytics } from '../src/UnifiedAnalytics';
+import { FeatureGate } from '../src/components/FeatureGate';
+import {
+  useFeatureFlag,
+  useFeatureFlagPayload,
+  useFeatureFlags,
+} from '../src/hooks/useFeatureFlags';
+import {
+  getMemoryProvider,
+  initAnalyticsForTests,
+  MemoryProvider,
+  resetAnalyticsForTests,
+} from '../src/testing';
+
+// Serves each flag's value as its payload, as Countly remote config does
+class PayloadProvider extends MemoryProvider {
+  getFeatureFlagPayload(key) {
+    return this.featureFlags[key];
+  }
+}
+
+/**
+ * Render a hook and return a getter for its latest result
+ */
+function renderHook(hook) {
+  const result = { current: undefined };
+  function Probe() {
+    result.current = hook();
+    return null;
+  }
+  let renderer;
+  act(() => {
+    renderer = TestRenderer.create(createElement(Probe));
+  });
+  return { result, renderer };
+}
+
+function renderGate(props) {
+  let renderer;
+  act(() => {
+    renderer = TestRenderer.create(
+      createElement(FeatureGate, props, createElement('new-checkout')),
+    );
+  });
+  return renderer;
+}
+
+const rendered = (renderer) => renderer.toJSON()?.type ?? null;
+
+describe('feature flag hooks', () => {
+  beforeAll(() => {
+    globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+  });
+  afterEach(() => resetAnalyticsForTests());
+
+  it('is loading until the first flags arrive', async () => {
+    const { result, renderer } = renderHook(() => useFeatureFlag('checkout', 'control'));
+    expect(result.current).toEqual({ value: 'control', enabled: true, loading: true });
+
+    await act(() => initAnalyticsForTests({ memory: { featureFlags: { checkout: 'one_page' } } }));
+    expect(result.current).toEqual({ value: 'one_page', enabled: true, loading: false });
+    act(() => renderer.unmount());
+  });
+
+  it('re-renders when flags change', async () => {
+    await initAnalyticsForTests({ memory: { featureFlags: { beta: false } } });
+    const { result, renderer } = renderHook(() => useFeatureFlags());
+    expect(result.current).toEqual({ flags: { beta: false }, loading: false });
+
+    act(() => getMemoryProvider().setFeatureFlags({ beta: true, pricing: { plan: 'pro' } }));
+    expect(result.current.flags).toEqual({ beta: true, pricing: { plan: 'pro' } });
+    act(() => renderer.unmount());
+  });
+
+  it('returns flag payloads', async () => {
+    await initAnalyticsForTests({
+      providers: {
+        payloads: { provider: PayloadProvider, featureFlags: { pricing: { plan: 'pro' } } },
+      },
+    });
+    const { result, renderer } = renderHook(() => useFeatureFlagPayload('pricing'));
+
+    expect(result.current).toEqual({ payload: { plan: 'pro' }, loading: false });
+    act(() => renderer.unmount());
+  });
+
+  it('gates children on a flag or variant', async () => {
+    await initAnalyticsForTests({ memory: { featureFlags: { checkout: 'one_page' } } });
+
+    const gate = renderGate({ flag: 'checkout', fallback: createElement('old-checkout') });
+    expect(rendered(gate)).toBe('new-checkout');
+
+    const variantGate = renderGate({
+      flag: 'checkout',
+      variant: 'multi_step',
+      fallback: createElement('old-checkout'),
+    });
+    expect(rendered(variantGate)).toBe('old-checkout');
+
+    act(() => getMemoryProvider().setFeatureFlags({ checkout: 'multi_step' }));
+    expect(rendered(variantGate)).toBe('new-checkout');
+    act(() => {
+      gate.unmount();
+      variantGate.unmount();
+    });
+  });
+
+  it('renders the loading element until flags arrive', async () => {
+    const gate = renderGate({
+      flag: 'checkout',
+      loading: createElement('spinner'),
+      fallback: createElement('old-checkout'),
+    });
+    expect(rendered(gate)).toBe('spinner');
+
+    await act(() => initAnalyticsForTests({ memory: { featureFlags: { checkout: false } } }));
+    expect(rendered(gate)).toBe('old-checkout');
+    act(() => gate.unmount());
+  });
+});
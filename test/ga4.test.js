@@ -0,0 +1,150 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { analytics } from '../src/UnifiedAnalytics';
+import { GA4_LIMITS, toGA4EventName } from '../src/utils/ga4';
+import { initAnalyticsForTests, resetAnalyticsForTests } from '../src/testing';
+
+const HOUR = 60 * 60 * 1000;
+
+function createFetch(...statuses) {
+  return vi.fn(async () => {
+    const status = statuses.length > 0 ? statuses.shift() : 204;
+    if (status === 'network') throw new TypeError('Network request failed');
+    return { ok: status >= 200 && status < 300, status };
+  });
+}
+
+const requests = (fetch) => fetch.mock.calls.map(([, init]) => JSON.parse(init.body));
+
+async function initGA4(ga4 = {}, config = {}) {
+  await initAnalyticsForTests({
+    platform: 'native',
+    ga4: {
+      measurementId: 'G-TEST',
+      apiSecret: 'secret',
+      clientId: '123.456',
+      flushInterval: 60000,
+      ...ga4,
+    },
+    ...config,
+  });
+  return analytics.getProvider('ga4')._impl ?? analytics.getProvider('ga4');
+}
+
+describe('GA4 Measurement Protocol provider', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  afterEach(() => resetAnalyticsForTests());
+
+  it('posts events with the client id, user and GA4 names', async () => {
+    const fetch = createFetch();
+    const ga4 = await initGA4({ fetch });
+
+    analytics.identify('user-1', { plan: 'pro' });
+    analytics.trackEvent('Checkout Started!', { amount: 5 });
+    analytics.trackView('Home');
+    await ga4.flush();
+
+    const [url] = fetch.mock.calls[0];
+    expect(url).toBe(
+      'https://www.google-analytics.com/mp/collect?measurement_id=G-TEST&api_secret=secret',
+    );
+    const [body] = requests(fetch);
+    expect(body).toMatchObject({
+      client_id: '123.456',
+      user_id: 'user-1',
+      user_properties: { plan: { value: 'pro' } },
+    });
+    expect(body.events.map((event) => event.name)).toEqual([toGA4EventName('Checkout Started!'), 'screen_view']);
+    expect(body.events[0].params).toMatchObject({ amount: 5, engagement_time_msec: 1 });
+    expect(body.events[1].params.screen_name).toBe('Home');
+  });
+
+  it('puts failed batches back and sends them on the next flush', async () => {
+    const fetch = createFetch('network');
+    const ga4 = await initGA4({ fetch });
+
+    analytics.trackEvent('a');
+    analytics.trackEvent('b');
+    await ga4.flush();
+    expect(ga4.queue.map((entry) => entry.event.name)).toEqual(['a', 'b']);
+
+    analytics.trackEvent('c');
+    await ga4.flush();
+    expect(requests(fetch).map((body) => body.events.map((event) => event.name))).toEqual([
+      ['a', 'b'],
+      ['a', 'b', 'c'],
+    ]);
+    expect(ga4.queue).toEqual([]);
+  });
+
+  it('sends at most 25 events per request', async () => {
+    const fetch = createFetch();
+    const ga4 = await initGA4({ fetch });
+
+    for (let i = 0; i < 30; i++) analytics.trackEvent(`e${i}`);
+    await vi.waitFor(() => expect(fetch).toHaveBeenCalledTimes(1));
+    await ga4.flush();
+
+    expect(requests(fetch).map((body) => body.events.length)).toEqual([GA4_LIMITS.eventsPerRequest, 5]);
+  });
+
+  it('sends queued events with the user they were tracked for', async () => {
+    const fetch = createFetch('network');
+    const ga4 = await initGA4({ fetch });
+
+    analytics.identify('user-1');
+    analytics.trackEvent('before_reset');
+    analytics.reset(); // Its flush fails, the event stays queued
+    await vi.waitFor(() => expect(ga4.sending).toBe(false));
+    analytics.trackEvent('after_reset');
+    await ga4.flush();
+
+    const [, first, second] = requests(fetch);
+    expect(first).toMatchObject({ user_id: 'user-1', events: [{ name: 'before_reset' }] });
+    expect(second).not.toHaveProperty('user_id');
+    expect(second.events.map((event) => event.name)).toEqual(['after_reset']);
+  });
+
+  it('drops events older than 72 hours', async () => {
+    const fetch = createFetch();
+    const ga4 = await initGA4({ fetch });
+    const now = Date.now();
+
+    ga4.trackEvent('too_old', {}, { timestamp: now - 73 * HOUR });
+    ga4.trackEvent('recent', {}, { timestamp: now - 71 * HOUR });
+    await ga4.flush();
+
+    const [body] = requests(fetch);
+    expect(body.events.map((event) => event.name)).toEqual(['recent']);
+    expect(body.events[0].timestamp_micros).toBe((now - 71 * HOUR) * 1000);
+    expect(console.warn).toHaveBeenCalledWith('[Analytics:ga4]', 'Dropped 1 event(s) older than 72 hours');
+  });
+
+  it('drops requeued events once they pass 72 hours', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const fetch = createFetch('network');
+    const ga4 = await initGA4({ fetch });
+
+    ga4.trackEvent('a', {}, { timestamp: Date.now() - 71 * HOUR });
+    await ga4.flush();
+    vi.advanceTimersByTime(2 * HOUR);
+    await ga4.flush();
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(ga4.queue).toEqual([]);
+    vi.useRealTimers();
+  });
+
+  it('keeps at most maxQueueSize events', async () => {
+    const fetch = createFetch('network');
+    const ga4 = await initGA4({ fetch, maxQueueSize: 2 });
+
+    analytics.trackEvent('a');
+    analytics.trackEvent('b');
+    analytics.trackEvent('c');
+
+    expect(ga4.queue.map((entry) => entry.event.name)).toEqual(['b', 'c']);
+  });
+});
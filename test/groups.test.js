@@ -0,0 +1,102 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { analytics } from '../src/UnifiedAnalytics';
+import { getTrackedCalls, initAnalyticsForTests, resetAnalyticsForTests } from '../src/testing';
+
+const Countly = vi.hoisted(() => ({}));
+const posthog = vi.hoisted(() => ({}));
+vi.mock('countly-sdk-web', () => ({ default: Countly }));
+vi.mock('posthog-js', () => ({ default: posthog }));
+
+function resetMocks() {
+  for (const key of Object.keys(Countly)) delete Countly[key];
+  for (const key of Object.keys(posthog)) delete posthog[key];
+  Object.assign(Countly, {
+    init: vi.fn(),
+    track_sessions: vi.fn(),
+    track_errors: vi.fn(),
+    add_event: vi.fn(),
+    track_pageview: vi.fn(),
+    change_id: vi.fn(),
+    user_details: vi.fn(),
+    get_device_id: vi.fn(() => 'device-1'),
+  });
+  Object.assign(posthog, {
+    init: vi.fn(),
+    capture: vi.fn(),
+    group: vi.fn(),
+    resetGroups: vi.fn(),
+    reset: vi.fn(),
+    setPersonProperties: vi.fn(),
+    get_distinct_id: vi.fn(() => 'distinct-1'),
+  });
+}
+
+async function initGroups() {
+  await initAnalyticsForTests({
+    platform: 'web',
+    identity: { persist: false, stitching: false },
+    countly: { appKey: 'key', serverUrl: 'https://countly.example.com' },
+    posthog: { apiKey: 'key' },
+  });
+}
+
+describe('group analytics', () => {
+  beforeEach(() => resetMocks());
+  afterEach(() => resetAnalyticsForTests());
+
+  it('keeps the current groups on the facade', async () => {
+    await initGroups();
+
+    analytics.group('company', 'acme', { name: 'Acme' });
+    analytics.group('team', 'payments');
+    expect(analytics.getGroups()).toEqual({ company: 'acme', team: 'payments' });
+    expect(getTrackedCalls('group')).toMatchObject([
+      { groupType: 'company', groupKey: 'acme', traits: { name: 'Acme' } },
+      { groupType: 'team', groupKey: 'payments', traits: {} },
+    ]);
+
+    analytics.resetGroups();
+    expect(analytics.getGroups()).toEqual({});
+    expect(getTrackedCalls('resetGroups')).toHaveLength(1);
+  });
+
+  it('calls PostHog groups', async () => {
+    await initGroups();
+
+    analytics.group('company', 'acme', { name: 'Acme' });
+    analytics.resetGroups();
+
+    expect(posthog.group).toHaveBeenCalledWith('company', 'acme', { name: 'Acme' });
+    expect(posthog.resetGroups).toHaveBeenCalled();
+  });
+
+  it('stores groups as Countly user properties and event segmentation', async () => {
+    await initGroups();
+
+    analytics.group('company', 'acme', { name: 'Acme' });
+    analytics.trackEvent('invite_sent', { seats: 2 });
+
+    expect(Countly.user_details).toHaveBeenCalledWith({
+      custom: { company: 'acme', company_name: 'Acme' },
+    });
+    expect(Countly.add_event.mock.calls.at(-1)[0].segmentation).toEqual({
+      company: 'acme',
+      seats: 2,
+    });
+
+    analytics.resetGroups();
+    analytics.trackEvent('invite_sent');
+    expect(Countly.add_event.mock.calls.at(-1)[0].segmentation).toEqual({});
+  });
+
+  it('forgets groups on reset', async () => {
+    await initGroups();
+
+    analytics.group('company', 'acme');
+    analytics.reset();
+    analytics.trackEvent('opened');
+
+    expect(analytics.getGroups()).toEqual({});
+    expect(Countly.add_event.mock.calls.at(-1)[0].segmentation).toEqual({});
+  });
+});
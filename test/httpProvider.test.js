@@ -0,0 +1,241 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { analytics } from '../src/UnifiedAnalytics';
+import { setPlatform } from '../src/platform';
+import { initAnalyticsForTests, resetAnalyticsForTests } from '../src/testing';
+
+const URL = 'https://collector.example.com/v1/batch';
+
+/**
+ * fetch mock answering with the given statuses in turn (200 once they run out)
+ */
+function createFetch(...statuses) {
+  return vi.fn(async () => {
+    const status = statuses.length > 0 ? statuses.shift() : 200;
+    if (status === 'network') throw new TypeError('Failed to fetch');
+    return { ok: status >= 200 && status < 300, status };
+  });
+}
+
+// Let the flush started by a full batch finish
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const sentBatches = (fetch) =>
+  fetch.mock.calls.map(([, init]) => JSON.parse(init.body).batch.map((message) => message.name));
+
+async function initHttp(http) {
+  await initAnalyticsForTests({
+    http: { url: URL, flushInterval: 60000, useBeacon: false, ...http },
+  });
+  return analytics.getProvider('http');
+}
+
+describe('HttpProvider', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  afterEach(() => resetAnalyticsForTests());
+
+  it('posts batches of batchSize messages in an envelope', async () => {
+    const fetch = createFetch();
+    const http = await initHttp({ fetch, batchSize: 2, headers: { Authorization: 'Bearer t' } });
+
+    analytics.identify('user-1', { plan: 'pro' });
+    analytics.trackEvent('a', { n: 1 });
+    analytics.trackEvent('b');
+    await settle();
+    await http.flush();
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe(URL);
+    expect(init.method).toBe('POST');
+    expect(init.headers).toEqual({ 'Content-Type': 'application/json', Authorization: 'Bearer t' });
+
+    const envelope = JSON.parse(init.body);
+    expect(envelope.context.library.name).toBe('unified-analytics-mohit');
+    expect(envelope.batch).toMatchObject([
+      { type: 'identify', userId: 'user-1', traits: { plan: 'pro' } },
+      { type: 'event', name: 'a', properties: { n: 1 }, userId: 'user-1' },
+    ]);
+    expect(envelope.batch[1]).toHaveProperty('messageId');
+    expect(envelope.batch[1]).toHaveProperty('anonymousId', http.anonymousId);
+    expect(sentBatches(fetch)[1]).toEqual(['b']);
+    expect(http.queue).toEqual([]);
+  });
+
+  it('flushes on the interval', async () => {
+    vi.useFakeTimers();
+    const fetch = createFetch();
+    await initHttp({ fetch, flushInterval: 1000 });
+
+    analytics.trackEvent('a');
+    expect(fetch).not.toHaveBeenCalled();
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(sentBatches(fetch)).toEqual([['a']]);
+    resetAnalyticsForTests();
+    vi.useRealTimers();
+  });
+
+  it.each([['network'], [500], [503], [408], [429]])(
+    'puts batches back in order after a %s failure',
+    async (failure) => {
+      const fetch = createFetch(failure);
+      const http = await initHttp({ fetch, batchSize: 2 });
+
+      analytics.trackEvent('a');
+      analytics.trackEvent('b');
+      analytics.trackEvent('c');
+      await settle();
+
+      expect(http.queue.map((message) => message.name)).toEqual(['a', 'b', 'c']);
+
+      await http.flush();
+      expect(sentBatches(fetch)).toEqual([['a', 'b'], ['a', 'b'], ['c']]);
+      expect(http.queue).toEqual([]);
+    },
+  );
+
+  it.each([[400], [401], [413], [422]])('drops batches rejected with %s and sends the rest', async (status) => {
+    const fetch = createFetch(status);
+    const http = await initHttp({ fetch, batchSize: 2 });
+
+    analytics.trackEvent('a');
+    analytics.trackEvent('b');
+    analytics.trackEvent('c');
+    await settle();
+    await http.flush();
+
+    expect(sentBatches(fetch)).toEqual([['a', 'b'], ['c']]);
+    expect(http.queue).toEqual([]);
+  });
+
+  it('drops the oldest messages beyond maxQueueSize', async () => {
+    const fetch = createFetch('network');
+    const http = await initHttp({ fetch, batchSize: 10, maxQueueSize: 2 });
+
+    analytics.trackEvent('a');
+    analytics.trackEvent('b');
+    analytics.trackEvent('c');
+
+    expect(http.queue.map((message) => message.name)).toEqual(['b', 'c']);
+  });
+
+  it('uses the timestamp of queued calls', async () => {
+    const fetch = createFetch();
+    analytics.trackEvent('early');
+    const trackedAt = analytics.pendingCalls[0].timestamp;
+
+    const http = await initHttp({ fetch });
+    await http.flush();
+
+    expect(JSON.parse(fetch.mock.calls[0][1].body).batch[0].timestamp).toBe(
+      new Date(trackedAt).toISOString(),
+    );
+  });
+
+  it('sends what belongs to the previous user before reset', async () => {
+    const fetch = createFetch();
+    const http = await initHttp({ fetch });
+    const previousAnonymousId = http.anonymousId;
+
+    analytics.identify('user-1');
+    analytics.trackEvent('a');
+    analytics.reset();
+    await vi.waitFor(() => expect(fetch).toHaveBeenCalled());
+
+    const batch = JSON.parse(fetch.mock.calls[0][1].body).batch;
+    expect(batch.map((message) => message.userId)).toEqual(['user-1', 'user-1']);
+    expect(http.userId).toBeNull();
+    expect(http.anonymousId).not.toBe(previousAnonymousId);
+  });
+});
+
+describe('HttpProvider beacons', () => {
+  let listeners;
+  let sendBeacon;
+
+  beforeEach(() => {
+    setPlatform('web');
+    listeners = {};
+    const addEventListener = (type, listener) => {
+      listeners[type] = listener;
+    };
+    sendBeacon = vi.fn(() => true);
+    vi.stubGlobal('window', { addEventListener, removeEventListener: vi.fn() });
+    vi.stubGlobal('document', { visibilityState: 'visible', addEventListener, removeEventListener: vi.fn() });
+    vi.stubGlobal('navigator', { sendBeacon });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    resetAnalyticsForTests();
+    vi.unstubAllGlobals();
+  });
+
+  const beaconBatches = () =>
+    Promise.all(
+      sendBeacon.mock.calls.map(async ([, blob]) =>
+        JSON.parse(await blob.text()).batch.map((message) => message.name),
+      ),
+    );
+
+  it('sends one beacon per batchSize messages when the page is hidden', async () => {
+    const fetch = createFetch();
+    await initHttp({ fetch, batchSize: 2, useBeacon: true });
+
+    ['a', 'b', 'c'].forEach((name) => analytics.trackEvent(name));
+    await vi.waitFor(() => expect(fetch).toHaveBeenCalledTimes(1)); // Full batch [a, b]
+    analytics.trackEvent('d');
+    analytics.trackEvent('e');
+    analytics.trackEvent('f');
+
+    document.visibilityState = 'hidden';
+    listeners.visibilitychange();
+
+    expect(sendBeacon.mock.calls.every(([url]) => url === URL)).toBe(true);
+    expect(await beaconBatches()).toEqual([['c', 'd'], ['e', 'f']]);
+  });
+
+  it('sends batches the browser refuses with a keepalive fetch, even during a flush', async () => {
+    let finishFlush;
+    const fetch = vi.fn((url, init) =>
+      init.keepalive
+        ? Promise.resolve({ ok: true, status: 200 })
+        : new Promise((resolve) => {
+            finishFlush = () => resolve({ ok: true, status: 200 });
+          }),
+    );
+    const http = await initHttp({ fetch, batchSize: 2, useBeacon: true });
+    sendBeacon.mockReturnValueOnce(true).mockReturnValue(false);
+
+    analytics.trackEvent('in_flight');
+    const flushing = http.flush();
+    expect(http.sending).toBe(true);
+
+    ['a', 'b', 'c', 'd', 'e'].forEach((name) => analytics.trackEvent(name));
+    listeners.pagehide();
+
+    const keepalive = fetch.mock.calls.filter(([, init]) => init.keepalive);
+    expect(keepalive.map(([, init]) => JSON.parse(init.body).batch.map((message) => message.name))).toEqual([
+      ['c', 'd'],
+      ['e'],
+    ]);
+    expect(await beaconBatches()).toEqual([['a', 'b'], ['c', 'd'], ['e']]);
+    expect(http.queue).toEqual([]);
+
+    finishFlush();
+    await flushing;
+  });
+
+  it('puts a refused batch back when the keepalive fetch fails', async () => {
+    const fetch = createFetch(503);
+    const http = await initHttp({ fetch, useBeacon: true });
+    sendBeacon.mockReturnValue(false);
+
+    analytics.trackEvent('a');
+    listeners.pagehide();
+
+    await vi.waitFor(() => expect(http.queue.map((message) => message.name)).toEqual(['a']));
+  });
+});
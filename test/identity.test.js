@@ -0,0 +1,146 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { analytics } from '../src/UnifiedAnalytics';
+import { initAnalyticsForTests, resetAnalyticsForTests } from '../src/testing';
+
+const Countly = vi.hoisted(() => ({}));
+const posthog = vi.hoisted(() => ({}));
+vi.mock('countly-sdk-web', () => ({ default: Countly }));
+vi.mock('posthog-js', () => ({ default: posthog }));
+
+function resetMocks() {
+  for (const key of Object.keys(Countly)) delete Countly[key];
+  for (const key of Object.keys(posthog)) delete posthog[key];
+  Object.assign(Countly, {
+    deviceId: 'device-1',
+    init: vi.fn(),
+    track_sessions: vi.fn(),
+    track_errors: vi.fn(),
+    add_event: vi.fn(),
+    change_id: vi.fn((id) => {
+      Countly.deviceId = id;
+    }),
+    user_details: vi.fn(),
+    get_device_id: vi.fn(() => Countly.deviceId),
+  });
+  Object.assign(posthog, {
+    distinctId: 'distinct-1',
+    init: vi.fn(),
+    capture: vi.fn(),
+    identify: vi.fn((id) => {
+      posthog.distinctId = id;
+    }),
+    alias: vi.fn(),
+    reset: vi.fn(),
+    setPersonProperties: vi.fn(),
+    get_distinct_id: vi.fn(() => posthog.distinctId),
+  });
+}
+
+function createStorage() {
+  const items = {};
+  return {
+    items,
+    getItem: async (key) => items[key] ?? null,
+    setItem: async (key, value) => {
+      items[key] = value;
+    },
+    removeItem: async (key) => {
+      delete items[key];
+    },
+  };
+}
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+async function initIdentity(identity = {}) {
+  await initAnalyticsForTests({
+    platform: 'web',
+    identity: { persist: false, ...identity },
+    countly: { appKey: 'key', serverUrl: 'https://countly.example.com' },
+    posthog: { apiKey: 'key' },
+  });
+  await settle();
+}
+
+describe('identity', () => {
+  beforeEach(() => resetMocks());
+  afterEach(() => resetAnalyticsForTests());
+
+  it('reports the identity across providers', async () => {
+    await initIdentity();
+    analytics.identify('user-1');
+
+    expect(await analytics.getIdentity()).toEqual({
+      userId: 'user-1',
+      anonymousId: expect.any(String),
+      countlyDeviceId: 'user-1',
+      posthogDistinctId: 'user-1',
+    });
+  });
+
+  it('links the Countly device id and the PostHog distinct id', async () => {
+    await initIdentity();
+
+    expect(posthog.setPersonProperties).toHaveBeenCalledWith(
+      { countly_device_id: 'device-1' },
+      undefined,
+    );
+    expect(Countly.user_details).toHaveBeenCalledWith({
+      custom: { posthog_distinct_id: 'distinct-1' },
+    });
+  });
+
+  it('links again only when an id changes', async () => {
+    await initIdentity();
+    analytics.setUserProperties({ plan: 'pro' });
+    await settle();
+    expect(posthog.setPersonProperties).toHaveBeenCalledTimes(2);
+
+    analytics.identify('user-1');
+    await settle();
+    expect(posthog.setPersonProperties).toHaveBeenLastCalledWith(
+      { countly_device_id: 'user-1' },
+      undefined,
+    );
+  });
+
+  it('does not link Countly temporary device ids', async () => {
+    Countly.deviceId = '[CLY]_temp_id';
+    await initIdentity();
+
+    expect(posthog.setPersonProperties).not.toHaveBeenCalled();
+  });
+
+  it('does not link with stitching disabled', async () => {
+    await initIdentity({ stitching: false });
+
+    expect(posthog.setPersonProperties).not.toHaveBeenCalled();
+    expect(Countly.user_details).not.toHaveBeenCalled();
+  });
+
+  it('aliases on both providers', async () => {
+    await initIdentity();
+    analytics.alias('user-2', 'user-1');
+
+    expect(posthog.alias).toHaveBeenCalledWith('user-2', 'user-1');
+    expect(Countly.change_id).toHaveBeenLastCalledWith('user-2', false);
+    expect((await analytics.getIdentity()).userId).toBe('user-2');
+  });
+
+  it('persists the identity and starts a new anonymous id on reset', async () => {
+    const storage = createStorage();
+    await initIdentity({ storage, persist: true });
+    analytics.identify('user-1');
+    const { anonymousId } = await analytics.getIdentity();
+    await settle();
+
+    resetAnalyticsForTests();
+    await initIdentity({ storage, persist: true });
+    expect(await analytics.getIdentity()).toMatchObject({ userId: 'user-1', anonymousId });
+
+    analytics.reset();
+    const after = await analytics.getIdentity();
+    expect(after.userId).toBeNull();
+    expect(after.anonymousId).not.toBe(anonymousId);
+  });
+});
@@ -0,0 +1,191 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { analytics } from '../src/UnifiedAnalytics';
+import { runMiddleware } from '../src/utils/middleware';
+import {
+  expectEventNotTracked,
+  expectEventTracked,
+  getTrackedEvents,
+  initAnalyticsForTests,
+  resetAnalyticsForTests,
+} from '../src/testing';
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('runMiddleware', () => {
+  it('runs handlers in order and passes replacement events on', () => {
+    const done = vi.fn();
+    const chain = [
+      { handler: (event, next) => next({ ...event, name: `${event.name}_a` }) },
+      { handler: (event, next) => next({ ...event, name: `${event.name}_b` }) },
+    ];
+
+    runMiddleware(chain, { name: 'x' }, done, vi.fn());
+    expect(done).toHaveBeenCalledWith({ name: 'x_a_b' });
+  });
+
+  it('drops the event when a handler throws', () => {
+    const done = vi.fn();
+    const onError = vi.fn();
+    const error = new Error('boom');
+
+    runMiddleware([{ handler: () => { throw error; } }], { name: 'x' }, done, onError);
+    expect(done).not.toHaveBeenCalled();
+    expect(onError).toHaveBeenCalledWith(error);
+  });
+
+  it('rethrows errors thrown by done instead of reporting them as middleware errors', () => {
+    const onError = vi.fn();
+    const done = () => { throw new Error('delivery'); };
+
+    expect(() =>
+      runMiddleware([{ handler: (event, next) => next() }], { name: 'x' }, done, onError),
+    ).toThrow('delivery');
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  it('reports rejections of async handlers to onError', async () => {
+    const done = vi.fn();
+    const onError = vi.fn();
+    const error = new Error('async boom');
+
+    runMiddleware(
+      [{ handler: async () => { await tick(); throw error; } }],
+      { name: 'x' },
+      done,
+      onError,
+    );
+    await tick();
+    await tick();
+
+    expect(done).not.toHaveBeenCalled();
+    expect(onError).toHaveBeenCalledWith(error);
+  });
+
+  it('ignores repeated next() calls', () => {
+    const done = vi.fn();
+    runMiddleware([{ handler: (event, next) => { next(); next(); } }], { name: 'x' }, done, vi.fn());
+    expect(done).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('analytics middleware', () => {
+  afterEach(() => resetAnalyticsForTests());
+
+  it('enriches and drops events', async () => {
+    await initAnalyticsForTests({
+      middleware: [
+        (event, next) => {
+          if (event.name.startsWith('debug_')) return;
+          next({ ...event, properties: { ...event.properties, app_version: '6.0.0' } });
+        },
+      ],
+    });
+
+    analytics.trackEvent('debug_tap');
+    analytics.trackEvent('purchase', { amount: 5 });
+
+    expectEventNotTracked('debug_tap');
+    expectEventTracked('purchase', { amount: 5, app_version: '6.0.0' });
+  });
+
+  it('does not mutate the caller properties', async () => {
+    await initAnalyticsForTests();
+    analytics.use((event, next) => {
+      event.properties.added = true;
+      next();
+    });
+
+    const properties = { amount: 5 };
+    analytics.trackEvent('purchase', properties);
+
+    expect(properties).toEqual({ amount: 5 });
+    expectEventTracked('purchase', { added: true });
+  });
+
+  it('runs provider-scoped middleware only for that provider', async () => {
+    await initAnalyticsForTests();
+    const seen = [];
+    analytics.use(
+      (event, next) => {
+        seen.push(event.provider);
+        next({ ...event, name: 'scoped' });
+      },
+      { providers: ['memory'] },
+    );
+    analytics.use((event, next) => next(), { providers: ['other'] });
+
+    analytics.trackEvent('original');
+    expect(seen).toEqual(['memory']);
+    expectEventTracked('scoped');
+  });
+
+  it('unregisters middleware with the returned function', async () => {
+    await initAnalyticsForTests();
+    const remove = analytics.use(() => {});
+
+    analytics.trackEvent('dropped');
+    remove();
+    analytics.trackEvent('kept');
+
+    expect(getTrackedEvents().map((event) => event.name)).toEqual(['kept']);
+  });
+
+  it('logs and drops events when an async middleware rejects', async () => {
+    await initAnalyticsForTests();
+    const logged = vi.spyOn(analytics.logger, 'error').mockImplementation(() => {});
+    const unhandled = vi.fn();
+    process.on('unhandledRejection', unhandled);
+
+    analytics.use(async () => {
+      throw new Error('enrichment failed');
+    });
+    analytics.trackEvent('purchase');
+    await tick();
+    process.off('unhandledRejection', unhandled);
+
+    expectEventNotTracked('purchase');
+    expect(logged).toHaveBeenCalledWith('Middleware error, dropping call:', expect.any(Error));
+    expect(unhandled).not.toHaveBeenCalled();
+  });
+
+  it('delivers events whose async middleware continues later', async () => {
+    await initAnalyticsForTests();
+    analytics.use(async (event, next) => {
+      await tick();
+      next({ ...event, properties: { enriched: true } });
+    });
+
+    analytics.trackEvent('purchase');
+    expectEventNotTracked('purchase');
+    await tick();
+    expectEventTracked('purchase', { enriched: true });
+  });
+
+  it('replays pre-init calls whose middleware calls next() synchronously', async () => {
+    analytics.trackEvent('early', { step: 1 });
+
+    await initAnalyticsForTests({
+      middleware: [(event, next) => next({ ...event, properties: { ...event.properties, seen: true } })],
+    });
+
+    expectEventTracked('early', { step: 1, seen: true });
+  });
+
+  it('delivers pre-init calls whose middleware calls next() after init finished', async () => {
+    analytics.trackEvent('early', { step: 1 });
+
+    await initAnalyticsForTests({
+      middleware: [
+        async (event, next) => {
+          await new Promise((resolve) => setTimeout(resolve, 10));
+          next();
+        },
+      ],
+    });
+
+    expect(analytics.isInitialized()).toBe(true);
+    expectEventNotTracked('early');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(getTrackedEvents().filter((event) => event.name === 'early')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,130 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { analytics } from '../src/UnifiedAnalytics';
+import { initAnalyticsForTests, resetAnalyticsForTests } from '../src/testing';
+
+const mixpanel = vi.hoisted(() => ({}));
+vi.mock('mixpanel-browser', () => ({ default: mixpanel }));
+
+function resetMixpanelMock() {
+  for (const key of Object.keys(mixpanel)) delete mixpanel[key];
+  const groupProfile = { set: vi.fn() };
+  Object.assign(mixpanel, {
+    init: vi.fn(),
+    track: vi.fn(),
+    track_pageview: vi.fn(),
+    identify: vi.fn(),
+    alias: vi.fn(),
+    reset: vi.fn(),
+    people: { set: vi.fn(), set_once: vi.fn(), increment: vi.fn() },
+    register: vi.fn(),
+    unregister: vi.fn(),
+    set_group: vi.fn(),
+    get_group: vi.fn(() => groupProfile),
+    groupProfile,
+    opt_in_tracking: vi.fn(),
+    opt_out_tracking: vi.fn(),
+  });
+}
+
+async function initMixpanel(config = {}) {
+  await initAnalyticsForTests({ platform: 'web', mixpanel: { token: 'token' }, ...config });
+  return analytics.getProvider('mixpanel');
+}
+
+describe('MixpanelProvider (web)', () => {
+  beforeEach(() => resetMixpanelMock());
+  afterEach(() => {
+    resetAnalyticsForTests();
+    vi.useRealTimers();
+  });
+
+  it('initializes with the token and without automatic page views', async () => {
+    await initMixpanel();
+
+    expect(mixpanel.init).toHaveBeenCalledWith(
+      'token',
+      expect.objectContaining({ track_pageview: false, opt_out_tracking_by_default: false }),
+    );
+  });
+
+  it('tracks events and page views with the original time', async () => {
+    await initMixpanel();
+
+    analytics.trackEvent('signup', { plan: 'pro' });
+    analytics.trackView('Pricing', { tab: 'yearly' });
+
+    expect(mixpanel.track).toHaveBeenCalledWith('signup', {
+      plan: 'pro',
+      time: expect.any(Number),
+    });
+    expect(mixpanel.track_pageview).toHaveBeenCalledWith({
+      page: 'Pricing',
+      tab: 'yearly',
+      time: expect.any(Number),
+    });
+  });
+
+  it('maps identify, people properties and alias', async () => {
+    const provider = await initMixpanel();
+
+    analytics.identify('user-1', { plan: 'pro' });
+    analytics.setUserProperties({ seats: 3 });
+    provider.setUserPropertiesOnce({ first_seen: '2024-05-01' });
+    provider.incrementUserProperty('logins');
+    analytics.alias('user-2', 'user-1');
+
+    expect(mixpanel.identify).toHaveBeenCalledWith('user-1');
+    expect(mixpanel.people.set).toHaveBeenCalledWith({ plan: 'pro' });
+    expect(mixpanel.people.set).toHaveBeenCalledWith({ seats: 3 });
+    expect(mixpanel.people.set_once).toHaveBeenCalledWith({ first_seen: '2024-05-01' });
+    expect(mixpanel.people.increment).toHaveBeenCalledWith('logins', 1);
+    expect(mixpanel.alias).toHaveBeenCalledWith('user-2', 'user-1');
+  });
+
+  it('maps global properties onto super properties', async () => {
+    await initMixpanel();
+
+    analytics.setGlobalProperties({ app_version: '6.0.0', build: 12 });
+    analytics.removeGlobalProperty('build');
+
+    expect(mixpanel.register).toHaveBeenCalledWith({ app_version: '6.0.0', build: 12 });
+    expect(mixpanel.unregister).toHaveBeenCalledWith('build');
+    expect(analytics.getProvider('mixpanel').getGlobalProperties()).toEqual({
+      app_version: '6.0.0',
+    });
+  });
+
+  it('sends timed events with $duration', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    await initMixpanel();
+
+    analytics.startTimer('upload');
+    vi.advanceTimersByTime(2500);
+    analytics.endTimer('upload', { size: 10 });
+
+    expect(mixpanel.track).toHaveBeenLastCalledWith(
+      'upload',
+      expect.objectContaining({ size: 10, $duration: 2.5 }),
+    );
+  });
+
+  it('sets groups with their profile properties', async () => {
+    await initMixpanel();
+
+    analytics.group('company', 'acme', { name: 'Acme' });
+    analytics.resetGroups();
+
+    expect(mixpanel.set_group).toHaveBeenCalledWith('company', 'acme');
+    expect(mixpanel.get_group).toHaveBeenCalledWith('company', 'acme');
+    expect(mixpanel.groupProfile.set).toHaveBeenCalledWith({ name: 'Acme' });
+    expect(mixpanel.unregister).toHaveBeenCalledWith('company');
+  });
+
+  it('opts out until analytics consent is granted', async () => {
+    await initMixpanel({ consent: { persist: false } });
+    expect(mixpanel.opt_out_tracking).toHaveBeenCalled();
+
+    analytics.setConsent({ analytics: true });
+    expect(mixpanel.opt_in_tracking).toHaveBeenCalled();
+  });
+});
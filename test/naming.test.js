@@ -0,0 +1,102 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { analytics } from '../src/UnifiedAnalytics';
+import {
+  createProviderNaming,
+  toCamelCase,
+  toTitleCase,
+  validateNamingConfig,
+} from '../src/utils/naming';
+import {
+  expectEventTracked,
+  getTrackedEvents,
+  initAnalyticsForTests,
+  resetAnalyticsForTests,
+} from '../src/testing';
+
+describe('naming conventions', () => {
+  it('converts between conventions', () => {
+    expect(toCamelCase('checkout_started')).toBe('checkoutStarted');
+    expect(toTitleCase('checkoutStarted')).toBe('Checkout Started');
+    expect(toTitleCase('checkout-started')).toBe('Checkout Started');
+  });
+
+  it('validates the naming config', () => {
+    expect(validateNamingConfig({ posthog: { events: 'snake_case' } })).toEqual([]);
+    expect(validateNamingConfig({ posthog: { events: 'kebab', maxLength: 0 } })).toEqual([
+      'naming.posthog.events must be snake_case, camelCase, Title Case or a function',
+      'naming.posthog.maxLength must be a positive number',
+    ]);
+  });
+
+  it('prefers mapped names and leaves $ names alone', () => {
+    const naming = createProviderNaming('posthog', {
+      events: 'snake_case',
+      properties: 'snake_case',
+      map: { events: { checkoutStarted: 'Checkout Began' }, properties: { userTier: 'Tier' } },
+    });
+
+    expect(naming.eventName('checkoutStarted', 'checkoutStarted')).toBe('Checkout Began');
+    expect(naming.eventName('signUp', 'signUp')).toBe('sign_up');
+    expect(naming.properties({ userTier: 'gold', itemCount: 2, $duration: 1 })).toEqual({
+      Tier: 'gold',
+      item_count: 2,
+      $duration: 1,
+    });
+  });
+
+  it('cuts Countly names to 128 characters without naming config', () => {
+    const naming = createProviderNaming('countly');
+    const long = 'a'.repeat(200);
+
+    expect(naming.eventName(long, long)).toHaveLength(128);
+    expect(createProviderNaming('posthog')).toBeNull();
+  });
+
+  it('reports colliding property keys once per pair', () => {
+    const onCollision = vi.fn();
+    const naming = createProviderNaming('posthog', { properties: 'snake_case' }, onCollision);
+
+    expect(naming.properties({ userId: 'a', user_id: 'b' })).toEqual({ user_id: 'b' });
+    naming.properties({ userId: 'a', user_id: 'b' });
+
+    expect(onCollision).toHaveBeenCalledTimes(1);
+    expect(onCollision).toHaveBeenCalledWith('user_id', ['userId', 'user_id']);
+  });
+});
+
+describe('per-provider naming', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  afterEach(() => resetAnalyticsForTests());
+
+  it('renames events and properties after middleware', async () => {
+    const seen = [];
+    await initAnalyticsForTests({
+      naming: { memory: { events: 'Title Case', properties: 'camelCase' } },
+      middleware: [
+        (call, next) => {
+          seen.push(call.name);
+          next(call);
+        },
+      ],
+    });
+
+    analytics.trackEvent('checkout_started', { item_count: 2 });
+    expectEventTracked('Checkout Started', { itemCount: 2 });
+    expect(seen).toEqual(['checkout_started']);
+  });
+
+  it('warns when two properties end up with the same name', async () => {
+    await initAnalyticsForTests({ naming: { memory: { properties: 'snake_case' } } });
+
+    analytics.trackEvent('login', { userId: 'a', user_id: 'b' });
+
+    expect(getTrackedEvents().at(-1).properties).toEqual({ user_id: 'b' });
+    expect(console.warn).toHaveBeenCalledWith(
+      '[UnifiedAnalytics]',
+      'Properties renamed to "user_id" for "memory", keeping the last:',
+      ['userId', 'user_id'],
+    );
+  });
+});
@@ -0,0 +1,188 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { analytics } from '../src/UnifiedAnalytics';
+import { BaseProvider } from '../src/providers/BaseProvider';
+import { DEFAULT_OFFLINE_QUEUE, createOfflineQueue } from '../src/utils/offlineQueue';
+import { createMemoryStorage } from '../src/utils/memoryStorage';
+import { debounce } from '../src/utils/helpers';
+import {
+  expectEventTracked,
+  getTrackedEvents,
+  initAnalyticsForTests,
+  resetAnalyticsForTests,
+} from '../src/testing';
+
+/**
+ * Catches its own SDK errors like the built-in providers and reports them
+ * through error()
+ */
+class FlakyProvider extends BaseProvider {
+  name = 'flaky';
+  failing = true;
+  delivered = [];
+
+  trackEvent(name, properties, options) {
+    if (this.failing) {
+      this.error('trackEvent error:', new Error('network request failed'));
+      return;
+    }
+    this.delivered.push({ name, timestamp: options.timestamp });
+  }
+}
+
+const logger = { log() {}, error() {} };
+
+async function initWithQueue(options = {}) {
+  await initAnalyticsForTests({
+    offlineQueue: { storage: createMemoryStorage(), ...options },
+    providers: { flaky: { provider: FlakyProvider } },
+  });
+  return analytics.getProvider('flaky');
+}
+
+describe('offline queue', () => {
+  // Failed deliveries are logged
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    resetAnalyticsForTests();
+    vi.useRealTimers();
+  });
+
+  it('queues calls a provider reports as failed and retries them with backoff', async () => {
+    vi.useFakeTimers();
+    const flaky = await initWithQueue({ baseDelayMs: 1000 });
+    const emitted = [];
+    analytics.on('event', ({ failed, queued }) => emitted.push({ failed, queued }));
+
+    analytics.trackEvent('purchase', { amount: 5 });
+    const trackedAt = Date.now();
+
+    expect(emitted[0].failed.map((entry) => entry.provider)).toEqual(['flaky']);
+    expect(emitted[0].queued).toEqual(['flaky']);
+    expect(analytics.getOfflineQueueStats().byProvider).toEqual({ flaky: 1 });
+    expectEventTracked('purchase');
+
+    flaky.failing = false;
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(flaky.delivered).toEqual([{ name: 'purchase', timestamp: trackedAt }]);
+    expect(analytics.getOfflineQueueStats().length).toBe(0);
+  });
+
+  it('keeps later calls behind queued ones so order is preserved', async () => {
+    vi.useFakeTimers();
+    const flaky = await initWithQueue({ baseDelayMs: 1000 });
+
+    analytics.trackEvent('first');
+    flaky.failing = false;
+    analytics.trackEvent('second');
+
+    expect(flaky.delivered).toEqual([]);
+    expect(analytics.getOfflineQueueStats().byProvider).toEqual({ flaky: 2 });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(flaky.delivered.map((event) => event.name)).toEqual(['first', 'second']);
+  });
+
+  it('queues while offline and flushes when asked', async () => {
+    const flaky = await initWithQueue();
+    flaky.failing = false;
+    const online = vi.spyOn(analytics.network, 'isOnline').mockReturnValue(false);
+
+    analytics.trackEvent('offline_event');
+    expect(flaky.delivered).toEqual([]);
+    expect(getTrackedEvents().map((event) => event.name)).toEqual([]);
+    expect(analytics.getOfflineQueueStats().byProvider).toEqual({ flaky: 1, memory: 1 });
+
+    online.mockReturnValue(true);
+    analytics.flushOfflineQueue();
+
+    expect(flaky.delivered.map((event) => event.name)).toEqual(['offline_event']);
+    expectEventTracked('offline_event');
+  });
+
+  it('gives up after maxAttempts', async () => {
+    vi.useFakeTimers();
+    await initWithQueue({ maxAttempts: 2, baseDelayMs: 10, maxDelayMs: 10 });
+
+    analytics.trackEvent('never_delivered');
+    await vi.advanceTimersByTimeAsync(10);
+
+    expect(analytics.getOfflineQueueStats().length).toBe(0);
+  });
+
+  it('restores calls persisted by a previous session', async () => {
+    const storage = createMemoryStorage();
+    const call = { type: 'event', name: 'from_last_session', properties: {}, timestamp: Date.now() - 1000 };
+    await storage.setItem(
+      DEFAULT_OFFLINE_QUEUE.storageKey,
+      JSON.stringify([
+        { id: '1', provider: 'memory', call, timestamp: call.timestamp, attempts: 0, nextAttemptAt: 0 },
+      ]),
+    );
+
+    await initAnalyticsForTests({ offlineQueue: { storage } });
+    expectEventTracked('from_last_session');
+    expect(getTrackedEvents()[0].timestamp).toBe(call.timestamp);
+  });
+});
+
+describe('offline queue persistence', () => {
+  afterEach(() => vi.useRealTimers());
+
+  it('persists at least every second while calls keep arriving', async () => {
+    vi.useFakeTimers();
+    const storage = { getItem: vi.fn(), setItem: vi.fn(), removeItem: vi.fn() };
+    const queue = createOfflineQueue({
+      options: DEFAULT_OFFLINE_QUEUE,
+      storage,
+      canDeliver: () => false,
+      deliver: () => {},
+      logger,
+    });
+
+    // One call every 100 ms never leaves a 250 ms gap
+    for (let i = 0; i < 15; i++) {
+      queue.enqueue('memory', { type: 'event', name: `e${i}` });
+      await vi.advanceTimersByTimeAsync(100);
+    }
+
+    expect(storage.setItem).toHaveBeenCalled();
+    const stored = JSON.parse(storage.setItem.mock.calls.at(-1)[1]);
+    expect(stored.length).toBeGreaterThanOrEqual(10);
+    queue.stop();
+  });
+});
+
+describe('debounce', () => {
+  afterEach(() => vi.useRealTimers());
+
+  it('runs once after calls stop', () => {
+    vi.useFakeTimers();
+    const func = vi.fn();
+    const debounced = debounce(func, 100);
+
+    debounced(1);
+    vi.advanceTimersByTime(50);
+    debounced(2);
+    vi.advanceTimersByTime(99);
+    expect(func).not.toHaveBeenCalled();
+    vi.advanceTimersByTime(1);
+    expect(func).toHaveBeenCalledExactlyOnceWith(2);
+  });
+
+  it('runs at least every maxWait ms', () => {
+    vi.useFakeTimers();
+    const func = vi.fn();
+    const debounced = debounce(func, 100, { maxWait: 300 });
+
+    for (let i = 0; i < 10; i++) {
+      debounced(i);
+      vi.advanceTimersByTime(50);
+    }
+
+    expect(func).toHaveBeenCalledTimes(1);
+    expect(func).toHaveBeenCalledWith(5);
+  });
+});
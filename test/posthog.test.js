@@ -0,0 +1,70 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { analytics } from '../src/UnifiedAnalytics';
+import { initAnalyticsForTests, resetAnalyticsForTests } from '../src/testing';
+
+const posthog = vi.hoisted(() => ({}));
+vi.mock('posthog-js', () => ({ default: posthog }));
+
+function resetPostHogMock() {
+  for (const key of Object.keys(posthog)) delete posthog[key];
+  Object.assign(posthog, {
+    init: vi.fn(),
+    capture: vi.fn(),
+    identify: vi.fn(),
+    opt_in_capturing: vi.fn(),
+    opt_out_capturing: vi.fn(),
+    startSessionRecording: vi.fn(),
+    stopSessionRecording: vi.fn(),
+  });
+}
+
+async function initPostHog(config = {}) {
+  await initAnalyticsForTests({
+    platform: 'web',
+    posthog: { apiKey: 'key', enableSessionReplay: true },
+    ...config,
+  });
+}
+
+describe('PostHogProvider (web)', () => {
+  beforeEach(() => resetPostHogMock());
+  afterEach(() => resetAnalyticsForTests());
+
+  it('starts opted out and without recording while consent is pending', async () => {
+    await initPostHog({ consent: { persist: false } });
+
+    const [, options] = posthog.init.mock.calls[0];
+    expect(options.opt_out_capturing_by_default).toBe(true);
+    expect(options.disable_session_recording).toBe(true);
+    expect(posthog.opt_out_capturing).toHaveBeenCalled();
+    expect(posthog.startSessionRecording).not.toHaveBeenCalled();
+  });
+
+  it('initializes with recording when consent is already granted', async () => {
+    await initPostHog({
+      consent: { persist: false, defaults: { analytics: true, replay: true } },
+    });
+
+    const [, options] = posthog.init.mock.calls[0];
+    expect(options.opt_out_capturing_by_default).toBeUndefined();
+    expect(options.disable_session_recording).toBe(false);
+    expect(posthog.opt_in_capturing).toHaveBeenCalled();
+  });
+
+  it('opts in and starts recording once consent is granted', async () => {
+    await initPostHog({ consent: { persist: false } });
+
+    analytics.setConsent({ analytics: true, replay: true });
+    expect(posthog.opt_in_capturing).toHaveBeenCalled();
+    expect(posthog.startSessionRecording).toHaveBeenCalled();
+  });
+
+  it('keeps the SDK defaults without facade consent', async () => {
+    await initPostHog();
+
+    const [, options] = posthog.init.mock.calls[0];
+    expect(options.opt_out_capturing_by_default).toBeUndefined();
+    expect(options.disable_session_recording).toBe(false);
+    expect(posthog.opt_out_capturing).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,61 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { analytics } from '../src/UnifiedAnalytics';
+import {
+  getTrackedCalls,
+  getTrackedEvents,
+  initAnalyticsForTests,
+  resetAnalyticsForTests,
+} from '../src/testing';
+
+describe('pre-init queue', () => {
+  afterEach(() => resetAnalyticsForTests());
+
+  it('replays calls made before init in order', async () => {
+    analytics.trackView('Home');
+    analytics.identify('user-1', { plan: 'pro' });
+    analytics.setGlobalProperties({ app_version: '6.0.0' });
+    analytics.trackEvent('opened', { source: 'push' });
+
+    await initAnalyticsForTests();
+
+    expect(getTrackedCalls().map((call) => call.type)).toEqual([
+      'view',
+      'identify',
+      'setGlobalProperties',
+      'event',
+    ]);
+    expect(getTrackedEvents()).toMatchObject([
+      { name: 'opened', properties: { source: 'push', app_version: '6.0.0' } },
+    ]);
+    expect(analytics.pendingCalls).toEqual([]);
+  });
+
+  it('drops the oldest calls beyond maxSize by default', async () => {
+    for (const name of ['first', 'second', 'third']) analytics.trackEvent(name);
+
+    await initAnalyticsForTests({ preInitQueue: { maxSize: 2 } });
+    expect(getTrackedEvents().map((event) => event.name)).toEqual(['second', 'third']);
+  });
+
+  it('keeps the oldest calls with dropPolicy newest', async () => {
+    for (const name of ['first', 'second', 'third']) analytics.trackEvent(name);
+
+    await initAnalyticsForTests({ preInitQueue: { maxSize: 2, dropPolicy: 'newest' } });
+    expect(getTrackedEvents().map((event) => event.name)).toEqual(['first', 'second']);
+  });
+
+  it('discards calls made before init when disabled', async () => {
+    analytics.trackEvent('early');
+
+    await initAnalyticsForTests({ preInitQueue: { enabled: false } });
+    expect(getTrackedEvents()).toEqual([]);
+  });
+
+  it('drops queued views when screen views are disabled', async () => {
+    analytics.trackView('Home');
+    analytics.trackEvent('opened');
+
+    await initAnalyticsForTests({ trackScreenViews: false });
+    expect(getTrackedCalls().map((call) => call.type)).toEqual(['event']);
+  });
+});
@@ -0,0 +1,83 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { analytics } from '../src/UnifiedAnalytics';
+import { BaseProvider } from '../src/providers/BaseProvider';
+import { initAnalyticsForTests, MemoryProvider, resetAnalyticsForTests } from '../src/testing';
+
+class WarehouseProvider extends BaseProvider {
+  name = 'warehouse';
+  events = [];
+
+  async init(config) {
+    this.config = config;
+    this.initialized = true;
+  }
+
+  trackEvent(name, properties) {
+    this.events.push({ name, properties });
+  }
+}
+
+class BrokenProvider extends BaseProvider {
+  name = 'broken';
+
+  async init() {
+    throw new Error('no api key');
+  }
+}
+
+describe('provider registry', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  afterEach(() => resetAnalyticsForTests());
+
+  it('initializes registered providers from config.providers', async () => {
+    analytics.registerProvider('warehouse', WarehouseProvider);
+    await initAnalyticsForTests({ providers: { warehouse: { endpoint: '/collect' } } });
+
+    analytics.trackEvent('signup', { plan: 'pro' });
+
+    const warehouse = analytics.getProvider('warehouse');
+    expect(warehouse.config).toEqual({ endpoint: '/collect' });
+    expect(warehouse.events).toEqual([{ name: 'signup', properties: { plan: 'pro' } }]);
+    expect(analytics.getEnabledProviders()).toEqual(['warehouse', 'memory']);
+    expect(analytics.hasProvider('warehouse')).toBe(true);
+    expect(analytics.hasProvider('posthog')).toBe(false);
+  });
+
+  it('accepts a factory function or an inline provider class', async () => {
+    const instance = new WarehouseProvider();
+    analytics.registerProvider('warehouse', () => instance);
+    await initAnalyticsForTests({
+      providers: { warehouse: {}, mirror: { provider: MemoryProvider } },
+    });
+
+    expect(analytics.getProvider('warehouse')).toBe(instance);
+    expect(analytics.getProvider('mirror')).toBeInstanceOf(MemoryProvider);
+  });
+
+  it('rejects invalid registrations', () => {
+    expect(() => analytics.registerProvider('', WarehouseProvider)).toThrow(
+      'Provider name must be a non-empty string',
+    );
+    expect(() => analytics.registerProvider('warehouse', {})).toThrow(
+      'Provider "warehouse" must be a BaseProvider subclass or factory function',
+    );
+  });
+
+  it('skips unknown and failing providers without blocking the others', async () => {
+    analytics.registerProvider('broken', BrokenProvider);
+    await initAnalyticsForTests({ providers: { broken: {}, unknown: {} } });
+
+    expect(analytics.getEnabledProviders()).toEqual(['memory']);
+    expect(console.error).toHaveBeenCalledWith(
+      '[UnifiedAnalytics]',
+      'No provider registered for "unknown", skipping',
+    );
+    expect(console.error).toHaveBeenCalledWith(
+      '[UnifiedAnalytics]',
+      'Provider "broken" initialization failed:',
+      expect.any(Error),
+    );
+  });
+});
@@ -0,0 +1,111 @@
+import { createHmac } from 'node:crypto';
+import { afterEach, describe, expect, it } from 'vitest';
+import { analytics } from '../src/UnifiedAnalytics';
+import { createRedactor, validateRedactionConfig } from '../src/utils/redaction';
+import * as sampling from '../src/utils/sampling';
+import {
+  expectEventTracked,
+  getTrackedCalls,
+  getTrackedViews,
+  initAnalyticsForTests,
+  resetAnalyticsForTests,
+} from '../src/testing';
+
+const hmac = (value) => createHmac('sha256', 'test-secret').update(value).digest('hex').slice(0, 16);
+
+describe('createRedactor', () => {
+  const { redactValue } = createRedactor(true);
+
+  it.each([
+    ['contact jane.doe@example.com now', 'contact [REDACTED] now'],
+    ['call +1 (415) 555-0100', 'call [REDACTED]'],
+    ['card 4111 1111 1111 1111', 'card [REDACTED]'],
+    ['Bearer abc.def-123', '[REDACTED]'],
+    ['https://x.com/cb?code=abc&state=1', 'https://x.com/cb?code=[REDACTED]&state=1'],
+  ])('redacts %s', (input, output) => {
+    expect(redactValue(input)).toBe(output);
+  });
+
+  it.each([
+    ['order 1234567890123'],
+    ['at 1718000000000'],
+    ['2024-06-01 12:00'],
+    ['10.0.0.1'],
+    ['card 4111 1111 1111 1112'],
+  ])('keeps %s', (input) => {
+    expect(redactValue(input)).toBe(input);
+  });
+
+  it('redacts values of deny-listed keys and walks nested objects', () => {
+    expect(
+      redactValue({ apiKey: 'abc', nested: { Password: 'x', list: ['a@b.co', 1] }, count: 2 }),
+    ).toEqual({ apiKey: '[REDACTED]', nested: { Password: '[REDACTED]', list: ['[REDACTED]', 1] }, count: 2 });
+  });
+
+  it('applies custom rules, deny keys and mask', () => {
+    const redactor = createRedactor({
+      detectors: [],
+      rules: [/ORD-\d+/, { name: 'ssn', pattern: /\b\d{3}-\d{2}-\d{4}\b/ }],
+      denyKeys: ['dob', /^address/i],
+      mask: '***',
+    });
+
+    expect(
+      redactor.redactValue({ note: 'ORD-12 123-45-6789 a@b.co', dob: '2000-01-01', addressLine1: 'x' }),
+    ).toEqual({ note: '*** *** a@b.co', dob: '***', addressLine1: '***' });
+  });
+
+  it('hashes with the caller-supplied keyed hash', () => {
+    const redactor = createRedactor({ mode: 'hash', hash: hmac });
+    expect(redactor.redactValue('mail jane@example.com')).toBe(`mail [hash:${hmac('jane@example.com')}]`);
+  });
+
+  it('requires a hash function for hash mode', () => {
+    expect(() => createRedactor({ mode: 'hash' })).toThrow("redaction.mode 'hash' needs a redaction.hash function");
+    expect(validateRedactionConfig({ mode: 'hash' })).toEqual([
+      "redaction.mode 'hash' needs redaction.hash, a synchronous keyed hash such as HMAC-SHA-256",
+    ]);
+  });
+
+  it('reports unknown detectors and invalid rules', () => {
+    expect(validateRedactionConfig({ detectors: ['ssn'], rules: ['x'] })).toEqual([
+      'redaction.detectors: unknown detector "ssn" (expected email, creditCard, token, phone)',
+      'redaction.rules must be regular expressions or { name, pattern } objects',
+    ]);
+  });
+
+  it('does not expose a built-in string hash', () => {
+    expect(sampling).not.toHaveProperty('hashString');
+  });
+});
+
+describe('redaction in the pipeline', () => {
+  afterEach(() => resetAnalyticsForTests());
+
+  it('scrubs event properties, view names, errors and global properties', async () => {
+    await initAnalyticsForTests({ redaction: true });
+
+    analytics.setGlobalProperties({ support_email: 'help@example.com' });
+    analytics.trackEvent('signup', { email: 'jane@example.com', plan: 'pro' });
+    analytics.trackView('/users/jane@example.com');
+    analytics.trackError(new Error('Failed for jane@example.com'));
+
+    expectEventTracked('signup', { email: '[REDACTED]', plan: 'pro', support_email: '[REDACTED]' });
+    expect(getTrackedViews()[0].name).toBe('/users/[REDACTED]');
+    expect(getTrackedCalls('error')[0].error.message).toBe('Failed for [REDACTED]');
+  });
+
+  it('covers properties added by middleware', async () => {
+    await initAnalyticsForTests({
+      redaction: true,
+      middleware: [(event, next) => next({ ...event, properties: { ...event.properties, token: 'abc' } })],
+    });
+
+    analytics.trackEvent('opened');
+    expectEventTracked('opened', { token: '[REDACTED]' });
+  });
+
+  it('rejects hash mode without a hash at init', async () => {
+    await expect(initAnalyticsForTests({ redaction: { mode: 'hash' } })).rejects.toThrow('Invalid config');
+  });
+});
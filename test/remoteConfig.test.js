@@ -0,0 +1,103 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { analytics } from '../src/UnifiedAnalytics';
+import {
+  isRemoteConfigValueEnabled,
+  normalizeRemoteConfigOptions,
+  unwrapRemoteConfigValues,
+} from '../src/utils/remoteConfig';
+import { initAnalyticsForTests, resetAnalyticsForTests } from '../src/testing';
+
+const Countly = vi.hoisted(() => ({}));
+vi.mock('countly-sdk-web', () => ({ default: Countly }));
+
+function resetCountlyMock(remote = {}) {
+  for (const key of Object.keys(Countly)) delete Countly[key];
+  Object.assign(Countly, {
+    init: vi.fn(),
+    track_sessions: vi.fn(),
+    add_event: vi.fn(),
+    change_id: vi.fn(),
+    user_details: vi.fn(),
+    add_consent: vi.fn(),
+    remove_consent: vi.fn(),
+    enrollUserToAb: vi.fn(),
+    get_remote_config: vi.fn(() => ({ cached: 'yes' })),
+    fetch_remote_config: vi.fn((keys, omit, callback) => callback(null, remote)),
+  });
+}
+
+async function initCountly(remoteConfig = true, config = {}) {
+  await initAnalyticsForTests({
+    platform: 'web',
+    countly: { appKey: 'key', serverUrl: 'https://countly.example.com', remoteConfig },
+    ...config,
+  });
+}
+
+describe('Countly remote config', () => {
+  beforeEach(() => resetCountlyMock({ checkout: 'variant_b', beta: false, limit: 3 }));
+  afterEach(() => resetAnalyticsForTests());
+
+  it('serves downloaded values as feature flags', async () => {
+    await initCountly();
+
+    expect(Countly.init).toHaveBeenCalledWith(
+      expect.objectContaining({ rc_automatic_optin_for_ab: true }),
+    );
+    expect(analytics.getFeatureFlag('checkout')).toBe('variant_b');
+    expect(analytics.getFeatureFlagPayload('limit')).toBe(3);
+    expect(analytics.isFeatureEnabled('checkout')).toBe(true);
+    expect(analytics.isFeatureEnabled('beta')).toBe(false);
+    expect(analytics.getAllFeatureFlags()).toEqual({ checkout: 'variant_b', beta: false, limit: 3 });
+  });
+
+  it('downloads only the configured keys and enrolls on request', async () => {
+    await initCountly({ keys: ['checkout'], enrollOnDownload: false });
+
+    expect(Countly.init).toHaveBeenCalledWith(
+      expect.objectContaining({ rc_automatic_optin_for_ab: false }),
+    );
+    expect(Countly.fetch_remote_config.mock.calls[0][0]).toEqual(['checkout']);
+
+    analytics.getProvider('countly').enrollInABTests(['checkout']);
+    expect(Countly.enrollUserToAb).toHaveBeenCalledWith(['checkout']);
+  });
+
+  it('downloads again once analytics consent is given', async () => {
+    // The SDK skips downloads while remote-config consent is missing
+    await initCountly(true, { consent: { persist: false } });
+    const downloads = Countly.fetch_remote_config.mock.calls.length;
+
+    analytics.setConsent({ analytics: true });
+    expect(Countly.init).toHaveBeenCalledWith(expect.objectContaining({ require_consent: true }));
+    expect(Countly.fetch_remote_config).toHaveBeenCalledTimes(downloads + 1);
+  });
+
+  it('follows config.featureFlags.precedence when several providers have flags', async () => {
+    await initCountly(true, {
+      memory: { featureFlags: { checkout: 'variant_a', dark_mode: true } },
+      featureFlags: { precedence: ['memory', 'countly'] },
+    });
+
+    expect(analytics.getFeatureFlag('checkout')).toBe('variant_a');
+    expect(analytics.getFeatureFlag('limit')).toBe(3);
+    expect(analytics.getAllFeatureFlags()).toMatchObject({ checkout: 'variant_a', limit: 3 });
+  });
+
+  it('normalizes options and values', () => {
+    expect(normalizeRemoteConfigOptions(false)).toBeNull();
+    expect(normalizeRemoteConfigOptions(true)).toEqual({ enrollOnDownload: true, keys: undefined });
+    expect(unwrapRemoteConfigValues({ a: { value: 1, isCurrentUsersData: true }, b: 2 })).toEqual({
+      a: 1,
+      b: 2,
+    });
+    expect(['on', '', 'false', 0, 1, {}].map(isRemoteConfigValueEnabled)).toEqual([
+      true,
+      false,
+      false,
+      false,
+      true,
+      true,
+    ]);
+  });
+});
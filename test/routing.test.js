@@ -0,0 +1,125 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { analytics } from '../src/UnifiedAnalytics';
+import { validateConfig } from '../src/utils/helpers';
+import { isRoutedTo, resolveRouting, validateRoutingRules } from '../src/utils/routing';
+import {
+  getMemoryProvider,
+  getTrackedCalls,
+  getTrackedEvents,
+  initAnalyticsForTests,
+  MemoryProvider,
+  resetAnalyticsForTests,
+} from '../src/testing';
+
+class OpsProvider extends MemoryProvider {
+  name = 'ops';
+}
+
+const names = (provider, type) => provider.getCalls(type).map((call) => call.name);
+
+async function initWithOps(config = {}) {
+  await initAnalyticsForTests({ providers: { ops: { provider: OpsProvider } }, ...config });
+  return analytics.getProvider('ops');
+}
+
+describe('provider routing', () => {
+  afterEach(() => resetAnalyticsForTests());
+
+  it('sends a call only to the listed providers', async () => {
+    const ops = await initWithOps();
+
+    analytics.trackEvent('funnel_step', { step: 2 }, { providers: ['memory'] });
+    analytics.trackEvent('api_latency', { ms: 120 }, { exclude: ['Memory'] });
+    analytics.trackView('Checkout', {}, { providers: ['ops'] });
+
+    expect(getTrackedEvents().map((event) => event.name)).toEqual(['funnel_step']);
+    expect(names(ops, 'event')).toEqual(['api_latency']);
+    expect(getTrackedCalls('view')).toEqual([]);
+    expect(names(ops, 'view')).toEqual(['Checkout']);
+  });
+
+  it('routes identify and trackError', async () => {
+    const ops = await initWithOps();
+
+    analytics.identify('user-1', { plan: 'pro' }, { exclude: ['ops'] });
+    analytics.trackError(new Error('boom'), { fatal: false }, { providers: ['ops'] });
+
+    expect(getTrackedCalls('identify')).toHaveLength(1);
+    expect(ops.getCalls('identify')).toEqual([]);
+    expect(getTrackedCalls('error')).toEqual([]);
+    expect(ops.getCalls('error')).toHaveLength(1);
+  });
+
+  it('applies the first matching config rule', async () => {
+    const ops = await initWithOps({
+      routing: [
+        { events: ['funnel_*'], providers: ['memory'] },
+        { events: ['ops_*', 'funnel_ops'], exclude: ['memory'] },
+        { views: ['Admin*'], providers: ['ops'] },
+      ],
+    });
+
+    for (const name of ['funnel_ops', 'ops_restart', 'opened']) analytics.trackEvent(name);
+    analytics.trackView('AdminUsers');
+
+    expect(getTrackedEvents().map((event) => event.name)).toEqual(['funnel_ops', 'opened']);
+    expect(names(ops, 'event')).toEqual(['ops_restart', 'opened']);
+    expect(names(ops, 'view')).toEqual(['AdminUsers']);
+  });
+
+  it('lets per-call options override rules', async () => {
+    const ops = await initWithOps({ routing: [{ events: ['ops_*'], exclude: ['ops'] }] });
+
+    analytics.trackEvent('ops_restart', {}, { providers: ['ops'] });
+    expect(names(ops, 'event')).toEqual(['ops_restart']);
+    expect(getTrackedEvents()).toEqual([]);
+  });
+
+  it('routes calls made before init', async () => {
+    analytics.trackEvent('early', {}, { providers: ['ops'] });
+    const ops = await initWithOps();
+
+    expect(names(ops, 'event')).toEqual(['early']);
+    expect(getTrackedEvents()).toEqual([]);
+  });
+
+  it('combines routing with Segment integrations', async () => {
+    const ops = await initWithOps({ routing: [{ events: ['Signed Up'], exclude: ['memory'] }] });
+
+    analytics.track('Signed Up', {}, { integrations: { ops: false } });
+    expect(getMemoryProvider().getCalls('event')).toEqual([]);
+    expect(ops.getCalls('event')).toEqual([]);
+  });
+
+  it('lists only routed providers in event bus reports', async () => {
+    await initWithOps();
+    const handler = vi.fn();
+    analytics.on('event', handler);
+
+    analytics.trackEvent('funnel_step', {}, { providers: ['ops'] });
+    expect(handler.mock.calls[0][0]).toMatchObject({ accepted: ['ops'], failed: [], queued: [] });
+  });
+
+  it('resolves rules only for events and views', () => {
+    const rules = [{ events: ['*'], providers: ['ops'] }];
+
+    expect(resolveRouting({ type: 'event', name: 'opened' }, rules)).toBe(rules[0]);
+    expect(resolveRouting({ type: 'view', name: 'Home' }, rules)).toBeNull();
+    expect(resolveRouting({ type: 'identify' }, rules)).toBeNull();
+    expect(isRoutedTo({ providers: ['PostHog'] }, 'posthog')).toBe(true);
+    expect(isRoutedTo({ exclude: ['posthog'] }, 'PostHog')).toBe(false);
+  });
+
+  it('validates the config', () => {
+    expect(validateRoutingRules({})).toEqual([
+      'routing must be an array of { events | views, providers | exclude } rules',
+    ]);
+    expect(validateRoutingRules([{ providers: ['ops'] }, { events: ['a'] }])).toEqual([
+      'routing[0] needs an events or views array of name patterns',
+      'routing[1] needs a providers or exclude array',
+    ]);
+    expect(validateConfig({ routing: [{ events: ['a'] }] }).errors).toContain(
+      'routing[0] needs a providers or exclude array',
+    );
+  });
+});
@@ -0,0 +1,138 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { analytics } from '../src/UnifiedAnalytics';
+import { validateConfig } from '../src/utils/helpers';
+import {
+  createEventLimiter,
+  findByNamePattern,
+  hashToUnitInterval,
+  validateEventLimitsConfig,
+} from '../src/utils/sampling';
+import {
+  expectEventNotTracked,
+  getTrackedEvents,
+  initAnalyticsForTests,
+  resetAnalyticsForTests,
+} from '../src/testing';
+
+const userIds = Array.from({ length: 20 }, (_, index) => `user-${index}`);
+const sampledIn = userIds.find((id) => hashToUnitInterval(id) < 0.5);
+const sampledOut = userIds.find((id) => hashToUnitInterval(id) >= 0.5);
+
+describe('sampling and rate limits', () => {
+  afterEach(() => {
+    resetAnalyticsForTests();
+    vi.useRealTimers();
+  });
+
+  it('hashes ids to a stable point in [0, 1)', () => {
+    const points = userIds.map(hashToUnitInterval);
+
+    expect(points.every((point) => point >= 0 && point < 1)).toBe(true);
+    expect(userIds.map(hashToUnitInterval)).toEqual(points);
+    expect(new Set(points).size).toBe(userIds.length);
+  });
+
+  it('matches exact names before patterns', () => {
+    const entries = { 'poll_*': 0.01, poll_status: 0.5, '*': 1 };
+
+    expect(findByNamePattern(entries, 'poll_status')).toBe(0.5);
+    expect(findByNamePattern(entries, 'poll_jobs')).toBe(0.01);
+    expect(findByNamePattern(entries, 'scroll')).toBe(1);
+    expect(findByNamePattern({ 'a.b': 1 }, 'axb')).toBeUndefined();
+  });
+
+  it('keeps or drops all of a user\'s sampled events and attaches the rate', async () => {
+    await initAnalyticsForTests({ sampling: { events: { scroll: 0.5 } } });
+
+    analytics.identify(sampledIn);
+    analytics.trackEvent('scroll', { depth: 1 });
+    analytics.trackEvent('scroll', { depth: 2 });
+    analytics.identify(sampledOut);
+    analytics.trackEvent('scroll', { depth: 3 });
+    analytics.trackEvent('opened');
+
+    expect(getTrackedEvents().map((event) => event.properties)).toEqual([
+      { depth: 1, sample_rate: 0.5 },
+      { depth: 2, sample_rate: 0.5 },
+      {},
+    ]);
+    expect(analytics.getEventLimitStats()).toMatchObject({ sampledOut: 1, sessionEvents: 3 });
+  });
+
+  it('omits the sample rate with property false', async () => {
+    await initAnalyticsForTests({ sampling: { events: { scroll: 0.5 }, property: false } });
+
+    analytics.identify(sampledIn);
+    analytics.trackEvent('scroll');
+    expect(getTrackedEvents()[0].properties).toEqual({});
+  });
+
+  it('limits bursts with a token bucket that refills over time', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    await initAnalyticsForTests({
+      rateLimits: { events: { keystroke: { capacity: 2, refillPerSecond: 1 } } },
+    });
+
+    for (let i = 0; i < 3; i += 1) analytics.trackEvent('keystroke', { i });
+    vi.advanceTimersByTime(1000);
+    analytics.trackEvent('keystroke', { i: 3 });
+
+    expect(getTrackedEvents().map((event) => event.properties.i)).toEqual([0, 1, 3]);
+    expect(analytics.getEventLimitStats().rateLimited).toBe(1);
+  });
+
+  it('caps the events sent per session', async () => {
+    await initAnalyticsForTests({ rateLimits: { maxEventsPerSession: 2 } });
+
+    for (const name of ['first', 'second', 'third']) analytics.trackEvent(name);
+
+    expectEventNotTracked('third');
+    expect(analytics.getEventLimitStats()).toEqual({
+      sampledOut: 0,
+      rateLimited: 0,
+      sessionCapped: 1,
+      sessionEvents: 2,
+    });
+  });
+
+  it('applies limits before middleware', async () => {
+    const seen = [];
+    await initAnalyticsForTests({
+      rateLimits: { maxEventsPerSession: 1 },
+      middleware: [
+        (call, next) => {
+          seen.push(call.name);
+          next(call);
+        },
+      ],
+    });
+
+    analytics.trackEvent('first');
+    analytics.trackEvent('second');
+    expect(seen).toEqual(['first']);
+  });
+
+  it('samples anonymous calls at random without a user id', () => {
+    const limiter = createEventLimiter({ sampling: { events: { scroll: 0.5 } } });
+    vi.spyOn(Math, 'random').mockReturnValueOnce(0.2).mockReturnValueOnce(0.8);
+
+    expect(limiter.check('scroll', null)).toEqual({ allowed: true, sampleRate: 0.5 });
+    expect(limiter.check('scroll', null)).toEqual({ allowed: false, reason: 'sampled' });
+  });
+
+  it('validates the config', () => {
+    expect(
+      validateEventLimitsConfig({
+        sampling: { events: { scroll: 2 } },
+        rateLimits: { events: { keystroke: { capacity: 0 } }, maxEventsPerSession: -1 },
+      }),
+    ).toEqual([
+      'sampling.events["scroll"] must be a number between 0 and 1',
+      'rateLimits.events["keystroke"] needs a positive capacity and a refillPerSecond >= 0',
+      'rateLimits.maxEventsPerSession must be a non-negative integer',
+    ]);
+    expect(validateConfig({ sampling: { events: { scroll: -1 } } }).errors).toContain(
+      'sampling.events["scroll"] must be a number between 0 and 1',
+    );
+  });
+});
@@ -0,0 +1,111 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { analytics } from '../src/UnifiedAnalytics';
+import { CountlyProvider } from '../src/providers/CountlyProvider';
+import { parseGroupArguments, parsePageArguments } from '../src/utils/segment';
+import {
+  expectEventTracked,
+  getTrackedCalls,
+  getTrackedViews,
+  initAnalyticsForTests,
+  MemoryProvider,
+  resetAnalyticsForTests,
+} from '../src/testing';
+
+class SemanticProvider extends MemoryProvider {
+  translateSemanticEvent(name, properties) {
+    return { name: name === 'Order Completed' ? 'purchase' : name, properties };
+  }
+}
+
+describe('Segment API', () => {
+  afterEach(() => {
+    resetAnalyticsForTests();
+    vi.unstubAllGlobals();
+  });
+
+  it('tracks events with Segment options', async () => {
+    await initAnalyticsForTests();
+
+    analytics.track('Signed Up', { plan: 'pro' }, {
+      context: { ip: '0.0.0.0' },
+      anonymousId: 'anon-1',
+      timestamp: '2024-05-01T10:00:00.000Z',
+    });
+
+    expect(getTrackedCalls('event').at(-1)).toMatchObject({
+      name: 'Signed Up',
+      properties: { plan: 'pro' },
+      context: { ip: '0.0.0.0' },
+      anonymousId: 'anon-1',
+      timestamp: Date.parse('2024-05-01T10:00:00.000Z'),
+    });
+  });
+
+  it('skips providers turned off in integrations', async () => {
+    await initAnalyticsForTests({ providers: { mirror: { provider: MemoryProvider } } });
+
+    analytics.track('opened', {}, { integrations: { All: false, Memory: true } });
+
+    expectEventTracked('opened');
+    expect(analytics.getProvider('mirror').getCalls('event')).toEqual([]);
+  });
+
+  it('translates semantic events per provider', async () => {
+    await initAnalyticsForTests({ providers: { shop: { provider: SemanticProvider } } });
+
+    analytics.track('Order Completed', { revenue: 10 });
+    analytics.trackEvent('Order Completed');
+
+    expect(analytics.getProvider('shop').getCalls('event').map((call) => call.name)).toEqual([
+      'purchase',
+      'Order Completed',
+    ]);
+    expectEventTracked('Order Completed', { revenue: 10 });
+    expect(
+      new CountlyProvider().translateSemanticEvent('Order Completed', {}).name,
+    ).toBe('order_completed');
+  });
+
+  it('tracks pages with browser defaults', async () => {
+    vi.stubGlobal('window', { location: { pathname: '/pricing', href: 'https://x.io/pricing', search: '' } });
+    vi.stubGlobal('document', { title: 'Pricing', referrer: '' });
+    await initAnalyticsForTests();
+
+    analytics.page('Docs', 'Install', { version: 2 });
+    analytics.page();
+
+    expect(getTrackedViews()).toMatchObject([
+      { name: 'Docs Install', properties: { category: 'Docs', version: 2, path: '/pricing', title: 'Pricing' } },
+      { name: '/pricing', properties: { url: 'https://x.io/pricing' } },
+    ]);
+  });
+
+  it('tracks screens, groups and aliases', async () => {
+    await initAnalyticsForTests();
+
+    analytics.screen('Settings', { tab: 'privacy' });
+    analytics.group('acme', { name: 'Acme' });
+    analytics.alias('user-2', 'user-1');
+
+    expect(getTrackedViews()).toMatchObject([{ name: 'Settings', properties: { tab: 'privacy' } }]);
+    expect(getTrackedCalls('group')).toMatchObject([
+      { groupType: 'company', groupKey: 'acme', traits: { name: 'Acme' } },
+    ]);
+    expect(getTrackedCalls('alias')).toMatchObject([{ userId: 'user-2', previousId: 'user-1' }]);
+  });
+
+  it('parses the optional page and group arguments', () => {
+    expect(parsePageArguments({ a: 1 }, { context: {} })).toEqual({
+      category: null,
+      name: null,
+      properties: { a: 1 },
+      options: { context: {} },
+    });
+    expect(parsePageArguments('Home', { a: 1 })).toMatchObject({ category: null, name: 'Home' });
+    expect(parseGroupArguments('acme', { name: 'Acme' }, { groupType: 'team' })).toMatchObject({
+      groupType: 'team',
+      groupKey: 'acme',
+      traits: { name: 'Acme' },
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { analytics, UnifiedAnalytics } from '../src/UnifiedAnalytics';
+import {
+  clearTrackedCalls,
+  expectEventNotTracked,
+  expectEventTracked,
+  getMemoryProvider,
+  getTrackedCalls,
+  getTrackedEvents,
+  getTrackedViews,
+  initAnalyticsForTests,
+  MemoryProvider,
+  resetAnalyticsForTests,
+} from '../src/testing';
+
+describe('testing entry point', () => {
+  beforeEach(() => initAnalyticsForTests());
+  afterEach(() => resetAnalyticsForTests());
+
+  it('records facade calls in the memory provider', () => {
+    analytics.trackEvent('checkout_completed', { amount: 99 });
+    analytics.trackView('Home', { tab: 'feed' });
+    analytics.identify('user-1', { plan: 'pro' });
+
+    expect(getMemoryProvider()).toBeInstanceOf(MemoryProvider);
+    expect(getTrackedEvents()).toEqual([
+      { name: 'checkout_completed', properties: { amount: 99 }, timestamp: expect.any(Number) },
+    ]);
+    expect(getTrackedViews().map((view) => view.name)).toEqual(['Home']);
+    expect(getTrackedCalls('identify')).toMatchObject([
+      { userId: 'user-1', properties: { plan: 'pro' } },
+    ]);
+  });
+
+  it('matches events by property subset or predicate', () => {
+    analytics.trackEvent('checkout_completed', { amount: 99, cart: { items: 2 } });
+
+    expect(expectEventTracked('checkout_completed', { cart: { items: 2 } }).properties.amount).toBe(99);
+    expectEventTracked('checkout_completed', (properties) => properties.amount > 50);
+    expect(() => expectEventTracked('checkout_completed', { amount: 10 })).toThrow(
+      'Expected event "checkout_completed" to be tracked with {"amount":10}. Tracked events: checkout_completed',
+    );
+    expect(() => expectEventTracked('signup')).toThrow('Tracked events: checkout_completed');
+  });
+
+  it('asserts that an event was not tracked', () => {
+    expectEventNotTracked('signup');
+    analytics.trackEvent('signup');
+    expect(() => expectEventNotTracked('signup')).toThrow('it was tracked 1 time(s)');
+  });
+
+  it('includes global properties in recorded events', () => {
+    analytics.setGlobalProperties({ app_version: '6.0.0' });
+    analytics.trackEvent('opened', { source: 'push' });
+
+    expectEventTracked('opened', { app_version: '6.0.0', source: 'push' });
+    expect(getTrackedCalls('setGlobalProperties')).toHaveLength(1);
+  });
+
+  it('forgets recorded calls on clearTrackedCalls', () => {
+    analytics.trackEvent('one');
+    clearTrackedCalls();
+    expect(getTrackedCalls()).toEqual([]);
+  });
+});
+
+describe('resetAnalyticsForTests', () => {
+  it('returns the shared instance to its pre-init state', async () => {
+    await initAnalyticsForTests();
+    analytics.trackEvent('before_reset');
+
+    resetAnalyticsForTests();
+
+    expect(analytics.isInitialized()).toBe(false);
+    expect(getMemoryProvider()).toBeUndefined();
+    expect(getTrackedCalls()).toEqual([]);
+    expect(UnifiedAnalytics.getInstance()).toBe(analytics);
+
+    await initAnalyticsForTests();
+    expect(getTrackedEvents()).toEqual([]);
+    resetAnalyticsForTests();
+  });
+
+  it('passes other config options through to init', async () => {
+    await initAnalyticsForTests({
+      middleware: [(event, next) => next({ ...event, name: event.name.toUpperCase() })],
+      memory: { featureFlags: { beta: true } },
+    });
+
+    analytics.trackEvent('renamed');
+    expectEventTracked('RENAMED');
+    expect(analytics.isFeatureEnabled('beta')).toBe(true);
+    resetAnalyticsForTests();
+  });
+});
@@ -0,0 +1,158 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { analytics } from '../src/UnifiedAnalytics';
+import { createTimerRegistry } from '../src/utils/timers';
+import {
+  expectEventNotTracked,
+  expectEventTracked,
+  getTrackedCalls,
+  initAnalyticsForTests,
+  resetAnalyticsForTests,
+} from '../src/testing';
+
+describe('timed events', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+  });
+  afterEach(() => {
+    resetAnalyticsForTests();
+    vi.useRealTimers();
+  });
+
+  it('records startTimer and endTimer calls followed by the timed event', async () => {
+    await initAnalyticsForTests();
+
+    const instanceId = analytics.startTimer('upload');
+    expect(getTrackedCalls()).toMatchObject([{ type: 'startTimer', name: 'upload', instanceId }]);
+
+    vi.advanceTimersByTime(1234);
+    expect(analytics.endTimer('upload', { size: 10 })).toBe(1234);
+
+    expect(getTrackedCalls().map((call) => call.type)).toEqual(['startTimer', 'endTimer', 'event']);
+    expect(getTrackedCalls('endTimer')).toMatchObject([
+      { name: 'upload', durationMs: 1234, properties: { size: 10 } },
+    ]);
+    expectEventTracked('upload', { size: 10, $duration: 1.234, duration_ms: 1234 });
+  });
+
+  it('returns null and tracks nothing when no timer is running', async () => {
+    await initAnalyticsForTests();
+    vi.spyOn(analytics.logger, 'warn').mockImplementation(() => {});
+
+    expect(analytics.endTimer('missing')).toBeNull();
+    expect(getTrackedCalls()).toEqual([]);
+  });
+
+  it('does not count paused time', async () => {
+    await initAnalyticsForTests();
+
+    analytics.startTimer('video');
+    vi.advanceTimersByTime(1000);
+    analytics.pauseTimer('video');
+    vi.advanceTimersByTime(5000);
+    analytics.resumeTimer('video');
+    vi.advanceTimersByTime(500);
+
+    expect(analytics.endTimer('video')).toBe(1500);
+  });
+
+  it('runs concurrent instances of the same event', async () => {
+    await initAnalyticsForTests();
+
+    const first = analytics.startTimer('upload', { instanceId: 'a' });
+    vi.advanceTimersByTime(100);
+    analytics.startTimer('upload', { instanceId: 'b' });
+    vi.advanceTimersByTime(100);
+
+    expect(analytics.getActiveTimers().map((timer) => timer.instanceId)).toEqual(['a', 'b']);
+    expect(analytics.endTimer('upload', {}, { instanceId: first })).toBe(200);
+    expect(analytics.endTimer('upload')).toBe(100);
+    expect(analytics.getActiveTimers()).toEqual([]);
+  });
+
+  it('cancels timers without tracking', async () => {
+    await initAnalyticsForTests();
+
+    analytics.startTimer('checkout');
+    expect(analytics.cancelTimer('checkout')).toBe(true);
+    expect(analytics.cancelTimer('checkout')).toBe(false);
+    expectEventNotTracked('checkout');
+  });
+
+  it('buffers timer calls made before init', async () => {
+    analytics.startTimer('app_start');
+    vi.advanceTimersByTime(300);
+    analytics.endTimer('app_start');
+
+    await initAnalyticsForTests();
+    expect(getTrackedCalls().map((call) => call.type)).toEqual(['startTimer', 'endTimer', 'event']);
+    expectEventTracked('app_start', { duration_ms: 300 });
+  });
+
+  it('passes the tracking plan with additionalProperties: false', async () => {
+    await initAnalyticsForTests({
+      trackingPlan: {
+        mode: 'strict',
+        events: {
+          upload: {
+            properties: { size: 'number' },
+            additionalProperties: false,
+          },
+        },
+      },
+    });
+
+    analytics.startTimer('upload');
+    analytics.endTimer('upload', { size: 10 });
+
+    expectEventTracked('upload', { size: 10, duration_ms: 0 });
+    expect(analytics.getTrackingPlanViolations()).toEqual([]);
+  });
+
+  it('validates duration properties the plan lists', async () => {
+    await initAnalyticsForTests({
+      trackingPlan: {
+        mode: 'strict',
+        events: { upload: { properties: { duration_ms: { type: 'number', minimum: 100 } } } },
+      },
+    });
+
+    analytics.startTimer('upload');
+    analytics.endTimer('upload');
+
+    expectEventNotTracked('upload');
+    expect(analytics.getTrackingPlanViolations()[0].errors).toEqual([
+      'properties.duration_ms: must be >= 100',
+    ]);
+  });
+});
+
+describe('createTimerRegistry', () => {
+  it('restarts a timer started again with the same instance id', () => {
+    let now = 0;
+    const timers = createTimerRegistry({ now: () => now });
+
+    timers.start('a', 'one');
+    now = 50;
+    timers.start('a', 'one');
+    now = 80;
+
+    expect(timers.list()).toEqual([
+      { name: 'a', instanceId: 'one', startedAt: 50, elapsedMs: 30, paused: false },
+    ]);
+  });
+
+  it('pauses and resumes every timer when no name is given', () => {
+    let now = 0;
+    const timers = createTimerRegistry({ now: () => now });
+
+    timers.start('a');
+    timers.start('b');
+    expect(timers.pause()).toBe(2);
+    now = 100;
+    expect(timers.resume()).toBe(2);
+    now = 110;
+
+    expect(timers.stop('a')).toBe(10);
+    expect(timers.stop('b')).toBe(10);
+  });
+});
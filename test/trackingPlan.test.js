@@ -0,0 +1,185 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { analytics } from '../src/UnifiedAnalytics';
+import { validateConfig } from '../src/utils/helpers';
+import {
+  normalizeTrackingPlan,
+  validateSchema,
+  validateTrackingPlan,
+} from '../src/utils/trackingPlan';
+import {
+  expectEventNotTracked,
+  expectEventTracked,
+  getTrackedViews,
+  initAnalyticsForTests,
+  resetAnalyticsForTests,
+} from '../src/testing';
+
+const plan = {
+  events: {
+    purchase: {
+      properties: {
+        amount: { type: 'number', minimum: 0 },
+        currency: { type: 'string', enum: ['USD', 'EUR'] },
+        coupon: { type: 'string', pattern: '^[A-Z0-9]+$' },
+      },
+      required: ['amount', 'currency'],
+      additionalProperties: false,
+    },
+    login: {},
+  },
+};
+
+describe('tracking plan', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  afterEach(() => resetAnalyticsForTests());
+
+  it('sends valid events in every mode', async () => {
+    await initAnalyticsForTests({ trackingPlan: { ...plan, mode: 'strict' } });
+
+    analytics.trackEvent('purchase', { amount: 5, currency: 'USD', coupon: 'SPRING24' });
+    expectEventTracked('purchase', { amount: 5 });
+    expect(analytics.getTrackingPlanViolations()).toEqual([]);
+  });
+
+  it('drops unknown events but sends invalid ones in blockUnknown mode', async () => {
+    await initAnalyticsForTests({ trackingPlan: { ...plan, mode: 'blockUnknown' } });
+
+    analytics.trackEvent('unplanned');
+    analytics.trackEvent('purchase', { amount: -1, currency: 'GBP' });
+
+    expectEventNotTracked('unplanned');
+    expectEventTracked('purchase');
+    expect(analytics.getTrackingPlanViolations()).toMatchObject([
+      { type: 'event', name: 'unplanned', blocked: true, errors: ['Unknown event "unplanned" (not in tracking plan)'] },
+      {
+        name: 'purchase',
+        blocked: false,
+        errors: ['properties.amount: must be >= 0', 'properties.currency: must be one of ["USD","EUR"]'],
+      },
+    ]);
+  });
+
+  it('drops invalid events in strict mode', async () => {
+    await initAnalyticsForTests({ trackingPlan: { ...plan, mode: 'strict' } });
+
+    analytics.trackEvent('purchase', { amount: 5, currency: 'USD', coupon: 'lower', extra: true });
+
+    expectEventNotTracked('purchase');
+    expect(analytics.getTrackingPlanViolations()[0].errors).toEqual([
+      'properties.coupon: must match ^[A-Z0-9]+$',
+      'properties.extra: is not allowed',
+    ]);
+  });
+
+  it('sends everything and warns in warn mode', async () => {
+    await initAnalyticsForTests({ trackingPlan: { ...plan, mode: 'warn' } });
+
+    analytics.trackEvent('unplanned');
+    expectEventTracked('unplanned');
+    expect(console.warn).toHaveBeenCalledWith(
+      '[UnifiedAnalytics]',
+      'Tracking plan violation:',
+      'unplanned',
+      ['Unknown event "unplanned" (not in tracking plan)'],
+    );
+  });
+
+  it('checks views only when the plan lists them', async () => {
+    await initAnalyticsForTests({ trackingPlan: { ...plan, mode: 'strict', views: { Home: {} } } });
+
+    analytics.trackView('Home');
+    analytics.trackView('Settings');
+
+    expect(getTrackedViews().map((view) => view.name)).toEqual(['Home']);
+  });
+
+  it('calls onViolation and keeps at most maxViolations', async () => {
+    const onViolation = vi.fn();
+    await initAnalyticsForTests({ trackingPlan: { ...plan, mode: 'strict', maxViolations: 2, onViolation } });
+
+    analytics.trackEvent('a');
+    analytics.trackEvent('b');
+    analytics.trackEvent('c');
+
+    expect(onViolation).toHaveBeenCalledTimes(3);
+    expect(analytics.getTrackingPlanViolations().map((violation) => violation.name)).toEqual(['b', 'c']);
+    analytics.clearTrackingPlanViolations();
+    expect(analytics.getTrackingPlanViolations()).toEqual([]);
+  });
+
+  it('validates properties before middleware adds to them', async () => {
+    await initAnalyticsForTests({
+      trackingPlan: { ...plan, mode: 'strict' },
+      middleware: [(event, next) => next({ ...event, properties: { ...event.properties, app_version: '6.0.0' } })],
+    });
+
+    analytics.trackEvent('purchase', { amount: 5, currency: 'USD' });
+    expectEventTracked('purchase', { app_version: '6.0.0' });
+  });
+
+  it('redacts names and errors in violation records', async () => {
+    const onViolation = vi.fn();
+    await initAnalyticsForTests({
+      redaction: true,
+      trackingPlan: { mode: 'blockUnknown', events: {}, views: { Home: {} }, onViolation },
+    });
+
+    analytics.trackView('/reset?token=abc123&email=jane@example.com');
+
+    const [violation] = analytics.getTrackingPlanViolations();
+    expect(violation.name).toBe('/reset?token=[REDACTED]&email=[REDACTED]');
+    expect(violation.errors).toEqual(['Unknown view "/reset?token=[REDACTED]&email=[REDACTED]" (not in tracking plan)']);
+    expect(onViolation).toHaveBeenCalledWith(violation);
+    expect(JSON.stringify(console.warn.mock.calls)).not.toContain('jane@example.com');
+  });
+});
+
+describe('tracking plan config', () => {
+  afterEach(() => resetAnalyticsForTests());
+
+  it('reports invalid patterns through validateConfig', () => {
+    const { valid, errors } = validateConfig({
+      providers: { memory: true },
+      trackingPlan: {
+        events: {
+          signup: { properties: { code: { type: 'string', pattern: '(' } } },
+          tags: { properties: { list: { type: 'array', items: { pattern: 42 } } } },
+        },
+      },
+    });
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      expect.stringMatching(/^trackingPlan\.events\.signup\.properties\.code\.pattern is not a valid regular expression: /),
+      'trackingPlan.events.tags.properties.list.items.pattern must be a string',
+    ]);
+  });
+
+  it('rejects the config at init instead of throwing from trackEvent', async () => {
+    await expect(
+      initAnalyticsForTests({
+        trackingPlan: { events: { signup: { properties: { code: { pattern: '[' } } } } },
+      }),
+    ).rejects.toThrow('Invalid config: trackingPlan.events.signup.properties.code.pattern');
+  });
+
+  it('reports an invalid mode', () => {
+    expect(validateTrackingPlan({ mode: 'loose' })).toEqual([
+      'trackingPlan.mode must be one of warn, blockUnknown, strict',
+    ]);
+  });
+
+  it('compiles each pattern once', () => {
+    const normalized = normalizeTrackingPlan(plan, false);
+    const compiled = normalized.patterns.get('^[A-Z0-9]+$');
+    expect(compiled).toBeInstanceOf(RegExp);
+
+    const RegExpSpy = vi.spyOn(globalThis, 'RegExp');
+    expect(validateSchema('abc', { pattern: '^[A-Z0-9]+$' }, 'code', normalized.patterns)).toEqual([
+      'code: must match ^[A-Z0-9]+$',
+    ]);
+    expect(RegExpSpy).not.toHaveBeenCalled();
+  });
+});
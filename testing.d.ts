@@ -0,0 +1,70 @@
+import { AnalyticsConfig, BaseProvider, ConsentState, ProviderErrorOptions } from './index';
+
+export interface TrackedCall {
+    type:
+        | 'event'
+        | 'view'
+        | 'identify'
+        | 'userProperties'
+        | 'reset'
+        | 'group'
+        | 'resetGroups'
+        | 'alias'
+        | 'error'
+        | 'startTimer'
+        | 'endTimer'
+        | 'setGlobalProperties'
+        | 'clearGlobalProperties'
+        | 'removeGlobalProperty'
+        | 'consent';
+    timestamp: number;
+    name?: string;
+    properties?: Record<string, any>;
+    userId?: string;
+    previousId?: string;
+    groupType?: string;
+    groupKey?: string;
+    traits?: Record<string, any>;
+    context?: Record<string, any>;
+    anonymousId?: string;
+    key?: string;
+    /** startTimer / endTimer */
+    instanceId?: string;
+    /** endTimer */
+    durationMs?: number;
+    error?: ProviderErrorOptions;
+    consent?: ConsentState;
+}
+
+export interface TrackedEvent {
+    name: string;
+    properties: Record<string, any>;
+    timestamp: number;
+}
+
+export class MemoryProvider extends BaseProvider {
+    calls: TrackedCall[];
+    getCalls(type?: TrackedCall['type']): TrackedCall[];
+    clear(): void;
+    setFeatureFlags(flags: Record<string, any>): void;
+}
+
+export interface TestAnalyticsConfig extends Partial<AnalyticsConfig> {
+    /** In-memory provider options */
+    memory?: {
+        featureFlags?: Record<string, any>;
+    };
+}
+
+export function initAnalyticsForTests(config?: TestAnalyticsConfig): Promise<MemoryProvider>;
+export function getMemoryProvider(): MemoryProvider | undefined;
+export function getTrackedCalls(type?: TrackedCall['type']): TrackedCall[];
+export function getTrackedEvents(): TrackedEvent[];
+export function getTrackedViews(): TrackedEvent[];
+export function expectEventTracked(
+    name: string,
+    matcher?: Record<string, any> | ((properties: Record<string, any>) => boolean),
+): TrackedEvent;
+export function expectEventNotTracked(name: string): void;
+export function clearTrackedCalls(): void;
+export function resetAnalyticsForTests(): void;
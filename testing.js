@@ -0,0 +1,12 @@
+export {
+  MemoryProvider,
+  initAnalyticsForTests,
+  getMemoryProvider,
+  getTrackedCalls,
+  getTrackedEvents,
+  getTrackedViews,
+  expectEventTracked,
+  expectEventNotTracked,
+  clearTrackedCalls,
+  resetAnalyticsForTests,
+} from './src/testing';
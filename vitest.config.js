@@ -0,0 +1,15 @@
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  // Components are written as JSX in .js files
+  esbuild: {
+    loader: 'jsx',
+    include: /src\/.*\.js$/,
+    exclude: [],
+  },
+  test: {
+    include: ['test/**/*.test.js'],
+    environment: 'node',
+    restoreMocks: true,
+  },
+});